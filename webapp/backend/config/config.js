@@ -2,10 +2,14 @@
 
 require('dotenv').config();
 
+const path = require('path');
+
 module.exports = {
     // Server configuration
     port: process.env.PORT || 8080,
     env: process.env.NODE_ENV || 'development',
+    // Where users reach the web app (for links in emails); unset: emails carry no links
+    publicUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
 
     // Google Cloud Platform
     gcp: {
@@ -31,9 +35,11 @@ module.exports = {
         machineType: process.env.VM_MACHINE_TYPE || 'c2d-highcpu-32',
         bootDiskSize: process.env.VM_BOOT_DISK_SIZE || '500',
         localSsdCount: parseInt(process.env.VM_LOCAL_SSD_COUNT) || 4, // c2d machines support 0, 4, or 8 SSDs
+        localSsdSizeGB: 375, // Fixed size of a GCE local SSD; the build mounts the first one as scratch space
         imageFamily: 'ubuntu-2204-lts',
         imageProject: 'ubuntu-os-cloud',
         maxConcurrentBuilds: parseInt(process.env.MAX_CONCURRENT_BUILDS) || 3,
+        maxQueuedBuilds: parseInt(process.env.MAX_QUEUED_BUILDS) || 20, // Builds waiting for a free slot
         buildTimeout: parseInt(process.env.BUILD_TIMEOUT_HOURS) || 6, // Increased from 4 to 6 hours
         autoCleanup: process.env.VM_AUTO_CLEANUP !== 'false',
         stalledProgressMinutes: parseInt(process.env.STALLED_PROGRESS_MINUTES) || 30, // Fail if no progress for 30 minutes
@@ -44,7 +50,141 @@ module.exports = {
         maxServicesPerBuild: parseInt(process.env.MAX_SERVICES_PER_BUILD) || 50,
         maxModelsPerBuild: parseInt(process.env.MAX_MODELS_PER_BUILD) || 10,
         maxISOSizeGB: parseInt(process.env.MAX_ISO_SIZE_GB) || 150,
+        // ISO size projection (keep in sync with estimateISOSize in frontend/js/api.js)
+        baseISOSizeGB: 2.5, // Ubuntu Server ISO
+        isoOverheadFactor: 1.1, // Filesystem and packaging overhead
+        // Disk space the VM needs during a build, relative to the projected ISO size
+        scratchSpaceFactor: 2.5, // Extracted ISO + squashfs + staged artifacts (local SSD, or boot disk without SSDs)
+        bootDiskSpaceFactor: 2, // Downloaded artifacts + final ISO
+        bootDiskReservedGB: 20, // OS, packages and Docker
         pollIntervalMs: parseInt(process.env.POLL_INTERVAL_MS) || 10000,
+        maxAutoRetries: parseInt(process.env.MAX_AUTO_RETRIES) || 3, // Upper bound for a build's auto_retry policy
+        // Installer repository ref checked out on the build VM (branch, tag or commit SHA)
+        installerRef: process.env.INSTALLER_GIT_REF || 'main',
+        installerRepoUrl: 'https://github.com/brilliantsquirrel/Homelab-Install-Script.git',
+        // How long a branch or tag stays resolved to the same commit (for build deduplication)
+        installerRefCacheMs: (parseInt(process.env.INSTALLER_REF_CACHE_SECONDS) || 300) * 1000,
+        // Service images are read from the project's docker-compose.yml
+        composeFile: process.env.DOCKER_COMPOSE_PATH || path.join(__dirname, '../../../docker-compose.yml'),
+    },
+
+    // Build time estimates, learned from past builds' stage timings
+    estimator: {
+        historySize: parseInt(process.env.ESTIMATOR_HISTORY_SIZE) || 200, // Most recent samples kept per stage
+    },
+
+    // GCP list prices (USD) used for build cost estimates
+    pricing: {
+        currency: 'USD',
+        machineTypes: { // On-demand hourly rate, us-west1
+            'c2d-highcpu-32': 1.36,
+            'c2d-highcpu-56': 2.38,
+            'n2-standard-16': 0.777,
+            'n2-standard-32': 1.554,
+        },
+        localSsdPerGBMonth: 0.08,
+        bootDiskPerGBMonth: 0.17, // pd-ssd
+        storagePerGBMonth: 0.020, // GCS standard storage
+        egressPerGB: 0.12, // Internet egress
+    },
+
+    // Monthly spending limits on build costs at the prices above (unset: no limit)
+    budget: {
+        monthlyCap: parseFloat(process.env.BUDGET_MONTHLY_CAP) || null,
+        requesterMonthlyCap: parseFloat(process.env.BUDGET_REQUESTER_MONTHLY_CAP) || null,
+        // Builds that would take the month's spending past this wait for admin approval
+        approvalThreshold: parseFloat(process.env.BUDGET_APPROVAL_THRESHOLD) || null,
+    },
+
+    // Compute backends that run builds
+    backends: {
+        default: process.env.BUILD_BACKEND || 'gce', // 'gce', 'docker' or 'ssh'
+        // Local Docker builder: runs the build script in a privileged container on this host
+        docker: {
+            image: process.env.DOCKER_BUILDER_IMAGE || 'ubuntu:22.04',
+            maxConcurrentBuilds: parseInt(process.env.DOCKER_MAX_CONCURRENT_BUILDS) || 1,
+            commandTimeoutMs: 5 * 60 * 1000, // docker CLI calls (image pulls can be slow)
+        },
+        // Remote builder hosts reached over SSH, e.g.
+        // SSH_BUILDER_HOSTS='[{"name":"tower","host":"192.168.1.20","user":"builder","capacity":2,"sudo":true}]'
+        ssh: {
+            hosts: (() => {
+                let hosts;
+                try {
+                    hosts = JSON.parse(process.env.SSH_BUILDER_HOSTS || '[]');
+                } catch (error) {
+                    throw new Error(`SSH_BUILDER_HOSTS must be a JSON array: ${error.message}`);
+                }
+                if (!Array.isArray(hosts)) {
+                    throw new Error('SSH_BUILDER_HOSTS must be a JSON array');
+                }
+                return hosts.map((host) => {
+                    const normalized = {
+                        name: host.name || host.host,
+                        host: host.host,
+                        port: parseInt(host.port) || 22,
+                        user: host.user || 'root',
+                        identityFile: host.identityFile || null,
+                        capacity: parseInt(host.capacity) || 1, // Builds run on this host at once
+                        // create-custom-iso.sh only runs from /tmp/homelab-* or /home/<user>/...
+                        workDir: host.workDir || '/tmp/homelab-builds',
+                        sudo: host.sudo === true, // Run builds with sudo when user isn't root
+                    };
+                    if (!/^[A-Za-z0-9-]{1,32}$/.test(normalized.name || '')) {
+                        throw new Error(`Invalid SSH builder host name: ${normalized.name}`);
+                    }
+                    if (!/^[A-Za-z0-9.:-]+$/.test(normalized.host || '')) {
+                        throw new Error(`Invalid SSH builder host address for ${normalized.name}: ${normalized.host}`);
+                    }
+                    if (!/^[a-z_][a-z0-9_-]*$/.test(normalized.user)) {
+                        throw new Error(`Invalid SSH user for ${normalized.name}: ${normalized.user}`);
+                    }
+                    if (!/^(\/tmp\/homelab-[A-Za-z0-9._-]+|\/home\/[a-z0-9_-]+(\/[A-Za-z0-9._-]+)*)$/.test(normalized.workDir)) {
+                        throw new Error(`Invalid workDir for ${normalized.name} (must be under /tmp/homelab-* or /home/<user>): ${normalized.workDir}`);
+                    }
+                    return normalized;
+                });
+            })(),
+            connectTimeoutSeconds: parseInt(process.env.SSH_CONNECT_TIMEOUT_SECONDS) || 10,
+            commandTimeoutMs: 60 * 1000,
+            transferTimeoutMs: 2 * 60 * 60 * 1000, // Collecting an ISO over a home network
+        },
+    },
+
+    // Build outputs for backends that run outside GCE (ISOs, status files, logs)
+    // When the backend itself runs in a container, outputDir must be mounted at the
+    // same path on the host so build containers can bind-mount it.
+    localStorage: {
+        outputDir: process.env.LOCAL_OUTPUT_DIR || path.join(__dirname, '../data/outputs'),
+        logsDir: process.env.LOCAL_LOGS_DIR || path.join(__dirname, '../data/logs'),
+    },
+
+    // Build VMs push status and log events to POST /api/internal/build/:id/events
+    // (disabled unless baseUrl, the backend's URL as seen from build VMs, is set)
+    callbacks: {
+        baseUrl: (process.env.CALLBACK_BASE_URL || '').replace(/\/+$/, ''),
+        // Fall back to polling storage when no event has arrived for this long
+        staleAfterMs: parseInt(process.env.CALLBACK_STALE_AFTER_MS) || 2 * 60 * 1000,
+        // Events each build may post per minute (a VM posts its log lines in batches)
+        eventsPerMinute: parseInt(process.env.CALLBACK_EVENTS_PER_MINUTE) || 600,
+    },
+
+    // Webhooks notified of build lifecycle events
+    webhooks: {
+        maxPerBuild: parseInt(process.env.WEBHOOK_MAX_PER_BUILD) || 5,
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 10 * 1000, // Doubles after each attempt
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+        // Let webhooks from build requests reach private and loopback addresses
+        // (admin-registered webhooks always can)
+        allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
+    },
+
+    // Build state persistence
+    store: {
+        driver: process.env.BUILD_STORE_DRIVER || 'sqlite', // 'sqlite' or 'memory'
+        sqlitePath: process.env.BUILD_STORE_PATH || path.join(__dirname, '../data/builds.db'),
+        retentionDays: parseInt(process.env.BUILD_STORE_RETENTION_DAYS) || 30,
     },
 
     // Rate limiting
@@ -60,6 +200,7 @@ module.exports = {
             // These can be tightened once the app is stable
             return process.env.NODE_ENV === 'production' ? 500 : 1000;
         })(),
+        // Default daily build quota of each user (admins can set their own per user)
         buildsPerUserPerDay: parseInt(process.env.BUILDS_PER_USER_PER_DAY) || 10,
     },
 
@@ -102,13 +243,95 @@ module.exports = {
             }
             return origins;
         })(),
+        // Bearer token for the admin API (users with the admin role can use it too)
+        adminToken: (() => {
+            const token = process.env.ADMIN_API_TOKEN;
+            if (token && token.length < 32) {
+                throw new Error(
+                    'SECURITY ERROR: ADMIN_API_TOKEN must be at least 32 characters long. ' +
+                    'Generate one with: openssl rand -hex 32'
+                );
+            }
+            return token || null;
+        })(),
+    },
+
+    // User accounts, API tokens and sessions
+    auth: {
+        // Let anyone create an account (otherwise admins create them through the admin API)
+        allowRegistration: process.env.AUTH_ALLOW_REGISTRATION === 'true',
+        minPasswordLength: parseInt(process.env.AUTH_MIN_PASSWORD_LENGTH) || 12,
+        sessionTtlHours: parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 7 * 24,
+        maxTokensPerUser: parseInt(process.env.AUTH_MAX_TOKENS_PER_USER) || 20,
+        // Sign in with a username and password (turn off to only allow OIDC sign-in)
+        passwordLogin: process.env.AUTH_PASSWORD_LOGIN !== 'false',
+
+        // Sign-in through an OpenID Connect provider (Authentik, Keycloak, ...); off without an issuer
+        oidc: (() => {
+            const issuer = (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, '');
+            const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+            const publicUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+            const redirectUri = process.env.OIDC_REDIRECT_URI || (publicUrl ? `${publicUrl}/api/auth/oidc/callback` : '');
+
+            if (issuer && !process.env.OIDC_CLIENT_ID) {
+                throw new Error('OIDC_CLIENT_ID must be set when OIDC_ISSUER_URL is');
+            }
+            if (issuer && !redirectUri) {
+                throw new Error('OIDC sign-in needs PUBLIC_BASE_URL or OIDC_REDIRECT_URI for its callback URL');
+            }
+
+            return {
+                enabled: Boolean(issuer),
+                issuer,
+                clientId: process.env.OIDC_CLIENT_ID || '',
+                // Unset for public clients (PKCE only)
+                clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+                redirectUri,
+                // Where the provider sends the browser after signing out
+                postLogoutRedirectUri: process.env.OIDC_POST_LOGOUT_REDIRECT_URI || publicUrl || null,
+                scopes: process.env.OIDC_SCOPES || 'openid profile email',
+                // Shown on the sign-in button
+                providerName: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+                usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+                groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+                // Members of these groups are admins
+                adminGroups: list(process.env.OIDC_ADMIN_GROUPS),
+                // If set, only members of these groups (or the admin groups) may sign in
+                userGroups: list(process.env.OIDC_USER_GROUPS),
+                // Groups are only checked at sign-in: sessions and API tokens of OIDC users
+                // stop working this long after their last sign-in
+                membershipTtlHours: parseInt(process.env.OIDC_MEMBERSHIP_TTL_HOURS) || 24,
+                timeoutMs: parseInt(process.env.OIDC_TIMEOUT_MS) || 10 * 1000,
+            };
+        })(),
     },
 
     // Email notifications (optional)
     email: {
         enabled: process.env.EMAIL_ENABLED === 'true',
         from: process.env.EMAIL_FROM || 'noreply@homelab-iso-builder.com',
+        // 'smtp' or 'sendgrid' (default: SendGrid when an API key is set)
+        transport: process.env.EMAIL_TRANSPORT || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'smtp'),
         sendgridApiKey: process.env.SENDGRID_API_KEY || '',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS if offered
+            user: process.env.SMTP_USER || '',
+            password: process.env.SMTP_PASSWORD || '',
+        },
+        // Warn this long before a build's ISO is deleted
+        expiryWarningHours: parseInt(process.env.EMAIL_EXPIRY_WARNING_HOURS) || 24,
+    },
+
+    // Push notification channels (ntfy, Gotify, Matrix) for build results
+    notifications: {
+        // Channel URLs notified about every build (comma-separated)
+        channels: (process.env.NOTIFY_CHANNELS || '').split(',').map(url => url.trim()).filter(Boolean),
+        maxPerBuild: parseInt(process.env.NOTIFY_MAX_CHANNELS_PER_BUILD) || 5,
+        timeoutMs: parseInt(process.env.NOTIFY_TIMEOUT_MS) || 10 * 1000,
+        // Let channels from build requests reach private and loopback addresses
+        allowPrivateHosts: process.env.NOTIFY_ALLOW_PRIVATE_HOSTS === 'true',
     },
 
     // Logging
@@ -117,6 +340,14 @@ module.exports = {
         format: process.env.LOG_FORMAT || 'json',
     },
 
+    // Prometheus metrics at GET /metrics
+    // Off until a token is configured: the endpoint exposes build counts and spend
+    metrics: {
+        enabled: process.env.METRICS_ENABLED !== 'false' && Boolean(process.env.METRICS_TOKEN),
+        // Bearer token scrapers must send
+        token: process.env.METRICS_TOKEN || null,
+    },
+
     // Available services (from docker-compose.yml)
     services: {
         // AI & Machine Learning
@@ -0,0 +1,94 @@
+// Budget Manager - Monthly spending caps on build costs
+// Budgets are checked against each new build's estimated cost (see cost-calculator):
+// a global cap and a per-requester cap reject the build, and an approval threshold
+// below them holds it until an admin approves it. Budgets reset at the start of each
+// calendar month (UTC).
+
+const config = require('../config/config');
+const costCalculator = require('./cost-calculator');
+
+class BudgetManager {
+    /**
+     * The budget period containing a time
+     * @param {number} now - Time in ms
+     * @returns {Object} { start, resets } - ISO timestamps of the start of this month and the next
+     */
+    getPeriod(now = Date.now()) {
+        const date = new Date(now);
+        return {
+            start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString(),
+            resets: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString(),
+        };
+    }
+
+    /**
+     * Check a new build against the budgets
+     * @param {Object[]} spending - This period's builds as { requester, amount }, where amount
+     *   is what each build has cost (or is expected to cost, while it runs)
+     * @param {string} requester - Who asked for the new build
+     * @param {number} estimatedCost - Estimated cost of the new build
+     * @param {Object} options - Check options
+     * @param {boolean} options.approved - An admin approved the build (skips the approval threshold)
+     * @param {number} options.now - Current time in ms
+     * @returns {Object} { approval_required, currency, period, global: { spent, cap },
+     *   requester: { spent, cap }, approval_threshold }
+     * @throws {Error} With statusCode 402 (global cap) or 429 (requester cap), the
+     *   exhausted budget in error.budget and the seconds until it resets in error.retryAfter
+     */
+    checkBuild(spending, requester, estimatedCost, options = {}) {
+        const { monthlyCap, requesterMonthlyCap, approvalThreshold } = config.budget;
+        const now = options.now || Date.now();
+        const period = this.getPeriod(now);
+
+        const sum = (entries) => costCalculator.round(entries.reduce((total, entry) => total + entry.amount, 0));
+        const globalSpent = sum(spending);
+        const requesterSpent = sum(spending.filter(entry => entry.requester === requester));
+
+        const exhausted = (name, cap, spent, statusCode) => {
+            const error = new Error(
+                `The ${name === 'global' ? 'monthly build budget' : 'monthly build budget for your requests'} ` +
+                `is exhausted: ${this.formatAmount(spent)} of ${this.formatAmount(cap)} spent, and this build is ` +
+                `estimated at ${this.formatAmount(estimatedCost)}. The budget resets on ${period.resets.substring(0, 10)}.`
+            );
+            error.statusCode = statusCode;
+            error.budget = {
+                name,
+                currency: config.pricing.currency,
+                cap,
+                spent,
+                estimated_cost: estimatedCost,
+                resets_at: period.resets,
+            };
+            error.retryAfter = Math.ceil((new Date(period.resets).getTime() - now) / 1000);
+            return error;
+        };
+
+        // The whole deployment is out of money; nobody can build until the reset
+        if (monthlyCap !== null && globalSpent + estimatedCost > monthlyCap) {
+            throw exhausted('global', monthlyCap, globalSpent, 402);
+        }
+        // This requester has used up their share; others can still build
+        if (requesterMonthlyCap !== null && requesterSpent + estimatedCost > requesterMonthlyCap) {
+            throw exhausted('requester', requesterMonthlyCap, requesterSpent, 429);
+        }
+
+        return {
+            approval_required: !options.approved && approvalThreshold !== null &&
+                globalSpent + estimatedCost > approvalThreshold,
+            currency: config.pricing.currency,
+            period,
+            global: { spent: globalSpent, cap: monthlyCap },
+            requester: { spent: requesterSpent, cap: requesterMonthlyCap },
+            approval_threshold: approvalThreshold,
+        };
+    }
+
+    /**
+     * Format an amount in the price table's currency
+     */
+    formatAmount(amount) {
+        return `${amount.toFixed(2)} ${config.pricing.currency}`;
+    }
+}
+
+module.exports = new BudgetManager();
@@ -0,0 +1,83 @@
+// Build Backend - Interface for the compute that runs ISO builds
+
+/**
+ * Build backend interface
+ * A backend runs the build script produced by vmManager.generateStartupScript on some
+ * compute (a GCE VM, a local container, ...) and exposes where its outputs land.
+ * Instance statuses use the GCE vocabulary: PROVISIONING, STAGING, RUNNING, STOPPING,
+ * STOPPED, TERMINATED.
+ */
+class BuildBackend {
+    /**
+     * @param {string} name - Backend name stored on each build
+     * @param {Object} storage - Output storage for status files and ISOs; implements
+     *   isoExists, downloadStatusFile, deleteFile, listISOs, getISOMetadata,
+     *   getSignedDownloadURL, listCachedDockerImages,
+     *   listCachedOllamaModels, listLogChunks, readLogChunk and readExportedLog (see
+     *   gcsManager and localOutputStore)
+     */
+    constructor(name, storage) {
+        this.name = name;
+        this.storage = storage;
+    }
+
+    /**
+     * Maximum builds this backend runs at once
+     */
+    get maxConcurrentBuilds() {
+        return 1;
+    }
+
+    /**
+     * Get the instance name used for a build
+     * @param {string} buildId - Build ID
+     * @returns {string} Instance name
+     */
+    getInstanceName(buildId) {
+        const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
+        return `iso-build-${buildIdShort}`;
+    }
+
+    /**
+     * Start the build
+     * @param {string} buildId - Build ID
+     * @param {Object} buildConfig - Build configuration
+     * @param {Object} options - Optional build metadata (configHash, statusKey, callbackToken, installerRef)
+     * @returns {string} Instance name
+     */
+    async create(buildId, buildConfig, options = {}) {
+        throw new Error(`${this.constructor.name}.create() not implemented`);
+    }
+
+    /**
+     * Get the status of a build instance
+     * @param {string} instanceName - Instance name
+     * @returns {Object|null} { name, status }, or null if the instance doesn't exist
+     */
+    async status(instanceName) {
+        throw new Error(`${this.constructor.name}.status() not implemented`);
+    }
+
+    /**
+     * Export the build log
+     * @param {string} instanceName - Instance name
+     * @param {string} buildId - Build ID
+     * @returns {string|null} Location of the exported log
+     */
+    async logs(instanceName, buildId) {
+        throw new Error(`${this.constructor.name}.logs() not implemented`);
+    }
+
+    /**
+     * Tear down a build instance
+     * @param {string} instanceName - Instance name
+     * @param {string} buildId - Build ID
+     * @param {boolean} exportLogs - Export logs first (default: true)
+     * @returns {string|null} Location of the exported log (if exported)
+     */
+    async destroy(instanceName, buildId, exportLogs = true) {
+        throw new Error(`${this.constructor.name}.destroy() not implemented`);
+    }
+}
+
+module.exports = { BuildBackend };
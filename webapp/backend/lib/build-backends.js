@@ -0,0 +1,36 @@
+// Build Backends - Registry of compute backends
+
+const config = require('../config/config');
+
+// Lazy-loaded so unused backends don't initialize their clients
+const BACKENDS = {
+    gce: () => require('./gce-build-backend'),
+    docker: () => require('./docker-build-backend'),
+    ssh: () => require('./ssh-build-backend'),
+};
+
+/**
+ * Get a build backend by name
+ * @param {string} name - Backend name (default: config.backends.default)
+ * @returns {BuildBackend}
+ */
+function getBuildBackend(name = config.backends.default) {
+    const load = BACKENDS[name];
+    if (!load) {
+        throw new Error(`Unknown build backend: ${name}`);
+    }
+    return load();
+}
+
+/**
+ * Names of all registered backends
+ * @returns {string[]}
+ */
+function listBuildBackends() {
+    return Object.keys(BACKENDS);
+}
+
+module.exports = {
+    getBuildBackend,
+    listBuildBackends,
+};
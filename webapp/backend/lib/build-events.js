@@ -0,0 +1,106 @@
+// Build Events - In-memory event log behind the build status SSE stream
+// The orchestrator publishes status, stage and log deltas as it records them. Each
+// build keeps its recent events so reconnecting clients can resume from Last-Event-ID.
+
+const MAX_BUFFERED_EVENTS = 500;
+
+class BuildEvents {
+    constructor() {
+        // buildId -> { nextSeq, events, listeners }
+        this.streams = new Map();
+
+        // Event IDs from a previous process can't be resumed from
+        this.instanceId = Date.now().toString(36);
+    }
+
+    getStream(buildId) {
+        let stream = this.streams.get(buildId);
+        if (!stream) {
+            stream = { nextSeq: 1, events: [], listeners: new Set() };
+            this.streams.set(buildId, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Record an event and deliver it to subscribers
+     * @param {string} buildId - Build ID
+     * @param {string} type - Event type ('status', 'stage' or 'log')
+     * @param {Object} data - Event payload
+     * @returns {Object} { id, type, data }
+     */
+    publish(buildId, type, data) {
+        const stream = this.getStream(buildId);
+        const event = { id: `${this.instanceId}-${stream.nextSeq++}`, type, data };
+
+        stream.events.push(event);
+        if (stream.events.length > MAX_BUFFERED_EVENTS) {
+            stream.events.shift();
+        }
+
+        for (const listener of stream.listeners) {
+            listener(event);
+        }
+        return event;
+    }
+
+    /**
+     * Subscribe to a build's events
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(buildId, listener) {
+        const stream = this.getStream(buildId);
+        stream.listeners.add(listener);
+
+        return () => {
+            stream.listeners.delete(listener);
+            if (stream.listeners.size === 0 && stream.events.length === 0) {
+                this.streams.delete(buildId);
+            }
+        };
+    }
+
+    /**
+     * ID of the most recent event, or null if none are buffered
+     */
+    getLastEventId(buildId) {
+        const stream = this.streams.get(buildId);
+        if (!stream || stream.events.length === 0) {
+            return null;
+        }
+        return stream.events[stream.events.length - 1].id;
+    }
+
+    /**
+     * Events recorded after the given event
+     * @param {string} buildId - Build ID
+     * @param {string} lastEventId - Last event the client received
+     * @returns {Object[]|null} Missed events, or null if the client can't resume from there
+     */
+    getEventsSince(buildId, lastEventId) {
+        const stream = this.streams.get(buildId);
+        if (!lastEventId || !stream) {
+            return null;
+        }
+
+        const index = stream.events.findIndex(event => event.id === lastEventId);
+        return index === -1 ? null : stream.events.slice(index + 1);
+    }
+
+    /**
+     * Drop a build's buffered events (when it leaves the orchestrator's working set)
+     */
+    clear(buildId) {
+        const stream = this.streams.get(buildId);
+        if (!stream) {
+            return;
+        }
+
+        stream.events = [];
+        if (stream.listeners.size === 0) {
+            this.streams.delete(buildId);
+        }
+    }
+}
+
+module.exports = new BuildEvents();
@@ -0,0 +1,153 @@
+// Build Log - The build VM's full log, shipped to storage in chunks while it runs
+// The startup script uploads each new stretch of its log file as a separate object
+// named after its starting byte offset (build-log-<build ID short>-<offset>.log, see
+// ship_log in vm-manager), so readers can serve any byte range without the VM
+// rewriting earlier chunks.
+
+const DEFAULT_READ_LIMIT = 64 * 1024;
+const MAX_READ_LIMIT = 1024 * 1024;
+
+const CHUNK_NAME_PATTERN = /^build-log-([0-9a-f]{8})-(\d{12})\.log$/;
+
+/**
+ * Chunk filename prefix for a build
+ * @param {string} buildId - Build ID
+ */
+function getChunkPrefix(buildId) {
+    return `build-log-${buildId.substring(0, 8)}-`;
+}
+
+/**
+ * Parse a chunk filename
+ * @param {string} name - File name (without any storage prefix)
+ * @returns {number|null} Starting byte offset, or null if it isn't a log chunk
+ */
+function parseChunkOffset(name) {
+    const match = CHUNK_NAME_PATTERN.exec(name);
+    return match ? parseInt(match[2], 10) : null;
+}
+
+/**
+ * Number of bytes at the start of a buffer that form complete UTF-8 characters
+ * (so a page never ends in the middle of a character)
+ */
+function completeUtf8Length(buffer) {
+    for (let i = buffer.length - 1; i >= Math.max(0, buffer.length - 4); i--) {
+        const byte = buffer[i];
+        if ((byte & 0xc0) === 0x80) {
+            continue; // Continuation byte - keep looking for the lead byte
+        }
+        const charLength = byte < 0x80 ? 1 : byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : 2;
+        return i + charLength <= buffer.length ? buffer.length : i;
+    }
+    return buffer.length;
+}
+
+/**
+ * The chunks that form the log so far
+ * Chunks are contiguous; a gap means a chunk is still being uploaded.
+ * @param {Object[]} chunks - {name, offset, size}, sorted by offset
+ * @returns {Object} { chunks, size }
+ */
+function contiguousChunks(chunks) {
+    let size = 0;
+    const available = [];
+    for (const chunk of chunks) {
+        if (chunk.offset !== size) {
+            break;
+        }
+        available.push(chunk);
+        size += chunk.size;
+    }
+    return { chunks: available, size };
+}
+
+/**
+ * Read a page of a build's log from its chunks
+ * @param {Object} storage - Backend storage (listLogChunks, readLogChunk)
+ * @param {string} buildId - Build ID
+ * @param {number} since - Byte offset to start at
+ * @param {number} limit - Maximum bytes to return
+ * @returns {Promise<Object>} { offset, next_offset, size, data }
+ */
+async function readLog(storage, buildId, since, limit) {
+    const { chunks: available, size } = contiguousChunks(await storage.listLogChunks(buildId));
+
+    const start = Math.min(since, size);
+    const end = Math.min(start + limit, size);
+    const parts = [];
+    for (const chunk of available) {
+        const chunkEnd = chunk.offset + chunk.size;
+        if (chunkEnd <= start || chunk.offset >= end) {
+            continue;
+        }
+        parts.push(await storage.readLogChunk(chunk.name,
+            Math.max(start, chunk.offset) - chunk.offset,
+            Math.min(end, chunkEnd) - chunk.offset));
+    }
+
+    const buffer = Buffer.concat(parts);
+    const length = completeUtf8Length(buffer);
+    return {
+        offset: start,
+        next_offset: start + length,
+        size,
+        data: buffer.subarray(0, length).toString('utf8'),
+    };
+}
+
+/**
+ * Read the end of a build's log
+ * @param {Object} storage - Backend storage (listLogChunks, readLogChunk)
+ * @param {string} buildId - Build ID
+ * @param {number} maxBytes - Maximum bytes to return
+ * @returns {Promise<string>} The last maxBytes of the log (empty if none was shipped)
+ */
+async function readLogTail(storage, buildId, maxBytes) {
+    const { size } = contiguousChunks(await storage.listLogChunks(buildId));
+    const page = await readLog(storage, buildId, Math.max(0, size - maxBytes), maxBytes);
+    return page.data;
+}
+
+/**
+ * Write a build's whole log to a stream
+ * @param {Object} storage - Backend storage (listLogChunks, readLogChunk)
+ * @param {string} buildId - Build ID
+ * @param {stream.Writable} output - Destination (not ended)
+ * @returns {Promise<number>} Bytes written
+ */
+async function writeLog(storage, buildId, output) {
+    const { chunks, size } = contiguousChunks(await storage.listLogChunks(buildId));
+    for (const chunk of chunks) {
+        if (!output.write(await storage.readLogChunk(chunk.name, 0, chunk.size))) {
+            await new Promise(resolve => output.once('drain', resolve));
+        }
+    }
+    return size;
+}
+
+/**
+ * Parse and clamp the since/limit query parameters
+ * @returns {Object} { since, limit }
+ */
+function parseRange(query) {
+    const since = query.since === undefined ? 0 : Number(query.since);
+    const limit = query.limit === undefined ? DEFAULT_READ_LIMIT : Number(query.limit);
+
+    if (!Number.isSafeInteger(since) || since < 0) {
+        throw new Error('since must be a non-negative integer byte offset');
+    }
+    if (!Number.isSafeInteger(limit) || limit < 1 || limit > MAX_READ_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_READ_LIMIT}`);
+    }
+    return { since, limit };
+}
+
+module.exports = {
+    getChunkPrefix,
+    parseChunkOffset,
+    readLog,
+    readLogTail,
+    writeLog,
+    parseRange,
+};
@@ -0,0 +1,221 @@
+// Build Notifier - Tells the people who requested a build how it went
+// Emails go to the build's address and those of identical requests attached to it
+// (one message each, so requesters don't see each other's addresses). Completions and
+// failures are also pushed to the global notification channels and the build's own
+// (stored encrypted, as their URLs carry credentials).
+
+const config = require('../config/config');
+const logger = require('./logger');
+const mailer = require('./mailer');
+const emailTemplates = require('./email-templates');
+const { createChannel, sealChannelUrl, openChannelUrl } = require('./notification-channels');
+const { metrics } = require('./metrics');
+
+/**
+ * Push messages: short versions of the email templates, as { title, body, link, priority, tags }
+ */
+const pushMessages = {
+    buildComplete(build, details) {
+        return {
+            title: `Homelab ISO ready (build ${build.id.substring(0, 8)})`,
+            body: [
+                `ISO: ${build.isoFilename}` + (build.isoSizeGB ? ` (${build.isoSizeGB.toFixed(1)} GB)` : ''),
+                `Services: ${(build.config.services || []).join(', ') || 'none'}`,
+                `Deleted on ${emailTemplates.formatDate(details.expiresAt)}`,
+                ...(details.downloadUrl ? [] : [`Download it from the ISO builder using build ID ${build.id}`]),
+            ].join('\n'),
+            link: details.downloadUrl,
+            priority: 'default',
+            tags: ['white_check_mark'],
+        };
+    },
+
+    buildFailed(build, details) {
+        const failure = build.failure || {};
+        return {
+            title: `Homelab ISO build failed (build ${build.id.substring(0, 8)})`,
+            body: [
+                `Error: ${failure.code || 'UNKNOWN'} - ${build.error || 'No error message was recorded.'}`,
+                ...(failure.hint ? [`What to do: ${failure.hint}`] : []),
+            ].join('\n'),
+            link: details.appUrl,
+            priority: 'high',
+            tags: ['x'],
+        };
+    },
+};
+
+class BuildNotifier {
+    constructor() {
+        this.globalChannels = [];
+    }
+
+    /**
+     * Parse the global notification channels (NOTIFY_CHANNELS)
+     * @throws {Error} If one of them isn't a valid channel URL
+     */
+    init() {
+        this.globalChannels = config.notifications.channels.map((url, index) => {
+            try {
+                return createChannel(url);
+            } catch (error) {
+                throw new Error(`NOTIFY_CHANNELS entry ${index + 1} is invalid: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Email addresses to notify about a build
+     * @param {Object} build - Build state object
+     * @returns {string[]} Unique addresses
+     */
+    getRecipients(build) {
+        const addresses = [
+            build.config.email,
+            ...(build.attachedRequests || []).map(request => request.email),
+        ].filter(Boolean);
+        return [...new Set(addresses.map(address => address.toLowerCase()))];
+    }
+
+    /**
+     * Encrypt a request's channel URLs to store with its build
+     * @param {string[]} urls - Channel URLs
+     * @returns {string[]} Encrypted URLs (build.notifyChannels)
+     */
+    sealChannelUrls(urls) {
+        return urls.map(sealChannelUrl);
+    }
+
+    /**
+     * The channel URLs stored with a build, decrypted
+     * URLs that can't be decrypted are skipped.
+     * @param {Object} build - Build state object
+     * @returns {string[]} Channel URLs
+     */
+    getChannelUrls(build) {
+        return (build.notifyChannels || []).flatMap(value => {
+            try {
+                return [openChannelUrl(value)];
+            } catch (error) {
+                logger.warn(`Skipping notification channel of build ${build.id}: ${error.message}`);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Notification channels for a build: the global ones and those given with its requests
+     * @param {Object} build - Build state object
+     * @returns {NotificationChannel[]}
+     */
+    getChannels(build) {
+        const channels = [...this.globalChannels];
+        for (const url of this.getChannelUrls(build)) {
+            try {
+                channels.push(createChannel(url, { restricted: true }));
+            } catch (error) {
+                logger.warn(`Skipping invalid notification channel of build ${build.id}: ${error.message}`);
+            }
+        }
+        return channels;
+    }
+
+    /**
+     * Describe a build's own notification channels for API responses (without credentials)
+     * @param {Object} build - Build state object
+     * @returns {Object[]} [{ type, host }]
+     */
+    describeChannels(build) {
+        return this.getChannelUrls(build).flatMap(url => {
+            try {
+                return [createChannel(url).describe()];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Link that downloads a build's ISO through the web app (signed URLs expire too soon to email)
+     * @returns {string|null} URL, or null without PUBLIC_BASE_URL
+     */
+    getDownloadUrl(buildId) {
+        return config.publicUrl ? `${config.publicUrl}/?download=${encodeURIComponent(buildId)}` : null;
+    }
+
+    /**
+     * Send a notification about a build
+     * Failures are logged, not thrown.
+     * @param {Object} build - Build state object
+     * @param {string} template - 'buildComplete', 'buildFailed' or 'isoExpiring' (email only)
+     * @param {Object} details - Template details (e.g. expiresAt)
+     * @returns {Promise<number>} Number of emails and push notifications sent
+     */
+    async notify(build, template, details = {}) {
+        details = {
+            downloadUrl: this.getDownloadUrl(build.id),
+            appUrl: config.publicUrl || null,
+            ...details,
+        };
+
+        const [emails, pushes] = await Promise.all([
+            this.sendEmails(build, template, details),
+            this.sendPushNotifications(build, template, details),
+        ]);
+        return emails + pushes;
+    }
+
+    async sendEmails(build, template, details) {
+        const recipients = this.getRecipients(build);
+        if (!mailer.isEnabled() || recipients.length === 0) {
+            return 0;
+        }
+
+        const message = emailTemplates[template](build, details);
+
+        let sent = 0;
+        for (const to of recipients) {
+            try {
+                await mailer.send({ to, ...message });
+                metrics.emails.inc({ template, outcome: 'sent' });
+                sent++;
+            } catch (error) {
+                metrics.emails.inc({ template, outcome: 'failed' });
+                logger.error(`Failed to send ${template} email for build ${build.id}: ${error.message}`);
+            }
+        }
+
+        if (sent > 0) {
+            logger.info(`Sent ${template} email for build ${build.id} to ${sent} recipient(s)`);
+        }
+        return sent;
+    }
+
+    async sendPushNotifications(build, template, details) {
+        const channels = pushMessages[template] ? this.getChannels(build) : [];
+        if (channels.length === 0) {
+            return 0;
+        }
+
+        const message = pushMessages[template](build, details);
+        const results = await Promise.all(channels.map(async channel => {
+            try {
+                await channel.send(message);
+                metrics.notifications.inc({ channel: channel.type, template, outcome: 'sent' });
+                return true;
+            } catch (error) {
+                metrics.notifications.inc({ channel: channel.type, template, outcome: 'failed' });
+                logger.error(`Failed to send ${template} notification for build ${build.id}: ${error.message}`);
+                return false;
+            }
+        }));
+
+        const sent = results.filter(Boolean).length;
+        if (sent > 0) {
+            logger.info(`Sent ${template} notification for build ${build.id} to ${sent} channel(s)`);
+        }
+        return sent;
+    }
+}
+
+module.exports = new BuildNotifier();
@@ -1,456 +1,2293 @@
 // Build Orchestrator - Coordinates ISO build process
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
 const logger = require('./logger');
 const vmManager = require('./vm-manager');
 const gcsManager = require('./gcs-manager');
+const { getBuildBackend } = require('./build-backends');
+const composeCatalog = require('./compose-catalog');
+const installerRef = require('./installer-ref');
+const costCalculator = require('./cost-calculator');
+const { generateStatusKey, verifyStatus } = require('./status-signature');
+const { STATUS_SCHEMA_VERSION, normalizeTasks } = require('./build-tasks');
+const buildEvents = require('./build-events');
+const buildLog = require('./build-log');
+const { classifyFailure } = require('./failure-classifier');
+const { createTimeline, advanceTimeline, formatTimeline } = require('./build-timeline');
+const buildTimeEstimator = require('./build-time-estimator');
+const budgetManager = require('./budget-manager');
+const webhookManager = require('./webhook-manager');
+const buildNotifier = require('./build-notifier');
+const userManager = require('./user-manager');
+const { registry: metricsRegistry, metrics } = require('./metrics');
+const { createBuildRepository } = require('./build-repository');
+
+// Build statuses that will never change again
+const TERMINAL_STATUSES = ['complete', 'failed', 'cancelled'];
+
+// Build statuses that can be retried from their stored configuration
+const RETRYABLE_STATUSES = ['failed', 'cancelled'];
+
+// Unfinished build statuses that don't hold a build slot yet
+const WAITING_STATUSES = ['queued', 'awaiting_approval'];
+
+// Unfinished build statuses, reported in metrics even when no build has them
+const UNFINISHED_STATUSES = [...WAITING_STATUSES, 'creating_vm', 'building', 'cancelling'];
+
+// VM tasks whose items report whether they came from the artifact cache
+const CACHED_TASKS = ['docker-images', 'ollama-models'];
+
+// How much of the end of each log the failure classifier looks at
+const FAILURE_LOG_TAIL_BYTES = 256 * 1024;
+
+// Most recent builds with a config hash whose ISOs are checked for reuse
+const CACHED_ISO_CANDIDATES = 5;
+
+// How long artifact cache listings are reused (the build form plans on every change)
+const ARTIFACT_LISTING_TTL_MS = 60 * 1000;
+
+// Most log lines a build VM posts in one event (the VM batches its log lines)
+const MAX_LOG_EVENT_LINES = 50;
+
+/**
+ * Failure reported by the build VM through its status file
+ */
+class VMBuildFailure extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VMBuildFailure';
+    }
+}
 
 class BuildOrchestrator {
     constructor() {
-        // In-memory build state (in production, use Redis or database)
+        // Working set of builds; the repository holds the durable copy
         this.builds = new Map();
-        this.activeBuildCount = 0;
+
+        // FIFO admission queue of build IDs waiting for a free build slot
+        this.queue = [];
+        // Builds being started but not saved yet (ID -> { requester, amount }); they count
+        // against the queue bound, and once their budget check passed against the budgets
+        this.startingBuilds = new Map();
+        // Config hash -> startBuild promise of the request that creates the build for it
+        this.pendingHashes = new Map();
+        // Output storage -> { listing, expiresAt } of its artifact cache (see listArtifactCache)
+        this.artifactListings = new Map();
+
+        // Pluggable persistent store (SQLite by default)
+        this.repository = createBuildRepository();
+        // Serializes writes so snapshots land in the order they were made
+        this.persistChain = Promise.resolve();
+
+        // Cancellation bookkeeping: wake-up callbacks for sleeping poll loops,
+        // and in-flight cancellation cleanups (so each runs exactly once)
+        this.pollWakers = new Map();
+        this.cancellations = new Map();
 
         // Security: Maximum number of builds to keep in memory
         // Prevents unbounded memory growth from accumulating build history
         this.MAX_BUILDS_IN_MEMORY = 1000;
 
+        // Report current build state when metrics are scraped
+        metricsRegistry.onCollect(() => this.collectMetrics());
+
         // Start periodic cleanup
         this.startPeriodicCleanup();
     }
 
+    /**
+     * Open the build repository and resume builds interrupted by a restart
+     */
+    async initialize() {
+        // Fail fast on a misconfigured default backend
+        getBuildBackend();
+
+        await this.repository.init();
+        await webhookManager.init(this.repository);
+        userManager.init(this.repository);
+        buildNotifier.init();
+
+        // Learn build times from recent builds' stage timings
+        buildTimeEstimator.load(await this.repository.list({
+            statuses: ['complete', 'failed'],
+            limit: config.estimator.historySize,
+        }));
+
+        await this.rehydrateBuilds();
+    }
+
+    /**
+     * Flush pending writes and close the build repository
+     */
+    async shutdown() {
+        clearInterval(this.cleanupTimer);
+        await this.persistChain;
+        await this.repository.close();
+    }
+
+    /**
+     * Load non-terminal builds from the repository and resume them
+     */
+    async rehydrateBuilds() {
+        const builds = await this.repository.list({ excludeStatuses: TERMINAL_STATUSES });
+
+        if (builds.length > 0) {
+            logger.info(`Rehydrating ${builds.length} unfinished build(s) from build store`);
+        }
+
+        // Oldest first, so queued builds keep their FIFO order
+        builds.sort((a, b) => new Date(a.created) - new Date(b.created));
+
+        for (const build of builds) {
+            this.builds.set(build.id, build);
+
+            if (build.status === 'queued') {
+                this.queue.push(build.id);
+                continue;
+            }
+
+            if (build.status === 'awaiting_approval') {
+                continue;
+            }
+
+            if (build.status === 'cancelling') {
+                this.finalizeCancellation(build.id).catch(error => {
+                    logger.error(`Failed to finish cancelling build ${build.id}:`, error);
+                });
+                continue;
+            }
+
+            this.resumeBuild(build.id).catch(error => {
+                this.handleBuildFailure(build.id, error);
+            });
+        }
+
+        this.dispatchQueue();
+    }
+
+    /**
+     * Resume a rehydrated build from its last persisted state
+     */
+    async resumeBuild(buildId) {
+        const build = this.builds.get(buildId);
+        const backend = this.getBackend(build);
+        const vmName = build.vmName || backend.getInstanceName(buildId);
+
+        // VM creation may have been in flight when the backend stopped
+        const vmStatus = await backend.status(vmName);
+
+        if (!vmStatus) {
+            if (build.vmName) {
+                throw new Error('VM no longer exists after backend restart');
+            }
+
+            logger.info(`Restarting build ${buildId} (no VM was created before restart)`);
+            this.updateBuildStatus(buildId, {
+                logs: [...build.logs, 'Backend restarted before VM was created, restarting build...'],
+            });
+            await this.executeBuild(buildId);
+            return;
+        }
+
+        logger.info(`Resuming build ${buildId} on VM ${vmName}`);
+        this.updateBuildStatus(buildId, {
+            status: 'building',
+            vmName,
+            logs: [...build.logs, `Backend restarted, resumed monitoring of VM ${vmName}`],
+        });
+
+        await this.pollBuildCompletion(buildId, vmName);
+    }
+
     /**
      * Start a new ISO build
      * @param {Object} buildConfig - Build configuration
+     * @param {Object} options - Optional build lineage
+     * @param {string} options.retryOf - ID of the build this one retries
+     * @param {number} options.autoRetryCount - Automatic retries so far in this chain
+     * @param {boolean} options.forceRebuild - Build even if an identical ISO exists or is in progress
+     * @param {string} options.requester - Who asked for the build (for cost accounting)
+     * @param {Object[]} options.webhooks - Webhooks to notify about this build (see webhook-manager)
+     * @param {string[]} options.notifyChannels - Notification channel URLs for this build (see notification-channels)
      * @returns {Object} Build info
      */
-    async startBuild(buildConfig) {
-        // Validate configuration
-        this.validateBuildConfig(buildConfig);
+    async startBuild(requestedConfig, options = {}) {
+        const prepared = { ...this.prepareBuildConfig(requestedConfig), installerCommit: await installerRef.resolve() };
+        const configHash = this.computeConfigHash(prepared.buildConfig, prepared.installerCommit);
 
-        // Security: Atomic check-and-increment to prevent race condition
-        // Count active builds (not queued/complete/failed)
-        let activeCount = 0;
-        for (const build of this.builds.values()) {
-            if (build.status !== 'complete' && build.status !== 'failed') {
-                activeCount++;
+        if (options.forceRebuild || !configHash) {
+            return this.createBuild(requestedConfig, prepared, configHash, options);
+        }
+
+        // Identical configurations produce identical ISOs - reuse instead of starting another VM.
+        // An identical request that is still being started goes first, so wait for its build.
+        let pending;
+        while ((pending = this.pendingHashes.get(configHash))) {
+            await pending.catch(() => {});
+        }
+
+        const inFlight = this.findInFlightBuild(configHash);
+        if (inFlight) {
+            return this.attachToBuild(inFlight, requestedConfig, options.requester, options.webhooks, options.notifyChannels);
+        }
+
+        const starting = this.createBuild(requestedConfig, prepared, configHash, options);
+        this.pendingHashes.set(configHash, starting);
+        try {
+            return await starting;
+        } finally {
+            this.pendingHashes.delete(configHash);
+        }
+    }
+
+    /**
+     * Create a build for a request that can't attach to an identical in-flight build
+     * Reuses a stored ISO with the same config hash unless options.forceRebuild is set.
+     * @param {Object} requestedConfig - Build configuration as submitted
+     * @param {Object} prepared - prepareBuildConfig() result and the resolved installerCommit
+     * @param {string|null} configHash - Canonical config hash (null: never reused)
+     * @param {Object} options - startBuild options
+     * @returns {Promise<Object>} Build info
+     */
+    async createBuild(requestedConfig, { buildConfig, resolution, isoSize, installerCommit }, configHash, options) {
+        const backend = getBuildBackend();
+
+        if (!options.forceRebuild && configHash) {
+            const cachedISO = await this.findCachedISO(configHash, backend);
+            metrics.cacheLookups.inc({ cache: 'iso', result: cachedISO ? 'hit' : 'miss' });
+            if (cachedISO) {
+                return this.createCachedBuild(buildConfig, cachedISO, {
+                    ...options,
+                    backend: backend.name,
+                    configHash,
+                    installerCommit,
+                    resolution,
+                    isoSize,
+                    requestedServices: requestedConfig.services,
+                });
             }
         }
 
-        if (activeCount >= config.vm.maxConcurrentBuilds) {
-            throw new Error(`Maximum concurrent builds (${config.vm.maxConcurrentBuilds}) reached. Please try again later.`);
+        // Security: Bound the queue so waiting builds can't grow without limit
+        if (this.queue.length + this.startingBuilds.size >= config.vm.maxQueuedBuilds) {
+            const error = new Error(`Build queue is full (${config.vm.maxQueuedBuilds} builds waiting). Please try again later.`);
+            error.statusCode = 503;
+            throw error;
         }
 
-        // Generate build ID
+        // Claim the queue place before the first await; released once the build is saved
         const buildId = uuidv4();
+        this.startingBuilds.set(buildId, { requester: options.requester || null, amount: 0 });
+
+        let estimate, estimatedCost, budget;
+        try {
+            // Estimate from what the build will download and what it can restore from the cache
+            const { dockerImages, models } = await this.resolveArtifacts(buildConfig, backend.storage);
+            estimate = buildTimeEstimator.estimate({
+                images: dockerImages.filter(entry => entry.image),
+                models,
+                isoSizeGB: isoSize.total_gb,
+            });
+
+            // Hold the build to the spending budgets (throws once a cap is reached)
+            estimatedCost = this.estimateCost(backend, estimate.minutes, isoSize.total_gb);
+            budget = estimatedCost
+                ? await this.checkBudget(options.requester || null, estimatedCost.total, { excludeBuildId: buildId })
+                : null;
+        } catch (error) {
+            this.startingBuilds.delete(buildId);
+            throw error;
+        }
+        const awaitingApproval = !!budget && budget.approval_required;
+
+        const now = new Date().toISOString();
 
         // Initialize build state
         const build = {
             id: buildId,
             config: buildConfig,
-            status: 'queued',
+            status: awaitingApproval ? 'awaiting_approval' : 'queued',
             progress: 0,
-            stage: 'queued',
+            stage: awaitingApproval ? 'awaiting_approval' : 'queued',
             vmName: null,
             isoFilename: null,
             vmLogsPath: null,
-            logs: [],
-            created: new Date().toISOString(),
-            updated: new Date().toISOString(),
-            estimatedCompletion: this.estimateCompletion(buildConfig),
+            logs: awaitingApproval
+                ? ['This build would take the month\'s spending past the approval threshold - waiting for admin approval']
+                : [],
+            created: now,
+            started: null,
+            updated: now,
+            estimate,
+            timeline: createTimeline(now),
+            retryOf: options.retryOf || null,
+            retriedBy: null,
+            autoRetryCount: options.autoRetryCount || 0,
+            requester: options.requester || null,
+            webhooks: options.webhooks || [],
+            notifyChannels: buildNotifier.sealChannelUrls(options.notifyChannels || []),
+            estimatedCost,
+            approvedAt: null,
+            requestedServices: requestedConfig.services,
+            addedServices: resolution.added,
+            projectedISOSizeGB: isoSize.total_gb,
+            configHash,
+            installerCommit,
+            dedupedFrom: null,
+            attachedRequests: [],
+            backend: backend.name,
         };
+        Object.assign(build, this.estimateCompletion(build));
 
         this.builds.set(buildId, build);
-        this.activeBuildCount++;
+        this.startingBuilds.delete(buildId);
+        this.persistBuild(build);
 
         // Security: Enforce memory bounds - remove oldest completed/failed builds if limit exceeded
         if (this.builds.size > this.MAX_BUILDS_IN_MEMORY) {
             this.enforceMemoryBounds();
         }
 
-        logger.info(`Build ${buildId} queued`, { config: buildConfig });
+        if (awaitingApproval) {
+            logger.info(`Build ${buildId} awaiting admin approval`, {
+                config: buildConfig,
+                estimatedCost: estimatedCost.total,
+                spent: budget.global.spent,
+            });
+        } else {
+            logger.info(`Build ${buildId} queued`, { config: buildConfig });
+
+            // Join the queue; starts immediately if a build slot is free
+            this.queue.push(buildId);
+            this.notifyWebhooks(build, 'queued');
+            this.dispatchQueue();
+        }
+
+        const queueState = this.getQueueState(buildId);
+
+        return {
+            build_id: buildId,
+            status: build.status,
+            retry_of: build.retryOf,
+            services: resolution.services,
+            added_services: resolution.added,
+            projected_iso_size_gb: isoSize.total_gb,
+            estimated_time_minutes: estimate.minutes,
+            estimate,
+            estimated_cost: estimatedCost,
+            approval_required: awaitingApproval,
+            queue_position: queueState ? queueState.position : null,
+            queue_estimated_start: queueState ? queueState.estimated_start : null,
+            config_hash: configHash,
+            deduplicated: null,
+        };
+    }
+
+    /**
+     * Compute the canonical hash of a resolved build configuration
+     * Covers everything that determines the ISO contents: services, models, GPU support,
+     * the pinned Docker image of each service and the installer commit. Request-only
+     * fields (email, iso_name, auto_retry) are excluded. Configurations whose contents can
+     * change under the same names - an image on a floating tag such as latest, or an
+     * installer ref that couldn't be resolved - have no hash and are never reused.
+     * @param {Object} buildConfig - Build configuration with resolved services
+     * @param {string|null} installerCommit - Installer commit the build checks out
+     * @returns {string|null} SHA-256 hex digest, or null
+     */
+    computeConfigHash(buildConfig, installerCommit) {
+        if (!installerCommit) {
+            return null;
+        }
+
+        const services = [...buildConfig.services].sort();
+
+        let images;
+        try {
+            images = Object.fromEntries(
+                services.map(name => [name, composeCatalog.getImage(name)?.image || null])
+            );
+        } catch (error) {
+            logger.warn(`Build not deduplicated without image versions: ${error.message}`);
+            return null;
+        }
+        if (Object.values(images).some(image => image && !composeCatalog.isPinned(image))) {
+            return null;
+        }
+
+        const canonical = {
+            version: 2,
+            services,
+            models: [...(buildConfig.models || [])].sort(),
+            gpu_enabled: !!buildConfig.gpu_enabled,
+            images,
+            installer_commit: installerCommit,
+        };
+
+        return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+    }
+
+    /**
+     * Find a non-expired ISO of a complete build with the given config hash
+     * Candidates come from the build store, newest first, so only their ISO objects are
+     * looked up. ISOs too close to their retention cutoff to outlive a signed URL are ignored.
+     * @param {string} configHash - Canonical config hash
+     * @param {BuildBackend} backend - Backend whose storage must hold the ISO
+     * @returns {Promise<Object|null>} ISO {name, size, created, buildId}
+     */
+    async findCachedISO(configHash, backend) {
+        const retentionMs = config.gcs.isoRetentionDays * 24 * 60 * 60 * 1000;
+        const minRemainingMs = config.gcs.signedUrlExpiration * 1000;
+
+        try {
+            const builds = await this.repository.list({
+                statuses: ['complete'],
+                configHash,
+                createdAfter: new Date(Date.now() - retentionMs).toISOString(),
+                limit: CACHED_ISO_CANDIDATES,
+            });
+
+            for (const build of builds) {
+                if (!build.isoFilename || this.getBackend(build).name !== backend.name ||
+                    !await backend.storage.isoExists(build.isoFilename)) {
+                    continue;
+                }
+
+                const iso = await backend.storage.getISOMetadata(build.isoFilename);
+                if (new Date(iso.created).getTime() + retentionMs - Date.now() > minRemainingMs) {
+                    return { name: iso.name, size: iso.size, created: iso.created, buildId: build.dedupedFrom || build.id };
+                }
+            }
+        } catch (error) {
+            logger.error(`Error looking up ISO for config hash ${configHash}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Find an unfinished build with the given config hash
+     * @param {string} configHash - Canonical config hash
+     * @returns {Object|null} Build state object
+     */
+    findInFlightBuild(configHash) {
+        for (const build of this.builds.values()) {
+            if (build.configHash === configHash &&
+                !TERMINAL_STATUSES.includes(build.status) &&
+                build.status !== 'cancelling') {
+                return build;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Attach a request to an identical build that is already queued or running
+     * @param {Object} build - In-flight build state object
+     * @param {Object} requestedConfig - Build configuration as submitted
+     * @param {string} requester - Who asked for the build
+     * @param {Object[]} webhooks - The request's webhooks; they are notified about the existing build
+     * @param {string[]} notifyChannels - The request's notification channel URLs
+     * @returns {Object} Build info of the existing build
+     */
+    attachToBuild(build, requestedConfig, requester, webhooks = [], notifyChannels = []) {
+        const attachedRequests = [
+            ...(build.attachedRequests || []),
+            { attached_at: new Date().toISOString(), email: requestedConfig.email || null, requester: requester || null },
+        ];
+
+        this.updateBuildStatus(build.id, {
+            attachedRequests,
+            webhooks: [...(build.webhooks || []), ...webhooks],
+            notifyChannels: buildNotifier.sealChannelUrls([...new Set([...buildNotifier.getChannelUrls(build), ...notifyChannels])]),
+            logs: [...build.logs, 'Identical build requested - attached to this build'],
+        });
+
+        logger.info(`Build request attached to identical in-flight build ${build.id}`);
+
+        const queueState = this.getQueueState(build.id);
+
+        return {
+            build_id: build.id,
+            status: build.status,
+            retry_of: build.retryOf,
+            services: build.config.services,
+            added_services: build.addedServices || [],
+            projected_iso_size_gb: build.projectedISOSizeGB,
+            estimated_time_minutes: this.getBuildEstimate(build).minutes,
+            estimate: this.getBuildEstimate(build),
+            queue_position: queueState ? queueState.position : null,
+            queue_estimated_start: queueState ? queueState.estimated_start : null,
+            config_hash: build.configHash,
+            deduplicated: 'attached',
+        };
+    }
+
+    /**
+     * Record a build that is satisfied by an existing ISO with the same config hash
+     * @param {Object} buildConfig - Build configuration with resolved services
+     * @param {Object} cachedISO - Matching ISO from findCachedISO
+     * @param {Object} details - configHash, installerCommit, resolution, isoSize, requestedServices, backend and build lineage options
+     * @returns {Object} Build info (already complete)
+     */
+    createCachedBuild(buildConfig, cachedISO, details) {
+        const { configHash, resolution, isoSize } = details;
+        const buildId = uuidv4();
+        const now = new Date().toISOString();
+
+        const build = {
+            id: buildId,
+            config: buildConfig,
+            status: 'complete',
+            progress: 100,
+            stage: 'Complete',
+            vmName: null,
+            isoFilename: cachedISO.name,
+            vmLogsPath: null,
+            logs: [`Identical ISO already built${cachedISO.buildId ? ` by build ${cachedISO.buildId}` : ''}: ${cachedISO.name}`],
+            created: now,
+            started: now,
+            updated: now,
+            finished: now,
+            estimatedCompletion: now,
+            estimate: null,
+            timeline: [],
+            retryOf: details.retryOf || null,
+            retriedBy: null,
+            autoRetryCount: details.autoRetryCount || 0,
+            requester: details.requester || null,
+            webhooks: details.webhooks || [],
+            notifyChannels: buildNotifier.sealChannelUrls(details.notifyChannels || []),
+            requestedServices: details.requestedServices,
+            addedServices: resolution.added,
+            projectedISOSizeGB: isoSize.total_gb,
+            configHash,
+            installerCommit: details.installerCommit || null,
+            isoSizeGB: cachedISO.size / 1e9,
+            isoCreated: cachedISO.created || null,
+            dedupedFrom: cachedISO.buildId,
+            attachedRequests: [],
+            backend: details.backend,
+        };
+        build.cost = this.calculateBuildCost(build);
+        this.recordFinishMetrics(build);
+
+        this.builds.set(buildId, build);
+        this.persistBuild(build);
+
+        if (this.builds.size > this.MAX_BUILDS_IN_MEMORY) {
+            this.enforceMemoryBounds();
+        }
+
+        logger.info(`Build ${buildId} reused existing ISO ${cachedISO.name}`, { configHash });
+        this.notifyWebhooks(build, 'complete');
+        this.sendBuildNotifications(build);
+
+        return {
+            build_id: buildId,
+            status: build.status,
+            retry_of: build.retryOf,
+            services: resolution.services,
+            added_services: resolution.added,
+            projected_iso_size_gb: isoSize.total_gb,
+            estimated_time_minutes: 0,
+            estimate: null,
+            queue_position: null,
+            queue_estimated_start: null,
+            config_hash: configHash,
+            deduplicated: 'cached',
+            iso_filename: cachedISO.name,
+            deduplicated_from: cachedISO.buildId,
+        };
+    }
+
+    /**
+     * Estimate what a build will cost
+     * @param {BuildBackend} backend - Backend the build runs on
+     * @param {number} runtimeMinutes - Estimated build time
+     * @param {number} isoSizeGB - Projected ISO size
+     * @returns {Object|null} Cost breakdown, or null for backends without metered cost
+     */
+    estimateCost(backend, runtimeMinutes, isoSizeGB) {
+        // GCP list prices; builds on your own hardware have no metered cost
+        return backend.name === 'gce' ? costCalculator.estimateBuildCost({ runtimeMinutes, isoSizeGB }) : null;
+    }
+
+    /**
+     * Check a build's estimated cost against this month's spending budgets
+     * @param {string} requester - Who asked for the build
+     * @param {number} estimatedCost - Estimated cost of the build
+     * @param {Object} options - budgetManager.checkBuild options, plus excludeBuildId (the build
+     *   being checked, if it already exists or is being started)
+     * @returns {Promise<Object|null>} Budget state (see budgetManager.checkBuild), or null if no budget is set
+     * @throws {Error} With statusCode 402 or 429 if the build would exceed a cap
+     */
+    async checkBudget(requester, estimatedCost, options = {}) {
+        if (Object.values(config.budget).every(limit => limit === null)) {
+            return null;
+        }
+
+        const period = budgetManager.getPeriod();
+        const builds = new Map();
+        for (const build of await this.repository.list({ createdAfter: period.start })) {
+            builds.set(build.id, build);
+        }
+        for (const build of this.builds.values()) {
+            if (build.created >= period.start) {
+                builds.set(build.id, build);
+            }
+        }
+
+        // Builds waiting for approval haven't spent anything (and may never)
+        const spending = Array.from(builds.values())
+            .filter(build => build.id !== options.excludeBuildId && build.status !== 'awaiting_approval')
+            .map(build => ({ requester: build.requester || null, amount: this.getBuildSpend(build) }));
+        // Builds other requests are still starting (see startBuild)
+        for (const [buildId, starting] of this.startingBuilds) {
+            if (buildId !== options.excludeBuildId) {
+                spending.push(starting);
+            }
+        }
+
+        try {
+            const budget = budgetManager.checkBuild(spending, requester, estimatedCost, options);
+            // A build being started counts against the budgets from the moment it passes
+            const starting = this.startingBuilds.get(options.excludeBuildId);
+            if (starting) {
+                starting.amount = estimatedCost;
+            }
+            return budget;
+        } catch (error) {
+            if (error.budget) {
+                metrics.budgetRejections.inc({ budget: error.budget.name });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * What a build counts against the budgets: its cost, or while it is unfinished,
+     * at least its estimated cost
+     * @param {Object} build - Build state object
+     * @returns {number} Amount
+     */
+    getBuildSpend(build) {
+        const cost = build.cost !== undefined ? build.cost : this.calculateBuildCost(build);
+        const spent = cost ? cost.total : 0;
+        if (TERMINAL_STATUSES.includes(build.status) || !build.estimatedCost) {
+            return spent;
+        }
+        return Math.max(spent, build.estimatedCost.total);
+    }
+
+    /**
+     * Release a build held for approval into the build queue
+     * The spending caps are checked again, since spending may have grown while it waited.
+     * @param {string} buildId - Build ID
+     * @returns {Promise<Object|null>} Build status, or null if the build is not managed here
+     * @throws {Error} 409 if the build isn't awaiting approval, 402/429 if it would exceed a cap
+     */
+    async approveBuild(buildId) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            return null;
+        }
+
+        this.assertAwaitingApproval(build);
+        await this.checkBudget(build.requester || null, build.estimatedCost ? build.estimatedCost.total : 0, {
+            approved: true,
+            excludeBuildId: buildId,
+        });
+        // Cancelled or approved by someone else meanwhile
+        this.assertAwaitingApproval(build);
+
+        this.updateBuildStatus(buildId, {
+            status: 'queued',
+            stage: 'queued',
+            approvedAt: new Date().toISOString(),
+            logs: [...build.logs, 'Approved by an admin'],
+        });
+        logger.info(`Build ${buildId} approved`);
+
+        this.queue.push(buildId);
+        this.dispatchQueue();
+
+        return this.formatBuildStatus(build);
+    }
+
+    /**
+     * Turn down a build held for approval (it ends as cancelled)
+     * @param {string} buildId - Build ID
+     * @returns {Promise<Object|null>} Build status, or null if the build is not managed here
+     * @throws {Error} 409 if the build isn't awaiting approval
+     */
+    async rejectBuild(buildId) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            return null;
+        }
+
+        this.assertAwaitingApproval(build);
+        this.updateBuildStatus(buildId, {
+            logs: [...build.logs, 'Rejected by an admin'],
+        });
+        logger.info(`Build ${buildId} rejected`);
+
+        return this.cancelBuild(buildId);
+    }
+
+    /**
+     * Throw a 409 error unless a build is awaiting approval
+     */
+    assertAwaitingApproval(build) {
+        if (build.status !== 'awaiting_approval') {
+            const error = new Error(`Build is not awaiting approval (status: ${build.status})`);
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a requested configuration and resolve it into the config that will be built
+     * @param {Object} requestedConfig - Build configuration as submitted
+     * @returns {Object} { buildConfig, resolution, isoSize }
+     * @throws {Error} If the configuration is invalid or over the size budget
+     */
+    prepareBuildConfig(requestedConfig) {
+        // Validate configuration
+        this.validateBuildConfig(requestedConfig);
+
+        // Expand the selection to its full dependency closure
+        const resolution = this.resolveServices(requestedConfig.services, requestedConfig.models);
+        const buildConfig = { ...requestedConfig, services: resolution.services };
+
+        // Reject builds that won't fit on the ISO size limit or the build VM's disks
+        const isoSize = this.checkSizeBudget(buildConfig);
+
+        return { buildConfig, resolution, isoSize };
+    }
+
+    /**
+     * Dry-run a build: validate and resolve the configuration without creating a VM
+     * @param {Object} requestedConfig - Build configuration as submitted
+     * @returns {Object} Build plan
+     * @throws {Error} If the configuration is invalid or over the size budget
+     */
+    async planBuild(requestedConfig) {
+        const { buildConfig, resolution, isoSize } = this.prepareBuildConfig(requestedConfig);
+
+        const configHash = this.computeConfigHash(buildConfig, await installerRef.resolve());
+        const inFlight = configHash ? this.findInFlightBuild(configHash) : null;
+        const backend = getBuildBackend();
+        const { storage } = backend;
+
+        const [{ dockerImages, models, warnings }, cachedISO] = await Promise.all([
+            this.resolveArtifacts(buildConfig, storage),
+            inFlight || !configHash ? null : this.findCachedISO(configHash, backend),
+        ]);
+
+        const estimate = buildTimeEstimator.estimate({
+            images: dockerImages.filter(entry => entry.image),
+            models,
+            isoSizeGB: isoSize.total_gb,
+        });
+        const pulledImages = dockerImages.filter(entry => entry.image);
+
+        return {
+            valid: true,
+            services: resolution.services,
+            requested_services: requestedConfig.services,
+            added_services: resolution.added,
+            docker_images: dockerImages,
+            models,
+            projected_iso_size: isoSize,
+            estimated_time_minutes: estimate.minutes,
+            estimate,
+            backend: backend.name,
+            estimated_cost: this.estimateCost(backend, estimate.minutes, isoSize.total_gb),
+            cache: {
+                docker_images_cached: pulledImages.filter(entry => entry.cached).length,
+                docker_images_total: pulledImages.length,
+                models_cached: models.filter(model => model.cached).length,
+                models_total: models.length,
+            },
+            config_hash: configHash,
+            // What POST /api/build would do with this configuration (unless force_rebuild is set)
+            deduplication: {
+                in_flight_build_id: inFlight ? inFlight.id : null,
+                cached_iso: cachedISO ? cachedISO.name : null,
+            },
+            warnings,
+        };
+    }
+
+    /**
+     * Resolve the Docker images and models a build needs, and which are in the artifact cache
+     * @param {Object} buildConfig - Build configuration with resolved services
+     * @param {Object} storage - Backend storage (listCachedDockerImages, listCachedOllamaModels)
+     * @returns {Promise<Object>} { dockerImages, models, warnings }
+     */
+    async resolveArtifacts(buildConfig, storage) {
+        const warnings = [];
+
+        let images = [];
+        try {
+            images = composeCatalog.getImages(buildConfig.services);
+        } catch (error) {
+            warnings.push(`Docker images could not be resolved: ${error.message}`);
+        }
+
+        let cachedImages = [];
+        let cachedModels = [];
+        try {
+            [cachedImages, cachedModels] = await this.listArtifactCache(storage);
+        } catch (error) {
+            logger.warn(`Could not list the artifact cache: ${error.message}`);
+            warnings.push('The artifact cache could not be checked - assuming nothing is cached');
+        }
+        const cachedImageSet = new Set(cachedImages);
+        const cachedModelSet = new Set(cachedModels);
+
+        const dockerImages = images.map(entry => ({
+            service: entry.service,
+            image: entry.image,
+            repository: entry.repository,
+            tag: entry.tag,
+            // Locally built images are never cached
+            cached: entry.image ? cachedImageSet.has(gcsManager.getDockerImageCacheName(entry.image)) : false,
+        }));
+
+        const models = (buildConfig.models || []).map(name => ({
+            name,
+            size_gb: config.models[name].size_gb,
+            cached: cachedModelSet.has(gcsManager.getOllamaModelCacheName(name)),
+        }));
+
+        return { dockerImages, models, warnings };
+    }
+
+    /**
+     * List the cached Docker images and Ollama models of an output storage
+     * Listings are reused for ARTIFACT_LISTING_TTL_MS; concurrent callers share one.
+     * @param {Object} storage - Output storage of a build backend
+     * @returns {Promise<string[][]>} [Docker image objects, Ollama model objects]
+     */
+    listArtifactCache(storage) {
+        const cached = this.artifactListings.get(storage);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.listing;
+        }
+
+        const listing = Promise.all([storage.listCachedDockerImages(), storage.listCachedOllamaModels()]);
+        this.artifactListings.set(storage, { listing, expiresAt: Date.now() + ARTIFACT_LISTING_TTL_MS });
+        // Don't reuse a failed listing
+        listing.catch(() => {
+            if (this.artifactListings.get(storage)?.listing === listing) {
+                this.artifactListings.delete(storage);
+            }
+        });
+        return listing;
+    }
+
+    /**
+     * Get the backend a build runs on
+     * @param {Object} build - Build state object
+     * @returns {BuildBackend}
+     */
+    getBackend(build) {
+        // Builds persisted before backends existed ran on GCE
+        return getBuildBackend(build.backend || 'gce');
+    }
+
+    /**
+     * Count builds currently holding a build slot (not waiting or finished)
+     * @param {string} backendName - Only count builds on this backend (default: all)
+     */
+    getRunningBuildCount(backendName = null) {
+        let running = 0;
+        for (const build of this.builds.values()) {
+            if (!WAITING_STATUSES.includes(build.status) && !TERMINAL_STATUSES.includes(build.status) &&
+                (!backendName || this.getBackend(build).name === backendName)) {
+                running++;
+            }
+        }
+        return running;
+    }
+
+    /**
+     * Start queued builds, oldest first, while their backend has free build slots
+     */
+    dispatchQueue() {
+        const freeSlots = new Map();
+        const queueLength = this.queue.length;
+
+        for (const buildId of [...this.queue]) {
+            const build = this.builds.get(buildId);
+            if (!build || build.status !== 'queued') {
+                this.queue.splice(this.queue.indexOf(buildId), 1);
+                continue;
+            }
+
+            const backend = this.getBackend(build);
+            if (!freeSlots.has(backend.name)) {
+                freeSlots.set(backend.name, backend.maxConcurrentBuilds - this.getRunningBuildCount(backend.name));
+            }
+            if (freeSlots.get(backend.name) <= 0) {
+                continue;
+            }
+
+            this.queue.splice(this.queue.indexOf(buildId), 1);
+
+            logger.info(`Dispatching queued build ${buildId}`, { waitingBuilds: this.queue.length });
+            this.updateBuildStatus(buildId, this.estimateCompletion(build));
+
+            // Start build asynchronously
+            this.executeBuild(buildId).catch(error => {
+                logger.error(`Build ${buildId} failed:`, error);
+                this.updateBuildStatus(buildId, {
+                    status: 'failed',
+                    error: error.message,
+                    failure: classifyFailure(error.message),
+                });
+            });
+            freeSlots.set(backend.name, freeSlots.get(backend.name) - 1);
+        }
+
+        // Builds still waiting have moved up
+        if (this.queue.length !== queueLength) {
+            for (const buildId of this.queue) {
+                this.publishStatusEvent(this.builds.get(buildId));
+            }
+        }
+    }
+
+    /**
+     * Get queue position and estimated start time for a queued build
+     * The estimate replays the queue against the running builds' estimated completions.
+     * @param {string} buildId - Build ID
+     * @returns {Object|null} Queue state, or null if the build is not queued
+     */
+    getQueueState(buildId) {
+        const index = this.queue.indexOf(buildId);
+        if (index === -1) {
+            return null;
+        }
+
+        const now = Date.now();
+        const build = this.builds.get(buildId);
+        const backend = this.getBackend(build);
+        const onBackend = (other) => this.getBackend(other).name === backend.name;
+
+        // Time at which each of the backend's build slots becomes free
+        const slots = [];
+        for (const other of this.builds.values()) {
+            if (!WAITING_STATUSES.includes(other.status) && !TERMINAL_STATUSES.includes(other.status) && onBackend(other)) {
+                slots.push(Math.max(now, new Date(other.estimatedCompletion).getTime() || now));
+            }
+        }
+        while (slots.length < backend.maxConcurrentBuilds) {
+            slots.push(now);
+        }
+
+        let estimatedStart = now;
+        for (let i = 0; i <= index; i++) {
+            const queuedBuild = this.builds.get(this.queue[i]);
+            if (!queuedBuild || !onBackend(queuedBuild)) {
+                continue;
+            }
+
+            slots.sort((a, b) => a - b);
+            estimatedStart = slots[0];
+            slots[0] = estimatedStart + this.getBuildEstimate(queuedBuild).minutes * 60000;
+        }
+
+        const estimate = this.getBuildEstimate(build);
+        const completionAfter = (minutes) => new Date(estimatedStart + minutes * 60000).toISOString();
+
+        return {
+            position: index + 1,
+            length: this.queue.length,
+            estimated_start: new Date(estimatedStart).toISOString(),
+            estimated_wait_minutes: Math.ceil((estimatedStart - now) / 60000),
+            estimated_completion: completionAfter(estimate.minutes),
+            estimated_completion_range: {
+                earliest: completionAfter(estimate.low),
+                latest: completionAfter(estimate.high),
+            },
+        };
+    }
+
+    /**
+     * Execute the build process
+     */
+    async executeBuild(buildId) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            throw new Error(`Build ${buildId} not found`);
+        }
+
+        try {
+            // Update status: Creating VM
+            this.updateBuildStatus(buildId, {
+                status: 'creating_vm',
+                progress: 10,
+                stage: 'Creating VM instance...',
+                started: new Date().toISOString(),
+            });
+
+            // Per-build token for pushed events; only its hash is stored
+            const callbackToken = config.callbacks.baseUrl ? crypto.randomBytes(32).toString('hex') : null;
+            this.updateBuildStatus(buildId, {
+                // Fresh for each VM, so a retried build's old VM can't sign its status
+                statusKey: generateStatusKey(),
+                callbackTokenHash: callbackToken ? this.hashCallbackToken(callbackToken) : null,
+                pushedStatus: null,
+                tasks: null,
+            });
+
+            // Create VM
+            const vmName = await this.getBackend(build).create(buildId, build.config, {
+                configHash: build.configHash,
+                statusKey: build.statusKey,
+                callbackToken,
+                installerRef: build.installerCommit || undefined,
+            });
+            this.updateBuildStatus(buildId, {
+                vmName,
+                logs: [...build.logs, `VM created: ${vmName}`],
+            });
+
+            // Cancelled while the VM was being created
+            if (this.isCancelRequested(buildId)) {
+                await this.finalizeCancellation(buildId);
+                return;
+            }
+
+            // Update status: Building
+            this.updateBuildStatus(buildId, {
+                status: 'building',
+                progress: 20,
+                stage: 'Downloading dependencies...',
+                logs: [...build.logs, 'VM initialization in progress...'],
+            });
+
+            // Poll VM for build completion
+            await this.pollBuildCompletion(buildId, vmName);
+
+        } catch (error) {
+            await this.handleBuildFailure(buildId, error);
+        }
+    }
+
+    /**
+     * Mark a build as failed and clean up its VM (with log export)
+     */
+    async handleBuildFailure(buildId, error) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            return;
+        }
+
+        // Errors caused by tearing down a cancelled build are not failures
+        if (this.isCancelRequested(buildId)) {
+            logger.debug(`Build ${buildId} stopped during cancellation: ${error.message}`);
+            await this.finalizeCancellation(buildId);
+            return;
+        }
+
+        logger.error(`Build ${buildId} execution failed:`, error);
+
+        // Export the VM logs before marking the build failed - the failure is classified from them
+        const backend = this.getBackend(build);
+        let logPath = null;
+        if (build.vmName) {
+            try {
+                logPath = await backend.logs(build.vmName, buildId);
+            } catch (exportError) {
+                logger.warn(`Failed to export VM logs for build ${buildId}: ${exportError.message}`);
+            }
+            if (logPath) {
+                this.updateBuildStatus(buildId, {
+                    vmLogsPath: logPath,
+                    logs: [...build.logs, `VM logs exported to: ${logPath}`],
+                });
+            }
+        }
+
+        // Cancelled while the logs were being exported
+        if (this.isCancelRequested(buildId)) {
+            await this.finalizeCancellation(buildId);
+            return;
+        }
+
+        const failure = await this.classifyBuildFailure(build, error, logPath);
+        this.updateBuildStatus(buildId, {
+            status: 'failed',
+            error: error.message,
+            failure,
+            logs: [...build.logs, `ERROR: ${error.message}`],
+        });
+
+        // Queue the retry right away so clients see retried_by with the failure
+        await this.autoRetryBuild(buildId, error);
+
+        // Cleanup VM on failure
+        if (build.vmName) {
+            try {
+                await backend.destroy(build.vmName, buildId, false); // Logs already exported
+            } catch (cleanupError) {
+                logger.error(`Failed to cleanup VM ${build.vmName}:`, cleanupError);
+            }
+        }
+    }
+
+    /**
+     * Classify a build failure from its error and the logs the build left behind
+     * @param {Object} build - Build
+     * @param {Error} error - Build failure
+     * @param {string|null} logPath - Location of the exported VM log
+     * @returns {Promise<Object>} { code, hint, retryable, source, excerpt }
+     */
+    async classifyBuildFailure(build, error, logPath) {
+        const storage = this.getBackend(build).storage;
+        const logs = [];
+
+        try {
+            logs.push({ source: 'build_log', text: await buildLog.readLogTail(storage, build.id, FAILURE_LOG_TAIL_BYTES) });
+        } catch (readError) {
+            logger.debug(`Could not read build log for ${build.id}: ${readError.message}`);
+        }
+
+        if (logPath) {
+            try {
+                logs.push({ source: 'vm_log', text: await storage.readExportedLog(logPath, FAILURE_LOG_TAIL_BYTES) });
+            } catch (readError) {
+                logger.debug(`Could not read exported VM log ${logPath}: ${readError.message}`);
+            }
+        }
+
+        const failure = classifyFailure(error.message, logs);
+        logger.info(`Build ${build.id} failure classified as ${failure.code}`, {
+            retryable: failure.retryable,
+            source: failure.source,
+        });
+        return failure;
+    }
+
+    /**
+     * Check whether a build failure is transient and worth retrying
+     * @param {Error} error - Build failure
+     * @param {Object} failure - Failure classification
+     * @returns {boolean}
+     */
+    isTransientFailure(error, failure) {
+        if (vmManager.isRetryableError(error)) {
+            return true;
+        }
+        return Boolean(failure && failure.retryable);
+    }
+
+    /**
+     * Retry a failed build automatically if its auto-retry policy allows it
+     * Policy: build.config.auto_retry is the number of automatic retries allowed
+     * for transient failures.
+     */
+    async autoRetryBuild(buildId, error) {
+        const build = this.builds.get(buildId);
+        const maxRetries = build.config.auto_retry || 0;
+
+        if (maxRetries === 0 || !this.isTransientFailure(error, build.failure)) {
+            return;
+        }
+
+        if (build.autoRetryCount >= maxRetries) {
+            logger.info(`Build ${buildId} not retried: auto-retry limit (${maxRetries}) reached`);
+            return;
+        }
+
+        try {
+            const result = await this.retryBuild(buildId, { automatic: true });
+            logger.info(`Build ${buildId} failed transiently, auto-retrying as ${result.build_id}`, {
+                attempt: build.autoRetryCount + 1,
+                maxRetries,
+            });
+        } catch (retryError) {
+            logger.error(`Failed to auto-retry build ${buildId}:`, retryError);
+        }
+    }
+
+    /**
+     * Retry a failed or cancelled build with its stored configuration
+     * @param {string} buildId - ID of the build to retry
+     * @param {Object} options - Retry options
+     * @param {boolean} options.automatic - Retry triggered by the auto-retry policy
+     * @param {string} options.requester - Who asked for the retry (automatic retries keep the original requester)
+     * @returns {Object|null} New build info, or null if the build doesn't exist
+     */
+    async retryBuild(buildId, options = {}) {
+        const build = this.builds.get(buildId) || await this.repository.get(buildId);
+        if (!build) {
+            return null;
+        }
+
+        if (!RETRYABLE_STATUSES.includes(build.status)) {
+            const error = new Error(`Only failed or cancelled builds can be retried (status: ${build.status})`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        if (build.retriedBy) {
+            const error = new Error(`Build was already retried as ${build.retriedBy}`);
+            error.statusCode = 409;
+            error.retriedBy = build.retriedBy;
+            throw error;
+        }
+
+        // Manual retries start a fresh auto-retry budget
+        const result = await this.startBuild(JSON.parse(JSON.stringify(build.config)), {
+            retryOf: build.id,
+            autoRetryCount: options.automatic ? build.autoRetryCount + 1 : 0,
+            requester: options.automatic ? build.requester : options.requester,
+            webhooks: build.webhooks || [],
+            notifyChannels: buildNotifier.getChannelUrls(build),
+        });
+
+        const retryLog = options.automatic
+            ? `Transient failure, automatically retrying as build ${result.build_id}`
+            : `Retried as build ${result.build_id}`;
+
+        if (this.builds.has(buildId)) {
+            this.updateBuildStatus(buildId, {
+                retriedBy: result.build_id,
+                logs: [...build.logs, retryLog],
+            });
+        } else {
+            // Evicted from memory - update the stored copy directly
+            this.persistBuild({
+                ...build,
+                retriedBy: result.build_id,
+                logs: [...build.logs, retryLog],
+                updated: new Date().toISOString(),
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Poll VM for build completion
+     */
+    async pollBuildCompletion(buildId, vmName) {
+        const build = this.builds.get(buildId);
+        const backend = this.getBackend(build);
+        const { storage } = backend;
+        // Resumed builds keep counting from their original start
+        const startTime = build.started ? new Date(build.started).getTime() : Date.now();
+        const timeoutMs = config.vm.buildTimeout * 60 * 60 * 1000; // hours to ms
+        const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
+        const statusFile = this.getStatusFilename(buildId);
+        let lastLoggedProgress = -1; // Track last logged progress to avoid spam
+        let lastProgressUpdateTime = Date.now(); // Track when progress last changed
+        let lastProgress = 0; // Track last progress value
+        let usingCallbacks = false; // Whether status currently comes from pushed events
+
+        while (Date.now() - startTime < timeoutMs) {
+            // Stop polling once cancellation has been requested
+            if (this.isCancelRequested(buildId)) {
+                logger.info(`Stopped polling build ${buildIdShort} (cancelled)`);
+                return;
+            }
+
+            // Check VM status
+            const vmStatus = await backend.status(vmName);
+            if (!vmStatus) {
+                throw new Error('VM no longer exists');
+            }
+
+            // Real-time status from pushed events or the backend's storage
+            let progress = 0;
+            let stage = 'Initializing...';
+
+            try {
+                // Pushed events are current; poll storage only when they stop arriving
+                let statusData = this.getPushedStatus(build);
+                if (statusData && !usingCallbacks) {
+                    logger.info(`[build:${buildIdShort}] Receiving build events from the VM`);
+                } else if (!statusData && usingCallbacks) {
+                    logger.warn(`[build:${buildIdShort}] No build events for ${config.callbacks.staleAfterMs / 1000}s, polling storage`);
+                }
+                usingCallbacks = !!statusData;
+
+                if (!statusData && await storage.isoExists(statusFile)) {
+                    statusData = this.checkStatusSignature(buildId, await storage.downloadStatusFile(statusFile));
+                }
+
+                if (statusData) {
+                    // The VM reports unrecoverable errors (e.g. clone failures) directly
+                    if (statusData.stage === 'failed') {
+                        throw new VMBuildFailure(statusData.message || 'Build failed on VM');
+                    }
+
+                    progress = statusData.progress || 0;
+                    stage = statusData.message || statusData.stage || stage;
+
+                    // Status schema v1 documents carry structured task progress
+                    const tasks = normalizeTasks(statusData.tasks);
+                    if (tasks && !usingCallbacks) {
+                        this.updateBuildStatus(buildId, { tasks });
+                    }
+
+                    // Add status update to logs if it's a new message (pushed events log themselves)
+                    const lastLog = build.logs[build.logs.length - 1] || '';
+                    if (!usingCallbacks && !lastLog.includes(stage)) {
+                        this.updateBuildStatus(buildId, {
+                            logs: [...build.logs, `[${statusData.stage}] ${statusData.message}`],
+                        });
+                    }
+
+                    // Only log progress if it changed by 1% or more
+                    if (Math.abs(progress - lastLoggedProgress) >= 1) {
+                        logger.info(`[build:${buildIdShort}] Progress: ${progress}% - ${stage}`);
+                        lastLoggedProgress = progress;
+                    }
+                }
+            } catch (error) {
+                if (error instanceof VMBuildFailure) {
+                    throw error;
+                }
+                logger.debug(`Could not read status file for build ${buildIdShort}: ${error.message}`);
+                // Fall back to time-based estimation if status file not available yet
+                const elapsedMinutes = (Date.now() - startTime) / 60000;
+                const estimatedMinutes = this.getBuildEstimate(build).minutes;
+                progress = Math.min(85, Math.floor((elapsedMinutes / estimatedMinutes) * 100));
+                stage = this.getStageForProgress(progress);
+            }
+
+            // Cancellation may have arrived while reading status
+            if (this.isCancelRequested(buildId)) {
+                continue;
+            }
+
+            // Check if build status indicates completion
+            if (progress >= 100) {
+                // Build marked as complete in status file
+                const isoFilename = this.getISOFilename(build);
+                if (await storage.isoExists(isoFilename)) {
+                    await this.finishBuild(buildId, vmName, isoFilename);
+                    return;
+                }
+
+                // Status says complete but ISO not found - wait a bit for sync
+                logger.warn(`Build ${buildIdShort} marked complete but ISO not found yet, waiting...`);
+                await new Promise(resolve => setTimeout(resolve, 5000));
+
+                // Check again (a pushed completion can arrive before backends that copy
+                // ISOs back, like ssh, have collected it - refreshing the instance does that)
+                try {
+                    await backend.status(vmName);
+                } catch (error) {
+                    logger.warn(`Failed to refresh VM ${vmName}: ${error.message}`);
+                }
+                if (await storage.isoExists(isoFilename)) {
+                    await this.finishBuild(buildId, vmName, isoFilename);
+                    return;
+                }
+                throw new Error('Build marked complete but ISO not found in downloads bucket');
+            }
+
+            // Check if VM has shut down unexpectedly (before status showed complete)
+            if (vmStatus.status === 'TERMINATED' || vmStatus.status === 'STOPPED') {
+                // VM stopped - check if build actually completed
+                const isoFilename = this.getISOFilename(build);
+                if (await storage.isoExists(isoFilename)) {
+                    // Build successful (VM shut down after completion)
+                    await this.finishBuild(buildId, vmName, isoFilename, { vmStopped: true });
+                    return;
+                }
+                throw new Error('VM stopped but ISO not found in downloads bucket - build may have failed');
+            }
+
+            // Update progress only if it changed by 1% or more
+            // Always update stage in case there are stage changes without progress changes
+            const progressChanged = Math.abs(progress - build.progress) >= 1;
+            const stageChanged = stage !== build.stage;
+
+            if (progressChanged || stageChanged) {
+                this.updateBuildStatus(buildId, {
+                    progress,
+                    stage,
+                });
+            }
+
+            // Check for stalled progress - if progress hasn't changed in stalledProgressMinutes
+            if (progress !== lastProgress) {
+                lastProgress = progress;
+                lastProgressUpdateTime = Date.now();
+            } else {
+                const stalledMinutes = (Date.now() - lastProgressUpdateTime) / 60000;
+                const stalledThreshold = config.vm.stalledProgressMinutes || 30;
+
+                if (stalledMinutes > stalledThreshold && progress < 95) {
+                    logger.error(`Build ${buildIdShort} stalled: no progress for ${Math.floor(stalledMinutes)} minutes at ${progress}%`);
+                    throw new Error(`Build stalled: no progress for ${Math.floor(stalledMinutes)} minutes at ${progress}%. Last stage: ${stage}`);
+                }
+            }
+
+            // Wait before next poll
+            await this.waitForNextPoll(buildId, config.build.pollIntervalMs);
+        }
+
+        throw new Error(`Build timeout exceeded (${config.vm.buildTimeout} hours)`);
+    }
+
+    /**
+     * Mark a build complete once its ISO is in storage, then clean up after it
+     * The VM is deleted with its logs exported (a VM that already stopped only has its
+     * logs exported), and the status file is removed.
+     * @param {string} buildId - Build ID
+     * @param {string} vmName - VM, container or host slot that ran the build
+     * @param {string} isoFilename - ISO object name
+     * @param {Object} options - { vmStopped }
+     */
+    async finishBuild(buildId, vmName, isoFilename, { vmStopped = false } = {}) {
+        const build = this.builds.get(buildId);
+        const backend = this.getBackend(build);
+
+        this.updateBuildStatus(buildId, {
+            status: 'complete',
+            progress: 100,
+            stage: 'Complete',
+            isoFilename,
+            logs: [...build.logs, vmStopped ? 'ISO build completed successfully!' : 'ISO build completed and uploaded successfully!'],
+        });
+
+        if (config.vm.autoCleanup) {
+            try {
+                // Export logs before deletion (enabled by default)
+                const vmLogsPath = vmStopped
+                    ? await backend.logs(vmName, buildId)
+                    : await backend.destroy(vmName, buildId, true);
+                if (!vmStopped) {
+                    logger.info(`Cleaned up VM ${vmName}`);
+                }
+
+                if (vmLogsPath) {
+                    this.updateBuildStatus(buildId, {
+                        vmLogsPath,
+                        logs: [...build.logs, `VM logs saved to: ${vmLogsPath}`],
+                    });
+                }
+            } catch (error) {
+                logger.warn(vmStopped
+                    ? `Failed to export VM logs: ${error.message}`
+                    : `Failed to cleanup VM ${vmName}: ${error.message}`);
+            }
+        }
+
+        try {
+            await backend.storage.deleteFile(this.getStatusFilename(buildId));
+        } catch (error) {
+            logger.debug(`Could not delete status file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sleep between polls; cancellation wakes the poll loop early
+     */
+    waitForNextPoll(buildId, delayMs) {
+        return new Promise(resolve => {
+            const wake = () => {
+                clearTimeout(timer);
+                this.pollWakers.delete(buildId);
+                resolve();
+            };
+            const timer = setTimeout(wake, delayMs);
+            this.pollWakers.set(buildId, wake);
+        });
+    }
+
+    /**
+     * Check whether a build is being (or has been) cancelled
+     */
+    isCancelRequested(buildId) {
+        const build = this.builds.get(buildId);
+        return !!build && (build.status === 'cancelling' || build.status === 'cancelled');
+    }
+
+    /**
+     * Cancel a queued or running build
+     * Marks the build 'cancelling' immediately; VM teardown continues in the background
+     * and the build ends in the 'cancelled' state.
+     * @param {string} buildId - Build ID
+     * @returns {Object|null} Build status, or null if the build is not managed here
+     */
+    async cancelBuild(buildId) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            return null;
+        }
+
+        if (TERMINAL_STATUSES.includes(build.status) || build.status === 'cancelling') {
+            return this.formatBuildStatus(build);
+        }
+
+        // Queued builds just leave the queue
+        const queueIndex = this.queue.indexOf(buildId);
+        if (queueIndex !== -1) {
+            this.queue.splice(queueIndex, 1);
+        }
+
+        // createBuildVM cannot be interrupted; executeBuild finishes the cancellation
+        // as soon as the VM exists (or creation fails)
+        const vmCreationInFlight = build.status === 'creating_vm' && !build.vmName;
+
+        logger.info(`Cancelling build ${buildId} (status: ${build.status})`);
+        this.updateBuildStatus(buildId, {
+            status: 'cancelling',
+            stage: 'Cancelling build...',
+            logs: [...build.logs, 'Cancellation requested'],
+        });
+
+        const wake = this.pollWakers.get(buildId);
+        if (wake) {
+            wake();
+        }
+
+        if (!vmCreationInFlight) {
+            this.finalizeCancellation(buildId).catch(error => {
+                logger.error(`Failed to finish cancelling build ${buildId}:`, error);
+            });
+        }
+
+        return this.formatBuildStatus(build);
+    }
+
+    /**
+     * Tear down a cancelled build: export VM logs, delete the VM, remove the
+     * status file and partial ISO, then mark the build 'cancelled'
+     * Safe to call more than once - cleanup only runs the first time.
+     */
+    finalizeCancellation(buildId) {
+        if (!this.cancellations.has(buildId)) {
+            const cleanup = this.runCancellationCleanup(buildId)
+                .finally(() => this.cancellations.delete(buildId));
+            this.cancellations.set(buildId, cleanup);
+        }
+        return this.cancellations.get(buildId);
+    }
+
+    async runCancellationCleanup(buildId) {
+        const build = this.builds.get(buildId);
+        if (!build || build.status === 'cancelled') {
+            return;
+        }
+
+        if (build.vmName) {
+            try {
+                const backend = this.getBackend(build);
+                const logPath = await backend.logs(build.vmName, buildId);
+                if (logPath) {
+                    this.updateBuildStatus(buildId, {
+                        vmLogsPath: logPath,
+                        logs: [...build.logs, `VM logs exported to: ${logPath}`],
+                    });
+                }
+                await backend.destroy(build.vmName, buildId, false); // Logs already exported
+                this.updateBuildStatus(buildId, {
+                    logs: [...build.logs, `VM deleted: ${build.vmName}`],
+                });
+            } catch (error) {
+                logger.error(`Failed to delete VM ${build.vmName} for cancelled build:`, error);
+                this.updateBuildStatus(buildId, {
+                    logs: [...build.logs, `WARNING: Failed to delete VM ${build.vmName}: ${error.message}`],
+                });
+            }
+        }
+
+        // Remove the status file and any partially uploaded ISO (none if still queued)
+        const filenames = build.started ? [this.getStatusFilename(buildId), this.getISOFilename(build)] : [];
+        for (const filename of filenames) {
+            try {
+                await this.getBackend(build).storage.deleteFile(filename);
+            } catch (error) {
+                logger.debug(`Could not delete ${filename}: ${error.message}`);
+            }
+        }
+
+        this.updateBuildStatus(buildId, {
+            status: 'cancelled',
+            stage: 'Cancelled',
+            cancelledAt: new Date().toISOString(),
+            logs: [...build.logs, 'Build cancelled'],
+        });
+        logger.info(`Build ${buildId} cancelled`);
+    }
+
+    /**
+     * Verify a status document's signature
+     * Rejected documents are recorded in the build log (once each) and ignored.
+     * @returns {Object|null} The status document, or null if missing or rejected
+     */
+    checkStatusSignature(buildId, statusData) {
+        if (!statusData) {
+            return null;
+        }
+
+        const build = this.builds.get(buildId);
+        const rejection = verifyStatus(buildId, statusData, build.statusKey);
+        if (!rejection) {
+            return statusData;
+        }
+
+        const documentKey = `${statusData.timestamp}:${statusData.signature}`;
+        if (build.lastRejectedStatus !== documentKey) {
+            logger.warn(`Rejected status file for build ${buildId} with ${rejection} signature`, {
+                stage: statusData.stage,
+                progress: statusData.progress,
+            });
+            this.updateBuildStatus(buildId, {
+                lastRejectedStatus: documentKey,
+                logs: [...build.logs, `WARNING: Ignored status file with ${rejection} signature (stage: ${statusData.stage}, progress: ${statusData.progress})`],
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Hash a build callback token for storage
+     */
+    hashCallbackToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Latest status pushed by the build VM, or null if events have gone stale
+     */
+    getPushedStatus(build) {
+        const pushed = build.pushedStatus;
+        if (!pushed || Date.now() - new Date(pushed.received_at).getTime() > config.callbacks.staleAfterMs) {
+            return null;
+        }
+        return pushed;
+    }
+
+    /**
+     * Record an event pushed by a build VM
+     * @param {string} buildId - Build ID
+     * @param {string} token - Per-build callback token from the VM's metadata
+     * @param {Object} event - { type: 'status', stage, progress, message, tasks } or { type: 'log', messages }
+     * @returns {Object} { accepted: true }
+     */
+    recordBuildEvent(buildId, token, event) {
+        const build = this.builds.get(buildId);
+        const expected = build && build.callbackTokenHash ? Buffer.from(build.callbackTokenHash, 'hex') : null;
+        const actual = Buffer.from(this.hashCallbackToken(String(token || '')), 'hex');
+        if (!expected || !token || !crypto.timingSafeEqual(expected, actual)) {
+            const error = new Error('Invalid build callback token');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        if (!['creating_vm', 'building'].includes(build.status)) {
+            const error = new Error(`Build is ${build.status}, not accepting events`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const isMessage = value => typeof value === 'string' && value.length <= 2000;
+        const { type, stage, progress, message, messages } = event || {};
+
+        // VM log lines are already in the build's full log (GET /logs); they are only
+        // streamed, so they don't grow the stored build document
+        if (type === 'log') {
+            if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_LOG_EVENT_LINES || !messages.every(isMessage)) {
+                throw new Error(`messages must be 1 to ${MAX_LOG_EVENT_LINES} strings of at most 2000 characters`);
+            }
+            for (const line of messages) {
+                buildEvents.publish(buildId, 'log', { message: `[vm] ${line}` });
+            }
+            return { accepted: true };
+        }
+
+        if (!isMessage(message)) {
+            throw new Error('message must be a string of at most 2000 characters');
+        }
+        if (type !== 'status') {
+            throw new Error('type must be "status" or "log"');
+        }
+        if (typeof stage !== 'string' || !/^[a-z_-]{1,32}$/.test(stage)) {
+            throw new Error('stage must be a lowercase identifier');
+        }
+        if (!Number.isInteger(progress) || progress < 0 || progress > 100) {
+            throw new Error('progress must be an integer between 0 and 100');
+        }
+
+        // VMs republish their status periodically with fresh task progress; only
+        // stage changes are logged
+        const previous = build.pushedStatus;
+        const updates = {
+            pushedStatus: { stage, progress, message, received_at: new Date().toISOString() },
+        };
+        if (!previous || previous.stage !== stage || previous.message !== message) {
+            updates.logs = [...build.logs, `[${stage}] ${message}`];
+        }
+        const tasks = normalizeTasks(event.tasks);
+        if (tasks) {
+            updates.tasks = tasks;
+        }
+        // Completion and failure are handled by the poll loop, woken below
+        if (stage !== 'failed' && progress < 100) {
+            updates.progress = progress;
+            updates.stage = message || stage;
+        }
+        this.updateBuildStatus(buildId, updates);
+
+        if (stage === 'failed' || progress >= 100) {
+            const wake = this.pollWakers.get(buildId);
+            if (wake) {
+                wake();
+            }
+        }
+
+        return { accepted: true };
+    }
+
+    /**
+     * Get the GCS status filename written by the build VM
+     */
+    getStatusFilename(buildId) {
+        const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
+        return `build-status-${buildIdShort}.json`;
+    }
+
+    /**
+     * Get the ISO filename uploaded by the build VM
+     */
+    getISOFilename(build) {
+        const buildIdShort = build.id.length >= 8 ? build.id.substring(0, 8) : build.id;
+        return `${build.config.iso_name || 'ubuntu-24.04.3-homelab-custom'}-${buildIdShort}.iso`;
+    }
+
+    /**
+     * Get build status
+     * @param {string} buildId - Build ID
+     * @returns {Promise<Object|null>} Build status
+     */
+    async getBuildStatus(buildId) {
+        let build = this.builds.get(buildId);
+        if (!build) {
+            // Not in memory - check the build store (a status file in storage can't be
+            // trusted without the build's status key)
+            build = await this.repository.get(buildId);
+            if (!build) {
+                return null;
+            }
+        }
+
+        return this.formatBuildStatus(build);
+    }
+
+    /**
+     * Read a page of a build's full log (shipped to storage by the build VM as it runs)
+     * @param {string} buildId - Build ID
+     * @param {number} since - Byte offset to start at
+     * @param {number} limit - Maximum bytes to return
+     * @returns {Promise<Object|null>} { build_id, offset, next_offset, size, complete, data },
+     *   or null if the build doesn't exist
+     */
+    async getBuildLog(buildId, since, limit) {
+        const build = this.builds.get(buildId) || await this.repository.get(buildId);
+        if (!build) {
+            return null;
+        }
+
+        const page = await buildLog.readLog(this.getBackend(build).storage, buildId, since, limit);
+        return {
+            build_id: buildId,
+            ...page,
+            // Nothing more will be shipped once the build has finished
+            complete: TERMINAL_STATUSES.includes(build.status) && page.next_offset >= page.size,
+        };
+    }
+
+    /**
+     * Write a build's full log to a stream
+     * @param {string} buildId - Build ID
+     * @param {Function} getOutput - Called once the build is found; returns the stream to write to
+     * @returns {Promise<boolean>} false if the build doesn't exist
+     */
+    async writeBuildLog(buildId, getOutput) {
+        const build = this.builds.get(buildId) || await this.repository.get(buildId);
+        if (!build) {
+            return false;
+        }
+
+        await buildLog.writeLog(this.getBackend(build).storage, buildId, getOutput());
+        return true;
+    }
+
+    /**
+     * How a user is related to a build: 'owner' if they requested it, 'attached' if an
+     * identical request of theirs was attached to it
+     * @param {string} buildId - Build ID
+     * @param {string} requester - Requester (user ID)
+     * @returns {Promise<string|null>} null if the build doesn't exist or isn't theirs
+     */
+    async getBuildAccess(buildId, requester) {
+        const build = this.builds.get(buildId) || await this.repository.get(buildId);
+        if (!build) {
+            return null;
+        }
+        if (build.requester === requester) {
+            return 'owner';
+        }
+        return (build.attachedRequests || []).some(request => request.requester === requester) ? 'attached' : null;
+    }
+
+    /**
+     * List builds from the build store, newest first
+     * @param {Object} filter - Repository filter (statuses, excludeStatuses, createdAfter, requester, requestedBy, limit)
+     * @returns {Promise<Object[]>} Build statuses
+     */
+    async listBuilds(filter = {}) {
+        const builds = await this.repository.list(filter);
+        return builds.map(build => this.formatBuildStatus(this.builds.get(build.id) || build));
+    }
+
+    /**
+     * Calculate what a build costs at GCP list prices
+     * Compute and disks are billed from VM creation until the build finishes; storage and
+     * one download's egress are billed for the ISO of a complete build. Builds that reuse an
+     * existing ISO only add a download.
+     * @param {Object} build - Build state object
+     * @param {number} now - Current time in ms (for unfinished builds)
+     * @returns {Object|null} Cost breakdown with runtime_minutes, iso_size_gb and final (false
+     *   while the build is still running), or null for backends without metered cost
+     */
+    calculateBuildCost(build, now = Date.now()) {
+        if (this.getBackend(build).name !== 'gce') {
+            return null;
+        }
+
+        const terminal = TERMINAL_STATUSES.includes(build.status);
+        const finished = build.finished || (terminal ? build.updated : null);
+        const runtimeMinutes = build.started && !build.dedupedFrom
+            ? Math.max(0, ((finished ? new Date(finished).getTime() : now) - new Date(build.started).getTime()) / 60000)
+            : 0;
+        const isoSizeGB = build.status === 'complete'
+            ? (build.isoSizeGB !== undefined ? build.isoSizeGB : build.projectedISOSizeGB || 0)
+            : 0;
+
+        try {
+            return {
+                ...costCalculator.estimateBuildCost({
+                    runtimeMinutes,
+                    isoSizeGB,
+                    storageDays: build.dedupedFrom ? 0 : undefined,
+                }),
+                runtime_minutes: Math.round(runtimeMinutes * 10) / 10,
+                iso_size_gb: Math.round(isoSizeGB * 100) / 100,
+                final: terminal && (build.status !== 'complete' || build.isoSizeGB !== undefined),
+            };
+        } catch (error) {
+            logger.warn(`Cost of build ${build.id} not calculated: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record the size of a complete build's ISO and recalculate its cost with it
+     * (the projected size is only an estimate)
+     */
+    async recordISOSize(buildId) {
+        const build = this.builds.get(buildId);
+        try {
+            const metadata = await this.getBackend(build).storage.getISOMetadata(build.isoFilename);
+            build.isoSizeGB = metadata.size / 1e9;
+
+            const previousTotal = build.cost ? build.cost.total : 0;
+            const cost = this.calculateBuildCost(build);
+            if (cost) {
+                metrics.buildCost.inc({ currency: cost.currency }, Math.max(0, cost.total - previousTotal));
+            }
+            this.updateBuildStatus(buildId, { cost });
+        } catch (error) {
+            logger.warn(`Failed to read ISO size of build ${buildId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Summarize the cost of recent builds per day and per requester
+     * @param {number} days - How many days back to include
+     * @returns {Promise<Object>} { since, days, currency, total, builds, by_day, by_requester }
+     */
+    async getCostSummary(days) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const builds = await this.listBuilds({ createdAfter: since });
+
+        return {
+            since,
+            days,
+            ...costCalculator.summarizeCosts(builds),
+        };
+    }
+
+    /**
+     * Format build state for API responses
+     */
+    formatBuildStatus(build) {
+        const queue = this.getQueueState(build.id);
+
+        return {
+            build_id: build.id,
+            status: build.status,
+            progress: build.progress,
+            stage: build.stage,
+            vm_name: build.vmName,
+            iso_filename: build.isoFilename,
+            iso_size_gb: build.isoSizeGB || null,
+            vm_logs_path: build.vmLogsPath,
+            logs: build.logs,
+            created: build.created,
+            updated: build.updated,
+            cancelled_at: build.cancelledAt || null,
+            retry_of: build.retryOf || null,
+            retried_by: build.retriedBy || null,
+            services: build.config.services,
+            added_services: build.addedServices || [],
+            projected_iso_size_gb: build.projectedISOSizeGB || null,
+            auto_retry: build.config.auto_retry || 0,
+            auto_retry_count: build.autoRetryCount || 0,
+            backend: this.getBackend(build).name,
+            config_hash: build.configHash || null,
+            deduplicated_from: build.dedupedFrom || null,
+            attached_requests: (build.attachedRequests || []).length,
+            requester: build.requester || null,
+            webhooks: (build.webhooks || []).map(webhook => webhookManager.formatWebhook(webhook)),
+            notify_channels: buildNotifier.describeChannels(build),
+            finished: build.finished || null,
+            iso_expires_at: build.status === 'complete' && build.isoFilename ? this.getISOExpiry(build) : null,
+            cost: build.cost !== undefined ? build.cost : this.calculateBuildCost(build),
+            estimated_cost: build.estimatedCost || null,
+            approved_at: build.approvedAt || null,
+            estimated_completion: queue ? queue.estimated_completion : build.estimatedCompletion,
+            estimated_completion_range: queue ? queue.estimated_completion_range : build.estimatedCompletionRange || null,
+            estimate: build.estimate || null,
+            timeline: formatTimeline(build.timeline),
+            queue,
+            status_schema_version: STATUS_SCHEMA_VERSION,
+            tasks: build.tasks || null,
+            error: build.error,
+            failure: build.failure || null,
+        };
+    }
+
+    /**
+     * Update build status
+     */
+    updateBuildStatus(buildId, updates) {
+        const build = this.builds.get(buildId);
+        if (!build) {
+            return;
+        }
+
+        const wasTerminal = TERMINAL_STATUSES.includes(build.status);
+        const previous = {
+            status: build.status,
+            progress: build.progress,
+            stage: build.stage,
+            tasks: build.tasks,
+            logs: build.logs,
+        };
+
+        Object.assign(build, {
+            ...updates,
+            updated: new Date().toISOString(),
+        });
+
+        // Record stage starts and ends; each one refines the completion estimate
+        const timeline = advanceTimeline(build.timeline, build, previous, build.updated);
+        if (timeline !== build.timeline) {
+            this.recordStageMetrics(build.timeline, timeline);
+            build.timeline = timeline;
+            if (!TERMINAL_STATUSES.includes(build.status)) {
+                Object.assign(build, this.estimateCompletion(build));
+            }
+        }
+        if (!wasTerminal && ['complete', 'failed'].includes(build.status)) {
+            buildTimeEstimator.addBuild(build);
+        }
+
+        // A finished build's cost no longer grows; record it with the build
+        if (!wasTerminal && TERMINAL_STATUSES.includes(build.status)) {
+            build.finished = build.updated;
+            build.cost = this.calculateBuildCost(build);
+            this.recordFinishMetrics(build);
+            // Notify once the ISO's size is known, so the messages can include it
+            const isoSizeRecorded = build.status === 'complete' && build.isoFilename && build.isoSizeGB === undefined
+                ? this.recordISOSize(buildId)
+                : Promise.resolve();
+            isoSizeRecorded.then(() => this.sendBuildNotifications(build));
+        }
 
-        // Start build asynchronously
-        this.executeBuild(buildId).catch(error => {
-            logger.error(`Build ${buildId} failed:`, error);
-            this.updateBuildStatus(buildId, {
-                status: 'failed',
-                error: error.message,
-            });
-        });
+        this.builds.set(buildId, build);
+        this.persistBuild(build);
+        this.publishBuildEvents(build, previous);
+        const webhookEvent = this.getWebhookEvent(build, previous);
+        if (webhookEvent) {
+            this.notifyWebhooks(build, webhookEvent);
+        }
+        logger.debug(`Build ${buildId} status updated:`, updates);
 
-        return {
-            build_id: buildId,
-            status: build.status,
-            estimated_time_minutes: this.estimateTimestampMinutes(buildConfig),
-        };
+        // A finished build frees its slot for the next queued build
+        if (!wasTerminal && TERMINAL_STATUSES.includes(build.status)) {
+            setImmediate(() => this.dispatchQueue());
+        }
     }
 
     /**
-     * Execute the build process
+     * Record the durations of stages that ended in a timeline update
+     * @param {Object[]} before - Timeline before the update
+     * @param {Object[]} after - Timeline after the update
      */
-    async executeBuild(buildId) {
-        const build = this.builds.get(buildId);
-        if (!build) {
-            throw new Error(`Build ${buildId} not found`);
+    recordStageMetrics(before, after) {
+        for (const entry of after) {
+            const previous = (before || []).find(candidate => candidate.stage === entry.stage);
+            if (entry.ended && !(previous && previous.ended)) {
+                metrics.stageDuration.observe({ stage: entry.stage, state: entry.state },
+                    (new Date(entry.ended) - new Date(entry.started)) / 1000);
+            }
         }
+    }
 
-        try {
-            // Update status: Creating VM
-            this.updateBuildStatus(buildId, {
-                status: 'creating_vm',
-                progress: 10,
-                stage: 'Creating VM instance...',
-            });
-
-            // Create VM
-            const vmName = await vmManager.createBuildVM(buildId, build.config);
-            this.updateBuildStatus(buildId, {
-                vmName,
-                logs: [...build.logs, `VM created: ${vmName}`],
-            });
-
-            // Update status: Building
-            this.updateBuildStatus(buildId, {
-                status: 'building',
-                progress: 20,
-                stage: 'Downloading dependencies...',
-                logs: [...build.logs, 'VM initialization in progress...'],
-            });
-
-            // Poll VM for build completion
-            await this.pollBuildCompletion(buildId, vmName);
+    /**
+     * Record a finished build's outcome, duration, cost and cache use
+     * @param {Object} build - Build that just finished
+     */
+    recordFinishMetrics(build) {
+        const backend = this.getBackend(build).name;
+        metrics.buildsFinished.inc({ status: build.status, backend });
 
-        } catch (error) {
-            logger.error(`Build ${buildId} execution failed:`, error);
-            this.updateBuildStatus(buildId, {
-                status: 'failed',
-                error: error.message,
-                logs: [...build.logs, `ERROR: ${error.message}`],
-            });
+        if (build.started && !build.dedupedFrom) {
+            metrics.buildDuration.observe({ status: build.status, backend },
+                (new Date(build.finished) - new Date(build.started)) / 1000);
+        }
+        if (build.cost) {
+            metrics.buildCost.inc({ currency: build.cost.currency }, build.cost.total);
+        }
 
-            // Cleanup VM on failure (with log export)
-            if (build.vmName) {
-                try {
-                    const logPath = await vmManager.exportVMLogs(build.vmName, buildId);
-                    if (logPath) {
-                        this.updateBuildStatus(buildId, {
-                            vmLogsPath: logPath,
-                            logs: [...build.logs, `VM logs exported to: ${logPath}`],
-                        });
-                    }
-                    await vmManager.deleteVM(build.vmName, buildId, false); // Logs already exported
-                } catch (cleanupError) {
-                    logger.error(`Failed to cleanup VM ${build.vmName}:`, cleanupError);
+        for (const taskId of CACHED_TASKS) {
+            const task = (build.tasks || {})[taskId];
+            for (const item of task ? task.items : []) {
+                if (item.source) {
+                    metrics.cacheLookups.inc({ cache: taskId, result: item.source === 'cache' ? 'hit' : 'miss' });
                 }
             }
-
-            this.activeBuildCount--;
         }
     }
 
     /**
-     * Poll VM for build completion
+     * Fill in the build, queue and build slot gauges (run on every metrics scrape)
      */
-    async pollBuildCompletion(buildId, vmName) {
-        const build = this.builds.get(buildId);
-        const startTime = Date.now();
-        const timeoutMs = config.vm.buildTimeout * 60 * 60 * 1000; // hours to ms
-        const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
-        const statusFile = `build-status-${buildIdShort}.json`;
-        let lastLoggedProgress = -1; // Track last logged progress to avoid spam
-        let lastProgressUpdateTime = Date.now(); // Track when progress last changed
-        let lastProgress = 0; // Track last progress value
-
-        while (Date.now() - startTime < timeoutMs) {
-            // Check VM status
-            const vmStatus = await vmManager.getVMStatus(vmName);
-            if (!vmStatus) {
-                throw new Error('VM no longer exists');
-            }
+    collectMetrics() {
+        metrics.builds.reset();
+        metrics.activeVMs.reset();
 
-            // Try to read real-time status from GCS
-            let progress = 0;
-            let stage = 'Initializing...';
-
-            try {
-                const statusExists = await gcsManager.isoExists(statusFile);
-                if (statusExists) {
-                    // Download and parse status file
-                    const statusData = await gcsManager.downloadStatusFile(statusFile);
-                    if (statusData) {
-                        progress = statusData.progress || 0;
-                        stage = statusData.message || statusData.stage || stage;
-
-                        // Add status update to logs if it's a new message
-                        const lastLog = build.logs[build.logs.length - 1] || '';
-                        if (!lastLog.includes(stage)) {
-                            this.updateBuildStatus(buildId, {
-                                logs: [...build.logs, `[${statusData.stage}] ${statusData.message}`],
-                            });
-                        }
-
-                        // Only log progress if it changed by 1% or more
-                        if (Math.abs(progress - lastLoggedProgress) >= 1) {
-                            logger.info(`[build:${buildIdShort}] Progress: ${progress}% - ${stage}`);
-                            lastLoggedProgress = progress;
-                        }
-                    }
-                }
-            } catch (error) {
-                logger.debug(`Could not read status file for build ${buildIdShort}: ${error.message}`);
-                // Fall back to time-based estimation if status file not available yet
-                const elapsedMinutes = (Date.now() - startTime) / 60000;
-                const estimatedMinutes = this.estimateBuildMinutes(build.config);
-                progress = Math.min(85, Math.floor((elapsedMinutes / estimatedMinutes) * 100));
-                stage = this.getStageForProgress(progress);
+        const statusCounts = new Map(UNFINISHED_STATUSES.map(status => [status, 0]));
+        const backends = new Set([config.backends.default]);
+        for (const build of this.builds.values()) {
+            if (!TERMINAL_STATUSES.includes(build.status)) {
+                statusCounts.set(build.status, (statusCounts.get(build.status) || 0) + 1);
+                backends.add(this.getBackend(build).name);
             }
+        }
 
-            // Check if build status indicates completion
-            if (progress >= 100) {
-                // Build marked as complete in status file
-                const isoFilename = `${build.config.iso_name || 'ubuntu-24.04.3-homelab-custom'}-${buildIdShort}.iso`;
-                const exists = await gcsManager.isoExists(isoFilename);
+        for (const [status, count] of statusCounts) {
+            metrics.builds.set({ status }, count);
+        }
+        for (const backend of backends) {
+            metrics.activeVMs.set({ backend }, this.getRunningBuildCount(backend));
+        }
+        metrics.queueLength.set({}, this.queue.length);
+    }
 
-                if (exists) {
-                    // Build successful
-                    this.updateBuildStatus(buildId, {
-                        status: 'complete',
-                        progress: 100,
-                        stage: 'Complete',
-                        isoFilename,
-                        logs: [...build.logs, 'ISO build completed and uploaded successfully!'],
-                    });
+    /**
+     * Publish what changed in a build update to its event stream
+     * @param {Object} build - Updated build
+     * @param {Object} previous - status, progress, stage, tasks and logs before the update
+     */
+    publishBuildEvents(build, previous) {
+        if (build.status !== previous.status) {
+            this.publishStatusEvent(build);
+        } else if (build.progress !== previous.progress || build.stage !== previous.stage || build.tasks !== previous.tasks) {
+            buildEvents.publish(build.id, 'stage', {
+                status: build.status,
+                progress: build.progress,
+                stage: build.stage,
+                tasks: build.tasks || null,
+                timeline: formatTimeline(build.timeline),
+                estimated_completion: build.estimatedCompletion || null,
+                estimated_completion_range: build.estimatedCompletionRange || null,
+            });
+        }
 
-                    // Cleanup VM (with log export)
-                    if (config.vm.autoCleanup) {
-                        try {
-                            // Export logs before deletion (enabled by default)
-                            const vmLogsPath = await vmManager.deleteVM(vmName, buildId, true);
-                            logger.info(`Cleaned up VM ${vmName}`);
-
-                            // Update build status with log path if exported
-                            if (vmLogsPath) {
-                                this.updateBuildStatus(buildId, {
-                                    vmLogsPath,
-                                    logs: [...build.logs, `VM logs saved to: ${vmLogsPath}`],
-                                });
-                            }
-                        } catch (error) {
-                            logger.warn(`Failed to cleanup VM ${vmName}: ${error.message}`);
-                        }
-                    }
+        // Logs are append-only; a replaced log starts over
+        const logs = build.logs || [];
+        const previousLogs = previous.logs || [];
+        const newLogs = logs === previousLogs ? [] :
+            logs.length >= previousLogs.length ? logs.slice(previousLogs.length) : logs;
+        for (const message of newLogs) {
+            buildEvents.publish(build.id, 'log', { message });
+        }
+    }
 
-                    // Cleanup status file
-                    try {
-                        await gcsManager.deleteFile(statusFile);
-                    } catch (error) {
-                        logger.debug(`Could not delete status file: ${error.message}`);
-                    }
+    /**
+     * Work out which webhook event (if any) a build update amounts to
+     * @param {Object} build - Updated build
+     * @param {Object} previous - status and stage before the update
+     * @returns {string|null} Webhook event
+     */
+    getWebhookEvent(build, previous) {
+        if (build.status !== previous.status) {
+            if (build.status === 'queued') {
+                return 'queued';
+            }
+            if (build.status === 'creating_vm') {
+                return 'started';
+            }
+            if (TERMINAL_STATUSES.includes(build.status)) {
+                return build.status;
+            }
+        }
+        if (build.stage !== previous.stage && !TERMINAL_STATUSES.includes(build.status)) {
+            return 'stage_changed';
+        }
+        return null;
+    }
 
-                    this.activeBuildCount--;
-                    return;
-                } else {
-                    // Status says complete but ISO not found - wait a bit for sync
-                    logger.warn(`Build ${buildIdShort} marked complete but ISO not found yet, waiting...`);
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-
-                    // Check again
-                    const existsNow = await gcsManager.isoExists(isoFilename);
-                    if (existsNow) {
-                        this.updateBuildStatus(buildId, {
-                            status: 'complete',
-                            progress: 100,
-                            stage: 'Complete',
-                            isoFilename,
-                            logs: [...build.logs, 'ISO build completed and uploaded successfully!'],
-                        });
+    /**
+     * Send a webhook event with the build's status (without logs)
+     */
+    notifyWebhooks(build, event) {
+        const { logs, ...status } = this.formatBuildStatus(build);
+        webhookManager.notify(build, event, status);
+    }
 
-                        if (config.vm.autoCleanup) {
-                            const vmLogsPath = await vmManager.deleteVM(vmName, buildId, true);
-                            if (vmLogsPath) {
-                                this.updateBuildStatus(buildId, {
-                                    vmLogsPath,
-                                    logs: [...build.logs, `VM logs saved to: ${vmLogsPath}`],
-                                });
-                            }
-                        }
-
-                        try {
-                            await gcsManager.deleteFile(statusFile);
-                        } catch (error) {
-                            logger.debug(`Could not delete status file: ${error.message}`);
-                        }
-
-                        this.activeBuildCount--;
-                        return;
-                    } else {
-                        throw new Error('Build marked complete but ISO not found in downloads bucket');
-                    }
-                }
-            }
+    /**
+     * Email the requesters of a build that just completed or failed and push it to its notification channels
+     */
+    sendBuildNotifications(build) {
+        if (build.status !== 'complete' && build.status !== 'failed') {
+            return;
+        }
 
-            // Check if VM has shut down unexpectedly (before status showed complete)
-            if (vmStatus.status === 'TERMINATED' || vmStatus.status === 'STOPPED') {
-                // VM stopped - check if build actually completed
-                const isoFilename = `${build.config.iso_name || 'ubuntu-24.04.3-homelab-custom'}-${buildIdShort}.iso`;
-                const exists = await gcsManager.isoExists(isoFilename);
+        const notification = build.status === 'complete'
+            ? buildNotifier.notify(build, 'buildComplete', { expiresAt: this.getISOExpiry(build) })
+            : buildNotifier.notify(build, 'buildFailed');
+        notification.catch(error => logger.error(`Failed to send notifications about build ${build.id}:`, error));
+    }
 
-                if (exists) {
-                    // Build successful (VM shut down after completion)
-                    this.updateBuildStatus(buildId, {
-                        status: 'complete',
-                        progress: 100,
-                        stage: 'Complete',
-                        isoFilename,
-                        logs: [...build.logs, 'ISO build completed successfully!'],
-                    });
+    /**
+     * When a complete build's ISO is deleted (ISO_RETENTION_DAYS after it was built)
+     * @param {Object} build - Complete build
+     * @returns {string} ISO timestamp
+     */
+    getISOExpiry(build) {
+        const created = new Date(build.isoCreated || build.finished || build.updated).getTime();
+        return new Date(created + config.gcs.isoRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    }
 
-                    // Export logs even though VM is stopped
-                    if (config.vm.autoCleanup) {
-                        try {
-                            const vmLogsPath = await vmManager.exportVMLogs(vmName, buildId);
-                            if (vmLogsPath) {
-                                this.updateBuildStatus(buildId, {
-                                    vmLogsPath,
-                                    logs: [...build.logs, `VM logs saved to: ${vmLogsPath}`],
-                                });
-                            }
-                        } catch (error) {
-                            logger.warn(`Failed to export VM logs: ${error.message}`);
-                        }
-                    }
+    /**
+     * Warn requesters whose ISO is deleted within EMAIL_EXPIRY_WARNING_HOURS (once per build)
+     * @returns {Promise<number>} Number of builds warned about
+     */
+    async sendExpiryWarnings() {
+        if (!config.email.enabled) {
+            return 0;
+        }
 
-                    try {
-                        await gcsManager.deleteFile(statusFile);
-                    } catch (error) {
-                        logger.debug(`Could not delete status file: ${error.message}`);
-                    }
+        const now = Date.now();
+        const warnBefore = now + config.email.expiryWarningHours * 60 * 60 * 1000;
+        const builds = await this.repository.list({
+            statuses: ['complete'],
+            createdAfter: new Date(now - config.gcs.isoRetentionDays * 24 * 60 * 60 * 1000).toISOString(),
+        });
 
-                    this.activeBuildCount--;
-                    return;
-                } else {
-                    throw new Error('VM stopped but ISO not found in downloads bucket - build may have failed');
-                }
+        let warned = 0;
+        for (const stored of builds) {
+            const build = this.builds.get(stored.id) || stored;
+            const expiresAt = this.getISOExpiry(build);
+            const expiresMs = new Date(expiresAt).getTime();
+            if (build.expiryWarningSentAt || !build.isoFilename || expiresMs <= now || expiresMs > warnBefore ||
+                buildNotifier.getRecipients(build).length === 0) {
+                continue;
             }
 
-            // Update progress only if it changed by 1% or more
-            // Always update stage in case there are stage changes without progress changes
-            const progressChanged = Math.abs(progress - build.progress) >= 1;
-            const stageChanged = stage !== build.stage;
+            // Don't promise a download that's already gone
+            if (!await this.getBackend(build).storage.isoExists(build.isoFilename)) {
+                continue;
+            }
 
-            if (progressChanged || stageChanged) {
-                this.updateBuildStatus(buildId, {
-                    progress,
-                    stage,
-                });
+            const sent = await buildNotifier.notify(build, 'isoExpiring', { expiresAt });
+            if (sent === 0) {
+                continue; // Try again on the next check
             }
 
-            // Check for stalled progress - if progress hasn't changed in stalledProgressMinutes
-            if (progress !== lastProgress) {
-                lastProgress = progress;
-                lastProgressUpdateTime = Date.now();
+            const expiryWarningSentAt = new Date().toISOString();
+            if (this.builds.has(build.id)) {
+                this.updateBuildStatus(build.id, { expiryWarningSentAt });
             } else {
-                const stalledMinutes = (Date.now() - lastProgressUpdateTime) / 60000;
-                const stalledThreshold = config.vm.stalledProgressMinutes || 30;
-
-                if (stalledMinutes > stalledThreshold && progress < 95) {
-                    logger.error(`Build ${buildIdShort} stalled: no progress for ${Math.floor(stalledMinutes)} minutes at ${progress}%`);
-                    throw new Error(`Build stalled: no progress for ${Math.floor(stalledMinutes)} minutes at ${progress}%. Last stage: ${stage}`);
-                }
+                this.persistBuild({ ...build, expiryWarningSentAt, updated: expiryWarningSentAt });
             }
-
-            // Wait before next poll
-            await new Promise(resolve => setTimeout(resolve, config.build.pollIntervalMs));
+            warned++;
         }
-
-        throw new Error(`Build timeout exceeded (${config.vm.buildTimeout} hours)`);
+        return warned;
     }
 
     /**
-     * Get build status
+     * Get a build's webhooks and their recent deliveries
      * @param {string} buildId - Build ID
-     * @returns {Object} Build status (or Promise if checking GCS)
+     * @param {number} limit - Maximum number of deliveries
+     * @returns {Object|null} { webhooks, deliveries }, or null if the build doesn't exist
      */
-    getBuildStatus(buildId) {
-        const build = this.builds.get(buildId);
+    async getWebhookDeliveries(buildId, limit) {
+        const build = this.builds.get(buildId) || await this.repository.get(buildId);
         if (!build) {
-            // Not in memory - check GCS for build status file
-            return this.getBuildStatusFromGCS(buildId);
+            return null;
         }
 
+        const webhooks = build.webhooks || [];
         return {
-            build_id: build.id,
-            status: build.status,
-            progress: build.progress,
-            stage: build.stage,
-            vm_name: build.vmName,
-            iso_filename: build.isoFilename,
-            vm_logs_path: build.vmLogsPath,
-            logs: build.logs,
-            created: build.created,
-            updated: build.updated,
-            estimated_completion: build.estimatedCompletion,
-            error: build.error,
+            webhooks: webhooks.map(webhook => webhookManager.formatWebhook(webhook)),
+            deliveries: webhooks.length > 0
+                ? await webhookManager.listDeliveries({ buildId, webhookIds: webhooks.map(webhook => webhook.id), limit })
+                : [],
         };
     }
 
     /**
-     * Get build status from GCS (for builds from previous container instances)
-     * @param {string} buildId - Build ID
-     * @returns {Promise<Object>} Build status
+     * Publish a build's full status (without logs, which stream as log events)
      */
-    async getBuildStatusFromGCS(buildId) {
-        const statusFile = `build-status-${buildId}.json`;
-
-        try {
-            // Check if status file exists in downloads bucket
-            const statusData = await gcsManager.downloadStatusFile(statusFile);
-
-            if (!statusData) {
-                return null;
-            }
-
-            // Reconstruct basic build info from GCS status
-            const isoFilename = `ubuntu-24.04.3-homelab-custom-${buildId}.iso`;
-
-            return {
-                build_id: buildId,
-                status: statusData.stage === 'complete' ? 'complete' :
-                        statusData.stage === 'failed' ? 'failed' : 'building',
-                progress: statusData.progress || 0,
-                stage: statusData.stage || 'unknown',
-                vm_name: `iso-build-${buildId}`,
-                iso_filename: statusData.stage === 'complete' ? isoFilename : null,
-                logs: [statusData.message || 'Build status recovered from GCS'],
-                created: statusData.timestamp || null,
-                updated: statusData.timestamp || null,
-                estimated_completion: null,
-                error: statusData.stage === 'failed' ? statusData.message : null,
-            };
-        } catch (error) {
-            logger.error(`Failed to get build status from GCS for ${buildId}:`, error);
-            return null;
+    publishStatusEvent(build) {
+        if (!build) {
+            return;
         }
+        const { logs, ...status } = this.formatBuildStatus(build);
+        buildEvents.publish(build.id, 'status', status);
     }
 
     /**
-     * Update build status
+     * Write a snapshot of the build to the repository
+     * Writes are chained so an older snapshot never overwrites a newer one.
      */
-    updateBuildStatus(buildId, updates) {
-        const build = this.builds.get(buildId);
-        if (!build) {
-            return;
-        }
-
-        Object.assign(build, {
-            ...updates,
-            updated: new Date().toISOString(),
-        });
-
-        this.builds.set(buildId, build);
-        logger.debug(`Build ${buildId} status updated:`, updates);
+    persistBuild(build) {
+        const snapshot = { ...build };
+        this.persistChain = this.persistChain
+            .then(() => this.repository.save(snapshot))
+            .catch(error => {
+                logger.error(`Failed to persist build ${build.id}:`, error);
+            });
+        return this.persistChain;
     }
 
     /**
@@ -458,7 +2295,7 @@ class BuildOrchestrator {
      * SECURITY: Comprehensive validation with path traversal and injection prevention
      */
     validateBuildConfig(buildConfig) {
-        const { services, models, iso_name } = buildConfig;
+        const { services, models, iso_name, auto_retry } = buildConfig;
 
         // SECURITY: Validate services array
         if (!services || !Array.isArray(services)) {
@@ -531,6 +2368,13 @@ class BuildOrchestrator {
             });
         }
 
+        // Validate auto-retry policy (if provided)
+        if (auto_retry !== undefined) {
+            if (!Number.isInteger(auto_retry) || auto_retry < 0 || auto_retry > config.build.maxAutoRetries) {
+                throw new Error(`auto_retry must be an integer between 0 and ${config.build.maxAutoRetries}`);
+            }
+        }
+
         // SECURITY: Validate ISO name with comprehensive path traversal prevention
         if (iso_name) {
             // Type check
@@ -603,34 +2447,180 @@ class BuildOrchestrator {
     }
 
     /**
-     * Estimate build completion time
+     * Resolve the services a build needs
+     * Adds transitive dependencies, required services (e.g. nginx) and the Ollama
+     * runtime when models are selected. Services are returned in install order
+     * (dependencies before dependents).
+     * @param {string[]} requested - Requested service names (already validated)
+     * @param {string[]} models - Requested models
+     * @returns {{services: string[], added: string[]}} Resolved services and those added
      */
-    estimateCompletion(buildConfig) {
-        const minutes = this.estimateBuildMinutes(buildConfig);
-        const completion = new Date(Date.now() + minutes * 60000);
-        return completion.toISOString();
+    resolveServices(requested, models = []) {
+        const roots = [...requested];
+
+        Object.entries(config.services)
+            .filter(([, service]) => service.required)
+            .forEach(([name]) => roots.push(name));
+
+        // Models run on Ollama
+        if (models && models.length > 0) {
+            roots.push('ollama');
+        }
+
+        const resolved = [];
+        const visiting = [];
+
+        const visit = (name) => {
+            if (resolved.includes(name)) {
+                return;
+            }
+            if (visiting.includes(name)) {
+                const cycle = [...visiting.slice(visiting.indexOf(name)), name].join(' -> ');
+                throw new Error(`Circular service dependency: ${cycle}`);
+            }
+
+            const service = config.services[name];
+            if (!service) {
+                const parent = visiting[visiting.length - 1];
+                throw new Error(`Unknown service dependency: ${name}${parent ? ` (required by ${parent})` : ''}`);
+            }
+
+            visiting.push(name);
+            (service.dependencies || []).forEach(visit);
+            visiting.pop();
+
+            resolved.push(name);
+        };
+
+        roots.forEach(visit);
+
+        return {
+            services: resolved,
+            added: resolved.filter(name => !requested.includes(name)),
+        };
     }
 
     /**
-     * Estimate build time in minutes
+     * Project the ISO size from catalog sizes
+     * @param {Object} buildConfig - Build configuration with resolved services
+     * @returns {Object} Size breakdown in GB, largest contributors first
      */
-    estimateBuildMinutes(buildConfig) {
-        const { services, models } = buildConfig;
+    projectISOSize(buildConfig) {
+        const round = (gb) => Math.round(gb * 100) / 100;
+
+        const contributors = [
+            ...buildConfig.services.map(name => ({
+                type: 'service',
+                name,
+                size_gb: round((config.services[name]?.size_mb || 0) / 1024),
+            })),
+            ...(buildConfig.models || []).map(name => ({
+                type: 'model',
+                name,
+                size_gb: config.models[name]?.size_gb || 0,
+            })),
+        ].sort((a, b) => b.size_gb - a.size_gb);
+
+        const sumOf = (type) => contributors
+            .filter(item => item.type === type)
+            .reduce((sum, item) => sum + item.size_gb, 0);
+
+        const baseGB = config.build.baseISOSizeGB;
+        const servicesGB = sumOf('service');
+        const modelsGB = sumOf('model');
+        const contentGB = baseGB + servicesGB + modelsGB;
+        const totalGB = contentGB * config.build.isoOverheadFactor;
+
+        return {
+            total_gb: Math.ceil(totalGB * 10) / 10,
+            base_gb: baseGB,
+            services_gb: round(servicesGB),
+            models_gb: round(modelsGB),
+            overhead_gb: round(totalGB - contentGB),
+            contributors,
+        };
+    }
 
-        let minutes = 30; // Base time
-        minutes += services.length * 2; // 2 min per service
+    /**
+     * Check a build against the ISO size limit and the build VM's disk capacity
+     * @param {Object} buildConfig - Build configuration with resolved services
+     * @returns {Object} Projected ISO size breakdown
+     * @throws {Error} With statusCode 400 and a breakdown in details if over budget
+     */
+    checkSizeBudget(buildConfig) {
+        const isoSize = this.projectISOSize(buildConfig);
+        const bootDiskGB = parseInt(config.vm.bootDiskSize);
+        const scratchOnSsd = config.vm.localSsdCount > 0;
+
+        const limits = [
+            {
+                name: 'max_iso_size',
+                limit_gb: config.build.maxISOSizeGB,
+                required_gb: isoSize.total_gb,
+                message: `ISO size limit (${config.build.maxISOSizeGB} GB)`,
+            },
+            {
+                name: 'boot_disk',
+                limit_gb: bootDiskGB,
+                required_gb: Math.ceil(config.build.bootDiskReservedGB + isoSize.total_gb * config.build.bootDiskSpaceFactor +
+                    (scratchOnSsd ? 0 : isoSize.total_gb * config.build.scratchSpaceFactor)),
+                message: `build VM boot disk (${bootDiskGB} GB)`,
+            },
+        ];
+
+        if (scratchOnSsd) {
+            limits.push({
+                name: 'local_ssd',
+                limit_gb: config.vm.localSsdSizeGB,
+                required_gb: Math.ceil(isoSize.total_gb * config.build.scratchSpaceFactor),
+                message: `build VM local SSD scratch space (${config.vm.localSsdSizeGB} GB)`,
+            });
+        }
 
-        if (models && models.length > 0) {
-            minutes += models.length * 5; // 5 min per model
-            const totalModelSize = models.reduce((sum, model) => {
-                return sum + (config.models[model]?.size_gb || 0);
-            }, 0);
-            minutes += totalModelSize; // 1 min per GB
+        const violations = limits.filter(limit => limit.required_gb > limit.limit_gb);
+
+        if (violations.length > 0) {
+            const error = new Error(
+                `Projected ISO size ${isoSize.total_gb} GB exceeds the ${violations.map(v => v.message).join(' and ')}. ` +
+                `Largest contributors: ${isoSize.contributors.slice(0, 3).map(c => `${c.name} (${c.size_gb} GB)`).join(', ')}`
+            );
+            error.statusCode = 400;
+            error.details = {
+                projected_iso_size: isoSize,
+                exceeded: violations.map(({ name, limit_gb, required_gb }) => ({ name, limit_gb, required_gb })),
+            };
+            throw error;
         }
 
-        minutes += 15; // ISO creation
+        return isoSize;
+    }
+
+    /**
+     * Get a build's duration estimate
+     * Builds queued before estimates were stored are estimated from their configuration.
+     * @returns {Object} { minutes, low, high, confidence, stages }
+     */
+    getBuildEstimate(build) {
+        return build.estimate || buildTimeEstimator.estimate(
+            buildTimeEstimator.artifactsFromConfig(build.config, build.projectedISOSizeGB));
+    }
+
+    /**
+     * Estimate when a build will complete from the stages it has left
+     * @returns {Object} Build fields: { estimatedCompletion, estimatedCompletionRange }
+     */
+    estimateCompletion(build) {
+        const now = Date.now();
+        const remaining = buildTimeEstimator.estimateRemaining(this.getBuildEstimate(build), build.timeline, now);
+        const completionAfter = (minutes) => new Date(now + minutes * 60000).toISOString();
 
-        return Math.ceil(minutes);
+        return {
+            estimatedCompletion: completionAfter(remaining.minutes),
+            estimatedCompletionRange: {
+                earliest: completionAfter(remaining.low),
+                latest: completionAfter(remaining.high),
+            },
+        };
     }
 
     /**
@@ -646,13 +2636,6 @@ class BuildOrchestrator {
         return 'Finalizing...';
     }
 
-    /**
-     * Get estimate in minutes (helper for API response)
-     */
-    estimateTimestampMinutes(buildConfig) {
-        return this.estimateBuildMinutes(buildConfig);
-    }
-
     /**
      * Enforce memory bounds by removing oldest completed/failed builds
      * Security: Prevents unbounded memory growth
@@ -660,7 +2643,7 @@ class BuildOrchestrator {
     enforceMemoryBounds() {
         // Get completed and failed builds sorted by creation time (oldest first)
         const finishedBuilds = Array.from(this.builds.entries())
-            .filter(([_, build]) => build.status === 'complete' || build.status === 'failed')
+            .filter(([_, build]) => TERMINAL_STATUSES.includes(build.status))
             .sort((a, b) => new Date(a[1].created) - new Date(b[1].created));
 
         // Remove oldest builds until we're under the limit
@@ -671,6 +2654,7 @@ class BuildOrchestrator {
             for (let i = 0; i < Math.min(buildsToRemove, finishedBuilds.length); i++) {
                 const [buildId] = finishedBuilds[i];
                 this.builds.delete(buildId);
+                buildEvents.clear(buildId);
                 logger.info(`Removed old build from memory: ${buildId}`);
             }
         }
@@ -680,17 +2664,40 @@ class BuildOrchestrator {
      * Cleanup old completed builds from memory
      */
     startPeriodicCleanup() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             const now = Date.now();
             const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
             for (const [buildId, build] of this.builds.entries()) {
                 const age = now - new Date(build.created).getTime();
-                if (age > maxAge && (build.status === 'complete' || build.status === 'failed')) {
+                if (age > maxAge && TERMINAL_STATUSES.includes(build.status)) {
                     logger.info(`Cleaning up old build: ${buildId}`);
                     this.builds.delete(buildId);
+                    buildEvents.clear(buildId);
                 }
             }
+
+            // Prune finished builds past the retention period from the build store
+            const cutoff = new Date(now - config.store.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+            this.repository.prune(cutoff, TERMINAL_STATUSES)
+                .then(deleted => {
+                    if (deleted > 0) {
+                        logger.info(`Pruned ${deleted} build(s) from build store`);
+                    }
+                })
+                .catch(error => logger.error('Failed to prune build store:', error));
+            this.repository.pruneDeliveries(cutoff)
+                .catch(error => logger.error('Failed to prune webhook delivery log:', error));
+            this.repository.pruneTokens(new Date(now).toISOString())
+                .catch(error => logger.error('Failed to prune expired sessions and API tokens:', error));
+
+            this.sendExpiryWarnings()
+                .then(warned => {
+                    if (warned > 0) {
+                        logger.info(`Sent ISO expiry warnings for ${warned} build(s)`);
+                    }
+                })
+                .catch(error => logger.error('Failed to send ISO expiry warnings:', error));
         }, 60 * 60 * 1000); // Run every hour
     }
 }
@@ -0,0 +1,789 @@
+// Build Repository - Persistent storage for build state
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Build repository interface
+ * Stores implement these methods so build state survives backend restarts.
+ * Builds are stored as whole documents; id, status, stage, vmName and timestamps
+ * are additionally exposed for querying. The store also keeps the global webhooks,
+ * the webhook delivery log, user accounts and their API tokens and sessions.
+ */
+class BuildRepository {
+    /**
+     * Prepare the underlying store (open connections, create tables)
+     */
+    async init() {}
+
+    /**
+     * Insert or replace a build document
+     * @param {Object} build - Build state object
+     */
+    async save(build) {
+        throw new Error(`${this.constructor.name}.save() not implemented`);
+    }
+
+    /**
+     * Get a build by ID
+     * @param {string} buildId - Build ID
+     * @returns {Object|null} Build state object
+     */
+    async get(buildId) {
+        throw new Error(`${this.constructor.name}.get() not implemented`);
+    }
+
+    /**
+     * List builds, newest first
+     * @param {Object} filter - Optional filter
+     * @param {string[]} filter.statuses - Only include these statuses
+     * @param {string[]} filter.excludeStatuses - Exclude these statuses
+     * @param {string} filter.createdAfter - Only include builds created at or after this ISO timestamp
+     * @param {string} filter.requester - Only include builds requested by this requester
+     * @param {string} filter.requestedBy - Only include builds this requester asked for,
+     *   including builds their identical requests were attached to
+     * @param {string} filter.configHash - Only include builds with this config hash
+     * @param {number} filter.limit - Maximum number of builds to return
+     * @returns {Object[]} Build state objects
+     */
+    async list(filter = {}) {
+        throw new Error(`${this.constructor.name}.list() not implemented`);
+    }
+
+    /**
+     * Delete a build by ID
+     * @param {string} buildId - Build ID
+     */
+    async delete(buildId) {
+        throw new Error(`${this.constructor.name}.delete() not implemented`);
+    }
+
+    /**
+     * Delete builds in the given statuses created before a cutoff
+     * @param {string} cutoff - ISO timestamp
+     * @param {string[]} statuses - Statuses eligible for pruning
+     * @returns {number} Number of builds deleted
+     */
+    async prune(cutoff, statuses) {
+        throw new Error(`${this.constructor.name}.prune() not implemented`);
+    }
+
+    /**
+     * Insert or replace a global webhook
+     * @param {Object} webhook - Webhook ({ id, url, secret, events, created })
+     */
+    async saveWebhook(webhook) {
+        throw new Error(`${this.constructor.name}.saveWebhook() not implemented`);
+    }
+
+    /**
+     * List global webhooks, oldest first
+     * @returns {Object[]} Webhooks
+     */
+    async listWebhooks() {
+        throw new Error(`${this.constructor.name}.listWebhooks() not implemented`);
+    }
+
+    /**
+     * Delete a global webhook by ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {boolean} Whether the webhook existed
+     */
+    async deleteWebhook(webhookId) {
+        throw new Error(`${this.constructor.name}.deleteWebhook() not implemented`);
+    }
+
+    /**
+     * Insert or replace a webhook delivery log entry
+     * @param {Object} delivery - Delivery ({ id, webhookId, buildId, event, created, ... })
+     */
+    async saveDelivery(delivery) {
+        throw new Error(`${this.constructor.name}.saveDelivery() not implemented`);
+    }
+
+    /**
+     * List webhook deliveries, newest first
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.buildId - Only deliveries for this build
+     * @param {string[]} filter.webhookIds - Only deliveries to these webhooks
+     * @param {string[]} filter.states - Only deliveries in these states
+     * @param {number} filter.limit - Maximum number of deliveries to return
+     * @returns {Object[]} Deliveries
+     */
+    async listDeliveries(filter = {}) {
+        throw new Error(`${this.constructor.name}.listDeliveries() not implemented`);
+    }
+
+    /**
+     * Delete webhook deliveries created before a cutoff
+     * @param {string} cutoff - ISO timestamp
+     * @returns {number} Number of deliveries deleted
+     */
+    async pruneDeliveries(cutoff) {
+        throw new Error(`${this.constructor.name}.pruneDeliveries() not implemented`);
+    }
+
+    /**
+     * Insert or replace a user
+     * @param {Object} user - User ({ id, username, passwordHash, role, created, ... })
+     * @throws {Error} With statusCode 409 if another user has the same username
+     */
+    async saveUser(user) {
+        throw new Error(`${this.constructor.name}.saveUser() not implemented`);
+    }
+
+    /**
+     * Get a user by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} User
+     */
+    async getUser(userId) {
+        throw new Error(`${this.constructor.name}.getUser() not implemented`);
+    }
+
+    /**
+     * Get a user by username
+     * @param {string} username - Username (lowercase)
+     * @returns {Object|null} User
+     */
+    async getUserByUsername(username) {
+        throw new Error(`${this.constructor.name}.getUserByUsername() not implemented`);
+    }
+
+    /**
+     * Get a user by their sign-in provider identity
+     * @param {string} issuer - OIDC issuer
+     * @param {string} subject - The provider's ID for the user (sub claim)
+     * @returns {Object|null} User
+     */
+    async getUserByIdentity(issuer, subject) {
+        throw new Error(`${this.constructor.name}.getUserByIdentity() not implemented`);
+    }
+
+    /**
+     * List users, oldest first
+     * @returns {Object[]} Users
+     */
+    async listUsers() {
+        throw new Error(`${this.constructor.name}.listUsers() not implemented`);
+    }
+
+    /**
+     * Delete a user and their tokens
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether the user existed
+     */
+    async deleteUser(userId) {
+        throw new Error(`${this.constructor.name}.deleteUser() not implemented`);
+    }
+
+    /**
+     * Insert or replace an API token or session
+     * @param {Object} token - Token ({ id, userId, type, digest, created, expiresAt, ... })
+     */
+    async saveToken(token) {
+        throw new Error(`${this.constructor.name}.saveToken() not implemented`);
+    }
+
+    /**
+     * Get a token by the digest of its value
+     * @param {string} digest - Token digest
+     * @returns {Object|null} Token
+     */
+    async getTokenByDigest(digest) {
+        throw new Error(`${this.constructor.name}.getTokenByDigest() not implemented`);
+    }
+
+    /**
+     * List a user's tokens of one type, oldest first
+     * @param {string} userId - User ID
+     * @param {string} type - 'api' or 'session'
+     * @returns {Object[]} Tokens
+     */
+    async listTokens(userId, type) {
+        throw new Error(`${this.constructor.name}.listTokens() not implemented`);
+    }
+
+    /**
+     * Delete a token by ID
+     * @param {string} tokenId - Token ID
+     * @returns {boolean} Whether the token existed
+     */
+    async deleteToken(tokenId) {
+        throw new Error(`${this.constructor.name}.deleteToken() not implemented`);
+    }
+
+    /**
+     * Delete tokens that expired before a cutoff
+     * @param {string} cutoff - ISO timestamp
+     * @returns {number} Number of tokens deleted
+     */
+    async pruneTokens(cutoff) {
+        throw new Error(`${this.constructor.name}.pruneTokens() not implemented`);
+    }
+
+    /**
+     * Release resources held by the store
+     */
+    async close() {}
+}
+
+/**
+ * Create a 409 error for a username that is already taken
+ */
+function duplicateUsername(username) {
+    const error = new Error(`Username ${username} is already taken`);
+    error.statusCode = 409;
+    return error;
+}
+
+/**
+ * In-memory repository (state is lost on restart - for development and tests)
+ */
+class MemoryBuildRepository extends BuildRepository {
+    constructor() {
+        super();
+        this.builds = new Map();
+        this.webhooks = new Map();
+        this.deliveries = new Map();
+        this.users = new Map();
+        this.tokens = new Map();
+    }
+
+    async save(build) {
+        this.builds.set(build.id, JSON.parse(JSON.stringify(build)));
+    }
+
+    async get(buildId) {
+        const build = this.builds.get(buildId);
+        return build ? JSON.parse(JSON.stringify(build)) : null;
+    }
+
+    async list(filter = {}) {
+        let builds = Array.from(this.builds.values());
+
+        if (filter.statuses) {
+            builds = builds.filter(build => filter.statuses.includes(build.status));
+        }
+        if (filter.excludeStatuses) {
+            builds = builds.filter(build => !filter.excludeStatuses.includes(build.status));
+        }
+        if (filter.createdAfter) {
+            builds = builds.filter(build => build.created >= filter.createdAfter);
+        }
+        if (filter.requester) {
+            builds = builds.filter(build => build.requester === filter.requester);
+        }
+        if (filter.requestedBy) {
+            builds = builds.filter(build => build.requester === filter.requestedBy ||
+                (build.attachedRequests || []).some(request => request.requester === filter.requestedBy));
+        }
+        if (filter.configHash) {
+            builds = builds.filter(build => build.configHash === filter.configHash);
+        }
+
+        builds.sort((a, b) => new Date(b.created) - new Date(a.created));
+
+        if (filter.limit) {
+            builds = builds.slice(0, filter.limit);
+        }
+
+        return builds.map(build => JSON.parse(JSON.stringify(build)));
+    }
+
+    async delete(buildId) {
+        this.builds.delete(buildId);
+    }
+
+    async prune(cutoff, statuses) {
+        let deleted = 0;
+        for (const [buildId, build] of this.builds.entries()) {
+            if (statuses.includes(build.status) && build.created < cutoff) {
+                this.builds.delete(buildId);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async saveWebhook(webhook) {
+        this.webhooks.set(webhook.id, JSON.parse(JSON.stringify(webhook)));
+    }
+
+    async listWebhooks() {
+        return Array.from(this.webhooks.values())
+            .sort((a, b) => new Date(a.created) - new Date(b.created))
+            .map(webhook => JSON.parse(JSON.stringify(webhook)));
+    }
+
+    async deleteWebhook(webhookId) {
+        return this.webhooks.delete(webhookId);
+    }
+
+    async saveDelivery(delivery) {
+        this.deliveries.set(delivery.id, JSON.parse(JSON.stringify(delivery)));
+    }
+
+    async listDeliveries(filter = {}) {
+        let deliveries = Array.from(this.deliveries.values());
+
+        if (filter.buildId) {
+            deliveries = deliveries.filter(delivery => delivery.buildId === filter.buildId);
+        }
+        if (filter.webhookIds) {
+            deliveries = deliveries.filter(delivery => filter.webhookIds.includes(delivery.webhookId));
+        }
+        if (filter.states) {
+            deliveries = deliveries.filter(delivery => filter.states.includes(delivery.state));
+        }
+
+        deliveries.sort((a, b) => new Date(b.created) - new Date(a.created));
+
+        if (filter.limit) {
+            deliveries = deliveries.slice(0, filter.limit);
+        }
+
+        return deliveries.map(delivery => JSON.parse(JSON.stringify(delivery)));
+    }
+
+    async pruneDeliveries(cutoff) {
+        let deleted = 0;
+        for (const [deliveryId, delivery] of this.deliveries.entries()) {
+            if (delivery.created < cutoff) {
+                this.deliveries.delete(deliveryId);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async saveUser(user) {
+        const existing = await this.getUserByUsername(user.username);
+        if (existing && existing.id !== user.id) {
+            throw duplicateUsername(user.username);
+        }
+        this.users.set(user.id, JSON.parse(JSON.stringify(user)));
+    }
+
+    async getUser(userId) {
+        const user = this.users.get(userId);
+        return user ? JSON.parse(JSON.stringify(user)) : null;
+    }
+
+    async getUserByUsername(username) {
+        const user = Array.from(this.users.values()).find(candidate => candidate.username === username);
+        return user ? JSON.parse(JSON.stringify(user)) : null;
+    }
+
+    async getUserByIdentity(issuer, subject) {
+        const user = Array.from(this.users.values()).find(candidate =>
+            candidate.identity && candidate.identity.issuer === issuer && candidate.identity.subject === subject);
+        return user ? JSON.parse(JSON.stringify(user)) : null;
+    }
+
+    async listUsers() {
+        return Array.from(this.users.values())
+            .sort((a, b) => new Date(a.created) - new Date(b.created))
+            .map(user => JSON.parse(JSON.stringify(user)));
+    }
+
+    async deleteUser(userId) {
+        for (const [tokenId, token] of this.tokens.entries()) {
+            if (token.userId === userId) {
+                this.tokens.delete(tokenId);
+            }
+        }
+        return this.users.delete(userId);
+    }
+
+    async saveToken(token) {
+        this.tokens.set(token.id, JSON.parse(JSON.stringify(token)));
+    }
+
+    async getTokenByDigest(digest) {
+        const token = Array.from(this.tokens.values()).find(candidate => candidate.digest === digest);
+        return token ? JSON.parse(JSON.stringify(token)) : null;
+    }
+
+    async listTokens(userId, type) {
+        return Array.from(this.tokens.values())
+            .filter(token => token.userId === userId && token.type === type)
+            .sort((a, b) => new Date(a.created) - new Date(b.created))
+            .map(token => JSON.parse(JSON.stringify(token)));
+    }
+
+    async deleteToken(tokenId) {
+        return this.tokens.delete(tokenId);
+    }
+
+    async pruneTokens(cutoff) {
+        let deleted = 0;
+        for (const [tokenId, token] of this.tokens.entries()) {
+            if (token.expiresAt && token.expiresAt < cutoff) {
+                this.tokens.delete(tokenId);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+}
+
+/**
+ * SQLite repository (default)
+ * Uses a single local database file; suitable for a single backend instance
+ * with a persistent volume.
+ */
+class SQLiteBuildRepository extends BuildRepository {
+    constructor(dbPath) {
+        super();
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async init() {
+        // Lazy-load so other drivers don't require the native module
+        const Database = require('better-sqlite3');
+
+        if (this.dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        }
+
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS builds (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                stage TEXT,
+                vm_name TEXT,
+                created TEXT NOT NULL,
+                updated TEXT NOT NULL,
+                document TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_builds_status ON builds (status);
+            CREATE INDEX IF NOT EXISTS idx_builds_created ON builds (created);
+
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                created TEXT NOT NULL,
+                document TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL,
+                build_id TEXT NOT NULL,
+                created TEXT NOT NULL,
+                document TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_build ON webhook_deliveries (build_id);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries (created);
+
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                created TEXT NOT NULL,
+                document TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS tokens (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                digest TEXT NOT NULL UNIQUE,
+                created TEXT NOT NULL,
+                expires_at TEXT,
+                document TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_tokens_user ON tokens (user_id, type);
+        `);
+
+        this.statements = {
+            save: this.db.prepare(`
+                INSERT INTO builds (id, status, stage, vm_name, created, updated, document)
+                VALUES (@id, @status, @stage, @vm_name, @created, @updated, @document)
+                ON CONFLICT(id) DO UPDATE SET
+                    status = excluded.status,
+                    stage = excluded.stage,
+                    vm_name = excluded.vm_name,
+                    updated = excluded.updated,
+                    document = excluded.document
+            `),
+            get: this.db.prepare('SELECT document FROM builds WHERE id = ?'),
+            delete: this.db.prepare('DELETE FROM builds WHERE id = ?'),
+            saveWebhook: this.db.prepare(`
+                INSERT INTO webhooks (id, created, document) VALUES (@id, @created, @document)
+                ON CONFLICT(id) DO UPDATE SET document = excluded.document
+            `),
+            listWebhooks: this.db.prepare('SELECT document FROM webhooks ORDER BY created'),
+            deleteWebhook: this.db.prepare('DELETE FROM webhooks WHERE id = ?'),
+            saveDelivery: this.db.prepare(`
+                INSERT INTO webhook_deliveries (id, webhook_id, build_id, created, document)
+                VALUES (@id, @webhook_id, @build_id, @created, @document)
+                ON CONFLICT(id) DO UPDATE SET document = excluded.document
+            `),
+            pruneDeliveries: this.db.prepare('DELETE FROM webhook_deliveries WHERE created < ?'),
+            saveUser: this.db.prepare(`
+                INSERT INTO users (id, username, created, document) VALUES (@id, @username, @created, @document)
+                ON CONFLICT(id) DO UPDATE SET username = excluded.username, document = excluded.document
+            `),
+            getUser: this.db.prepare('SELECT document FROM users WHERE id = ?'),
+            getUserByUsername: this.db.prepare('SELECT document FROM users WHERE username = ?'),
+            getUserByIdentity: this.db.prepare(`
+                SELECT document FROM users
+                WHERE json_extract(document, '$.identity.issuer') = ? AND json_extract(document, '$.identity.subject') = ?
+            `),
+            listUsers: this.db.prepare('SELECT document FROM users ORDER BY created'),
+            deleteUser: this.db.prepare('DELETE FROM users WHERE id = ?'),
+            deleteUserTokens: this.db.prepare('DELETE FROM tokens WHERE user_id = ?'),
+            saveToken: this.db.prepare(`
+                INSERT INTO tokens (id, user_id, type, digest, created, expires_at, document)
+                VALUES (@id, @user_id, @type, @digest, @created, @expires_at, @document)
+                ON CONFLICT(id) DO UPDATE SET expires_at = excluded.expires_at, document = excluded.document
+            `),
+            getTokenByDigest: this.db.prepare('SELECT document FROM tokens WHERE digest = ?'),
+            listTokens: this.db.prepare('SELECT document FROM tokens WHERE user_id = ? AND type = ? ORDER BY created'),
+            deleteToken: this.db.prepare('DELETE FROM tokens WHERE id = ?'),
+            pruneTokens: this.db.prepare('DELETE FROM tokens WHERE expires_at < ?'),
+        };
+
+        logger.info(`SQLite build repository opened: ${this.dbPath}`);
+    }
+
+    async save(build) {
+        this.statements.save.run({
+            id: build.id,
+            status: build.status,
+            stage: build.stage || null,
+            vm_name: build.vmName || null,
+            created: build.created,
+            updated: build.updated,
+            document: JSON.stringify(build),
+        });
+    }
+
+    async get(buildId) {
+        const row = this.statements.get.get(buildId);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async list(filter = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filter.statuses) {
+            clauses.push(`status IN (${filter.statuses.map(() => '?').join(', ')})`);
+            params.push(...filter.statuses);
+        }
+        if (filter.excludeStatuses) {
+            clauses.push(`status NOT IN (${filter.excludeStatuses.map(() => '?').join(', ')})`);
+            params.push(...filter.excludeStatuses);
+        }
+        if (filter.createdAfter) {
+            clauses.push('created >= ?');
+            params.push(filter.createdAfter);
+        }
+        if (filter.requester) {
+            clauses.push("json_extract(document, '$.requester') = ?");
+            params.push(filter.requester);
+        }
+        if (filter.requestedBy) {
+            clauses.push(`(json_extract(document, '$.requester') = ? OR EXISTS (
+                SELECT 1 FROM json_each(document, '$.attachedRequests') WHERE json_extract(value, '$.requester') = ?
+            ))`);
+            params.push(filter.requestedBy, filter.requestedBy);
+        }
+        if (filter.configHash) {
+            clauses.push("json_extract(document, '$.configHash') = ?");
+            params.push(filter.configHash);
+        }
+
+        let sql = 'SELECT document FROM builds';
+        if (clauses.length > 0) {
+            sql += ` WHERE ${clauses.join(' AND ')}`;
+        }
+        sql += ' ORDER BY created DESC';
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.document));
+    }
+
+    async delete(buildId) {
+        this.statements.delete.run(buildId);
+    }
+
+    async prune(cutoff, statuses) {
+        const placeholders = statuses.map(() => '?').join(', ');
+        const result = this.db
+            .prepare(`DELETE FROM builds WHERE created < ? AND status IN (${placeholders})`)
+            .run(cutoff, ...statuses);
+        return result.changes;
+    }
+
+    async saveWebhook(webhook) {
+        this.statements.saveWebhook.run({
+            id: webhook.id,
+            created: webhook.created,
+            document: JSON.stringify(webhook),
+        });
+    }
+
+    async listWebhooks() {
+        return this.statements.listWebhooks.all().map(row => JSON.parse(row.document));
+    }
+
+    async deleteWebhook(webhookId) {
+        return this.statements.deleteWebhook.run(webhookId).changes > 0;
+    }
+
+    async saveDelivery(delivery) {
+        this.statements.saveDelivery.run({
+            id: delivery.id,
+            webhook_id: delivery.webhookId,
+            build_id: delivery.buildId,
+            created: delivery.created,
+            document: JSON.stringify(delivery),
+        });
+    }
+
+    async listDeliveries(filter = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filter.buildId) {
+            clauses.push('build_id = ?');
+            params.push(filter.buildId);
+        }
+        if (filter.webhookIds) {
+            clauses.push(`webhook_id IN (${filter.webhookIds.map(() => '?').join(', ')})`);
+            params.push(...filter.webhookIds);
+        }
+        if (filter.states) {
+            clauses.push(`json_extract(document, '$.state') IN (${filter.states.map(() => '?').join(', ')})`);
+            params.push(...filter.states);
+        }
+
+        let sql = 'SELECT document FROM webhook_deliveries';
+        if (clauses.length > 0) {
+            sql += ` WHERE ${clauses.join(' AND ')}`;
+        }
+        sql += ' ORDER BY created DESC';
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.document));
+    }
+
+    async pruneDeliveries(cutoff) {
+        return this.statements.pruneDeliveries.run(cutoff).changes;
+    }
+
+    async saveUser(user) {
+        try {
+            this.statements.saveUser.run({
+                id: user.id,
+                username: user.username,
+                created: user.created,
+                document: JSON.stringify(user),
+            });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw duplicateUsername(user.username);
+            }
+            throw error;
+        }
+    }
+
+    async getUser(userId) {
+        const row = this.statements.getUser.get(userId);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async getUserByUsername(username) {
+        const row = this.statements.getUserByUsername.get(username);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async getUserByIdentity(issuer, subject) {
+        const row = this.statements.getUserByIdentity.get(issuer, subject);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async listUsers() {
+        return this.statements.listUsers.all().map(row => JSON.parse(row.document));
+    }
+
+    async deleteUser(userId) {
+        const deleteUser = this.db.transaction(() => {
+            this.statements.deleteUserTokens.run(userId);
+            return this.statements.deleteUser.run(userId).changes > 0;
+        });
+        return deleteUser();
+    }
+
+    async saveToken(token) {
+        this.statements.saveToken.run({
+            id: token.id,
+            user_id: token.userId,
+            type: token.type,
+            digest: token.digest,
+            created: token.created,
+            expires_at: token.expiresAt || null,
+            document: JSON.stringify(token),
+        });
+    }
+
+    async getTokenByDigest(digest) {
+        const row = this.statements.getTokenByDigest.get(digest);
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    async listTokens(userId, type) {
+        return this.statements.listTokens.all(userId, type).map(row => JSON.parse(row.document));
+    }
+
+    async deleteToken(tokenId) {
+        return this.statements.deleteToken.run(tokenId).changes > 0;
+    }
+
+    async pruneTokens(cutoff) {
+        return this.statements.pruneTokens.run(cutoff).changes;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Create the build repository selected by config.store.driver
+ * @returns {BuildRepository}
+ */
+function createBuildRepository() {
+    switch (config.store.driver) {
+        case 'sqlite':
+            return new SQLiteBuildRepository(config.store.sqlitePath);
+        case 'memory':
+            return new MemoryBuildRepository();
+        default:
+            throw new Error(`Unknown build store driver: ${config.store.driver}`);
+    }
+}
+
+module.exports = {
+    BuildRepository,
+    MemoryBuildRepository,
+    SQLiteBuildRepository,
+    createBuildRepository,
+};
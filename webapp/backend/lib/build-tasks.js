@@ -0,0 +1,78 @@
+// Build Tasks - Structured sub-task progress reported by build VMs
+//
+// Status schema version 1 adds a `tasks` object to each status document:
+//   {
+//     "schema_version": 1,
+//     "stage": "downloading", "progress": 45, "message": "...", "timestamp": "...",
+//     "tasks": {
+//       "docker-images": {
+//         "state": "running", "current": 2, "total": 5, "bytes": 734003200,
+//         "items": [{ "name": "nginx:latest", "state": "complete", "bytes": 52428800, "source": "cache" }]
+//       },
+//       ...
+//     },
+//     "signature": "..."
+//   }
+
+const STATUS_SCHEMA_VERSION = 1;
+
+// Reported in this order; the checklist UI uses the same IDs
+const TASK_IDS = ['docker-images', 'ollama-models', 'iso-build', 'iso-upload', 'cache-populate'];
+
+const TASK_STATES = ['pending', 'running', 'complete', 'failed', 'skipped'];
+const ITEM_STATES = ['pending', 'running', 'complete', 'failed'];
+const ITEM_SOURCES = ['cache', 'download'];
+const MAX_ITEMS_PER_TASK = 100;
+
+/**
+ * Non-negative integer, or 0
+ */
+function count(value) {
+    return Number.isSafeInteger(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * Validate and normalize the tasks reported by a build VM
+ * Unknown tasks and fields are dropped, so the result is safe to store and return.
+ * @param {Object} tasks - Reported tasks keyed by task ID
+ * @returns {Object|null} Normalized tasks, or null if none were reported
+ */
+function normalizeTasks(tasks) {
+    if (!tasks || typeof tasks !== 'object' || Array.isArray(tasks)) {
+        return null;
+    }
+
+    const normalized = {};
+    for (const taskId of TASK_IDS) {
+        const task = tasks[taskId];
+        if (!task || typeof task !== 'object' || Array.isArray(task)) {
+            continue;
+        }
+
+        const items = (Array.isArray(task.items) ? task.items : [])
+            .slice(0, MAX_ITEMS_PER_TASK)
+            .filter(item => item && typeof item.name === 'string' && item.name.length <= 200)
+            .map(item => ({
+                name: item.name,
+                state: ITEM_STATES.includes(item.state) ? item.state : 'pending',
+                bytes: count(item.bytes),
+                source: ITEM_SOURCES.includes(item.source) ? item.source : null,
+            }));
+
+        normalized[taskId] = {
+            state: TASK_STATES.includes(task.state) ? task.state : 'pending',
+            current: count(task.current),
+            total: count(task.total),
+            bytes: count(task.bytes),
+            items,
+        };
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+module.exports = {
+    STATUS_SCHEMA_VERSION,
+    TASK_IDS,
+    normalizeTasks,
+};
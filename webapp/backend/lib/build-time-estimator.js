@@ -0,0 +1,327 @@
+// Build Time Estimator - Predicts build duration per stage from past builds' timelines
+//
+// Each stage has a small linear model over what the build has to do in it: Docker
+// images and Ollama models restored from the cache vs. downloaded, and the ISO size.
+// Models are fitted by ridge regression towards default coefficients, so estimates
+// start from sensible constants and follow the build history as builds finish.
+
+const config = require('../config/config');
+const composeCatalog = require('./compose-catalog');
+const { TIMELINE_STAGES } = require('./build-timeline');
+
+// Time spent queued isn't build time
+const TIMED_STAGES = TIMELINE_STAGES.filter(stage => stage !== 'queued');
+
+// Default coefficients in minutes: intercept first, then one per feature (see stageFeatures)
+const DEFAULT_COEFFICIENTS = {
+    'vm-create': [2],
+    'vm-init': [15],
+    'docker-images': [2, 0.5, 2], // cached images, downloaded images
+    'ollama-models': [0, 2, 0.3, 1], // models, cached GB, downloaded GB
+    'iso-build': [12, 0.1], // ISO GB
+    'iso-upload': [1, 0.1], // ISO GB
+};
+
+// How strongly the defaults hold against history (in builds' worth of evidence)
+const PRIOR_WEIGHT = 3;
+
+// Spread used until a stage has enough history to measure its own
+const MIN_SAMPLES_FOR_SPREAD = 5;
+const DEFAULT_RELATIVE_SPREAD = 0.3;
+const MIN_SPREAD_MINUTES = 0.5;
+
+// Intervals are two-sided 90% normal intervals
+const CONFIDENCE = 0.9;
+const Z_SCORE = 1.645;
+
+/**
+ * Features of a build for a stage's model
+ * @param {string} stage - Timed stage
+ * @param {Object} artifacts - { images: [{ cached }], models: [{ size_gb, cached }], isoSizeGB }
+ * @returns {number[]|null} Feature values, or null if the build skips the stage
+ */
+function stageFeatures(stage, artifacts) {
+    const { images, models, isoSizeGB } = artifacts;
+    const cachedGB = models.filter(model => model.cached).reduce((sum, model) => sum + model.size_gb, 0);
+    const totalGB = models.reduce((sum, model) => sum + model.size_gb, 0);
+
+    switch (stage) {
+    case 'docker-images': {
+        if (images.length === 0) {
+            return null;
+        }
+        const cached = images.filter(image => image.cached).length;
+        return [cached, images.length - cached];
+    }
+    case 'ollama-models':
+        return models.length > 0 ? [models.length, cachedGB, totalGB - cachedGB] : null;
+    case 'iso-build':
+    case 'iso-upload':
+        return [isoSizeGB];
+    default:
+        return [];
+    }
+}
+
+/**
+ * What a finished build downloaded and restored, from the tasks its VM reported
+ * @param {Object} build - Build
+ * @returns {Object} Artifacts (see stageFeatures)
+ */
+function artifactsFromTasks(build) {
+    const tasks = build.tasks || {};
+    const items = (taskId) => (tasks[taskId] ? tasks[taskId].items : []);
+
+    return {
+        images: items('docker-images').map(item => ({ cached: item.source === 'cache' })),
+        models: items('ollama-models').map(item => ({
+            size_gb: config.models[item.name] ? config.models[item.name].size_gb : item.bytes / 1e9,
+            cached: item.source === 'cache',
+        })),
+        isoSizeGB: build.projectedISOSizeGB || 0,
+    };
+}
+
+/**
+ * Solve a small linear system (Gaussian elimination with partial pivoting)
+ * @param {number[][]} a - Square matrix (modified)
+ * @param {number[]} b - Right-hand side (modified)
+ * @returns {number[]} x such that a x = b
+ */
+function solve(a, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k < n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * x[k];
+        }
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+class BuildTimeEstimator {
+    constructor() {
+        // stage -> [{ x, y }] with x = [1, ...features] and y = minutes, newest last
+        this.samples = new Map(TIMED_STAGES.map(stage => [stage, []]));
+
+        // stage -> { coefficients, spread }
+        this.models = new Map();
+        for (const stage of TIMED_STAGES) {
+            this.fitStage(stage);
+        }
+    }
+
+    /**
+     * Replace the history with the given builds and refit every stage
+     * @param {Object[]} builds - Finished builds, newest first
+     */
+    load(builds) {
+        for (const stage of TIMED_STAGES) {
+            this.samples.set(stage, []);
+        }
+        for (const build of [...builds].reverse()) {
+            this.collectSamples(build);
+        }
+        for (const stage of TIMED_STAGES) {
+            this.fitStage(stage);
+        }
+    }
+
+    /**
+     * Learn from a finished build
+     * @param {Object} build - Build with a timeline
+     */
+    addBuild(build) {
+        for (const stage of this.collectSamples(build)) {
+            this.fitStage(stage);
+        }
+    }
+
+    /**
+     * Add a build's completed stages to the history
+     * @returns {string[]} Stages that got a new sample
+     */
+    collectSamples(build) {
+        const artifacts = artifactsFromTasks(build);
+        const updated = [];
+
+        for (const entry of build.timeline || []) {
+            if (!this.samples.has(entry.stage) || entry.state !== 'complete' || !entry.ended) {
+                continue;
+            }
+            const features = stageFeatures(entry.stage, artifacts);
+            if (!features) {
+                continue;
+            }
+
+            const samples = this.samples.get(entry.stage);
+            samples.push({
+                x: [1, ...features],
+                y: (new Date(entry.ended) - new Date(entry.started)) / 60000,
+            });
+            if (samples.length > config.estimator.historySize) {
+                samples.shift();
+            }
+            updated.push(entry.stage);
+        }
+        return updated;
+    }
+
+    /**
+     * Fit a stage's model: ridge regression towards the default coefficients,
+     * solving (X'X + wI) b = X'y + w b0
+     */
+    fitStage(stage) {
+        const samples = this.samples.get(stage);
+        const defaults = DEFAULT_COEFFICIENTS[stage];
+        const n = defaults.length;
+
+        const a = defaults.map((_, i) => defaults.map((__, j) => (i === j ? PRIOR_WEIGHT : 0)));
+        const b = defaults.map(value => PRIOR_WEIGHT * value);
+        for (const { x, y } of samples) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    a[i][j] += x[i] * x[j];
+                }
+                b[i] += x[i] * y;
+            }
+        }
+        const coefficients = solve(a, b);
+
+        // Residual spread, once there's enough history to measure it
+        let spread = null;
+        if (samples.length >= MIN_SAMPLES_FOR_SPREAD) {
+            const squaredError = samples.reduce((sum, { x, y }) => sum + (y - dot(coefficients, x)) ** 2, 0);
+            spread = Math.max(MIN_SPREAD_MINUTES, Math.sqrt(squaredError / (samples.length - 1)));
+        }
+
+        this.models.set(stage, { coefficients, spread });
+    }
+
+    /**
+     * Estimate a build's duration
+     * @param {Object} artifacts - { images: [{ cached }], models: [{ size_gb, cached }], isoSizeGB }
+     * @returns {Object} { minutes, low, high, confidence, stages: [{ stage, minutes, low, high, samples }] }
+     */
+    estimate(artifacts) {
+        const stages = [];
+        let total = 0;
+        let variance = 0;
+
+        for (const stage of TIMED_STAGES) {
+            const features = stageFeatures(stage, artifacts);
+            if (!features) {
+                continue;
+            }
+
+            const { coefficients, spread } = this.models.get(stage);
+            const minutes = Math.max(0, dot(coefficients, [1, ...features]));
+            const stddev = spread !== null ? spread : minutes * DEFAULT_RELATIVE_SPREAD;
+
+            total += minutes;
+            variance += stddev ** 2;
+            stages.push({
+                stage,
+                minutes: round1(minutes),
+                low: round1(Math.max(0, minutes - Z_SCORE * stddev)),
+                high: round1(minutes + Z_SCORE * stddev),
+                samples: this.samples.get(stage).length,
+            });
+        }
+
+        const stddev = Math.sqrt(variance);
+        return {
+            minutes: Math.ceil(total),
+            low: Math.max(0, Math.floor(total - Z_SCORE * stddev)),
+            high: Math.ceil(total + Z_SCORE * stddev),
+            confidence: CONFIDENCE,
+            stages,
+        };
+    }
+
+    /**
+     * What a build configuration will download, assuming nothing is cached
+     * (for when the cache can't be checked)
+     * @param {Object} buildConfig - Resolved build configuration
+     * @param {number} isoSizeGB - Projected ISO size
+     * @returns {Object} Artifacts (see estimate())
+     */
+    artifactsFromConfig(buildConfig, isoSizeGB) {
+        let images = [];
+        try {
+            images = composeCatalog.getImages(buildConfig.services).filter(entry => entry.image);
+        } catch (error) {
+            // Unresolvable images are reported by planBuild; estimate without them
+        }
+
+        return {
+            images: images.map(() => ({ cached: false })),
+            models: (buildConfig.models || []).map(name => ({
+                size_gb: config.models[name] ? config.models[name].size_gb : 0,
+                cached: false,
+            })),
+            isoSizeGB: isoSizeGB || 0,
+        };
+    }
+
+    /**
+     * Estimate the time left in a running build
+     * Finished stages count for nothing; a running stage counts for what's left of its
+     * estimate, with its spread scaled down to match.
+     * @param {Object} estimate - The build's estimate (see estimate())
+     * @param {Object[]} timeline - The build's timeline
+     * @param {number} now - Current time in ms
+     * @returns {Object} { minutes, low, high } (fractional minutes)
+     */
+    estimateRemaining(estimate, timeline, now = Date.now()) {
+        let total = 0;
+        let variance = 0;
+
+        for (const stage of estimate.stages) {
+            const entry = (timeline || []).find(candidate => candidate.stage === stage.stage);
+            if (entry && entry.ended) {
+                continue;
+            }
+
+            const elapsed = entry ? (now - new Date(entry.started).getTime()) / 60000 : 0;
+            const remaining = Math.max(0, stage.minutes - elapsed);
+            const stddev = stage.minutes > 0 ? ((stage.high - stage.minutes) / Z_SCORE) * (remaining / stage.minutes) : 0;
+
+            total += remaining;
+            variance += stddev ** 2;
+        }
+
+        const stddev = Math.sqrt(variance);
+        return {
+            minutes: total,
+            low: Math.max(0, total - Z_SCORE * stddev),
+            high: total + Z_SCORE * stddev,
+        };
+    }
+}
+
+module.exports = new BuildTimeEstimator();
@@ -0,0 +1,111 @@
+// Build Timeline - When each stage of a build started and ended
+// Stages follow the orchestrator's statuses until the build VM reports tasks, then
+// the VM's tasks (see build-tasks):
+//   queued -> vm-create -> vm-init -> docker-images -> ollama-models -> iso-build -> iso-upload
+// Entries are { stage, state, started, ended }; state is 'running' until the stage ends,
+// then 'complete', 'failed' or 'cancelled'. Stages a build skips have no entry.
+
+const TIMELINE_STAGES = ['queued', 'vm-create', 'vm-init', 'docker-images', 'ollama-models', 'iso-build', 'iso-upload'];
+
+// VM tasks that are timed as stages (cache-populate runs in the background)
+const TIMED_TASKS = ['docker-images', 'ollama-models', 'iso-build', 'iso-upload'];
+
+const ENDED_TASK_STATES = ['complete', 'failed'];
+const ENDED_BUILD_STATES = { complete: 'complete', failed: 'failed', cancelled: 'cancelled' };
+
+/**
+ * Timeline of a newly queued build
+ * @param {string} created - ISO timestamp the build was queued at
+ */
+function createTimeline(created) {
+    return [{ stage: 'queued', state: 'running', started: created, ended: null }];
+}
+
+/**
+ * Advance a build's timeline after an update
+ * @param {Object[]} timeline - Timeline before the update (not modified)
+ * @param {Object} build - Build after the update (status, tasks)
+ * @param {Object} previous - status and tasks before the update
+ * @param {string} now - ISO timestamp of the update
+ * @returns {Object[]} The same timeline if no stage started or ended, else an updated copy
+ */
+function advanceTimeline(timeline, build, previous, now) {
+    let entries = (timeline || []).map(entry => ({ ...entry }));
+    let changed = false;
+
+    const start = (stage) => {
+        if (!entries.some(entry => entry.stage === stage)) {
+            entries.push({ stage, state: 'running', started: now, ended: null });
+            changed = true;
+        }
+    };
+    const end = (stage, state) => {
+        const entry = entries.find(candidate => candidate.stage === stage && candidate.state === 'running');
+        if (entry) {
+            entry.state = state;
+            entry.ended = now;
+            changed = true;
+        }
+    };
+
+    if (build.status !== previous.status) {
+        if (build.status === 'creating_vm') {
+            // (Re)started - stages from an earlier attempt no longer apply
+            entries = entries.filter(entry => entry.stage === 'queued');
+            changed = true;
+            end('queued', 'complete');
+            start('vm-create');
+        } else if (build.status === 'building') {
+            end('vm-create', 'complete');
+            start('vm-init');
+        }
+    }
+
+    if (build.tasks && build.tasks !== previous.tasks) {
+        for (const taskId of TIMED_TASKS) {
+            const task = build.tasks[taskId];
+            if (!task || task.state === 'pending' || task.state === 'skipped') {
+                continue;
+            }
+
+            // The first task to run ends the VM's initialization
+            end('vm-init', 'complete');
+            start(taskId);
+            if (ENDED_TASK_STATES.includes(task.state)) {
+                end(taskId, task.state);
+            }
+        }
+    }
+
+    if (build.status !== previous.status && ENDED_BUILD_STATES[build.status]) {
+        for (const entry of entries.filter(candidate => candidate.state === 'running')) {
+            end(entry.stage, ENDED_BUILD_STATES[build.status]);
+        }
+    }
+
+    return changed ? entries : timeline;
+}
+
+/**
+ * Format a timeline for API responses
+ * @param {Object[]} timeline - Timeline entries
+ * @param {number} now - Current time in ms (for the duration of running stages)
+ * @returns {Object[]} { stage, state, started, ended, duration_seconds }
+ */
+function formatTimeline(timeline, now = Date.now()) {
+    return (timeline || []).map(entry => ({
+        stage: entry.stage,
+        state: entry.state,
+        started: entry.started,
+        ended: entry.ended,
+        duration_seconds: Math.max(0, Math.round(
+            ((entry.ended ? new Date(entry.ended).getTime() : now) - new Date(entry.started).getTime()) / 1000)),
+    }));
+}
+
+module.exports = {
+    TIMELINE_STAGES,
+    createTimeline,
+    advanceTimeline,
+    formatTimeline,
+};
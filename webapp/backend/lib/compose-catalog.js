@@ -0,0 +1,103 @@
+// Compose Catalog - Docker images for each service, read from docker-compose.yml
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Tags that are moved to new releases (an image on them can change under the same name)
+const FLOATING_TAGS = ['latest', 'stable', 'edge', 'nightly', 'main', 'master', 'develop', 'dev', 'beta'];
+
+class ComposeCatalog {
+    constructor() {
+        this.services = null;
+    }
+
+    /**
+     * Load and cache the services section of docker-compose.yml
+     * @returns {Object} Compose service definitions keyed by name
+     */
+    load() {
+        if (this.services) {
+            return this.services;
+        }
+
+        try {
+            const contents = fs.readFileSync(config.build.composeFile, 'utf8');
+            const compose = yaml.load(contents) || {};
+            this.services = compose.services || {};
+            logger.debug(`Loaded ${Object.keys(this.services).length} services from ${config.build.composeFile}`);
+        } catch (error) {
+            logger.error(`Failed to load docker-compose file ${config.build.composeFile}:`, error);
+            throw new Error('Docker Compose catalog is unavailable');
+        }
+
+        return this.services;
+    }
+
+    /**
+     * Get the Docker image for a service
+     * @param {string} serviceName - Service name
+     * @returns {Object|null} Image reference, or null if the service isn't in the compose file
+     */
+    getImage(serviceName) {
+        const service = this.load()[serviceName];
+        if (!service) {
+            return null;
+        }
+
+        // Services built locally (e.g. nginx) have no upstream image
+        if (!service.image) {
+            return { service: serviceName, image: null, repository: null, tag: null, build: !!service.build };
+        }
+
+        const { repository, tag } = this.parseImage(service.image);
+        return { service: serviceName, image: service.image, repository, tag, build: false };
+    }
+
+    /**
+     * Get Docker images for a list of services
+     * @param {string[]} serviceNames - Service names
+     * @returns {Object[]} Image references (services missing from the compose file are skipped)
+     */
+    getImages(serviceNames) {
+        return serviceNames
+            .map(name => this.getImage(name))
+            .filter(Boolean);
+    }
+
+    /**
+     * Check whether an image reference always names the same image: pinned by digest,
+     * or by a version tag rather than a floating one like latest
+     * @param {string} image - Image reference
+     * @returns {boolean}
+     */
+    isPinned(image) {
+        if (image.includes('@sha256:')) {
+            return true;
+        }
+        return !FLOATING_TAGS.includes(this.parseImage(image).tag);
+    }
+
+    /**
+     * Split an image reference into repository and tag
+     * @param {string} image - Image reference, e.g. ghcr.io/open-webui/open-webui:v0.3.0
+     * @returns {{repository: string, tag: string}}
+     */
+    parseImage(image) {
+        // A colon after the last slash separates the tag (a colon before it is a registry port)
+        const lastSlash = image.lastIndexOf('/');
+        const tagSeparator = image.indexOf(':', lastSlash + 1);
+
+        if (tagSeparator === -1) {
+            return { repository: image, tag: 'latest' };
+        }
+
+        return {
+            repository: image.substring(0, tagSeparator),
+            tag: image.substring(tagSeparator + 1),
+        };
+    }
+}
+
+module.exports = new ComposeCatalog();
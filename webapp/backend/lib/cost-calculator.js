@@ -0,0 +1,97 @@
+// Cost Calculator - Estimates GCP cost of ISO builds from the configured price table
+
+const config = require('../config/config');
+
+const HOURS_PER_MONTH = 730;
+
+class CostCalculator {
+    /**
+     * Estimate the cost of a build
+     * @param {Object} usage - Resource usage
+     * @param {number} usage.runtimeMinutes - VM runtime in minutes
+     * @param {number} usage.isoSizeGB - Size of the resulting ISO in GB
+     * @param {number} usage.storageDays - Days the ISO is kept (default: ISO retention period)
+     * @param {number} usage.egressGB - Data downloaded by the user (default: one ISO download)
+     * @returns {Object} Cost breakdown in USD
+     */
+    estimateBuildCost({ runtimeMinutes, isoSizeGB, storageDays, egressGB }) {
+        const pricing = config.pricing;
+        const hours = runtimeMinutes / 60;
+        const days = storageDays !== undefined ? storageDays : config.gcs.isoRetentionDays;
+        const egress = egressGB !== undefined ? egressGB : isoSizeGB;
+
+        const machineHourly = pricing.machineTypes[config.vm.machineType];
+        if (machineHourly === undefined) {
+            throw new Error(`No price configured for machine type ${config.vm.machineType}`);
+        }
+
+        const breakdown = {
+            compute: machineHourly * hours,
+            local_ssd: config.vm.localSsdCount * config.vm.localSsdSizeGB * pricing.localSsdPerGBMonth * hours / HOURS_PER_MONTH,
+            boot_disk: parseInt(config.vm.bootDiskSize) * pricing.bootDiskPerGBMonth * hours / HOURS_PER_MONTH,
+            storage: isoSizeGB * pricing.storagePerGBMonth * days / 30,
+            egress: egress * pricing.egressPerGB,
+        };
+
+        const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+        return {
+            currency: pricing.currency,
+            total: this.round(total),
+            breakdown: Object.fromEntries(
+                Object.entries(breakdown).map(([key, value]) => [key, this.round(value)])
+            ),
+        };
+    }
+
+    /**
+     * Total build costs per day and per requester
+     * @param {Object[]} builds - Build statuses ({ created, requester, cost }); builds without a cost are skipped
+     * @returns {Object} { currency, total, builds, by_day: [{ date, total, builds }] oldest first,
+     *   by_requester: [{ requester, total, builds }] most expensive first }
+     */
+    summarizeCosts(builds) {
+        const byDay = new Map();
+        const byRequester = new Map();
+        let total = 0;
+        let count = 0;
+
+        const add = (groups, key, amount) => {
+            const group = groups.get(key) || { total: 0, builds: 0 };
+            group.total += amount;
+            group.builds++;
+            groups.set(key, group);
+        };
+
+        for (const build of builds) {
+            if (!build.cost) {
+                continue;
+            }
+            total += build.cost.total;
+            count++;
+            add(byDay, build.created.substring(0, 10), build.cost.total);
+            add(byRequester, build.requester || 'unknown', build.cost.total);
+        }
+
+        return {
+            currency: config.pricing.currency,
+            total: this.round(total),
+            builds: count,
+            by_day: Array.from(byDay.entries())
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([date, group]) => ({ date, total: this.round(group.total), builds: group.builds })),
+            by_requester: Array.from(byRequester.entries())
+                .map(([requester, group]) => ({ requester, total: this.round(group.total), builds: group.builds }))
+                .sort((a, b) => b.total - a.total),
+        };
+    }
+
+    /**
+     * Round to whole cents
+     */
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+module.exports = new CostCalculator();
@@ -0,0 +1,174 @@
+// Docker Build Backend - Runs builds in a privileged container on the backend host
+// Lets homelabbers build ISOs on their own hardware without a cloud account.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const config = require('../config/config');
+const logger = require('./logger');
+const vmManager = require('./vm-manager');
+const localOutputStore = require('./local-output-store');
+const { BuildBackend } = require('./build-backend');
+
+const execFileAsync = promisify(execFile);
+
+// Paths inside the build container
+const CONTAINER_CONFIG_DIR = '/etc/iso-build';
+const CONTAINER_OUTPUT_DIR = '/output';
+const CONTAINER_WORK_DIR = '/tmp/homelab-build'; // create-custom-iso.sh only runs from /tmp/homelab-* (or /root, /home)
+
+// Docker container states mapped to the GCE instance status vocabulary
+const CONTAINER_STATUS = {
+    created: 'PROVISIONING',
+    restarting: 'STAGING',
+    running: 'RUNNING',
+    paused: 'SUSPENDED',
+    removing: 'STOPPING',
+    exited: 'TERMINATED',
+    dead: 'TERMINATED',
+};
+
+class DockerBuildBackend extends BuildBackend {
+    constructor() {
+        super('docker', localOutputStore);
+    }
+
+    get maxConcurrentBuilds() {
+        return config.backends.docker.maxConcurrentBuilds;
+    }
+
+    /**
+     * Run a docker CLI command
+     * @param {string[]} args - Arguments (never passed through a shell)
+     * @returns {string} stdout
+     */
+    async docker(args) {
+        const { stdout } = await execFileAsync('docker', args, {
+            timeout: config.backends.docker.commandTimeoutMs,
+            maxBuffer: 10 * 1024 * 1024,
+        });
+        return stdout;
+    }
+
+    async create(buildId, buildConfig, options = {}) {
+        const containerName = this.getInstanceName(buildId);
+        const buildIdShort = buildId.substring(0, 8);
+
+        logger.info(`Creating build container ${containerName}`, {
+            image: config.backends.docker.image,
+            services: buildConfig.services,
+            models: buildConfig.models,
+        });
+
+        // Validates the build ID and config values before anything is written
+        const startupScript = vmManager.generateStartupScript(buildId, buildConfig);
+
+        localOutputStore.ensureOutputDir();
+
+        // Stage the script and its metadata (the equivalent of GCE instance metadata)
+        const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `${containerName}-`));
+        try {
+            const metadataDir = path.join(stagingDir, 'metadata');
+            await fs.promises.mkdir(metadataDir);
+            await fs.promises.writeFile(path.join(stagingDir, 'startup.sh'), startupScript, { mode: 0o755 });
+
+            const metadata = {
+                'build-id': buildId,
+                'build-config': JSON.stringify(buildConfig),
+                'config-hash': options.configHash || '',
+                'installer-ref': options.installerRef || config.build.installerRef,
+                'status-key': options.statusKey || '',
+                'callback-url': config.callbacks.baseUrl,
+                'callback-token': options.callbackToken || '',
+                'output-dir': CONTAINER_OUTPUT_DIR,
+                'work-dir': CONTAINER_WORK_DIR,
+            };
+            for (const [key, value] of Object.entries(metadata)) {
+                await fs.promises.writeFile(path.join(metadataDir, key), value);
+            }
+
+            // Privileged: the build runs its own Docker daemon and loop-mounts ISO images.
+            // /var/lib/docker and the work directory are anonymous volumes (removed with the container).
+            await this.docker([
+                'create',
+                '--name', containerName,
+                '--privileged',
+                '--label', 'purpose=iso-builder',
+                '--label', `build-id=${buildIdShort}`,
+                '--env', `BUILD_METADATA_DIR=${CONTAINER_CONFIG_DIR}/metadata`,
+                '--volume', `${path.resolve(config.localStorage.outputDir)}:${CONTAINER_OUTPUT_DIR}`,
+                '--volume', '/var/lib/docker',
+                '--volume', CONTAINER_WORK_DIR,
+                config.backends.docker.image,
+                'bash', `${CONTAINER_CONFIG_DIR}/startup.sh`,
+            ]);
+
+            await this.docker(['cp', `${stagingDir}/.`, `${containerName}:${CONTAINER_CONFIG_DIR}`]);
+            await this.docker(['start', containerName]);
+        } catch (error) {
+            logger.error(`Failed to create build container ${containerName}:`, error);
+            await this.docker(['rm', '--force', '--volumes', containerName]).catch(() => {});
+            throw error;
+        } finally {
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+
+        logger.info(`Build container ${containerName} started`);
+        return containerName;
+    }
+
+    async status(containerName) {
+        let state;
+        try {
+            state = JSON.parse(await this.docker(['inspect', '--format', '{{json .State}}', containerName]));
+        } catch (error) {
+            if (/No such (object|container)/i.test(error.stderr || error.message)) {
+                return null;
+            }
+            logger.error(`Error getting container status for ${containerName}:`, error);
+            throw error;
+        }
+
+        return {
+            name: containerName,
+            status: CONTAINER_STATUS[state.Status] || state.Status.toUpperCase(),
+            started: state.StartedAt,
+            exitCode: state.ExitCode,
+        };
+    }
+
+    async logs(containerName, buildId) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const logPath = path.join(config.localStorage.logsDir, `${containerName}-${timestamp}.log`);
+
+        try {
+            await fs.promises.mkdir(config.localStorage.logsDir, { recursive: true });
+            await this.docker(['cp', `${containerName}:/var/log/iso-build.log`, logPath]);
+            logger.info(`Exported logs for build ${buildId} to ${logPath}`);
+            return logPath;
+        } catch (error) {
+            // Don't throw - log export failure shouldn't prevent cleanup
+            logger.warn(`Failed to export logs from container ${containerName}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async destroy(containerName, buildId, exportLogs = true) {
+        const logPath = exportLogs ? await this.logs(containerName, buildId) : null;
+
+        try {
+            await this.docker(['rm', '--force', '--volumes', containerName]);
+            logger.info(`Removed build container ${containerName}`);
+        } catch (error) {
+            if (!/No such container/i.test(error.stderr || error.message)) {
+                throw error;
+            }
+        }
+
+        return logPath;
+    }
+}
+
+module.exports = new DockerBuildBackend();
@@ -0,0 +1,124 @@
+// Email Templates - Build notification emails
+// Each template returns { subject, text, html }; the HTML part carries the same
+// paragraphs as the text part.
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a message from paragraphs and an optional call-to-action link
+ * @param {string} subject - Subject line
+ * @param {string[]} paragraphs - Plain text paragraphs
+ * @param {Object|null} link - { label, url }
+ * @returns {Object} { subject, text, html }
+ */
+function render(subject, paragraphs, link = null) {
+    const footer = 'You are receiving this because this address was given when the build was requested.';
+
+    const text = [
+        ...paragraphs,
+        ...(link ? [`${link.label}: ${link.url}`] : []),
+        '--',
+        footer,
+    ].join('\n\n');
+
+    const html = [
+        '<!DOCTYPE html>',
+        '<html><body style="font-family: sans-serif; line-height: 1.5; color: #222;">',
+        ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`),
+        ...(link ? [`<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`] : []),
+        `<p style="color: #888; font-size: 0.85em;">${escapeHtml(footer)}</p>`,
+        '</body></html>',
+    ].join('\n');
+
+    return { subject, text, html };
+}
+
+/**
+ * Short form of a build ID for subjects
+ */
+function shortId(build) {
+    return build.id.substring(0, 8);
+}
+
+/**
+ * Format a date for email bodies (UTC, to the minute)
+ */
+function formatDate(date) {
+    return `${new Date(date).toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+function describeServices(build) {
+    const services = build.config.services || [];
+    const models = build.config.models || [];
+    return `Services: ${services.join(', ') || 'none'}` +
+        (models.length > 0 ? `\nModels: ${models.join(', ')}` : '');
+}
+
+/**
+ * Build complete: the ISO is ready to download
+ * @param {Object} build - Build state object
+ * @param {Object} details - { downloadUrl, expiresAt }
+ */
+function buildComplete(build, details) {
+    return render(`Your homelab ISO is ready (build ${shortId(build)})`, [
+        `Build ${build.id} finished and its ISO is ready to download.`,
+        `ISO: ${build.isoFilename}` +
+            (build.isoSizeGB ? ` (${build.isoSizeGB.toFixed(1)} GB)` : '') +
+            `\n${describeServices(build)}`,
+        `The ISO will be deleted on ${formatDate(details.expiresAt)}. Download it before then, or build it again later.`,
+        ...(details.downloadUrl ? [] : [`Download it from the ISO builder using build ID ${build.id}.`]),
+    ], details.downloadUrl ? { label: 'Download the ISO', url: details.downloadUrl } : null);
+}
+
+/**
+ * Build failed: what went wrong and what to do about it
+ * @param {Object} build - Build state object
+ * @param {Object} details - { appUrl }
+ */
+function buildFailed(build, details) {
+    const failure = build.failure || {};
+    const autoRetry = build.config.auto_retry || 0;
+
+    return render(`Your homelab ISO build failed (build ${shortId(build)})`, [
+        `Build ${build.id} failed.`,
+        `Error: ${failure.code || 'UNKNOWN'}\n${build.error || 'No error message was recorded.'}`,
+        ...(failure.hint ? [`What to do: ${failure.hint}`] : []),
+        ...(failure.excerpt ? [`From the build log:\n${failure.excerpt}`] : []),
+        (build.autoRetryCount || 0) < autoRetry
+            ? 'Automatic retries are enabled for this build: if the failure is transient, it is retried on its own and you will get another email when the retry finishes.'
+            : `You can retry the build from the ISO builder, or with POST /api/build/${build.id}/retry.`,
+        describeServices(build),
+    ], details.appUrl ? { label: 'Open the ISO builder', url: details.appUrl } : null);
+}
+
+/**
+ * ISO about to expire: last chance to download it
+ * @param {Object} build - Build state object
+ * @param {Object} details - { downloadUrl, expiresAt }
+ */
+function isoExpiring(build, details) {
+    return render(`Your homelab ISO will be deleted on ${formatDate(details.expiresAt).substring(0, 10)} (build ${shortId(build)})`, [
+        `The ISO from build ${build.id} (${build.isoFilename}) will be deleted on ${formatDate(details.expiresAt)}.`,
+        'If you still need it, download it before then. After that you can request the same build again; it will run from scratch.',
+        describeServices(build),
+        ...(details.downloadUrl ? [] : [`Download it from the ISO builder using build ID ${build.id}.`]),
+    ], details.downloadUrl ? { label: 'Download the ISO', url: details.downloadUrl } : null);
+}
+
+module.exports = {
+    escapeHtml,
+    formatDate,
+    buildComplete,
+    buildFailed,
+    isoExpiring,
+};
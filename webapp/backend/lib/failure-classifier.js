@@ -0,0 +1,157 @@
+// Failure Classifier - Maps build failures to stable error codes with remediation hints
+// Looks at the orchestrator's error (including GCE operation errors) and the build's
+// logs (the shipped build log and the exported serial/container log), and reports the
+// first rule that matches along with the lines around the match.
+
+// Checked in order: root causes come before their symptoms (a full disk usually
+// surfaces as a stall or timeout), and within a rule the most specific pattern first
+const FAILURE_RULES = [
+    {
+        code: 'QUOTA_EXCEEDED',
+        retryable: false,
+        hint: 'The GCP project is out of quota for the build VM (CPUs, SSD or addresses in this region). ' +
+            'Request a quota increase in the Cloud Console, or use a smaller VM_MACHINE_TYPE.',
+        patterns: [/QUOTA_EXCEEDED/, /Quota '[^']+' exceeded/i],
+    },
+    {
+        code: 'ZONE_EXHAUSTED',
+        retryable: true,
+        hint: 'The zone has no capacity for the build VM\'s machine type right now. ' +
+            'Retry in a few minutes, or set GCP_ZONE to another zone.',
+        patterns: [/ZONE_RESOURCE_POOL_EXHAUSTED/i, /does not have enough resources available/i],
+    },
+    {
+        code: 'DISK_FULL',
+        retryable: false,
+        hint: 'The build VM ran out of disk space. Select fewer services or models, ' +
+            'or increase VM_BOOT_DISK_SIZE.',
+        patterns: [/No space left on device/i, /\bENOSPC\b/],
+    },
+    {
+        code: 'CLONE_FAILED',
+        retryable: false,
+        hint: 'The installer ref does not exist in the repository. Check INSTALLER_GIT_REF ' +
+            'names an existing branch, tag or commit.',
+        patterns: [/Installer ref \S+ not found/i],
+    },
+    {
+        code: 'CLONE_FAILED',
+        retryable: true,
+        hint: 'The build VM could not clone the installer repository from GitHub. ' +
+            'This is usually a temporary GitHub or network problem - retry the build.',
+        patterns: [/fatal: unable to access '[^']*github\.com/i, /Repository clone failed/i],
+    },
+    {
+        code: 'DOCKER_PULL_FAILED',
+        retryable: true,
+        hint: 'A Docker image could not be downloaded (registry outage, Docker Hub rate limit ' +
+            'or a removed tag). Retry the build; if it keeps failing, check the image named in the excerpt.',
+        patterns: [/\[ERROR\] Failed to download [^\s:]\S*$/, /toomanyrequests/i, /Failed to download Docker images/i],
+    },
+    {
+        code: 'MODEL_PULL_FAILED',
+        retryable: true,
+        hint: 'An Ollama model could not be downloaded. Retry the build; if it keeps failing, ' +
+            'check the model named in the excerpt still exists in the Ollama library.',
+        patterns: [/\[ERROR\] Failed to (download|start container for): \S+/, /Failed to download Ollama models/i],
+    },
+    {
+        code: 'UPLOAD_FAILED',
+        retryable: true,
+        hint: 'The finished ISO could not be uploaded to the downloads bucket. ' +
+            'Retry the build, and check the build VM\'s service account can write to the bucket.',
+        patterns: [/Upload verification failed/i, /Failed to upload ISO/i],
+    },
+    {
+        code: 'STALLED',
+        retryable: true,
+        hint: 'The build stopped making progress. Retry the build; if it stalls at the same stage ' +
+            'again, check the build log around the excerpt.',
+        patterns: [/Build stalled: no progress/i],
+    },
+    {
+        code: 'TIMEOUT',
+        retryable: false,
+        hint: 'The build ran longer than BUILD_TIMEOUT_HOURS. Select fewer services or models, ' +
+            'or raise BUILD_TIMEOUT_HOURS.',
+        patterns: [/Build timeout exceeded/i],
+    },
+];
+
+const UNKNOWN_FAILURE = {
+    code: 'UNKNOWN',
+    retryable: false,
+    hint: 'The failure was not recognized. Check the build log for the first error.',
+};
+
+const EXCERPT_CONTEXT_LINES = 2;
+const MAX_EXCERPT_LENGTH = 2000;
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Make a GCE operation error (JSON.stringify(operation.error)) readable
+ * @param {string} message - Error message
+ * @returns {string} One "CODE: message" line per operation error, or the message unchanged
+ */
+function describeOperationError(message) {
+    try {
+        const parsed = JSON.parse(message);
+        if (parsed && Array.isArray(parsed.errors) && parsed.errors.length > 0) {
+            return parsed.errors.map(error => `${error.code}: ${error.message}`).join('\n');
+        }
+    } catch (error) {
+        // Not an operation error
+    }
+    return message;
+}
+
+/**
+ * Find the last line matching a pattern, with the lines around it
+ * @param {string[]} lines - Text split into lines
+ * @param {RegExp} pattern - Pattern to look for
+ * @returns {string|null} Excerpt, or null if no line matches
+ */
+function findExcerpt(lines, pattern) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (pattern.test(lines[i])) {
+            const excerpt = lines
+                .slice(Math.max(0, i - EXCERPT_CONTEXT_LINES), i + EXCERPT_CONTEXT_LINES + 1)
+                .join('\n')
+                .trim();
+            return excerpt.length > MAX_EXCERPT_LENGTH ? excerpt.substring(0, MAX_EXCERPT_LENGTH) : excerpt;
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify a build failure
+ * @param {string} message - The error the build failed with
+ * @param {Object[]} logs - Log text to search ({ source, text }), most relevant first
+ * @returns {Object} { code, hint, retryable, source, excerpt } - source says where the
+ *   excerpt came from ('error' or a log's source); UNKNOWN failures have no excerpt
+ */
+function classifyFailure(message, logs = []) {
+    const sources = [{ source: 'error', text: describeOperationError(message || '') }, ...logs]
+        .filter(log => log.text)
+        .map(log => ({ source: log.source, lines: log.text.replace(ANSI_PATTERN, '').split(/\r?\n/) }));
+
+    for (const rule of FAILURE_RULES) {
+        for (const pattern of rule.patterns) {
+            for (const { source, lines } of sources) {
+                const excerpt = findExcerpt(lines, pattern);
+                if (excerpt) {
+                    return { code: rule.code, hint: rule.hint, retryable: rule.retryable, source, excerpt };
+                }
+            }
+        }
+    }
+
+    return { ...UNKNOWN_FAILURE, source: null, excerpt: null };
+}
+
+module.exports = {
+    classifyFailure,
+    describeOperationError,
+};
@@ -0,0 +1,38 @@
+// GCE Build Backend - Runs builds on Compute Engine VMs with outputs in GCS
+
+const config = require('../config/config');
+const vmManager = require('./vm-manager');
+const gcsManager = require('./gcs-manager');
+const { BuildBackend } = require('./build-backend');
+
+class GCEBuildBackend extends BuildBackend {
+    constructor() {
+        super('gce', gcsManager);
+    }
+
+    get maxConcurrentBuilds() {
+        return config.vm.maxConcurrentBuilds;
+    }
+
+    getInstanceName(buildId) {
+        return vmManager.getVMName(buildId);
+    }
+
+    async create(buildId, buildConfig, options = {}) {
+        return vmManager.createBuildVM(buildId, buildConfig, options);
+    }
+
+    async status(instanceName) {
+        return vmManager.getVMStatus(instanceName);
+    }
+
+    async logs(instanceName, buildId) {
+        return vmManager.exportVMLogs(instanceName, buildId);
+    }
+
+    async destroy(instanceName, buildId, exportLogs = true) {
+        return vmManager.deleteVM(instanceName, buildId, exportLogs);
+    }
+}
+
+module.exports = new GCEBuildBackend();
@@ -3,6 +3,8 @@
 const { Storage } = require('@google-cloud/storage');
 const config = require('../config/config');
 const logger = require('./logger');
+const { getChunkPrefix, parseChunkOffset } = require('./build-log');
+const { timeApiCall } = require('./metrics');
 
 class GCSManager {
     constructor() {
@@ -18,7 +20,7 @@ class GCSManager {
      */
     async artifactsBucketExists() {
         try {
-            const [exists] = await this.artifactsBucket.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => this.artifactsBucket.exists());
             return exists;
         } catch (error) {
             logger.error('Error checking artifacts bucket:', error);
@@ -31,7 +33,7 @@ class GCSManager {
      */
     async downloadsBucketExists() {
         try {
-            const [exists] = await this.downloadsBucket.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => this.downloadsBucket.exists());
             return exists;
         } catch (error) {
             logger.error('Error checking downloads bucket:', error);
@@ -49,7 +51,7 @@ class GCSManager {
             const file = this.downloadsBucket.file(isoFilename);
 
             // Security: Check if file exists before generating signed URL
-            const [exists] = await file.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => file.exists());
             if (!exists) {
                 throw new Error(`ISO file not found: ${isoFilename}`);
             }
@@ -58,12 +60,12 @@ class GCSManager {
             const serviceAccount = process.env.GCS_SIGNING_EMAIL ||
                                  '644872244499-compute@developer.gserviceaccount.com';
 
-            const [url] = await file.getSignedUrl({
+            const [url] = await timeApiCall('gcs', 'getSignedUrl', () => file.getSignedUrl({
                 version: 'v4',
                 action: 'read',
                 expires: Date.now() + config.gcs.signedUrlExpiration * 1000,
                 signingEndpoint: `https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/${serviceAccount}:signBlob`,
-            });
+            }));
 
             logger.info(`Generated signed URL for ${isoFilename}`);
             return url;
@@ -81,7 +83,7 @@ class GCSManager {
     async isoExists(isoFilename) {
         try {
             const file = this.downloadsBucket.file(isoFilename);
-            const [exists] = await file.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => file.exists());
             return exists;
         } catch (error) {
             logger.error(`Error checking if ISO exists ${isoFilename}:`, error);
@@ -97,7 +99,7 @@ class GCSManager {
     async getISOMetadata(isoFilename) {
         try {
             const file = this.downloadsBucket.file(isoFilename);
-            const [metadata] = await file.getMetadata();
+            const [metadata] = await timeApiCall('gcs', 'getMetadata', () => file.getMetadata());
             return {
                 name: metadata.name,
                 size: parseInt(metadata.size),
@@ -121,15 +123,15 @@ class GCSManager {
 
             logger.info(`Cleaning up ISOs older than ${retentionDate.toISOString()}`);
 
-            const [files] = await this.downloadsBucket.getFiles();
+            const [files] = await timeApiCall('gcs', 'getFiles', () => this.downloadsBucket.getFiles());
             let deletedCount = 0;
 
             for (const file of files) {
-                const [metadata] = await file.getMetadata();
+                const [metadata] = await timeApiCall('gcs', 'getMetadata', () => file.getMetadata());
                 const created = new Date(metadata.timeCreated);
 
                 if (created < retentionDate) {
-                    await file.delete();
+                    await timeApiCall('gcs', 'delete', () => file.delete());
                     logger.info(`Deleted old ISO: ${file.name}`);
                     deletedCount++;
                 }
@@ -148,9 +150,9 @@ class GCSManager {
      */
     async listISOs() {
         try {
-            const [files] = await this.downloadsBucket.getFiles({
+            const [files] = await timeApiCall('gcs', 'getFiles', () => this.downloadsBucket.getFiles({
                 prefix: '', // Get all files
-            });
+            }));
 
             // Filter for ISO files only and get metadata
             const isoFiles = files
@@ -180,7 +182,7 @@ class GCSManager {
     async artifactExists(artifactPath) {
         try {
             const file = this.artifactsBucket.file(artifactPath);
-            const [exists] = await file.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => file.exists());
             return exists;
         } catch (error) {
             logger.error(`Error checking artifact ${artifactPath}:`, error);
@@ -193,9 +195,9 @@ class GCSManager {
      */
     async listCachedDockerImages() {
         try {
-            const [files] = await this.artifactsBucket.getFiles({
+            const [files] = await timeApiCall('gcs', 'getFiles', () => this.artifactsBucket.getFiles({
                 prefix: 'docker-images/',
-            });
+            }));
             return files.map(file => file.name);
         } catch (error) {
             logger.error('Error listing cached Docker images:', error);
@@ -208,9 +210,9 @@ class GCSManager {
      */
     async listCachedOllamaModels() {
         try {
-            const [files] = await this.artifactsBucket.getFiles({
+            const [files] = await timeApiCall('gcs', 'getFiles', () => this.artifactsBucket.getFiles({
                 prefix: 'ollama-models/',
-            });
+            }));
             return files.map(file => file.name);
         } catch (error) {
             logger.error('Error listing cached Ollama models:', error);
@@ -218,6 +220,22 @@ class GCSManager {
         }
     }
 
+    /**
+     * Artifact cache object name for a Docker image (matches iso-prepare-dynamic.sh)
+     * @param {string} image - Image reference, e.g. ollama/ollama:0.12.9
+     */
+    getDockerImageCacheName(image) {
+        return `docker-images/${image.replace(/[\/:]/g, '_')}.tar.gz`;
+    }
+
+    /**
+     * Artifact cache object name for an Ollama model (matches iso-prepare-dynamic.sh)
+     * @param {string} model - Model name, e.g. qwen3:8b
+     */
+    getOllamaModelCacheName(model) {
+        return `ollama-models/${model.replace(/[\/:]/g, '_')}.tar.gz`;
+    }
+
     /**
      * Download and parse build status file
      * @param {string} statusFilename - Status filename in downloads bucket
@@ -226,13 +244,13 @@ class GCSManager {
     async downloadStatusFile(statusFilename) {
         try {
             const file = this.downloadsBucket.file(statusFilename);
-            const [exists] = await file.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => file.exists());
 
             if (!exists) {
                 return null;
             }
 
-            const [contents] = await file.download();
+            const [contents] = await timeApiCall('gcs', 'download', () => file.download());
             const statusData = JSON.parse(contents.toString());
 
             logger.debug(`Downloaded status file ${statusFilename}:`, statusData);
@@ -243,6 +261,63 @@ class GCSManager {
         }
     }
 
+    /**
+     * List a build's log chunks in the downloads bucket (build-logs/), by offset
+     * @param {string} buildId - Build ID
+     * @returns {Object[]} {name, offset, size}
+     */
+    async listLogChunks(buildId) {
+        const [files] = await timeApiCall('gcs', 'getFiles', () => this.downloadsBucket.getFiles({
+            prefix: `build-logs/${getChunkPrefix(buildId)}`,
+        }));
+
+        return files
+            .map(file => ({
+                name: file.name,
+                offset: parseChunkOffset(file.name.replace(/^build-logs\//, '')),
+                size: parseInt(file.metadata.size) || 0,
+            }))
+            .filter(chunk => chunk.offset !== null)
+            .sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Read a byte range of a log chunk
+     * @param {string} name - Chunk object name
+     * @param {number} start - First byte
+     * @param {number} end - End of the range (exclusive)
+     * @returns {Buffer}
+     */
+    async readLogChunk(name, start, end) {
+        if (end <= start) {
+            return Buffer.alloc(0);
+        }
+        const [contents] = await timeApiCall('gcs', 'download', () => this.downloadsBucket.file(name).download({ start, end: end - 1 }));
+        return contents;
+    }
+
+    /**
+     * Read the end of an exported VM log (see vmManager.exportVMLogs)
+     * @param {string} location - gs:// path of the exported log in the downloads bucket
+     * @param {number} maxBytes - Maximum bytes to return
+     * @returns {string|null} Log text, or null if the log isn't in the downloads bucket
+     */
+    async readExportedLog(location, maxBytes) {
+        const prefix = `gs://${config.gcs.downloadsBucket}/logs/`;
+        if (!location.startsWith(prefix)) {
+            return null;
+        }
+
+        const file = this.downloadsBucket.file(location.substring(`gs://${config.gcs.downloadsBucket}/`.length));
+        const [metadata] = await timeApiCall('gcs', 'getMetadata', () => file.getMetadata());
+        const size = parseInt(metadata.size) || 0;
+        if (size === 0) {
+            return '';
+        }
+        const [contents] = await timeApiCall('gcs', 'download', () => file.download({ start: Math.max(0, size - maxBytes), end: size - 1 }));
+        return contents.toString('utf8');
+    }
+
     /**
      * Delete file from downloads bucket
      * @param {string} filename - File to delete
@@ -250,10 +325,10 @@ class GCSManager {
     async deleteFile(filename) {
         try {
             const file = this.downloadsBucket.file(filename);
-            const [exists] = await file.exists();
+            const [exists] = await timeApiCall('gcs', 'exists', () => file.exists());
 
             if (exists) {
-                await file.delete();
+                await timeApiCall('gcs', 'delete', () => file.delete());
                 logger.info(`Deleted file: ${filename}`);
             }
         } catch (error) {
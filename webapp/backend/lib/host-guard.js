@@ -0,0 +1,111 @@
+// Host Guard - Keeps user-supplied URLs away from the backend's own network
+// Webhooks and notification channels from build requests are called by the backend, so
+// without a check anyone who can request a build could make it probe private addresses
+// (including the cloud metadata server).
+
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const privateAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+    privateAddresses.addSubnet(network, prefix, 'ipv4');
+}
+// 64:ff9b::/96 (NAT64) and 2002::/16 (6to4) embed IPv4 addresses, so they could reach any of the above
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    privateAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Strip the brackets from an IPv6 URL hostname
+ */
+function unbracket(hostname) {
+    return hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Check whether an IP address is private, loopback or link-local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return privateAddresses.check(mapped[1], 'ipv4');
+    }
+    return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a URL hostname without resolving it (for validating requests)
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} Whether it is localhost or a private IP literal
+ */
+function isPrivateHostname(hostname) {
+    const host = unbracket(hostname).toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') ||
+        (net.isIP(host) !== 0 && isPrivateAddress(host));
+}
+
+/**
+ * Error for a refused host (permanent: retrying won't help)
+ */
+function privateHostError(host) {
+    const error = new Error(`${host} resolves to a private or loopback address`);
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * dns.lookup() for the guarded agent: fails if any address of the host is private
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(privateHostError(hostname));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// The check runs as each connection is made, on the addresses it connects to, so a host
+// can't pass a separate check and then resolve somewhere else (DNS rebinding)
+const guardedAgent = new Agent({ connect: { lookup: guardedLookup } });
+
+/**
+ * fetch() that refuses hosts that are or resolve to private addresses
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @throws {Error} With error.permanent set if the host is private
+ */
+async function guardedFetch(url, options) {
+    // IP literals are connected to without a lookup
+    const host = unbracket(new URL(url).hostname);
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw privateHostError(host);
+    }
+
+    try {
+        return await fetch(url, { ...options, dispatcher: guardedAgent });
+    } catch (error) {
+        throw error.cause && error.cause.permanent ? error.cause : error;
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    isPrivateHostname,
+    guardedFetch,
+};
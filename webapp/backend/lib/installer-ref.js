@@ -0,0 +1,80 @@
+// Installer Ref - resolves the installer git ref to the commit builds check out
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+const COMMIT_PATTERN = /^[0-9a-f]{40}$/;
+const LS_REMOTE_TIMEOUT_MS = 15000;
+
+class InstallerRefResolver {
+    constructor() {
+        // { ref, commit, expiresAt } of the last lookup (commit is null if it failed)
+        this.cached = null;
+        this.pending = null;
+    }
+
+    /**
+     * Resolve config.build.installerRef to a commit SHA
+     * Branches and tags move, so lookups are cached for config.build.installerRefCacheMs only.
+     * @returns {Promise<string|null>} Commit SHA, or null if the ref can't be resolved
+     */
+    async resolve() {
+        const ref = config.build.installerRef;
+        if (COMMIT_PATTERN.test(ref)) {
+            return ref;
+        }
+
+        if (this.cached && this.cached.ref === ref && this.cached.expiresAt > Date.now()) {
+            return this.cached.commit;
+        }
+
+        // Concurrent requests share one lookup
+        if (!this.pending) {
+            this.pending = this.lookup(ref)
+                .then((commit) => {
+                    this.cached = { ref, commit, expiresAt: Date.now() + config.build.installerRefCacheMs };
+                    return commit;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Look a ref up in the installer repository with git ls-remote
+     * @param {string} ref - Branch or tag
+     * @returns {Promise<string|null>} Commit SHA, or null if the lookup failed
+     */
+    async lookup(ref) {
+        try {
+            const { stdout } = await execFileAsync('git', [
+                'ls-remote', '--tags', '--heads', config.build.installerRepoUrl, ref, `${ref}^{}`,
+            ], { timeout: LS_REMOTE_TIMEOUT_MS });
+
+            const commits = new Map(stdout.trim().split('\n')
+                .map(line => line.split('\t'))
+                .filter(([commit]) => COMMIT_PATTERN.test(commit))
+                .map(([commit, name]) => [name, commit]));
+            // Annotated tags are listed twice; the peeled (^{}) entry has the commit
+            const commit = commits.get(`refs/tags/${ref}^{}`) ||
+                commits.get(`refs/tags/${ref}`) ||
+                commits.get(`refs/heads/${ref}`);
+            if (!commit) {
+                logger.warn(`Installer ref ${ref} not found in ${config.build.installerRepoUrl}`);
+                return null;
+            }
+            return commit;
+        } catch (error) {
+            logger.warn(`Failed to resolve installer ref ${ref}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new InstallerRefResolver();
@@ -0,0 +1,252 @@
+// Local Output Store - Build outputs on the backend host's filesystem
+// Same interface as gcsManager's downloads bucket methods, for backends that run outside GCE
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('./logger');
+const { getChunkPrefix, parseChunkOffset } = require('./build-log');
+
+class LocalOutputStore {
+    constructor() {
+        this.outputDir = config.localStorage.outputDir;
+    }
+
+    /**
+     * Resolve a filename inside the output directory
+     * Security: Rejects anything that isn't a plain filename (no path traversal)
+     * @param {string} filename - File name
+     * @returns {string} Absolute path
+     */
+    resolvePath(filename) {
+        if (typeof filename !== 'string' || !/^[A-Za-z0-9._-]+$/.test(filename) || filename.startsWith('.')) {
+            throw new Error(`Invalid output filename: ${filename}`);
+        }
+        return path.join(this.outputDir, filename);
+    }
+
+    /**
+     * Create the output directory if needed
+     */
+    ensureOutputDir() {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    /**
+     * Check if an output file exists
+     * @param {string} filename - File name
+     * @returns {boolean}
+     */
+    async isoExists(filename) {
+        try {
+            await fs.promises.access(this.resolvePath(filename));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read and parse a build status file
+     * @param {string} statusFilename - Status file name
+     * @returns {Object|null} Parsed status data
+     */
+    async downloadStatusFile(statusFilename) {
+        try {
+            const contents = await fs.promises.readFile(this.resolvePath(statusFilename), 'utf8');
+            return JSON.parse(contents);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            logger.error(`Error reading status file ${statusFilename}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an output file (and its metadata sidecar)
+     * @param {string} filename - File name
+     */
+    async deleteFile(filename) {
+        const filePath = this.resolvePath(filename);
+        await fs.promises.rm(filePath, { force: true });
+        await fs.promises.rm(`${filePath}.json`, { force: true });
+        logger.info(`Deleted local output ${filename}`);
+    }
+
+    /**
+     * List ISO files, newest first
+     * @returns {Object[]} {name, size, created, updated}
+     */
+    async listISOs() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.outputDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const isoFiles = [];
+        for (const name of names.filter(name => name.endsWith('.iso'))) {
+            isoFiles.push(await this.getISOMetadata(name));
+        }
+
+        isoFiles.sort((a, b) => new Date(b.created) - new Date(a.created));
+        return isoFiles;
+    }
+
+    /**
+     * Get ISO file metadata
+     * @param {string} isoFilename - ISO file name
+     * @returns {Object} File metadata
+     */
+    async getISOMetadata(isoFilename) {
+        const stats = await fs.promises.stat(this.resolvePath(isoFilename));
+        return {
+            name: isoFilename,
+            size: stats.size,
+            created: stats.birthtime.getTime() ? stats.birthtime.toISOString() : stats.mtime.toISOString(),
+            updated: stats.mtime.toISOString(),
+        };
+    }
+
+    /**
+     * List a build's log chunks, by offset
+     * @param {string} buildId - Build ID
+     * @returns {Object[]} {name, offset, size}
+     */
+    async listLogChunks(buildId) {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.outputDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const chunks = [];
+        for (const name of names.filter(name => name.startsWith(getChunkPrefix(buildId)))) {
+            const offset = parseChunkOffset(name);
+            if (offset !== null) {
+                const stats = await fs.promises.stat(this.resolvePath(name));
+                chunks.push({ name, offset, size: stats.size });
+            }
+        }
+        return chunks.sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Read a byte range of a log chunk
+     * @param {string} name - Chunk file name
+     * @param {number} start - First byte
+     * @param {number} end - End of the range (exclusive)
+     * @returns {Buffer}
+     */
+    async readLogChunk(name, start, end) {
+        const handle = await fs.promises.open(this.resolvePath(name), 'r');
+        try {
+            const buffer = Buffer.alloc(Math.max(0, end - start));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Write a log chunk (for backends that collect the log themselves)
+     * @param {string} buildId - Build ID
+     * @param {number} offset - Byte offset of the chunk in the log
+     * @param {Buffer} data - Chunk contents
+     */
+    async writeLogChunk(buildId, offset, data) {
+        this.ensureOutputDir();
+        const chunkPath = this.resolvePath(`${getChunkPrefix(buildId)}${String(offset).padStart(12, '0')}.log`);
+        await fs.promises.writeFile(`${chunkPath}.tmp`, data);
+        await fs.promises.rename(`${chunkPath}.tmp`, chunkPath);
+    }
+
+    /**
+     * Read the end of an exported build log (see the docker and SSH backends' logs())
+     * @param {string} location - Path of the exported log in the logs directory
+     * @param {number} maxBytes - Maximum bytes to return
+     * @returns {string|null} Log text, or null if the log isn't in the logs directory
+     */
+    async readExportedLog(location, maxBytes) {
+        const logsDir = path.resolve(config.localStorage.logsDir);
+        if (path.dirname(path.resolve(location)) !== logsDir) {
+            return null;
+        }
+
+        const handle = await fs.promises.open(location, 'r');
+        try {
+            const { size } = await handle.stat();
+            const buffer = Buffer.alloc(Math.min(size, maxBytes));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, size - buffer.length);
+            return buffer.subarray(0, bytesRead).toString('utf8');
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * No artifact cache outside GCS - builds download every image and model
+     */
+    async listCachedDockerImages() {
+        return [];
+    }
+
+    async listCachedOllamaModels() {
+        return [];
+    }
+
+    /**
+     * Generate a time-limited download URL served by /api/downloads
+     * @param {string} isoFilename - ISO file name
+     * @returns {string} Relative signed URL
+     */
+    async getSignedDownloadURL(isoFilename) {
+        if (!await this.isoExists(isoFilename)) {
+            throw new Error(`ISO file not found: ${isoFilename}`);
+        }
+
+        const expires = Math.floor(Date.now() / 1000) + config.gcs.signedUrlExpiration;
+        const signature = this.sign(isoFilename, expires);
+
+        return `/api/downloads/${encodeURIComponent(isoFilename)}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Verify a download URL signature
+     * @param {string} filename - File name from the URL
+     * @param {string} expires - Expiry (unix seconds) from the URL
+     * @param {string} signature - Signature from the URL
+     * @returns {boolean}
+     */
+    verifyDownloadSignature(filename, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(filename, expiresAt));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    sign(filename, expires) {
+        return crypto
+            .createHmac('sha256', config.security.apiSecretKey)
+            .update(`${filename}:${expires}`)
+            .digest('hex');
+    }
+}
+
+module.exports = new LocalOutputStore();
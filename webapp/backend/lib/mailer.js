@@ -0,0 +1,103 @@
+// Mailer - Sends email through SMTP or the SendGrid API
+// The transport is chosen by EMAIL_TRANSPORT. For development, point SMTP at a local
+// mail sink (e.g. Mailpit: SMTP_HOST=localhost SMTP_PORT=1025).
+
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const SENDGRID_API_URL = 'https://api.sendgrid.com/v3/mail/send';
+const SENDGRID_TIMEOUT_MS = 30 * 1000;
+
+class SmtpTransport {
+    constructor(options) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.password } : undefined,
+        });
+    }
+
+    async send(message) {
+        await this.transporter.sendMail(message);
+    }
+}
+
+class SendGridTransport {
+    constructor(apiKey) {
+        if (!apiKey) {
+            throw new Error('SENDGRID_API_KEY is required for the sendgrid email transport');
+        }
+        this.name = 'sendgrid';
+        this.apiKey = apiKey;
+    }
+
+    async send(message) {
+        const response = await fetch(SENDGRID_API_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: [{ email: message.to }] }],
+                from: { email: message.from },
+                subject: message.subject,
+                content: [
+                    { type: 'text/plain', value: message.text },
+                    { type: 'text/html', value: message.html },
+                ],
+            }),
+            signal: AbortSignal.timeout(SENDGRID_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`SendGrid returned HTTP ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ''}`);
+        }
+    }
+}
+
+class Mailer {
+    constructor() {
+        this.transport = null;
+    }
+
+    isEnabled() {
+        return config.email.enabled;
+    }
+
+    /**
+     * Get the configured transport (created on first use)
+     */
+    getTransport() {
+        if (!this.transport) {
+            switch (config.email.transport) {
+                case 'smtp':
+                    this.transport = new SmtpTransport(config.email.smtp);
+                    break;
+                case 'sendgrid':
+                    this.transport = new SendGridTransport(config.email.sendgridApiKey);
+                    break;
+                default:
+                    throw new Error(`Unknown email transport: ${config.email.transport}`);
+            }
+        }
+        return this.transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html }
+     * @throws {Error} If the transport rejects the message
+     */
+    async send(message) {
+        const transport = this.getTransport();
+        await transport.send({ from: config.email.from, ...message });
+        logger.debug(`Email sent via ${transport.name}: ${message.subject}`);
+    }
+}
+
+module.exports = new Mailer();
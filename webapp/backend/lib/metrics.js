@@ -0,0 +1,280 @@
+// Metrics - Prometheus metrics for the backend
+// Counters and histograms are updated where things happen; gauges that describe current
+// state (builds, queue, VMs) are filled in by collectors just before each scrape.
+// Rendered in the Prometheus text exposition format (version 0.0.4) at GET /metrics.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...} (empty for no labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity +Inf)
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Base for metrics with a set of labelled series
+ */
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    /**
+     * Get the series for a label set (unknown labels are dropped, missing ones empty)
+     * @param {Object} labels - Label values
+     * @param {Function} create - Initial series fields; without it, a missing series isn't created
+     * @returns {Object|undefined} Series
+     */
+    getSeries(labels, create = null) {
+        const normalized = Object.fromEntries(this.labelNames.map(name => [name, labels[name] === undefined ? '' : String(labels[name])]));
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key) && create) {
+            this.series.set(key, { labels: normalized, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Current value of a series (0 if it has none)
+     */
+    get(labels = {}) {
+        const series = this.getSeries(labels);
+        return series ? series.value : 0;
+    }
+
+    /**
+     * Drop all series (for gauges refilled on every scrape)
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    renderSamples() {
+        return Array.from(this.series.values()).map(series =>
+            `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples(),
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    /**
+     * Increase a series
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (must not be negative)
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    /**
+     * Set a series
+     * @param {Object} labels - Label values
+     * @param {number} value - Value
+     */
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Run a function before every scrape (to fill in gauges from current state)
+     * @param {Function} collector - Called with no arguments
+     */
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Render all metrics in the text exposition format
+     * @returns {string}
+     */
+    render() {
+        for (const collector of this.collectors) {
+            collector();
+        }
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+const registry = new MetricsRegistry();
+
+const API_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = {
+    builds: registry.gauge('iso_builder_builds', 'Unfinished builds by status', ['status']),
+    buildsFinished: registry.counter('iso_builder_builds_finished_total', 'Builds that finished, by final status', ['status', 'backend']),
+    queueLength: registry.gauge('iso_builder_queue_length', 'Builds waiting for a build slot'),
+    activeVMs: registry.gauge('iso_builder_active_vms', 'Builds holding a build slot (a VM, container or builder host slot)', ['backend']),
+    buildDuration: registry.histogram('iso_builder_build_duration_seconds',
+        'Time from VM creation until a build finished', ['status', 'backend'],
+        [600, 1200, 1800, 2700, 3600, 5400, 7200, 10800, 14400]),
+    stageDuration: registry.histogram('iso_builder_stage_duration_seconds',
+        'Duration of build timeline stages, by how they ended', ['stage', 'state'],
+        [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200]),
+    buildCost: registry.counter('iso_builder_build_cost_total', 'Cost of finished builds at list prices', ['currency']),
+    apiCalls: registry.counter('iso_builder_api_calls_total', 'GCE and GCS API calls, by outcome', ['service', 'operation', 'outcome']),
+    apiCallDuration: registry.histogram('iso_builder_api_call_duration_seconds',
+        'GCE and GCS API call latency (each attempt)', ['service', 'operation'], API_BUCKETS),
+    apiRetries: registry.counter('iso_builder_api_retries_total', 'GCE API calls retried after a transient error', ['service', 'operation']),
+    cacheLookups: registry.counter('iso_builder_cache_lookups_total',
+        'Artifact cache lookups: Docker images and Ollama models restored from the artifact cache (hit) or downloaded (miss) by finished builds, and build requests served by an existing ISO', ['cache', 'result']),
+    cacheHitRatio: registry.gauge('iso_builder_cache_hit_ratio', 'Share of cache lookups that hit, since the backend started', ['cache']),
+    rateLimitRejections: registry.counter('iso_builder_rate_limit_rejections_total', 'Requests rejected by a rate limiter', ['limiter']),
+    budgetRejections: registry.counter('iso_builder_budget_rejections_total', 'Builds rejected by a spending cap', ['budget']),
+    webhookDeliveries: registry.counter('iso_builder_webhook_deliveries_total', 'Webhook deliveries, by how they ended (after retries)', ['event', 'outcome']),
+    emails: registry.counter('iso_builder_emails_total', 'Notification emails, by template and whether they were sent', ['template', 'outcome']),
+    notifications: registry.counter('iso_builder_push_notifications_total', 'Push notifications, by channel type, template and whether they were sent', ['channel', 'template', 'outcome']),
+    httpRequestDuration: registry.histogram('iso_builder_http_request_duration_seconds',
+        'HTTP request latency', ['method', 'route', 'status'],
+        [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+};
+
+// Ratios are derived from the lookup counters at scrape time
+registry.onCollect(() => {
+    metrics.cacheHitRatio.reset();
+    for (const cache of ['docker-images', 'ollama-models', 'iso']) {
+        const hits = metrics.cacheLookups.get({ cache, result: 'hit' });
+        const total = hits + metrics.cacheLookups.get({ cache, result: 'miss' });
+        if (total > 0) {
+            metrics.cacheHitRatio.set({ cache }, hits / total);
+        }
+    }
+});
+
+/**
+ * Time a GCE or GCS API call
+ * @param {string} service - 'gce' or 'gcs'
+ * @param {string} operation - Operation name
+ * @param {Function} apiCall - Async function making the call
+ * @returns {Promise} Result of the call
+ */
+async function timeApiCall(service, operation, apiCall) {
+    const start = process.hrtime.bigint();
+    let outcome = 'error';
+    try {
+        const result = await apiCall();
+        outcome = 'success';
+        return result;
+    } finally {
+        metrics.apiCallDuration.observe({ service, operation }, Number(process.hrtime.bigint() - start) / 1e9);
+        metrics.apiCalls.inc({ service, operation, outcome });
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    registry,
+    metrics,
+    timeApiCall,
+};
@@ -0,0 +1,299 @@
+// Notification Channels - Push notifications through self-hosted notification servers
+// Channels are addressed by URL. The scheme picks the service; with an 's' suffix the
+// server is reached over HTTPS, otherwise over plain HTTP:
+//   ntfy[s]://[user:password@ | token@]host[:port][/path]/topic
+//   gotify[s]://host[:port][/path]/app-token
+//   matrix[s]://access-token@host[:port]/!room-id:server
+// The URLs carry credentials, so a build's channels are stored encrypted (sealChannelUrl).
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { escapeHtml } = require('./email-templates');
+const { isPrivateHostname, guardedFetch } = require('./host-guard');
+
+const MAX_CHANNEL_URL_LENGTH = 2048;
+
+// Prefix of channel URLs encrypted for storage
+const SEALED_PREFIX = 'sealed:';
+const SEAL_IV_BYTES = 12;
+const SEAL_TAG_BYTES = 16;
+
+/**
+ * Create a 400 error for an invalid channel
+ * (messages never include the URL, which may carry credentials)
+ */
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Split a URL path into its leading path and last segment
+ */
+function splitPath(pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+    const last = segments.pop();
+    return { prefix: segments.length > 0 ? `/${segments.join('/')}` : '', last: last ? decodeURIComponent(last) : '' };
+}
+
+/**
+ * Base for channels: where the server is and how to reach it
+ */
+class NotificationChannel {
+    /**
+     * @param {URL} url - Parsed channel URL
+     * @param {Object} options - { secure, restricted }
+     */
+    constructor(url, options) {
+        this.host = url.host;
+        this.baseUrl = `${options.secure ? 'https' : 'http'}://${url.host}`;
+        this.restricted = options.restricted;
+    }
+
+    /**
+     * Describe the channel without its credentials or topic (for API responses)
+     */
+    describe() {
+        return { type: this.type, host: this.host };
+    }
+
+    /**
+     * Make a request to the notification server
+     * @throws {Error} If the server can't be reached or doesn't accept the message
+     */
+    async request(url, options) {
+        let response;
+        try {
+            const send = this.restricted ? guardedFetch : fetch;
+            response = await send(url, {
+                ...options,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.notifications.timeoutMs),
+            });
+        } catch (error) {
+            if (error.permanent) {
+                throw error;
+            }
+            throw new Error(error.name === 'TimeoutError'
+                ? `${this.type} server ${this.host} did not respond within ${config.notifications.timeoutMs}ms`
+                : `${this.type} server ${this.host} unreachable: ${(error.cause && error.cause.message) || error.message}`);
+        }
+
+        await response.arrayBuffer().catch(() => {});
+        if (!response.ok) {
+            throw new Error(`${this.type} server ${this.host} returned HTTP ${response.status}`);
+        }
+    }
+}
+
+/**
+ * ntfy (https://ntfy.sh): publishes to a topic, authenticated with a user and password
+ * or an access token if given
+ */
+class NtfyChannel extends NotificationChannel {
+    constructor(url, options) {
+        super(url, options);
+        const { prefix, last } = splitPath(url.pathname);
+        if (!/^[-_A-Za-z0-9]{1,64}$/.test(last)) {
+            throw badRequest('ntfy channel needs a topic of up to 64 letters, digits, - or _ (ntfy://host/topic)');
+        }
+        this.type = 'ntfy';
+        this.publishUrl = `${this.baseUrl}${prefix}/`;
+        this.topic = last;
+
+        const user = decodeURIComponent(url.username);
+        const password = decodeURIComponent(url.password);
+        this.authorization = password
+            ? `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`
+            : user ? `Bearer ${user}` : null;
+    }
+
+    async send(message) {
+        await this.request(this.publishUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.authorization && { 'Authorization': this.authorization }),
+            },
+            body: JSON.stringify({
+                topic: this.topic,
+                title: message.title,
+                message: message.body,
+                priority: message.priority === 'high' ? 4 : 3,
+                tags: message.tags,
+                ...(message.link && { click: message.link }),
+            }),
+        });
+    }
+}
+
+/**
+ * Gotify (https://gotify.net): posts a message with an application token
+ */
+class GotifyChannel extends NotificationChannel {
+    constructor(url, options) {
+        super(url, options);
+        const { prefix, last } = splitPath(url.pathname);
+        if (!/^[-_.A-Za-z0-9]{1,128}$/.test(last)) {
+            throw badRequest('gotify channel needs an application token (gotify://host/app-token)');
+        }
+        this.type = 'gotify';
+        this.messageUrl = `${this.baseUrl}${prefix}/message`;
+        this.token = last;
+    }
+
+    async send(message) {
+        await this.request(this.messageUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Gotify-Key': this.token,
+            },
+            body: JSON.stringify({
+                title: message.title,
+                message: message.link ? `${message.body}\n\n${message.link}` : message.body,
+                priority: message.priority === 'high' ? 8 : 5,
+                ...(message.link && { extras: { 'client::notification': { click: { url: message.link } } } }),
+            }),
+        });
+    }
+}
+
+/**
+ * Matrix: sends a message to a room the access token's user has joined
+ */
+class MatrixChannel extends NotificationChannel {
+    constructor(url, options) {
+        super(url, options);
+        const accessToken = decodeURIComponent(url.username);
+        const roomId = decodeURIComponent(url.pathname.substring(1));
+        if (!accessToken) {
+            throw badRequest('matrix channel needs an access token (matrix://access-token@host/!room-id:server)');
+        }
+        if (!/^![^:/]+:[^/]+$/.test(roomId)) {
+            throw badRequest('matrix channel needs a room ID such as !abc123:matrix.org (matrix://access-token@host/!room-id:server)');
+        }
+        this.type = 'matrix';
+        this.accessToken = accessToken;
+        this.roomId = roomId;
+    }
+
+    async send(message) {
+        const transactionId = crypto.randomUUID();
+        const lines = [message.title, message.body, ...(message.link ? [message.link] : [])];
+
+        await this.request(
+            `${this.baseUrl}/_matrix/client/v3/rooms/${encodeURIComponent(this.roomId)}/send/m.room.message/${transactionId}`,
+            {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.accessToken}`,
+                },
+                body: JSON.stringify({
+                    msgtype: 'm.text',
+                    body: lines.join('\n'),
+                    format: 'org.matrix.custom.html',
+                    formatted_body: `<strong>${escapeHtml(message.title)}</strong><br>` +
+                        escapeHtml(message.body).replace(/\n/g, '<br>') +
+                        (message.link ? `<br><a href="${escapeHtml(message.link)}">${escapeHtml(message.link)}</a>` : ''),
+                }),
+            }
+        );
+    }
+}
+
+const CHANNEL_TYPES = {
+    ntfy: NtfyChannel,
+    gotify: GotifyChannel,
+    matrix: MatrixChannel,
+};
+
+/**
+ * Create a channel from its URL
+ * @param {string} value - Channel URL
+ * @param {Object} options - Channel options
+ * @param {boolean} options.restricted - The server may not be at a private address
+ *   (channels from build requests, unless allowPrivateHosts is set)
+ * @returns {NotificationChannel}
+ * @throws {Error} With statusCode 400 if the URL isn't a valid channel
+ */
+function createChannel(value, options = {}) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw badRequest('notification channels must be non-empty URL strings');
+    }
+    if (value.length > MAX_CHANNEL_URL_LENGTH) {
+        throw badRequest(`notification channel URL too long. Maximum ${MAX_CHANNEL_URL_LENGTH} characters allowed`);
+    }
+
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (error) {
+        throw badRequest('invalid notification channel URL');
+    }
+
+    const scheme = url.protocol.slice(0, -1);
+    const secure = !CHANNEL_TYPES[scheme] && scheme.endsWith('s');
+    const Channel = CHANNEL_TYPES[secure ? scheme.slice(0, -1) : scheme];
+    if (!Channel) {
+        throw badRequest(`unsupported notification channel ${scheme}:// (use ${Object.keys(CHANNEL_TYPES).map(type => `${type}[s]://`).join(', ')})`);
+    }
+    if (!url.hostname) {
+        throw badRequest(`${scheme} channel URL needs a host`);
+    }
+
+    const restricted = !!options.restricted && !config.notifications.allowPrivateHosts;
+    if (restricted && isPrivateHostname(url.hostname)) {
+        throw badRequest('notification channel must not point to a private or loopback address');
+    }
+
+    return new Channel(url, { secure, restricted });
+}
+
+/**
+ * Key that channel URLs are encrypted with (derived from API_SECRET_KEY)
+ */
+function getSealKey() {
+    return crypto.createHmac('sha256', config.security.apiSecretKey).update('notification-channels').digest();
+}
+
+/**
+ * Encrypt a channel URL for storage (AES-256-GCM)
+ * @param {string} url - Channel URL
+ * @returns {string} 'sealed:' and the base64url IV, auth tag and ciphertext
+ */
+function sealChannelUrl(url) {
+    const iv = crypto.randomBytes(SEAL_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getSealKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+    return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypt a stored channel URL (URLs stored before encryption are returned as they are)
+ * @param {string} value - Stored channel URL
+ * @returns {string} Channel URL
+ * @throws {Error} If it can't be decrypted (e.g. API_SECRET_KEY has changed)
+ */
+function openChannelUrl(value) {
+    if (!value.startsWith(SEALED_PREFIX)) {
+        return value;
+    }
+
+    const sealed = Buffer.from(value.substring(SEALED_PREFIX.length), 'base64url');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getSealKey(), sealed.subarray(0, SEAL_IV_BYTES));
+        decipher.setAuthTag(sealed.subarray(SEAL_IV_BYTES, SEAL_IV_BYTES + SEAL_TAG_BYTES));
+        return Buffer.concat([decipher.update(sealed.subarray(SEAL_IV_BYTES + SEAL_TAG_BYTES)), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('notification channel could not be decrypted (has API_SECRET_KEY changed?)');
+    }
+}
+
+module.exports = {
+    createChannel,
+    sealChannelUrl,
+    openChannelUrl,
+};
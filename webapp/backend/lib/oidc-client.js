@@ -0,0 +1,417 @@
+// OIDC Client - Sign-in through an OpenID Connect provider (Authentik, Keycloak, ...)
+// Authorization code flow with PKCE: the browser is sent to the provider, which sends it
+// back to the callback with a code; the server exchanges the code (and the PKCE verifier)
+// for an ID token and checks its signature, issuer, audience, expiry and nonce. The
+// state, nonce and verifier wait in a signed cookie between the two requests. The
+// user's groups at the provider decide their role.
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// Fetch the provider's discovery document and signing keys again after this long
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+// A sign-in must come back from the provider within this time
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Tolerated clock difference with the provider
+const CLOCK_SKEW_SECONDS = 60;
+
+// ID token signature algorithms (HS* use the client secret)
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', hash: 'sha256' },
+    RS384: { kty: 'RSA', hash: 'sha384' },
+    RS512: { kty: 'RSA', hash: 'sha512' },
+    PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    PS384: { kty: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+    PS512: { kty: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+    ES256: { kty: 'EC', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { kty: 'EC', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { kty: 'EC', hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { kty: 'OKP', hash: null },
+    HS256: { hash: 'sha256', secret: true },
+    HS384: { hash: 'sha384', secret: true },
+    HS512: { hash: 'sha512', secret: true },
+};
+
+/**
+ * Create an error with an HTTP status code (its message is shown to the user)
+ */
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function randomValue() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function decodeJson(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+class OidcClient {
+    constructor() {
+        this.provider = null;
+        this.providerFetchedAt = 0;
+        this.keys = null;
+        this.keysFetchedAt = 0;
+    }
+
+    isEnabled() {
+        return config.auth.oidc.enabled;
+    }
+
+    async fetchJson(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { Accept: 'application/json', ...options.headers },
+            signal: AbortSignal.timeout(config.auth.oidc.timeoutMs),
+        });
+
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            // Reported below
+        }
+
+        if (!response.ok) {
+            const detail = body && body.error
+                ? `${body.error}${body.error_description ? ` (${body.error_description})` : ''}`
+                : `HTTP ${response.status}`;
+            throw new Error(`${new URL(url).pathname} returned ${detail}`);
+        }
+        if (!body || typeof body !== 'object') {
+            throw new Error(`${new URL(url).pathname} did not return JSON`);
+        }
+        return body;
+    }
+
+    /**
+     * The provider's discovery document (cached)
+     * @returns {Promise<Object>} OpenID provider metadata
+     */
+    async getProvider() {
+        if (this.provider && Date.now() - this.providerFetchedAt < DISCOVERY_TTL_MS) {
+            return this.provider;
+        }
+
+        const { issuer } = config.auth.oidc;
+        const provider = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+        // Providers differ on the trailing slash (Authentik has one), so compare without it
+        if (typeof provider.issuer !== 'string' || provider.issuer.replace(/\/+$/, '') !== issuer) {
+            throw new Error(`Discovery document is for issuer ${provider.issuer}, not ${issuer}`);
+        }
+        for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+            if (typeof provider[field] !== 'string') {
+                throw new Error(`Discovery document has no ${field}`);
+            }
+        }
+
+        this.provider = provider;
+        this.providerFetchedAt = Date.now();
+        return provider;
+    }
+
+    /**
+     * The provider's signing keys (cached; fetched again when a token names an unknown key)
+     * @param {boolean} refresh - Ignore the cache
+     * @returns {Promise<Object[]>} JWKs
+     */
+    async getKeys(refresh = false) {
+        if (!refresh && this.keys && Date.now() - this.keysFetchedAt < DISCOVERY_TTL_MS) {
+            return this.keys;
+        }
+
+        const provider = await this.getProvider();
+        const jwks = await this.fetchJson(provider.jwks_uri);
+        this.keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+        this.keysFetchedAt = Date.now();
+        return this.keys;
+    }
+
+    /**
+     * Sign the pending sign-in for its cookie
+     * @param {Object} pending - { state, nonce, verifier, returnTo }
+     * @returns {string} Cookie value
+     */
+    sealState(pending) {
+        const payload = Buffer.from(JSON.stringify({ ...pending, expires: Date.now() + STATE_TTL_MS })).toString('base64url');
+        return `${payload}.${this.signState(payload)}`;
+    }
+
+    /**
+     * Check and read the pending sign-in cookie
+     * @returns {Object|null} { state, nonce, verifier, returnTo }, or null if invalid or expired
+     */
+    openState(value) {
+        const [payload, signature] = (value || '').split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.signState(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        try {
+            const pending = decodeJson(payload);
+            return pending.expires > Date.now() ? pending : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    signState(payload) {
+        return crypto.createHmac('sha256', config.security.apiSecretKey).update(`oidc-state.${payload}`).digest('base64url');
+    }
+
+    /**
+     * Start a sign-in
+     * @param {string} returnTo - App path to return to afterwards
+     * @returns {Promise<Object>} { url, pending } - send the browser to url; keep pending for the callback
+     */
+    async createAuthorization(returnTo) {
+        const provider = await this.getProvider();
+        const { clientId, redirectUri, scopes } = config.auth.oidc;
+        const pending = { state: randomValue(), nonce: randomValue(), verifier: randomValue(), returnTo };
+
+        const url = new URL(provider.authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', clientId);
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('scope', scopes);
+        url.searchParams.set('state', pending.state);
+        url.searchParams.set('nonce', pending.nonce);
+        url.searchParams.set('code_challenge', crypto.createHash('sha256').update(pending.verifier).digest('base64url'));
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        return { url: url.toString(), pending };
+    }
+
+    /**
+     * Finish a sign-in from the provider's callback
+     * @param {Object} params - Callback query parameters (code, state or error)
+     * @param {Object|null} pending - The pending sign-in from its cookie
+     * @returns {Promise<Object>} { claims, idToken }
+     * @throws {Error} With statusCode 400 for a failed or tampered sign-in
+     */
+    async completeAuthorization(params, pending) {
+        if (!pending) {
+            throw httpError(400, 'The sign-in took too long or was started in another browser. Please try again.');
+        }
+        if (params.error) {
+            throw httpError(400, `The sign-in provider refused the sign-in: ${params.error_description || params.error}`);
+        }
+        if (typeof params.state !== 'string' || params.state !== pending.state || typeof params.code !== 'string') {
+            throw httpError(400, 'Invalid sign-in response. Please try again.');
+        }
+
+        const provider = await this.getProvider();
+        const tokens = await this.exchangeCode(provider, params.code, pending.verifier);
+        if (typeof tokens.id_token !== 'string') {
+            throw new Error('Token response has no id_token');
+        }
+
+        let claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+
+        // Some providers only put profile claims (and groups) in the userinfo response
+        const { usernameClaim, groupsClaim } = config.auth.oidc;
+        if ((claims[groupsClaim] === undefined || claims[usernameClaim] === undefined) &&
+            provider.userinfo_endpoint && tokens.access_token) {
+            const userinfo = await this.fetchJson(provider.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` },
+            });
+            if (userinfo.sub === claims.sub) {
+                claims = { ...userinfo, ...claims };
+            } else {
+                logger.warn('Ignored OIDC userinfo response for another subject');
+            }
+        }
+
+        return { claims, idToken: tokens.id_token };
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     */
+    async exchangeCode(provider, code, verifier) {
+        const { clientId, clientSecret, redirectUri } = config.auth.oidc;
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: verifier,
+            client_id: clientId,
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        if (clientSecret) {
+            const methods = provider.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+            if (methods.includes('client_secret_basic')) {
+                const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+                headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            } else {
+                body.set('client_secret', clientSecret);
+            }
+        }
+
+        return this.fetchJson(provider.token_endpoint, { method: 'POST', headers, body: body.toString() });
+    }
+
+    /**
+     * Check an ID token's signature and claims
+     * @param {string} idToken - Compact JWS
+     * @param {string} nonce - Nonce sent with the authorization request
+     * @returns {Promise<Object>} Claims
+     */
+    async verifyIdToken(idToken, nonce) {
+        const parts = idToken.split('.');
+        if (parts.length !== 3) {
+            throw new Error('ID token is not a JWS');
+        }
+
+        let header;
+        let claims;
+        try {
+            header = decodeJson(parts[0]);
+            claims = decodeJson(parts[1]);
+        } catch (error) {
+            throw new Error('ID token is not valid JSON');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new Error(`ID token algorithm ${header.alg} is not supported`);
+        }
+
+        const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+        const signature = Buffer.from(parts[2], 'base64url');
+        if (!await this.verifySignature(header, algorithm, data, signature)) {
+            throw new Error('ID token signature is invalid');
+        }
+
+        const { clientId } = config.auth.oidc;
+        const provider = await this.getProvider();
+        const now = Math.floor(Date.now() / 1000);
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+        if (claims.iss !== provider.issuer) {
+            throw new Error(`ID token is from issuer ${claims.iss}`);
+        }
+        if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp && claims.azp !== clientId)) {
+            throw new Error('ID token is for another client');
+        }
+        if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+            throw new Error('ID token has expired');
+        }
+        if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+            throw new Error('ID token was issued in the future');
+        }
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match');
+        }
+        if (typeof claims.sub !== 'string' || claims.sub === '') {
+            throw new Error('ID token has no subject');
+        }
+
+        return claims;
+    }
+
+    async verifySignature(header, algorithm, data, signature) {
+        if (algorithm.secret) {
+            const { clientSecret } = config.auth.oidc;
+            if (!clientSecret) {
+                throw new Error(`ID token algorithm ${header.alg} needs OIDC_CLIENT_SECRET`);
+            }
+            const expected = crypto.createHmac(algorithm.hash, clientSecret).update(data).digest();
+            return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+        }
+
+        const findKey = keys => keys.find(key =>
+            (!header.kid || key.kid === header.kid) && key.kty === algorithm.kty && key.use !== 'enc' &&
+            (!key.alg || key.alg === header.alg));
+
+        // An unknown key ID usually means the provider rotated its keys
+        let jwk = findKey(await this.getKeys());
+        if (!jwk && header.kid) {
+            jwk = findKey(await this.getKeys(true));
+        }
+        if (!jwk) {
+            throw new Error(`No signing key found for ID token (kid ${header.kid || 'none'})`);
+        }
+
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        return crypto.verify(algorithm.hash, data, {
+            key,
+            padding: algorithm.padding,
+            saltLength: algorithm.saltLength,
+            dsaEncoding: algorithm.dsaEncoding,
+        }, signature);
+    }
+
+    /**
+     * Who signed in, from ID token (and userinfo) claims
+     * @returns {Object} { issuer, subject, username, groups }
+     */
+    getIdentity(claims) {
+        const { usernameClaim, groupsClaim } = config.auth.oidc;
+        const groups = claims[groupsClaim];
+
+        return {
+            issuer: claims.iss,
+            subject: claims.sub,
+            username: [claims[usernameClaim], claims.preferred_username, claims.email]
+                .find(value => typeof value === 'string' && value !== '') || null,
+            groups: Array.isArray(groups) ? groups.filter(group => typeof group === 'string') : [],
+        };
+    }
+
+    /**
+     * Map the provider's groups to a role
+     * Keycloak reports group paths ("/admins"), so a leading slash is ignored.
+     * @param {string[]} groups - Group names
+     * @returns {string|null} 'admin', 'user', or null if the user may not sign in
+     */
+    getRole(groups) {
+        const { adminGroups, userGroups } = config.auth.oidc;
+        const names = new Set(groups.flatMap(group => [group, group.replace(/^\//, '')]));
+
+        if (adminGroups.some(group => names.has(group))) {
+            return 'admin';
+        }
+        if (userGroups.length === 0 || userGroups.some(group => names.has(group))) {
+            return 'user';
+        }
+        return null;
+    }
+
+    /**
+     * Where to send the browser to sign out of the provider too (RP-initiated logout)
+     * @param {string} idToken - The ID token the session started with
+     * @returns {Promise<string|null>} URL, or null if the provider has no end_session_endpoint
+     */
+    async getLogoutUrl(idToken) {
+        const provider = await this.getProvider();
+        if (!provider.end_session_endpoint) {
+            return null;
+        }
+
+        const { clientId, postLogoutRedirectUri } = config.auth.oidc;
+        const url = new URL(provider.end_session_endpoint);
+        url.searchParams.set('id_token_hint', idToken);
+        url.searchParams.set('client_id', clientId);
+        if (postLogoutRedirectUri) {
+            url.searchParams.set('post_logout_redirect_uri', postLogoutRedirectUri);
+        }
+        return url.toString();
+    }
+}
+
+module.exports = new OidcClient();
@@ -0,0 +1,421 @@
+// SSH Build Backend - Runs builds on pre-registered Linux hosts over SSH
+// Each host runs up to `capacity` builds; ISOs are collected into local output storage.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const config = require('../config/config');
+const logger = require('./logger');
+const vmManager = require('./vm-manager');
+const localOutputStore = require('./local-output-store');
+const { BuildBackend } = require('./build-backend');
+
+const execFileAsync = promisify(execFile);
+
+// Section markers in the remote status report
+const STATUS_MARKER = Buffer.from('\n---status---\n');
+const LOG_MARKER = Buffer.from('\n---log---\n');
+
+class SSHBuildBackend extends BuildBackend {
+    constructor() {
+        super('ssh', localOutputStore);
+        this.starting = new Map(); // Host name -> builds being started (not yet visible on the host)
+    }
+
+    get hosts() {
+        return config.backends.ssh.hosts;
+    }
+
+    get maxConcurrentBuilds() {
+        return this.hosts.reduce((total, host) => total + host.capacity, 0);
+    }
+
+    /**
+     * Connection arguments shared by ssh and scp
+     * @param {Object} host - Builder host from config
+     * @param {string} portFlag - '-p' for ssh, '-P' for scp
+     */
+    connectionArgs(host, portFlag) {
+        const args = [
+            '-o', 'BatchMode=yes',
+            '-o', `ConnectTimeout=${config.backends.ssh.connectTimeoutSeconds}`,
+            '-o', 'StrictHostKeyChecking=accept-new',
+            portFlag, String(host.port),
+        ];
+        if (host.identityFile) {
+            args.push('-i', host.identityFile);
+        }
+        return args;
+    }
+
+    /**
+     * Run a shell command on a builder host
+     * @param {Object} host - Builder host from config
+     * @param {string} command - Remote shell command (callers quote validated values only)
+     * @param {Object} options - { encoding, timeout }
+     * @returns {string|Buffer} stdout
+     */
+    async ssh(host, command, options = {}) {
+        const { stdout } = await execFileAsync('ssh', [
+            ...this.connectionArgs(host, '-p'),
+            `${host.user}@${host.host}`,
+            command,
+        ], {
+            encoding: options.encoding || 'utf8',
+            timeout: options.timeout || config.backends.ssh.commandTimeoutMs,
+            maxBuffer: 64 * 1024 * 1024,
+        });
+        return stdout;
+    }
+
+    /**
+     * Copy files with scp
+     */
+    async scp(host, args, timeout = config.backends.ssh.transferTimeoutMs) {
+        await execFileAsync('scp', [...this.connectionArgs(host, '-P'), '-q', ...args], { timeout });
+    }
+
+    /**
+     * Prefix for commands that need root on the host
+     */
+    sudo(host) {
+        return host.sudo ? 'sudo -n ' : '';
+    }
+
+    /**
+     * Instance names record the host a build runs on: iso-build-<id>@<host>
+     * @returns {{ host: Object|null, buildName: string }}
+     */
+    parseInstanceName(instanceName) {
+        const [buildName, hostName] = instanceName.split('@');
+        return {
+            buildName,
+            host: this.hosts.find(host => host.name === hostName) || null,
+        };
+    }
+
+    /**
+     * Directory holding a build's script, metadata, outputs and log on the host
+     */
+    getBuildDir(host, buildName) {
+        return `${host.workDir}/${buildName}`;
+    }
+
+    /**
+     * Local copy of the build log, appended to as the build runs
+     */
+    getLocalLogPath(buildName) {
+        return path.join(config.localStorage.logsDir, `${buildName}.log`);
+    }
+
+    /**
+     * Append new log output to the local copy, and publish it as a log chunk
+     * (the remote output directory isn't visible to the backend)
+     */
+    async appendLog(buildName, data) {
+        const logPath = this.getLocalLogPath(buildName);
+        await fs.promises.mkdir(config.localStorage.logsDir, { recursive: true });
+        const offset = await fs.promises.stat(logPath).then(stats => stats.size, () => 0);
+        await fs.promises.appendFile(logPath, data);
+        await localOutputStore.writeLogChunk(buildName.slice(-8), offset, data);
+    }
+
+    /**
+     * Count builds still running on a host (build directories without an exit code)
+     */
+    async countActiveBuilds(host) {
+        const output = await this.ssh(host, [
+            'n=0',
+            `for d in '${host.workDir}'/iso-build-*; do`,
+            '  if [ -d "$d" ] && [ ! -f "$d/exit-code" ]; then n=$((n+1)); fi',
+            'done',
+            'echo "$n"',
+        ].join('\n'));
+        return parseInt(output.trim()) || 0;
+    }
+
+    /**
+     * Pick the host with the most free capacity and reserve a slot on it
+     * (unreachable hosts are skipped). Release with releaseHost().
+     * @returns {Object} Builder host
+     */
+    async reserveHost() {
+        if (this.hosts.length === 0) {
+            throw new Error('No SSH builder hosts configured (set SSH_BUILDER_HOSTS)');
+        }
+
+        const active = new Map();
+        for (const host of this.hosts) {
+            try {
+                active.set(host.name, await this.countActiveBuilds(host));
+            } catch (error) {
+                logger.warn(`SSH builder host ${host.name} is unreachable: ${error.message}`);
+            }
+        }
+
+        // Choose and reserve without awaiting, so concurrent calls see each other's reservations
+        let best = null;
+        let bestFree = 0;
+        for (const host of this.hosts.filter(host => active.has(host.name))) {
+            const free = host.capacity - active.get(host.name) - (this.starting.get(host.name) || 0);
+            if (free > bestFree) {
+                best = host;
+                bestFree = free;
+            }
+        }
+
+        if (!best) {
+            const error = new Error('No SSH builder host has free capacity');
+            error.statusCode = 503;
+            throw error;
+        }
+        this.starting.set(best.name, (this.starting.get(best.name) || 0) + 1);
+        return best;
+    }
+
+    releaseHost(host) {
+        this.starting.set(host.name, this.starting.get(host.name) - 1);
+    }
+
+    async create(buildId, buildConfig, options = {}) {
+        const buildName = super.getInstanceName(buildId);
+
+        // Validates the build ID and config values before anything is uploaded
+        const startupScript = vmManager.generateStartupScript(buildId, buildConfig);
+
+        const host = await this.reserveHost();
+        const instanceName = `${buildName}@${host.name}`;
+        const buildDir = this.getBuildDir(host, buildName);
+
+        logger.info(`Starting build ${buildName} on SSH builder host ${host.name}`, {
+            host: host.host,
+            services: buildConfig.services,
+            models: buildConfig.models,
+        });
+
+        // Stage the script and its metadata (the equivalent of GCE instance metadata)
+        const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `${buildName}-`));
+        try {
+            const metadataDir = path.join(stagingDir, 'metadata');
+            await fs.promises.mkdir(metadataDir);
+            await fs.promises.writeFile(path.join(stagingDir, 'startup.sh'), startupScript, { mode: 0o755 });
+
+            const metadata = {
+                'build-id': buildId,
+                'build-config': JSON.stringify(buildConfig),
+                'config-hash': options.configHash || '',
+                'installer-ref': options.installerRef || config.build.installerRef,
+                'status-key': options.statusKey || '',
+                'callback-url': config.callbacks.baseUrl,
+                'callback-token': options.callbackToken || '',
+                'output-dir': `${buildDir}/output`,
+                'work-dir': `${buildDir}/work`,
+                'log-file': `${buildDir}/iso-build.log`,
+            };
+            for (const [key, value] of Object.entries(metadata)) {
+                await fs.promises.writeFile(path.join(metadataDir, key), value);
+            }
+
+            await this.ssh(host, `mkdir -p '${host.workDir}' && rm -rf '${buildDir}'`);
+            await this.scp(host, ['-r', stagingDir, `${host.user}@${host.host}:${buildDir}`],
+                config.backends.ssh.commandTimeoutMs);
+
+            // Detached in its own session so it survives the SSH connection; the exit code
+            // marks completion and the pid (= process group) allows cancellation
+            const run = `bash '${buildDir}/startup.sh' > '${buildDir}/console.log' 2>&1; echo \\$? > '${buildDir}/exit-code'`;
+            await this.ssh(host, `nohup setsid ${this.sudo(host)}env BUILD_METADATA_DIR='${buildDir}/metadata' ` +
+                `bash -c "${run}" > /dev/null 2>&1 < /dev/null & echo $! > '${buildDir}/pid'`);
+        } catch (error) {
+            logger.error(`Failed to start build ${buildName} on ${host.name}:`, error);
+            await this.ssh(host, `${this.sudo(host)}rm -rf '${buildDir}'`).catch(() => {});
+            throw error;
+        } finally {
+            this.releaseHost(host);
+            await fs.promises.rm(stagingDir, { recursive: true, force: true });
+        }
+
+        logger.info(`Build ${buildName} running on ${host.name}`);
+        return instanceName;
+    }
+
+    /**
+     * Fetch a build's state, status file and new log output in one round trip
+     * @returns {Object|null} { state, exitCode, status, log }, or null if the build directory is gone
+     */
+    async fetchReport(host, buildName) {
+        const buildDir = this.getBuildDir(host, buildName);
+        const localLog = this.getLocalLogPath(buildName);
+        const offset = await fs.promises.stat(localLog).then(stat => stat.size, () => 0);
+
+        const output = await this.ssh(host, [
+            `d='${buildDir}'`,
+            'if [ ! -d "$d" ]; then echo missing; exit 0; fi',
+            'pid="$(cat "$d/pid" 2>/dev/null)"',
+            'if [ -f "$d/exit-code" ]; then echo "exited $(cat "$d/exit-code")"',
+            'elif [ -n "$pid" ] && [ -d "/proc/$pid" ]; then echo running',
+            'else echo exited; fi',
+            'ls "$d/output"',
+            'printf "\\n---status---\\n"',
+            `cat "$d/output/build-status-${buildName.slice(-8)}.json" 2>/dev/null`,
+            'printf "\\n---log---\\n"',
+            `tail -c +${offset + 1} "$d/iso-build.log" 2>/dev/null`,
+            'true',
+        ].join('\n'), { encoding: 'buffer' });
+
+        const statusStart = output.indexOf(STATUS_MARKER);
+        const logStart = output.indexOf(LOG_MARKER);
+        const [stateLine, ...outputs] = output.slice(0, statusStart === -1 ? output.length : statusStart)
+            .toString().trim().split('\n');
+        const [state, exitCode] = stateLine.split(' ');
+        if (state === 'missing') {
+            return null;
+        }
+
+        let status = null;
+        if (statusStart !== -1 && logStart !== -1) {
+            try {
+                status = JSON.parse(output.slice(statusStart + STATUS_MARKER.length, logStart).toString());
+            } catch (error) {
+                // Not written yet
+            }
+        }
+
+        return {
+            state,
+            exitCode: exitCode === undefined ? null : parseInt(exitCode),
+            outputs: outputs.filter(Boolean),
+            status,
+            log: logStart === -1 ? Buffer.alloc(0) : output.slice(logStart + LOG_MARKER.length),
+        };
+    }
+
+    /**
+     * Copy finished ISOs (and their sidecar files) into local output storage
+     */
+    async collectOutputs(host, buildName, outputs) {
+        const buildDir = this.getBuildDir(host, buildName);
+
+        for (const filename of outputs.filter(name => name.endsWith('.iso'))) {
+            if (await localOutputStore.isoExists(filename)) {
+                continue;
+            }
+
+            const localPath = localOutputStore.resolvePath(filename);
+            logger.info(`Collecting ${filename} from SSH builder host ${host.name}`);
+            if (outputs.includes(`${filename}.json`)) {
+                await this.scp(host, [`${host.user}@${host.host}:${buildDir}/output/${filename}.json`, `${localPath}.json`]);
+            }
+            // Partial copies never look like finished ISOs
+            await this.scp(host, [`${host.user}@${host.host}:${buildDir}/output/${filename}`, `${localPath}.partial`]);
+            await fs.promises.rename(`${localPath}.partial`, localPath);
+        }
+    }
+
+    /**
+     * Mirror a build's progress locally: append new log output and, once the ISO
+     * has been collected, the status file the orchestrator polls
+     */
+    async sync(host, buildName, report) {
+        if (report.log.length > 0) {
+            await this.appendLog(buildName, report.log);
+        }
+
+        if (!report.status) {
+            return;
+        }
+
+        localOutputStore.ensureOutputDir();
+        if (report.status.stage === 'complete') {
+            await this.collectOutputs(host, buildName, report.outputs);
+        }
+
+        const statusPath = localOutputStore.resolvePath(`build-status-${buildName.slice(-8)}.json`);
+        await fs.promises.writeFile(`${statusPath}.tmp`, JSON.stringify(report.status));
+        await fs.promises.rename(`${statusPath}.tmp`, statusPath);
+    }
+
+    /**
+     * Find the host of an instance name without one (build started before a restart)
+     */
+    async findHost(buildName) {
+        for (const host of this.hosts) {
+            try {
+                if (await this.fetchReport(host, buildName)) {
+                    return host;
+                }
+            } catch (error) {
+                logger.warn(`SSH builder host ${host.name} is unreachable: ${error.message}`);
+            }
+        }
+        return null;
+    }
+
+    async status(instanceName) {
+        const parsed = this.parseInstanceName(instanceName);
+        const host = parsed.host || await this.findHost(parsed.buildName);
+        if (!host) {
+            return null;
+        }
+
+        const report = await this.fetchReport(host, parsed.buildName);
+        if (!report) {
+            return null;
+        }
+
+        await this.sync(host, parsed.buildName, report);
+
+        return {
+            name: `${parsed.buildName}@${host.name}`,
+            host: host.name,
+            status: report.state === 'running' ? 'RUNNING' : 'TERMINATED',
+            exitCode: report.exitCode,
+        };
+    }
+
+    async logs(instanceName, buildId) {
+        const { host, buildName } = this.parseInstanceName(instanceName);
+        const logPath = this.getLocalLogPath(buildName);
+
+        try {
+            // Pick up output written since the last status poll
+            const report = host ? await this.fetchReport(host, buildName) : null;
+            if (report && report.log.length > 0) {
+                await this.appendLog(buildName, report.log);
+            }
+        } catch (error) {
+            // Don't throw - log export failure shouldn't prevent cleanup
+            logger.warn(`Failed to fetch the latest log output for ${instanceName}: ${error.message}`);
+        }
+
+        const exists = await fs.promises.access(logPath).then(() => true, () => false);
+        if (exists) {
+            logger.info(`Build log for ${buildId} saved to ${logPath}`);
+        }
+        return exists ? logPath : null;
+    }
+
+    async destroy(instanceName, buildId, exportLogs = true) {
+        const logPath = exportLogs ? await this.logs(instanceName, buildId) : null;
+        const { host, buildName } = this.parseInstanceName(instanceName);
+        if (!host) {
+            logger.warn(`Unknown SSH builder host for ${instanceName}, nothing to clean up`);
+            return logPath;
+        }
+
+        const buildDir = this.getBuildDir(host, buildName);
+        // Stop the build's process group if it is still running, then remove its files
+        await this.ssh(host, [
+            `d='${buildDir}'`,
+            'pid="$(cat "$d/pid" 2>/dev/null)"',
+            `if [ -n "$pid" ] && [ ! -f "$d/exit-code" ]; then ${this.sudo(host)}kill -TERM -- "-$pid" 2>/dev/null; sleep 2; fi`,
+            `${this.sudo(host)}rm -rf "$d"`,
+        ].join('\n'));
+        logger.info(`Removed build ${buildName} from SSH builder host ${host.name}`);
+
+        return logPath;
+    }
+}
+
+module.exports = new SSHBuildBackend();
@@ -0,0 +1,60 @@
+// Status Signatures - HMAC signing of the status documents written by build VMs
+// The orchestrator trusts status files (progress >= 100 means complete), so each build
+// signs them with a random key of its own, generated when its VM is created and stored
+// with the build. A status file of a build missing from the build store can't be verified.
+
+const crypto = require('crypto');
+
+/**
+ * Generate the key a build signs its status documents with (passed to the VM in metadata)
+ * @returns {string} 64-character hex key
+ */
+function generateStatusKey() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a status document (same canonical form as write_status in the startup script)
+ * Structured tasks (status schema v1) are signed as their compact JSON serialization.
+ * @param {string} buildId - Build ID
+ * @param {Object} status - { stage, progress, message, timestamp, tasks }
+ * @param {string} key - The build's status key
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signStatus(buildId, status, key) {
+    const fields = [buildId, status.stage, status.progress, status.message, status.timestamp];
+    if (status.tasks !== undefined) {
+        fields.push(JSON.stringify(status.tasks));
+    }
+    const canonical = fields.join('\n');
+    return crypto.createHmac('sha256', key).update(canonical).digest('hex');
+}
+
+/**
+ * Check a status document's signature
+ * @param {string} buildId - Build ID
+ * @param {Object} status - Parsed status document
+ * @param {string|null} key - The build's status key (null if it has none)
+ * @returns {string|null} null if valid, otherwise why it was rejected ('missing', 'unverifiable' or 'invalid')
+ */
+function verifyStatus(buildId, status, key) {
+    if (!status || typeof status.signature !== 'string' || status.signature === '') {
+        return 'missing';
+    }
+    if (!key) {
+        return 'unverifiable';
+    }
+
+    const expected = Buffer.from(signStatus(buildId, status, key), 'hex');
+    const actual = Buffer.from(status.signature, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return 'invalid';
+    }
+    return null;
+}
+
+module.exports = {
+    generateStatusKey,
+    signStatus,
+    verifyStatus,
+};
@@ -0,0 +1,558 @@
+// User Manager - User accounts, personal API tokens and web sessions
+// Passwords are hashed with scrypt. API tokens and session IDs are random values shown
+// once; the store only keeps an HMAC of each (keyed with API_SECRET_KEY), so a copy of
+// the database can't be used to sign in. Builds are owned by the user who requested them.
+// Users who sign in through an OIDC provider are linked to it by its issuer and subject
+// and have no password. The backend only sees their groups when they sign in, so their
+// sessions and API tokens stop working OIDC_MEMBERSHIP_TTL_HOURS after their last sign-in.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['user', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_TOKEN_NAME_LENGTH = 64;
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// API tokens carry a prefix so they are recognizable (e.g. by secret scanners)
+const API_TOKEN_PREFIX = 'isob_';
+
+// Record when a token was last used at most this often (not on every request)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error with an HTTP status code
+ */
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class UserManager {
+    constructor() {
+        this.repository = null;
+        // User ID -> build requests past the quota check whose builds aren't saved yet
+        this.pendingBuilds = new Map();
+    }
+
+    /**
+     * @param {BuildRepository} repository - Store for users and tokens
+     */
+    init(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Hash a password for storage
+     * @param {string} password - Plain text password
+     * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" (base64 salt and hash)
+     */
+    async hashPassword(password) {
+        const { N, r, p } = SCRYPT_COST;
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+        return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+    }
+
+    /**
+     * Check a password against a stored hash
+     * @returns {Promise<boolean>}
+     */
+    async verifyPassword(password, passwordHash) {
+        const [algorithm, N, r, p, salt, hash] = (passwordHash || '').split('$');
+        if (algorithm !== 'scrypt' || !hash) {
+            return false;
+        }
+
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+            N: Number(N),
+            r: Number(r),
+            p: Number(p),
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    validatePassword(password) {
+        const minLength = config.auth.minPasswordLength;
+        if (typeof password !== 'string' || password.length < minLength || password.length > MAX_PASSWORD_LENGTH) {
+            throw httpError(400, `password must be a string of ${minLength} to ${MAX_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    validateBuildQuota(quota) {
+        if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+            throw httpError(400, 'daily_build_quota must be a non-negative integer or null (the default quota)');
+        }
+    }
+
+    /**
+     * Create a user account
+     * @param {Object} spec - { username, password, role, daily_build_quota }
+     * @returns {Promise<Object>} User
+     * @throws {Error} With statusCode 400 if the spec is invalid, 409 if the username is taken
+     */
+    async createUser(spec) {
+        const { username: name, password, role = 'user', daily_build_quota: dailyBuildQuota = null } = spec || {};
+        const username = typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+        if (!USERNAME_PATTERN.test(username)) {
+            throw httpError(400, 'username must be 3 to 32 characters: letters, digits, ., _ or -, starting with a letter or digit');
+        }
+        this.validatePassword(password);
+        this.validateRole(role);
+        this.validateBuildQuota(dailyBuildQuota);
+
+        const user = {
+            id: uuidv4(),
+            username,
+            passwordHash: await this.hashPassword(password),
+            role,
+            dailyBuildQuota,
+            created: new Date().toISOString(),
+        };
+        await this.repository.saveUser(user);
+
+        logger.info(`User ${username} created`, { userId: user.id, role });
+        return user;
+    }
+
+    /**
+     * Find or create the user for an OIDC sign-in
+     * Users are matched on the provider's subject, never on the username, so a provider
+     * account can't take over a local one; a taken username gets a suffix instead. The
+     * role follows the provider's groups at every sign-in, which also renews the user's
+     * membership (see isMembershipCurrent).
+     * @param {Object} identity - { issuer, subject, username } from the ID token
+     * @param {string} role - Role from the user's groups
+     * @returns {Promise<Object>} User
+     */
+    async signInWithIdentity(identity, role) {
+        const { issuer, subject } = identity;
+        const verifiedAt = new Date().toISOString();
+        const existing = await this.repository.getUserByIdentity(issuer, subject);
+        if (existing) {
+            if (existing.role !== role) {
+                logger.info(`User ${existing.username} is now ${role} (from their provider groups)`, { userId: existing.id });
+                existing.role = role;
+            }
+            existing.identity.verifiedAt = verifiedAt;
+            await this.repository.saveUser(existing);
+            return existing;
+        }
+
+        const suffix = crypto.createHash('sha256').update(`${issuer}#${subject}`).digest('hex').substring(0, 6);
+        const name = String(identity.username || '').toLowerCase().split('@')[0]
+            .replace(/[^a-z0-9._-]+/g, '-').replace(/^[._-]+/, '').substring(0, 32);
+        const candidates = USERNAME_PATTERN.test(name)
+            ? [name, `${name.substring(0, 25)}-${suffix}`]
+            : [`user-${suffix}`];
+
+        for (const username of candidates) {
+            if (await this.repository.getUserByUsername(username)) {
+                continue;
+            }
+
+            const user = {
+                id: uuidv4(),
+                username,
+                passwordHash: null,
+                role,
+                dailyBuildQuota: null,
+                identity: { issuer, subject, verifiedAt },
+                created: verifiedAt,
+            };
+            await this.repository.saveUser(user);
+
+            logger.info(`User ${username} created at first OIDC sign-in`, { userId: user.id, role });
+            return user;
+        }
+
+        throw httpError(409, `Username ${candidates[candidates.length - 1]} is already taken`);
+    }
+
+    /**
+     * Sign a known OIDC user out everywhere once their groups no longer allow them in
+     * Sessions and API tokens are deleted; the account and its builds are kept for when
+     * they're added back.
+     * @param {Object} identity - { issuer, subject } from the ID token
+     * @returns {Promise<Object|null>} User, or null if the identity has never signed in
+     */
+    async revokeIdentity(identity) {
+        const user = await this.repository.getUserByIdentity(identity.issuer, identity.subject);
+        if (!user) {
+            return null;
+        }
+
+        let revoked = 0;
+        for (const type of ['session', 'api']) {
+            for (const token of await this.repository.listTokens(user.id, type)) {
+                await this.repository.deleteToken(token.id);
+                revoked++;
+            }
+        }
+        if (revoked > 0) {
+            logger.info(`Revoked ${revoked} sessions and API tokens of ${user.username} (no longer in an allowed group)`, { userId: user.id });
+        }
+        return user;
+    }
+
+    /**
+     * Whether an OIDC user's groups were checked recently enough to let them in
+     * Their groups are only checked at sign-in; OIDC_MEMBERSHIP_TTL_HOURS later their
+     * sessions and API tokens stop working until they sign in again. Users with a
+     * password always pass.
+     * @param {Object} user - User
+     * @param {number} [now] - Current time (ms)
+     * @returns {boolean}
+     */
+    isMembershipCurrent(user, now = Date.now()) {
+        if (!user.identity) {
+            return true;
+        }
+        return this.getMembershipExpiry(user) > now;
+    }
+
+    /**
+     * When an OIDC user's last group check runs out (ms; 0 if never checked)
+     */
+    getMembershipExpiry(user) {
+        const verifiedAt = user.identity && user.identity.verifiedAt;
+        return verifiedAt
+            ? new Date(verifiedAt).getTime() + config.auth.oidc.membershipTtlHours * 60 * 60 * 1000
+            : 0;
+    }
+
+    /**
+     * Change a user's password, role or build quota
+     * Changing the password signs the user out everywhere.
+     * @param {string} userId - User ID
+     * @param {Object} changes - { password, role, daily_build_quota }
+     * @returns {Promise<Object|null>} Updated user, or null if the user doesn't exist
+     */
+    async updateUser(userId, changes) {
+        const user = await this.repository.getUser(userId);
+        if (!user) {
+            return null;
+        }
+
+        if (changes.role !== undefined) {
+            this.validateRole(changes.role);
+            user.role = changes.role;
+        }
+        if (changes.daily_build_quota !== undefined) {
+            this.validateBuildQuota(changes.daily_build_quota);
+            user.dailyBuildQuota = changes.daily_build_quota;
+        }
+        if (changes.password !== undefined) {
+            this.validatePassword(changes.password);
+            user.passwordHash = await this.hashPassword(changes.password);
+            for (const session of await this.repository.listTokens(userId, 'session')) {
+                await this.repository.deleteToken(session.id);
+            }
+        }
+
+        await this.repository.saveUser(user);
+        logger.info(`User ${user.username} updated`, {
+            userId,
+            changed: Object.keys(changes).filter(key => changes[key] !== undefined),
+        });
+        return user;
+    }
+
+    /**
+     * Delete a user with their API tokens and sessions (their builds are kept)
+     * @returns {Promise<boolean>} Whether the user existed
+     */
+    async deleteUser(userId) {
+        const deleted = await this.repository.deleteUser(userId);
+        if (deleted) {
+            logger.info(`User ${userId} deleted`);
+        }
+        return deleted;
+    }
+
+    async getUser(userId) {
+        return this.repository.getUser(userId);
+    }
+
+    async listUsers() {
+        return this.repository.listUsers();
+    }
+
+    /**
+     * Format a user for API responses (never includes the password hash)
+     */
+    formatUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            daily_build_quota: user.dailyBuildQuota !== undefined ? user.dailyBuildQuota : null,
+            sign_in: user.identity ? 'oidc' : 'password',
+            created: user.created,
+        };
+    }
+
+    /**
+     * Check a username and password
+     * @returns {Promise<Object|null>} User, or null if they don't match
+     */
+    async authenticatePassword(username, password) {
+        const user = await this.repository.getUserByUsername(String(username).trim().toLowerCase());
+        if (!user) {
+            // Hash anyway so unknown usernames take as long as wrong passwords
+            await this.hashPassword(String(password));
+            return null;
+        }
+        return await this.verifyPassword(String(password), user.passwordHash) ? user : null;
+    }
+
+    /**
+     * Digest of a token value, as stored
+     */
+    digestToken(value) {
+        return crypto.createHmac('sha256', config.security.apiSecretKey).update(value).digest('hex');
+    }
+
+    /**
+     * Create and store a token
+     * @returns {Promise<Object>} { value, token } - the value is only available now
+     */
+    async issueToken(user, type, details) {
+        const value = (type === 'api' ? API_TOKEN_PREFIX : '') + crypto.randomBytes(32).toString('base64url');
+        const token = {
+            id: uuidv4(),
+            userId: user.id,
+            type,
+            digest: this.digestToken(value),
+            name: details.name || null,
+            created: new Date().toISOString(),
+            expiresAt: details.expiresAt || null,
+            lastUsedAt: null,
+            // For sessions started through OIDC, to sign out of the provider too
+            ...(details.idToken && { idToken: details.idToken }),
+        };
+        await this.repository.saveToken(token);
+        return { value, token };
+    }
+
+    /**
+     * Create a personal API token
+     * @param {Object} user - Owner
+     * @param {Object} spec - { name, expires_in_days } (no expiry without expires_in_days)
+     * @returns {Promise<Object>} { value, token }
+     * @throws {Error} With statusCode 400 if the spec is invalid or the user has too many tokens
+     */
+    async createApiToken(user, spec) {
+        const { name, expires_in_days: expiresInDays } = spec || {};
+
+        if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_TOKEN_NAME_LENGTH) {
+            throw httpError(400, `name must be a non-empty string of at most ${MAX_TOKEN_NAME_LENGTH} characters`);
+        }
+        if (expiresInDays !== undefined &&
+            (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_LIFETIME_DAYS)) {
+            throw httpError(400, `expires_in_days must be an integer between 1 and ${MAX_TOKEN_LIFETIME_DAYS}`);
+        }
+
+        const existing = await this.repository.listTokens(user.id, 'api');
+        if (existing.length >= config.auth.maxTokensPerUser) {
+            throw httpError(400, `Too many API tokens. Maximum ${config.auth.maxTokensPerUser} per user; revoke one first`);
+        }
+
+        const issued = await this.issueToken(user, 'api', {
+            name: name.trim(),
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS).toISOString() : null,
+        });
+        logger.info(`API token ${issued.token.id} created for user ${user.username}`);
+        return issued;
+    }
+
+    /**
+     * Start a web session (the value goes in the session cookie)
+     * @param {Object} user - User
+     * @param {string} idToken - ID token of an OIDC sign-in (optional)
+     * @returns {Promise<Object>} { value, token }
+     */
+    async createSession(user, idToken = null) {
+        // OIDC sessions end when the user's groups are due to be checked again
+        let expiresAt = Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000;
+        if (user.identity) {
+            expiresAt = Math.min(expiresAt, this.getMembershipExpiry(user));
+        }
+
+        return this.issueToken(user, 'session', {
+            expiresAt: new Date(expiresAt).toISOString(),
+            idToken,
+        });
+    }
+
+    /**
+     * Format an API token for API responses (never includes the value or digest)
+     */
+    formatToken(token) {
+        return {
+            id: token.id,
+            name: token.name,
+            created: token.created,
+            expires_at: token.expiresAt,
+            last_used_at: token.lastUsedAt,
+        };
+    }
+
+    async listApiTokens(userId) {
+        return this.repository.listTokens(userId, 'api');
+    }
+
+    /**
+     * Revoke one of a user's API tokens
+     * @returns {Promise<boolean>} Whether the user had the token
+     */
+    async revokeApiToken(userId, tokenId) {
+        const tokens = await this.repository.listTokens(userId, 'api');
+        if (!tokens.some(token => token.id === tokenId)) {
+            return false;
+        }
+        await this.repository.deleteToken(tokenId);
+        logger.info(`API token ${tokenId} revoked`, { userId });
+        return true;
+    }
+
+    /**
+     * Find the user a token belongs to
+     * @param {string} value - Token value
+     * @param {string} type - 'api' or 'session'
+     * @returns {Promise<Object|null>} User, or null if the token is unknown, expired or of
+     *   another type, or its OIDC user hasn't signed in recently (see isMembershipCurrent)
+     */
+    async authenticateToken(value, type) {
+        const token = await this.repository.getTokenByDigest(this.digestToken(value));
+        if (!token || token.type !== type) {
+            return null;
+        }
+        if (token.expiresAt && token.expiresAt <= new Date().toISOString()) {
+            return null;
+        }
+
+        const user = await this.repository.getUser(token.userId);
+        if (!user || !this.isMembershipCurrent(user)) {
+            return null;
+        }
+
+        if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+            token.lastUsedAt = new Date().toISOString();
+            await this.repository.saveToken(token);
+        }
+        return user;
+    }
+
+    /**
+     * End a web session
+     * @param {string} value - Session cookie value
+     * @returns {Promise<Object|null>} The ended session, or null if there was none
+     */
+    async endSession(value) {
+        const token = await this.repository.getTokenByDigest(this.digestToken(value));
+        if (!token || token.type !== 'session') {
+            return null;
+        }
+        await this.repository.deleteToken(token.id);
+        return token;
+    }
+
+    /**
+     * How many builds a user may still start today
+     * Counts the user's builds created in the last 24 hours, and build requests still being
+     * started (see reserveBuild); admins have no quota.
+     * @param {Object} user - User
+     * @param {number} [pending] - Build requests still being started
+     * @returns {Promise<Object>} { limit, used, remaining, resets_at } - limit is null if
+     *   unlimited; resets_at is when the next build is allowed once none remain
+     */
+    async getBuildQuota(user, pending = this.pendingBuilds.get(user.id) || 0) {
+        if (user.role === 'admin') {
+            return { limit: null, used: null, remaining: null, resets_at: null };
+        }
+
+        const limit = user.dailyBuildQuota !== null && user.dailyBuildQuota !== undefined
+            ? user.dailyBuildQuota
+            : config.rateLimit.buildsPerUserPerDay;
+        const builds = await this.repository.list({
+            requester: user.id,
+            createdAfter: new Date(Date.now() - DAY_MS).toISOString(),
+        });
+        const used = builds.length + pending;
+        // Builds are newest first: a slot frees when the limit-th newest leaves the window
+        const blocking = limit > 0 && builds.length >= limit ? builds[limit - 1] : null;
+
+        return {
+            limit,
+            used,
+            remaining: Math.max(0, limit - used),
+            resets_at: blocking ? new Date(new Date(blocking.created).getTime() + DAY_MS).toISOString() : null,
+        };
+    }
+
+    /**
+     * Reserve one of a user's daily builds while their build request is being started
+     * The slot is taken before anything is awaited, so parallel requests can't all pass
+     * the quota check. Call release() once the build is saved or the request failed.
+     * @param {Object} user - User
+     * @returns {Promise<Object>} { quota, release } - quota before this build; nothing is
+     *   reserved (release does nothing) if no builds remain or the user has no quota
+     */
+    async reserveBuild(user) {
+        if (user.role === 'admin') {
+            return { quota: await this.getBuildQuota(user), release: () => {} };
+        }
+
+        const pending = this.pendingBuilds.get(user.id) || 0;
+        this.pendingBuilds.set(user.id, pending + 1);
+        let reserved = true;
+        const release = () => {
+            if (!reserved) {
+                return;
+            }
+            reserved = false;
+            const count = this.pendingBuilds.get(user.id) - 1;
+            if (count > 0) {
+                this.pendingBuilds.set(user.id, count);
+            } else {
+                this.pendingBuilds.delete(user.id);
+            }
+        };
+
+        try {
+            const quota = await this.getBuildQuota(user, pending);
+            if (quota.remaining === 0) {
+                release();
+            }
+            return { quota, release };
+        } catch (error) {
+            release();
+            throw error;
+        }
+    }
+}
+
+module.exports = new UserManager();
@@ -3,6 +3,7 @@
 const { InstancesClient, ZoneOperationsClient } = require('@google-cloud/compute').v1;
 const config = require('../config/config');
 const logger = require('./logger');
+const { metrics, timeApiCall } = require('./metrics');
 
 class VMManager {
     constructor() {
@@ -22,11 +23,12 @@ class VMManager {
      */
     async retryApiCall(apiCall, context = {}, maxRetries = 4) {
         const delays = [2000, 4000, 8000, 16000]; // Exponential backoff: 2s, 4s, 8s, 16s
+        const operation = context.operation || 'unknown';
         let lastError;
 
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
             try {
-                const result = await apiCall();
+                const result = await timeApiCall('gce', operation, apiCall);
 
                 if (attempt > 0) {
                     // Log successful retry
@@ -69,6 +71,7 @@ class VMManager {
                     errorCode: error.code,
                     retryInMs: delay
                 });
+                metrics.apiRetries.inc({ service: 'gce', operation });
 
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
@@ -125,16 +128,32 @@ class VMManager {
         return false;
     }
 
+    /**
+     * Get the VM name used for a build
+     * @param {string} buildId - Unique build ID
+     * @returns {string} VM name
+     */
+    getVMName(buildId) {
+        // Security: Bounds checking for buildId substring
+        const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
+        return `${config.vm.namePrefix}-${buildIdShort}`;
+    }
+
     /**
      * Create a VM for ISO building
      * @param {string} buildId - Unique build ID
      * @param {Object} buildConfig - Build configuration
+     * @param {Object} options - Optional build metadata
+     * @param {string} options.configHash - Canonical config hash, stored on the uploaded ISO
+     * @param {string} options.statusKey - Key the VM signs its status documents with
+     * @param {string} options.callbackToken - Token the VM uses to post build events
+     * @param {string} options.installerRef - Installer commit to check out (default: config.build.installerRef)
      * @returns {string} VM name
      */
-    async createBuildVM(buildId, buildConfig) {
+    async createBuildVM(buildId, buildConfig, options = {}) {
         // Security: Bounds checking for buildId substring
         const buildIdShort = buildId.length >= 8 ? buildId.substring(0, 8) : buildId;
-        const vmName = `${config.vm.namePrefix}-${buildIdShort}`;
+        const vmName = this.getVMName(buildId);
         const vmLogger = logger.withContext({ buildId, component: 'VMManager', vmName });
 
         vmLogger.info('Starting VM creation', {
@@ -216,6 +235,26 @@ class VMManager {
                             key: 'build-config',
                             value: JSON.stringify(buildConfig),
                         },
+                        {
+                            key: 'config-hash',
+                            value: options.configHash || '',
+                        },
+                        {
+                            key: 'installer-ref',
+                            value: options.installerRef || config.build.installerRef,
+                        },
+                        {
+                            key: 'status-key',
+                            value: options.statusKey || '',
+                        },
+                        {
+                            key: 'callback-url',
+                            value: config.callbacks.baseUrl,
+                        },
+                        {
+                            key: 'callback-token',
+                            value: options.callbackToken || '',
+                        },
                     ],
                 },
                 labels: {
@@ -305,6 +344,16 @@ class VMManager {
             throw new Error(`Invalid downloads bucket name: ${config.gcs.downloadsBucket}`);
         }
 
+        // SECURITY: Validate installer git ref (branch, tag or commit SHA)
+        if (!/^[A-Za-z0-9._/-]{1,100}$/.test(config.build.installerRef)) {
+            throw new Error(`Invalid installer git ref: ${config.build.installerRef}`);
+        }
+
+        // SECURITY: Validate callback URL (the VM interpolates it into curl arguments)
+        if (config.callbacks.baseUrl && !/^https?:\/\/[A-Za-z0-9.:/_-]+$/.test(config.callbacks.baseUrl)) {
+            throw new Error(`Invalid callback base URL: ${config.callbacks.baseUrl}`);
+        }
+
         // Safe substring (already validated format)
         const buildIdShort = buildId.substring(0, 8);
 
@@ -315,10 +364,18 @@ class VMManager {
 # SECURITY: All inputs validated before use
 set -e
 
-LOG_FILE="/var/log/iso-build.log"
+# Read a build metadata value: GCE instance metadata, or one file per key in
+# BUILD_METADATA_DIR when running outside GCE (local Docker or remote builder hosts)
+get_metadata() {
+    if [ -n "\${BUILD_METADATA_DIR:-}" ]; then
+        cat "$BUILD_METADATA_DIR/$1" 2>/dev/null || echo ""
+    else
+        curl -s -f -H "Metadata-Flavor: Google" "http://metadata.google.internal/computeMetadata/v1/instance/attributes/$1" || echo ""
+    fi
+}
 
 # Read and validate build ID from metadata
-BUILD_ID="$(curl -s -f -H "Metadata-Flavor: Google" "http://metadata.google.internal/computeMetadata/v1/instance/attributes/build-id" || echo "")"
+BUILD_ID="$(get_metadata build-id)"
 if [ -z "$BUILD_ID" ]; then
     echo "[ERROR] BUILD_ID not found in metadata"
     exit 1
@@ -330,51 +387,323 @@ if ! [[ "$BUILD_ID" =~ ^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]
     exit 1
 fi
 
-# Read bucket names from metadata (validated in Node.js before VM creation)
-ARTIFACTS_BUCKET="$(curl -s -f -H "Metadata-Flavor: Google" "http://metadata.google.internal/computeMetadata/v1/instance/attributes/artifacts-bucket" || echo "")"
-DOWNLOADS_BUCKET="$(curl -s -f -H "Metadata-Flavor: Google" "http://metadata.google.internal/computeMetadata/v1/instance/attributes/downloads-bucket" || echo "")"
+# Builder hosts running several builds give each its own log file
+LOG_FILE="$(get_metadata log-file)"
+LOG_FILE="\${LOG_FILE:-/var/log/iso-build.log}"
+if ! [[ "$LOG_FILE" =~ ^/[A-Za-z0-9._/-]+$ ]]; then
+    echo "[ERROR] Invalid LOG_FILE: $LOG_FILE"
+    exit 1
+fi
+
+# Outputs go to GCS unless an output directory is given (builds outside GCE)
+OUTPUT_DIR="$(get_metadata output-dir)"
+WORK_ROOT="$(get_metadata work-dir)"
+WORK_ROOT="\${WORK_ROOT:-/root}"
+
+# SECURITY: Validate local paths (absolute, no shell metacharacters)
+for dir in "$OUTPUT_DIR" "$WORK_ROOT"; do
+    if [ -n "$dir" ] && ! [[ "$dir" =~ ^/[A-Za-z0-9._/-]+$ ]]; then
+        echo "[ERROR] Invalid directory: $dir"
+        exit 1
+    fi
+done
+
+if [ -n "$OUTPUT_DIR" ]; then
+    mkdir -p "$OUTPUT_DIR" "$WORK_ROOT"
+else
+    # Read bucket names from metadata (validated in Node.js before VM creation)
+    ARTIFACTS_BUCKET="$(get_metadata artifacts-bucket)"
+    DOWNLOADS_BUCKET="$(get_metadata downloads-bucket)"
+
+    # SECURITY: Validate bucket names (GCS naming rules: lowercase, alphanumeric, dash, dot, underscore)
+    if ! [[ "$ARTIFACTS_BUCKET" =~ ^[a-z0-9][a-z0-9._-]{1,61}[a-z0-9]$ ]]; then
+        echo "[ERROR] Invalid ARTIFACTS_BUCKET: $ARTIFACTS_BUCKET"
+        exit 1
+    fi
+    if ! [[ "$DOWNLOADS_BUCKET" =~ ^[a-z0-9][a-z0-9._-]{1,61}[a-z0-9]$ ]]; then
+        echo "[ERROR] Invalid DOWNLOADS_BUCKET: $DOWNLOADS_BUCKET"
+        exit 1
+    fi
+fi
+
+# Config hash is stored on the uploaded ISO so identical builds can reuse it
+CONFIG_HASH="$(get_metadata config-hash)"
+if [ -n "$CONFIG_HASH" ] && ! [[ "$CONFIG_HASH" =~ ^[0-9a-f]{64}$ ]]; then
+    echo "[ERROR] Invalid CONFIG_HASH format: $CONFIG_HASH"
+    exit 1
+fi
 
-# SECURITY: Validate bucket names (GCS naming rules: lowercase, alphanumeric, dash, dot, underscore)
-if ! [[ "$ARTIFACTS_BUCKET" =~ ^[a-z0-9][a-z0-9._-]{1,61}[a-z0-9]$ ]]; then
-    echo "[ERROR] Invalid ARTIFACTS_BUCKET: $ARTIFACTS_BUCKET"
+INSTALLER_REF="$(get_metadata installer-ref)"
+INSTALLER_REF="\${INSTALLER_REF:-main}"
+if ! [[ "$INSTALLER_REF" =~ ^[A-Za-z0-9._/-]{1,100}$ ]]; then
+    echo "[ERROR] Invalid INSTALLER_REF: $INSTALLER_REF"
     exit 1
 fi
-if ! [[ "$DOWNLOADS_BUCKET" =~ ^[a-z0-9][a-z0-9._-]{1,61}[a-z0-9]$ ]]; then
-    echo "[ERROR] Invalid DOWNLOADS_BUCKET: $DOWNLOADS_BUCKET"
+
+# Key for signing status files (generated for each build by the backend)
+STATUS_KEY="$(get_metadata status-key)"
+if ! [[ "$STATUS_KEY" =~ ^[0-9a-f]{64}$ ]]; then
+    echo "[ERROR] Invalid or missing STATUS_KEY"
     exit 1
 fi
 
+# Build events are pushed to the backend when a callback URL is given (storage is the fallback)
+CALLBACK_URL="$(get_metadata callback-url)"
+CALLBACK_TOKEN="$(get_metadata callback-token)"
+if [ -n "$CALLBACK_URL" ] && ! { [[ "$CALLBACK_URL" =~ ^https?://[A-Za-z0-9.:/_-]+$ ]] && [[ "$CALLBACK_TOKEN" =~ ^[0-9a-f]{64}$ ]]; }; then
+    echo "[WARN] Invalid callback URL or token, build events will not be pushed"
+    CALLBACK_URL=""
+fi
+
 BUILD_ID_SHORT="\${BUILD_ID:0:8}"
-STATUS_FILE="gs://\${DOWNLOADS_BUCKET}/build-status-\${BUILD_ID_SHORT}.json"
+if [ -n "$OUTPUT_DIR" ]; then
+    STATUS_FILE="\${OUTPUT_DIR}/build-status-\${BUILD_ID_SHORT}.json"
+else
+    STATUS_FILE="gs://\${DOWNLOADS_BUCKET}/build-status-\${BUILD_ID_SHORT}.json"
+fi
+
+STATUS_TMP="/tmp/build-status-\${BUILD_ID_SHORT}.json"
+
+# Structured task progress (status schema v1): this script and iso-prepare-dynamic.sh
+# record per-item state under BUILD_TASKS_DIR, and write_status assembles it into the
+# "tasks" object of each status document
+export BUILD_TASKS_DIR="/tmp/build-tasks-\${BUILD_ID_SHORT}"
+rm -rf "$BUILD_TASKS_DIR"
+mkdir -p "$BUILD_TASKS_DIR"
+
+# task_state TASK STATE (pending, running, complete, failed or skipped)
+task_state() {
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    echo "$2" > "$BUILD_TASKS_DIR/$1/state"
+}
+
+# task_total TASK COUNT
+task_total() {
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    echo "$2" > "$BUILD_TASKS_DIR/$1/total"
+}
+
+# task_item TASK NAME STATE [BYTES] [SOURCE] (item state: pending, running, complete or failed)
+task_item() {
+    local tmp="$BUILD_TASKS_DIR/.item.$$.$RANDOM"
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    printf '{"name": "%s", "state": "%s", "bytes": %d, "source": "%s"}\\n' "$2" "$3" "\${4:-0}" "\${5:-}" > "$tmp"
+    mv "$tmp" "$BUILD_TASKS_DIR/$1/items/$(echo "$2" | tr '/:' '__')"
+}
+
+# Assemble the tasks object from BUILD_TASKS_DIR (empty until jq is installed)
+collect_tasks() {
+    local tasks='{}' task dir state total items
+    for task in docker-images ollama-models iso-build iso-upload cache-populate; do
+        dir="$BUILD_TASKS_DIR/$task"
+        state="$(cat "$dir/state" 2>/dev/null || echo pending)"
+        total="$(cat "$dir/total" 2>/dev/null || echo null)"
+        items="$(cat "$dir"/items/* 2>/dev/null | jq -s -c '.')"
+        tasks="$(jq -c --arg task "$task" --arg state "$state" --argjson total "$total" --argjson items "\${items:-[]}" '
+            . + {($task): {
+                state: $state,
+                current: (if ($items | length) > 0 then ([$items[] | select(.state == "complete")] | length)
+                          elif $state == "complete" then ($total // 1) else 0 end),
+                total: ($total // ($items | length)),
+                bytes: ([$items[].bytes] | add // 0),
+                items: $items
+            }}' <<< "$tasks")"
+    done
+    echo "$tasks"
+}
+
+# Escape a string for embedding in a JSON document
+json_escape() {
+    local s="\${1//\\\\/\\\\\\\\}"
+    s="\${s//\\"/\\\\\\"}"
+    s="\${s//$'\\n'/\\\\n}"
+    s="\${s//$'\\t'/\\\\t}"
+    printf '%s' "\${s//$'\\r'/\\\\r}"
+}
+
+# Post a build event to the backend (best effort - never fails the build)
+# Events are posted one at a time so they arrive in order. After a failed post, events
+# are skipped for a minute so an unreachable backend doesn't slow the build down (the
+# backend falls back to polling storage meanwhile).
+EVENTS_PAUSED_FILE="$BUILD_TASKS_DIR/.events-paused-until"
+post_event() {
+    if [ -z "$CALLBACK_URL" ]; then
+        return 0
+    fi
+    if [ "$(date +%s)" -lt "$(cat "$EVENTS_PAUSED_FILE" 2>/dev/null || echo 0)" ]; then
+        return 0
+    fi
+    if ! curl -s -f -m 5 -X POST \\
+        -H "Authorization: Bearer $CALLBACK_TOKEN" \\
+        -H "Content-Type: application/json" \\
+        --data "$1" \\
+        "$CALLBACK_URL/api/internal/build/$BUILD_ID/events" > /dev/null 2>&1; then
+        echo $(($(date +%s) + 60)) > "$EVENTS_PAUSED_FILE" 2>/dev/null || true
+    fi
+}
+
+# Log lines are queued rather than posted one by one, and sent in batches in the background
+EVENTS_QUEUE_FILE="$BUILD_TASKS_DIR/.events-queue"
+EVENTS_FLUSHED_FILE="$BUILD_TASKS_DIR/.events-flushed-at"
+
+# Post the queued log lines as log events of up to 50 lines each. With "background", gives
+# up when a post is already running (its lines go out next time); otherwise waits for it,
+# so the lines arrive before the event that follows.
+post_log_events() {
+    if [ -z "$CALLBACK_URL" ]; then
+        return 0
+    fi
+    (
+        if [ "$1" = "background" ]; then
+            flock -n 9 || exit 0
+        else
+            flock -w 15 9 || exit 0
+        fi
+        mv "$EVENTS_QUEUE_FILE" "$EVENTS_QUEUE_FILE.sending" 2>/dev/null || exit 0
+        rm -f "$EVENTS_QUEUE_FILE.batch-"*
+        split -l 50 "$EVENTS_QUEUE_FILE.sending" "$EVENTS_QUEUE_FILE.batch-"
+        for batch in "$EVENTS_QUEUE_FILE.batch-"*; do
+            post_event "{\\"type\\": \\"log\\", \\"messages\\": [$(paste -sd, "$batch")]}"
+        done
+        rm -f "$EVENTS_QUEUE_FILE.sending" "$EVENTS_QUEUE_FILE.batch-"*
+    ) 9> "$EVENTS_QUEUE_FILE.lock"
+}
 
 log() {
     echo "[$(date +'%Y-%m-%d %H:%M:%S')] $1" | tee -a "$LOG_FILE"
+    if [ -z "$CALLBACK_URL" ]; then
+        return 0
+    fi
+    printf '"%s"\\n' "$(json_escape "\${1:0:2000}")" >> "$EVENTS_QUEUE_FILE"
+
+    # Send the queue at most every 5 seconds, without waiting for the post
+    local now
+    now="$(date +%s)"
+    if [ "$now" -ge $(($(cat "$EVENTS_FLUSHED_FILE" 2>/dev/null || echo 0) + 5)) ]; then
+        echo "$now" > "$EVENTS_FLUSHED_FILE"
+        post_log_events background &
+    fi
 }
 
-# Function to write build status to GCS for real-time progress tracking
-write_status() {
+# Ship new log output to storage as a chunk named after its byte offset in the log
+# (build-log-<id>-<offset>.log, at most 4 MiB), so the backend can serve the log while
+# the build runs. Returns non-zero when there was nothing to ship or the upload failed.
+LOG_OFFSET_FILE="$BUILD_TASKS_DIR/.log-offset"
+ship_log() {
+    local offset size length name
+    offset="$(cat "$LOG_OFFSET_FILE" 2>/dev/null || echo 0)"
+    size="$(stat -c %s "$LOG_FILE" 2>/dev/null || echo 0)"
+    if [ "$size" -le "$offset" ]; then
+        return 1
+    fi
+
+    length=$((size - offset))
+    if [ "$length" -gt 4194304 ]; then
+        length=4194304
+    fi
+    name="build-log-\${BUILD_ID_SHORT}-$(printf '%012d' "$offset").log"
+    tail -c +$((offset + 1)) "$LOG_FILE" | head -c "$length" > "$BUILD_TASKS_DIR/.log-chunk"
+
+    if [ -n "$OUTPUT_DIR" ]; then
+        cp "$BUILD_TASKS_DIR/.log-chunk" "$OUTPUT_DIR/$name.tmp" && mv "$OUTPUT_DIR/$name.tmp" "$OUTPUT_DIR/$name" || return 1
+    else
+        gsutil -q cp "$BUILD_TASKS_DIR/.log-chunk" "gs://\${DOWNLOADS_BUCKET}/build-logs/$name" 2>/dev/null || return 1
+    fi
+    echo $((offset + length)) > "$LOG_OFFSET_FILE"
+}
+
+# Ship everything logged so far
+flush_log() {
+    while ship_log; do
+        :
+    done
+}
+
+# Write a signed status document to GCS (or the output directory) and push it to the backend
+emit_status() {
     local stage="$1"
     local progress="$2"
     local message="$3"
 
-    cat > /tmp/build-status.json <<EOF
+    # The backend tears the build down once it sees the final status, so the log goes first
+    if [ "$stage" = "complete" ] || [ "$stage" = "failed" ]; then
+        flush_log
+    fi
+
+    local timestamp="$(date -u +%Y-%m-%dT%H:%M:%SZ)"
+    local tasks
+    tasks="$(collect_tasks 2>/dev/null)"
+    if ! jq -e 'type == "object"' <<< "$tasks" &> /dev/null; then
+        tasks='{}'
+    fi
+
+    # Queued log lines go first so the status doesn't overtake them
+    post_log_events
+    post_event "{\\"type\\": \\"status\\", \\"schema_version\\": 1, \\"stage\\": \\"$stage\\", \\"progress\\": $progress, \\"message\\": \\"$(json_escape "$message")\\", \\"tasks\\": $tasks}"
+
+    # Status files are signed so the backend can trust them (minimal images get openssl
+    # with ca-certificates, so the very first status may be skipped)
+    if ! command -v openssl &> /dev/null; then
+        return 0
+    fi
+    local signature
+    signature="$(printf '%s\\n%s\\n%s\\n%s\\n%s\\n%s' "$BUILD_ID" "$stage" "$progress" "$message" "$timestamp" "$tasks" \\
+        | openssl dgst -sha256 -hmac "$STATUS_KEY" -r | cut -d' ' -f1)"
+
+    cat > "$STATUS_TMP" <<EOF
 {
+  "schema_version": 1,
   "stage": "$stage",
   "progress": $progress,
-  "message": "$message",
-  "timestamp": "$(date -u +%Y-%m-%dT%H:%M:%SZ)"
+  "message": "$(json_escape "$message")",
+  "timestamp": "$timestamp",
+  "tasks": $tasks,
+  "signature": "$signature"
 }
 EOF
 
+    if [ -n "$OUTPUT_DIR" ]; then
+        # Atomic replace so readers never see a partial file
+        cp "$STATUS_TMP" "$STATUS_FILE.tmp" && mv "$STATUS_FILE.tmp" "$STATUS_FILE"
+        return 0
+    fi
+
     # Upload status file (retry up to 3 times)
     for i in {1..3}; do
-        if gsutil cp /tmp/build-status.json "$STATUS_FILE" 2>/dev/null; then
+        if gsutil cp "$STATUS_TMP" "$STATUS_FILE" 2>/dev/null; then
             break
         fi
         sleep 2
     done
 }
 
+# write_status STAGE PROGRESS MESSAGE - record the current stage and publish it
+# Without arguments, republishes the current stage with fresh task progress.
+# Serialized with a lock: iso-prepare-dynamic.sh records its stages the same way.
+write_status() {
+    (
+        flock 9
+        if [ $# -gt 0 ]; then
+            printf '%s\\n%s\\n%s\\n' "$1" "$2" "$3" > "$BUILD_TASKS_DIR/.current"
+        fi
+        { read -r stage; read -r progress; read -r message; } < "$BUILD_TASKS_DIR/.current" || exit 0
+        emit_status "$stage" "$progress" "$message"
+    ) 9> "$BUILD_TASKS_DIR/.lock" || true
+}
+
+# Republish every 10 seconds so stage and task progress from long-running steps
+# (parallel downloads, the ISO build) shows up between write_status calls, and ship
+# new log output. On exit the last recorded stage is published once more, in case
+# iso-prepare-dynamic.sh recorded a failure right before the build stopped.
+(
+    while sleep 10; do
+        write_status
+        ship_log || true
+    done
+) &
+STATUS_REPORTER_PID=$!
+trap 'kill $STATUS_REPORTER_PID 2> /dev/null || true; write_status; flush_log' EXIT
+
 log "Starting ISO build for build ID: $BUILD_ID"
 write_status "initializing" 20 "Starting VM initialization"
 
@@ -383,49 +712,85 @@ write_status "initializing" 20 "Starting VM initialization"
 log "Updating package lists..."
 write_status "initializing" 22 "Updating package lists"
 export DEBIAN_FRONTEND=noninteractive
-apt-get update -qq
+# Builder hosts may run several builds at once - wait for dpkg locks instead of failing
+APT_GET=(apt-get -o DPkg::Lock::Timeout=600)
+"\${APT_GET[@]}" update -qq
+
+# Minimal images (e.g. the local Docker builder) lack the tools needed to add repositories
+"\${APT_GET[@]}" install -y -qq --no-install-recommends curl ca-certificates openssl gnupg lsb-release
+
+# Docker is installed unless the host already has it; gcsfuse is only needed for GCS outputs
+INSTALL_DOCKER=false
+if ! command -v docker &> /dev/null; then
+    INSTALL_DOCKER=true
+fi
 
 # OPTIMIZATION: Install Docker repository and gcsfuse repository in parallel
 log "Adding Docker and gcsfuse repositories..."
 write_status "initializing" 24 "Adding software repositories"
 
+REPO_PIDS=()
+
 # Add Docker repository
-(
-    install -m 0755 -d /etc/apt/keyrings
-    curl -fsSL https://download.docker.com/linux/ubuntu/gpg -o /etc/apt/keyrings/docker.asc
-    chmod a+r /etc/apt/keyrings/docker.asc
-    echo "deb [arch=$(dpkg --print-architecture) signed-by=/etc/apt/keyrings/docker.asc] https://download.docker.com/linux/ubuntu $(. /etc/os-release && echo "$VERSION_CODENAME") stable" | tee /etc/apt/sources.list.d/docker.list > /dev/null
-) &
-DOCKER_REPO_PID=$!
+if [ "$INSTALL_DOCKER" = true ]; then
+    (
+        install -m 0755 -d /etc/apt/keyrings
+        curl -fsSL https://download.docker.com/linux/ubuntu/gpg -o /etc/apt/keyrings/docker.asc
+        chmod a+r /etc/apt/keyrings/docker.asc
+        echo "deb [arch=$(dpkg --print-architecture) signed-by=/etc/apt/keyrings/docker.asc] https://download.docker.com/linux/ubuntu $(. /etc/os-release && echo "$VERSION_CODENAME") stable" | tee /etc/apt/sources.list.d/docker.list > /dev/null
+    ) &
+    REPO_PIDS+=($!)
+fi
 
 # Add gcsfuse repository
-(
-    export GCSFUSE_REPO=gcsfuse-$(lsb_release -c -s)
-    echo "deb https://packages.cloud.google.com/apt $GCSFUSE_REPO main" | tee /etc/apt/sources.list.d/gcsfuse.list
-    curl https://packages.cloud.google.com/apt/doc/apt-key.gpg | apt-key add -
-) &
-GCSFUSE_REPO_PID=$!
+if [ -z "$OUTPUT_DIR" ]; then
+    (
+        export GCSFUSE_REPO=gcsfuse-$(lsb_release -c -s)
+        echo "deb https://packages.cloud.google.com/apt $GCSFUSE_REPO main" | tee /etc/apt/sources.list.d/gcsfuse.list
+        curl https://packages.cloud.google.com/apt/doc/apt-key.gpg | apt-key add -
+    ) &
+    REPO_PIDS+=($!)
+fi
 
 # Wait for both repositories to be added
-wait $DOCKER_REPO_PID
-wait $GCSFUSE_REPO_PID
+for pid in "\${REPO_PIDS[@]}"; do
+    wait $pid
+done
 
 # Update package lists with new repositories
-apt-get update -qq
+"\${APT_GET[@]}" update -qq
+
+PACKAGES=(
+    git rsync curl wget gnupg lsb-release ca-certificates
+    software-properties-common fuse pigz pv xorriso squashfs-tools jq bc
+    parallel
+)
+if [ "$INSTALL_DOCKER" = true ]; then
+    PACKAGES+=(docker-ce docker-ce-cli containerd.io docker-buildx-plugin docker-compose-plugin)
+fi
+if [ -z "$OUTPUT_DIR" ]; then
+    PACKAGES+=(gcsfuse)
+fi
 
 # OPTIMIZATION: Install all packages in one command for faster installation
 log "Installing build dependencies, Docker, and gcsfuse..."
 write_status "initializing" 28 "Installing build dependencies"
-apt-get install -y --no-install-recommends \\
-    git rsync curl wget gnupg lsb-release ca-certificates \\
-    software-properties-common fuse pigz pv xorriso squashfs-tools jq bc \\
-    parallel \\
-    docker-ce docker-ce-cli containerd.io docker-buildx-plugin docker-compose-plugin \\
-    gcsfuse
-
-# Start Docker service
-systemctl enable docker
-systemctl start docker
+"\${APT_GET[@]}" install -y --no-install-recommends "\${PACKAGES[@]}"
+
+# Start Docker service (containers have no systemd - run the daemon directly)
+if [ -d /run/systemd/system ]; then
+    systemctl enable docker
+    systemctl start docker
+elif ! docker info &> /dev/null; then
+    log "Starting Docker daemon..."
+    dockerd > /var/log/dockerd.log 2>&1 &
+    for i in {1..30}; do
+        if docker info &> /dev/null; then
+            break
+        fi
+        sleep 1
+    done
+fi
 
 # Mount local SSDs if available
 if ls /dev/disk/by-id/google-local-ssd-* &> /dev/null; then
@@ -438,30 +803,66 @@ if ls /dev/disk/by-id/google-local-ssd-* &> /dev/null; then
 fi
 
 # Mount GCS buckets
-log "Mounting GCS buckets..."
-mkdir -p /mnt/artifacts
-mkdir -p /mnt/downloads
-gcsfuse --implicit-dirs "$ARTIFACTS_BUCKET" /mnt/artifacts
-gcsfuse --implicit-dirs "$DOWNLOADS_BUCKET" /mnt/downloads
+if [ -z "$OUTPUT_DIR" ]; then
+    log "Mounting GCS buckets..."
+    mkdir -p /mnt/artifacts
+    mkdir -p /mnt/downloads
+    gcsfuse --implicit-dirs "$ARTIFACTS_BUCKET" /mnt/artifacts
+    gcsfuse --implicit-dirs "$DOWNLOADS_BUCKET" /mnt/downloads
+fi
 
 write_status "cloning" 33 "Cloning repository"
 
-# Clone repository
+# Clone repository (retry transient GitHub failures)
 log "Cloning Homelab repository..."
-cd /root
-git clone https://github.com/brilliantsquirrel/Homelab-Install-Script.git
+cd "$WORK_ROOT"
+rm -rf Homelab-Install-Script
+CLONE_SUCCESS=false
+for attempt in {1..3}; do
+    if git clone ${config.build.installerRepoUrl} >> "$LOG_FILE" 2>&1; then
+        CLONE_SUCCESS=true
+        break
+    fi
+    log "Clone attempt $attempt/3 failed"
+    rm -rf Homelab-Install-Script
+    if [ $attempt -lt 3 ]; then
+        sleep 15
+    fi
+done
+
+if [ "$CLONE_SUCCESS" != true ]; then
+    log "ERROR: Failed to clone repository after 3 attempts"
+    write_status "failed" 0 "Repository clone failed after 3 attempts"
+    echo "failed" > /tmp/build-status
+    echo "Repository clone failed" > /tmp/build-error
+    exit 1
+fi
 cd Homelab-Install-Script
 
+log "Checking out installer ref $INSTALLER_REF..."
+if ! git checkout --quiet "$INSTALLER_REF" >> "$LOG_FILE" 2>&1; then
+    log "ERROR: Installer ref $INSTALLER_REF not found"
+    write_status "failed" 0 "Installer ref $INSTALLER_REF not found"
+    echo "failed" > /tmp/build-status
+    echo "Installer ref not found" > /tmp/build-error
+    exit 1
+fi
+
 # Parse build configuration from instance metadata (secure, no command injection risk)
 log "Loading build configuration from metadata..."
-BUILD_CONFIG_JSON=$(curl -s "http://metadata.google.internal/computeMetadata/v1/instance/attributes/build-config" -H "Metadata-Flavor: Google")
+BUILD_CONFIG_JSON="$(get_metadata build-config)"
 
 # Extract values safely using jq
 export SELECTED_SERVICES=$(echo "$BUILD_CONFIG_JSON" | jq -r '.services | join(",")')
 export SELECTED_MODELS=$(echo "$BUILD_CONFIG_JSON" | jq -r '.models | join(",")')
 export GPU_ENABLED=$(echo "$BUILD_CONFIG_JSON" | jq -r '.gpu_enabled // false')
 export ISO_NAME=$(echo "$BUILD_CONFIG_JSON" | jq -r '.iso_name // "ubuntu-24.04.3-homelab-custom"')
-export GCS_BUCKET="gs://$ARTIFACTS_BUCKET"
+# Artifact caching needs the GCS artifacts bucket; builds outside GCE download everything
+if [ -n "$OUTPUT_DIR" ]; then
+    export GCS_BUCKET=""
+else
+    export GCS_BUCKET="gs://$ARTIFACTS_BUCKET"
+fi
 
 log "Build configuration loaded:"
 log "  Services: $SELECTED_SERVICES"
@@ -472,16 +873,18 @@ log "  ISO Name: $ISO_NAME"
 # Run build scripts
 write_status "downloading" 37 "Downloading dependencies"
 log "Running iso-prepare-dynamic.sh..."
-bash webapp/scripts/iso-prepare-dynamic.sh
+bash webapp/scripts/iso-prepare-dynamic.sh > >(tee -a "$LOG_FILE") 2>&1
 
+task_total iso-build 1
+task_state iso-build running
 write_status "building" 66 "Building custom ISO"
 log "Running create-custom-iso.sh..."
-bash create-custom-iso.sh
+bash create-custom-iso.sh > >(tee -a "$LOG_FILE") 2>&1
 
 # Upload ISO to downloads bucket with verification
 write_status "uploading" 87 "Uploading ISO to storage"
 log "Uploading ISO to downloads bucket..."
-ISO_FILE="/root/Homelab-Install-Script/iso-artifacts/ubuntu-24.04.3-homelab-amd64.iso"
+ISO_FILE="$WORK_ROOT/Homelab-Install-Script/iso-artifacts/ubuntu-24.04.3-homelab-amd64.iso"
 
 # Wait for ISO file to become visible (gcsfuse sync delay)
 log "Waiting for ISO file to become visible..."
@@ -497,6 +900,7 @@ done
 
 if [ ! -f "$ISO_FILE" ]; then
     log "ERROR: ISO file not found after waiting $WAIT_COUNT seconds!"
+    task_state iso-build failed
     write_status "failed" 0 "ISO file not found after build"
     echo "failed" > /tmp/build-status
     echo "ISO file not found" > /tmp/build-error
@@ -504,6 +908,7 @@ if [ ! -f "$ISO_FILE" ]; then
 fi
 
 log "ISO file found after $WAIT_COUNT seconds"
+task_state iso-build complete
 
 # Get ISO size for verification
 ISO_SIZE=$(stat -c%s "$ISO_FILE")
@@ -511,22 +916,52 @@ log "ISO file size: $ISO_SIZE bytes ($(echo "scale=2; $ISO_SIZE / 1024 / 1024 /
 
 # Construct output name safely (ISO_NAME already validated by jq)
 ISO_OUTPUT_NAME="\${ISO_NAME}-${buildIdShort}.iso"
-UPLOAD_TARGET="gs://$DOWNLOADS_BUCKET/$ISO_OUTPUT_NAME"
+if [ -n "$OUTPUT_DIR" ]; then
+    UPLOAD_TARGET="$OUTPUT_DIR/$ISO_OUTPUT_NAME"
+else
+    UPLOAD_TARGET="gs://$DOWNLOADS_BUCKET/$ISO_OUTPUT_NAME"
+fi
+
+# Copy the ISO to its destination, tagged with the build ID and config hash
+upload_iso() {
+    if [ -n "$OUTPUT_DIR" ]; then
+        cp "$ISO_FILE" "$UPLOAD_TARGET.partial" && mv "$UPLOAD_TARGET.partial" "$UPLOAD_TARGET" || return 1
+        # Sidecar file - the local equivalent of GCS object metadata
+        echo "{\\"build_id\\": \\"$BUILD_ID\\", \\"config_hash\\": \\"$CONFIG_HASH\\"}" > "$UPLOAD_TARGET.json"
+    else
+        gsutil -m -o "GSUtil:parallel_process_count=4" \\
+            -h "x-goog-meta-build-id:$BUILD_ID" -h "x-goog-meta-config-hash:$CONFIG_HASH" \\
+            cp "$ISO_FILE" "$UPLOAD_TARGET" 2>&1 | tee -a "$LOG_FILE"
+    fi
+}
+
+# Size of the uploaded ISO in bytes
+uploaded_size() {
+    if [ -n "$OUTPUT_DIR" ]; then
+        stat -c%s "$UPLOAD_TARGET" 2>/dev/null || echo "0"
+    else
+        gsutil stat "$UPLOAD_TARGET" | grep "Content-Length:" | awk '{print $2}' || echo "0"
+    fi
+}
 
 # Upload with retry logic (up to 3 attempts)
+task_total iso-upload 1
+task_state iso-upload running
 UPLOAD_SUCCESS=false
 for attempt in {1..3}; do
     log "Upload attempt $attempt/3..."
+    task_item iso-upload "$ISO_OUTPUT_NAME" running 0
     write_status "uploading" $((87 + attempt * 3)) "Uploading ISO (attempt $attempt/3)"
 
-    if gsutil -m -o "GSUtil:parallel_process_count=4" cp "$ISO_FILE" "$UPLOAD_TARGET" 2>&1 | tee -a "$LOG_FILE"; then
+    if upload_iso; then
         log "Upload command completed, verifying..."
 
-        # Verify upload by checking file size in GCS
-        UPLOADED_SIZE=$(gsutil stat "$UPLOAD_TARGET" | grep "Content-Length:" | awk '{print $2}' || echo "0")
+        # Verify upload by checking the stored file size
+        UPLOADED_SIZE=$(uploaded_size)
 
         if [ "$UPLOADED_SIZE" = "$ISO_SIZE" ]; then
             log "Upload verification successful! Sizes match: $ISO_SIZE bytes"
+            task_item iso-upload "$ISO_OUTPUT_NAME" complete "$ISO_SIZE"
             UPLOAD_SUCCESS=true
             break
         else
@@ -547,6 +982,7 @@ done
 
 if [ "$UPLOAD_SUCCESS" = true ]; then
     log "ISO uploaded and verified successfully: $ISO_OUTPUT_NAME"
+    task_state iso-upload complete
     write_status "complete" 100 "ISO build completed successfully"
 
     # Write build completion marker
@@ -556,6 +992,8 @@ if [ "$UPLOAD_SUCCESS" = true ]; then
     log "Build process completed successfully"
 else
     log "ERROR: Failed to upload ISO after 3 attempts"
+    task_item iso-upload "$ISO_OUTPUT_NAME" failed 0
+    task_state iso-upload failed
     write_status "failed" 0 "Failed to upload ISO after 3 attempts"
     echo "failed" > /tmp/build-status
     echo "Failed to upload ISO" > /tmp/build-error
@@ -568,7 +1006,10 @@ sync
 sleep 5
 
 # Shutdown VM if auto-cleanup is enabled
-${config.vm.autoCleanup ? 'log "Auto-cleanup enabled, shutting down VM in 10 seconds..."\nsleep 10\nsudo shutdown -h now' : 'log "Auto-cleanup disabled, VM will remain running"'}
+# (builds outside GCE simply exit - their backend removes the container or work directory)
+if [ -z "$OUTPUT_DIR" ]; then
+${config.vm.autoCleanup ? '    log "Auto-cleanup enabled, shutting down VM in 10 seconds..."\n    sleep 10\n    sudo shutdown -h now' : '    log "Auto-cleanup disabled, VM will remain running"'}
+fi
 `;
     }
 
@@ -667,7 +1108,7 @@ END OF LOGS
             const file = bucket.file(`logs/${logFilename}`);
 
             vmLogger.info('Uploading logs to GCS', { filename: logFilename });
-            await file.save(logContent, {
+            await timeApiCall('gcs', 'save', () => file.save(logContent, {
                 metadata: {
                     contentType: 'text/plain',
                     metadata: {
@@ -676,7 +1117,7 @@ END OF LOGS
                         exportTime: new Date().toISOString(),
                     }
                 }
-            });
+            }));
 
             const gcsPath = `gs://${config.gcs.downloadsBucket}/logs/${logFilename}`;
             vmLogger.info('VM logs exported successfully', {
@@ -834,24 +1275,6 @@ END OF LOGS
         // Placeholder for now
         logger.info(`Executing command on ${vmName}: ${command}`);
     }
-
-    /**
-     * Get build logs from VM
-     */
-    async getBuildLogs(vmName) {
-        try {
-            // In a real implementation, this would SSH into the VM and fetch logs
-            // For now, return placeholder
-            return [
-                'VM created successfully',
-                'Installing dependencies...',
-                'Building ISO...',
-            ];
-        } catch (error) {
-            logger.error(`Error getting logs from ${vmName}:`, error);
-            return [];
-        }
-    }
 }
 
 module.exports = new VMManager();
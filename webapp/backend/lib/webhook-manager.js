@@ -0,0 +1,390 @@
+// Webhook Manager - Signed HTTP notifications of build lifecycle events
+// Webhooks come from build requests (notified about that build) or are registered by an
+// admin (notified about every build). Each delivery is a JSON POST signed with the
+// webhook's own secret, retried with exponential backoff and recorded in the delivery log.
+// Deliveries to one webhook about one build go out in order. Pending deliveries are kept
+// with their payload in the delivery log, so retries resume after a restart.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { isPrivateHostname, guardedFetch } = require('./host-guard');
+
+const WEBHOOK_EVENTS = ['queued', 'started', 'stage_changed', 'complete', 'failed', 'cancelled'];
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Create a 400 error for an invalid webhook
+ */
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+class WebhookManager {
+    constructor() {
+        this.repository = null;
+        this.globalWebhooks = [];
+
+        // Pending deliveries per webhook and build, so they go out in order
+        this.chains = new Map();
+    }
+
+    /**
+     * Load the global webhooks and resume the deliveries pending when the backend stopped
+     * @param {BuildRepository} repository - Store for global webhooks and the delivery log
+     */
+    async init(repository) {
+        this.repository = repository;
+        this.globalWebhooks = await repository.listWebhooks();
+        await this.resumePendingDeliveries();
+    }
+
+    /**
+     * Continue pending deliveries from their recorded attempts, oldest first
+     * Deliveries whose webhook is gone (removed, or its build pruned) fail.
+     */
+    async resumePendingDeliveries() {
+        const pending = (await this.repository.listDeliveries({ states: ['pending'] })).reverse();
+        const builds = new Map();
+
+        for (const delivery of pending) {
+            if (!builds.has(delivery.buildId)) {
+                builds.set(delivery.buildId, await this.repository.get(delivery.buildId));
+            }
+            const build = builds.get(delivery.buildId);
+            const webhook = [...this.globalWebhooks, ...((build && build.webhooks) || [])]
+                .find(candidate => candidate.id === delivery.webhookId);
+
+            if (!webhook || !delivery.body || delivery.attempts.length >= config.webhooks.maxAttempts) {
+                logger.warn(`Webhook delivery ${delivery.id} could not be resumed after a restart`, {
+                    webhookId: delivery.webhookId,
+                    buildId: delivery.buildId,
+                    event: delivery.event,
+                });
+                await this.finishDelivery(delivery, 'failed');
+                continue;
+            }
+            this.enqueue(webhook, delivery);
+        }
+
+        if (pending.length > 0) {
+            logger.info(`Resuming ${pending.length} pending webhook deliveries`);
+        }
+    }
+
+    /**
+     * Validate a webhook definition and give it an ID and (if it has none) a secret
+     * @param {Object} spec - { url, secret, events }
+     * @param {Object} options - Webhook options
+     * @param {boolean} options.restricted - Deliveries may not reach private addresses
+     *   (webhooks from build requests, unless allowPrivateHosts is set)
+     * @returns {Object} Webhook ({ id, url, secret, events, restricted, created })
+     * @throws {Error} With statusCode 400 if the definition is invalid
+     */
+    createWebhook(spec, options = {}) {
+        const { url, secret, events } = typeof spec === 'string' ? { url: spec } : (spec || {});
+
+        if (typeof url !== 'string' || url.trim() === '') {
+            throw badRequest('webhook url must be a non-empty string');
+        }
+        if (url.length > MAX_URL_LENGTH) {
+            throw badRequest(`webhook url too long. Maximum ${MAX_URL_LENGTH} characters allowed`);
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url.trim());
+        } catch (error) {
+            throw badRequest(`invalid webhook url: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw badRequest('webhook url must use http or https');
+        }
+
+        const restricted = !!options.restricted && !config.webhooks.allowPrivateHosts;
+        if (restricted && isPrivateHostname(parsed.hostname)) {
+            throw badRequest('webhook url must not point to a private or loopback address');
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' ||
+            secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH)) {
+            throw badRequest(`webhook secret must be a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`);
+        }
+
+        if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+            events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+            throw badRequest(`webhook events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        return {
+            id: uuidv4(),
+            url: parsed.toString(),
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            events: events ? [...new Set(events)] : null,
+            restricted,
+            created: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Format a webhook for API responses
+     * @param {Object} webhook - Webhook
+     * @param {boolean} includeSecret - Include the signing secret (only when it was just created)
+     */
+    formatWebhook(webhook, includeSecret = false) {
+        return {
+            id: webhook.id,
+            url: webhook.url,
+            events: webhook.events || WEBHOOK_EVENTS,
+            created: webhook.created,
+            ...(includeSecret && { secret: webhook.secret }),
+        };
+    }
+
+    /**
+     * Register a webhook notified about every build
+     * @param {Object} spec - { url, secret, events }
+     * @returns {Object} Webhook
+     */
+    async registerGlobalWebhook(spec) {
+        const webhook = this.createWebhook(spec);
+        await this.repository.saveWebhook(webhook);
+        this.globalWebhooks.push(webhook);
+
+        logger.info(`Global webhook ${webhook.id} registered`, { url: webhook.url, events: webhook.events });
+        return webhook;
+    }
+
+    /**
+     * Remove a global webhook
+     * @param {string} webhookId - Webhook ID
+     * @returns {boolean} Whether the webhook existed
+     */
+    async removeGlobalWebhook(webhookId) {
+        const deleted = await this.repository.deleteWebhook(webhookId);
+        this.globalWebhooks = this.globalWebhooks.filter(webhook => webhook.id !== webhookId);
+
+        if (deleted) {
+            logger.info(`Global webhook ${webhookId} removed`);
+        }
+        return deleted;
+    }
+
+    /**
+     * List the global webhooks
+     */
+    listGlobalWebhooks() {
+        return this.globalWebhooks;
+    }
+
+    /**
+     * List logged deliveries, newest first
+     * @param {Object} filter - buildId, webhookIds and limit (see BuildRepository.listDeliveries)
+     */
+    async listDeliveries(filter = {}) {
+        const deliveries = await this.repository.listDeliveries(filter);
+        return deliveries.map(delivery => this.formatDelivery(delivery));
+    }
+
+    formatDelivery(delivery) {
+        return {
+            id: delivery.id,
+            webhook_id: delivery.webhookId,
+            build_id: delivery.buildId,
+            event: delivery.event,
+            url: delivery.url,
+            state: delivery.state,
+            attempts: delivery.attempts,
+            created: delivery.created,
+            updated: delivery.updated,
+            next_attempt_at: delivery.nextAttemptAt,
+        };
+    }
+
+    /**
+     * Notify a build's webhooks and the global webhooks of an event
+     * Deliveries happen in the background; this never throws.
+     * @param {Object} build - Build state object (its webhooks are build.webhooks)
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} status - Formatted build status for the payload
+     */
+    notify(build, event, status) {
+        const webhooks = [...this.globalWebhooks, ...(build.webhooks || [])]
+            .filter(webhook => !webhook.events || webhook.events.includes(event));
+
+        for (const webhook of webhooks) {
+            const delivery = {
+                id: uuidv4(),
+                webhookId: webhook.id,
+                buildId: build.id,
+                event,
+                url: webhook.url,
+                state: 'pending',
+                attempts: [],
+                created: new Date().toISOString(),
+                updated: null,
+                nextAttemptAt: null,
+            };
+            // Kept with the delivery until it finishes, so it can be resumed
+            delivery.body = JSON.stringify({
+                id: delivery.id,
+                event,
+                created: delivery.created,
+                build: status,
+            });
+
+            this.enqueue(webhook, delivery);
+        }
+    }
+
+    /**
+     * Deliver after the earlier deliveries to the same webhook about the same build
+     */
+    enqueue(webhook, delivery) {
+        const key = `${webhook.id}:${delivery.buildId}`;
+        const chain = (this.chains.get(key) || Promise.resolve())
+            .then(() => this.deliver(webhook, delivery))
+            .catch(error => logger.error(`Webhook delivery ${delivery.id} failed unexpectedly:`, error));
+        this.chains.set(key, chain);
+        chain.then(() => {
+            if (this.chains.get(key) === chain) {
+                this.chains.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Sign a payload: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix time in seconds (sent as X-Webhook-Timestamp)
+     * @param {string} body - Request body
+     * @returns {string} Signature header value ("sha256=<hex>")
+     */
+    sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Deliver a payload, retrying with exponential backoff until it succeeds,
+     * fails permanently or runs out of attempts
+     * A resumed delivery continues after its recorded attempts, once its backoff is over.
+     */
+    async deliver(webhook, delivery) {
+        const { maxAttempts, retryBaseDelayMs } = config.webhooks;
+        await this.saveDelivery(delivery);
+
+        const remaining = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+
+        for (let attempt = delivery.attempts.length + 1; attempt <= maxAttempts; attempt++) {
+            const result = await this.attemptDelivery(webhook, delivery, delivery.body);
+            delivery.attempts.push(result);
+
+            const delivered = result.status_code >= 200 && result.status_code < 300;
+            const lastAttempt = attempt === maxAttempts || !result.retryable;
+            delete result.retryable;
+
+            if (delivered || lastAttempt) {
+                await this.finishDelivery(delivery, delivered ? 'delivered' : 'failed');
+
+                if (!delivered) {
+                    logger.warn(`Webhook delivery ${delivery.id} failed after ${attempt} attempt(s)`, {
+                        webhookId: webhook.id,
+                        buildId: delivery.buildId,
+                        event: delivery.event,
+                        statusCode: result.status_code,
+                        error: result.error,
+                    });
+                }
+                return;
+            }
+
+            const delay = retryBaseDelayMs * 2 ** (attempt - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            await this.saveDelivery(delivery);
+            logger.debug(`Webhook delivery ${delivery.id} failed, retrying in ${delay}ms`, {
+                attempt,
+                statusCode: result.status_code,
+                error: result.error,
+            });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Make one delivery attempt
+     * Network errors, timeouts, 429 and 5xx responses are worth retrying; other
+     * responses (including redirects, which aren't followed) are final.
+     * @returns {Object} { at, status_code, error, duration_ms, retryable }
+     */
+    async attemptDelivery(webhook, delivery, body) {
+        const started = Date.now();
+        const result = { at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: null };
+
+        try {
+            const timestamp = Math.floor(started / 1000);
+            const send = webhook.restricted ? guardedFetch : fetch;
+            const response = await send(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'homelab-iso-builder-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body),
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+            });
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => {});
+
+            result.status_code = response.status;
+            result.retryable = response.status === 429 || response.status >= 500;
+            if (response.status < 200 || response.status >= 300) {
+                result.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            result.error = error.name === 'TimeoutError'
+                ? `No response within ${config.webhooks.timeoutMs}ms`
+                : (error.cause && error.cause.message) || error.message;
+            result.retryable = !error.permanent;
+        }
+
+        result.duration_ms = Date.now() - started;
+        return result;
+    }
+
+    /**
+     * Record how a delivery ended (its payload is no longer needed)
+     */
+    async finishDelivery(delivery, state) {
+        delivery.state = state;
+        delivery.nextAttemptAt = null;
+        delete delivery.body;
+        await this.saveDelivery(delivery);
+        metrics.webhookDeliveries.inc({ event: delivery.event, outcome: state });
+    }
+
+    async saveDelivery(delivery) {
+        delivery.updated = new Date().toISOString();
+        try {
+            await this.repository.saveDelivery(delivery);
+        } catch (error) {
+            logger.error(`Failed to record webhook delivery ${delivery.id}:`, error);
+        }
+    }
+}
+
+module.exports = new WebhookManager();
@@ -0,0 +1,38 @@
+// Admin authentication middleware
+// Admin endpoints are open to users with the admin role (see user-auth) and to the
+// ADMIN_API_TOKEN as a bearer token, which is how the first admin user is created.
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../lib/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Middleware to reject requests from anyone but admins
+ */
+const requireAdmin = (req, res, next) => {
+    if (req.user) {
+        if (req.user.role === 'admin') {
+            return next();
+        }
+        return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    // Compare digests so the comparison takes the same time whatever the token's length
+    if (!config.security.adminToken || scheme !== 'Bearer' || !token ||
+        !crypto.timingSafeEqual(digest(token), digest(config.security.adminToken))) {
+        logger.warn('Rejected admin request with invalid token', {
+            ip: req.ip,
+            path: req.path,
+            requestId: req.requestId,
+        });
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
+};
+
+module.exports = requireAdmin;
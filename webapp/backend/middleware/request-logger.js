@@ -1,6 +1,17 @@
 // Request logging middleware with performance tracking
 
 const logger = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+
+/**
+ * Route a request matched, for metric labels (the path itself would give a series per build ID)
+ */
+function getRouteLabel(req) {
+    if (req.route && req.route.path !== '*') {
+        return req.baseUrl + req.route.path;
+    }
+    return req.path.startsWith('/api/') ? 'unmatched' : 'static';
+}
 
 /**
  * Middleware to log all HTTP requests with context and performance metrics
@@ -15,6 +26,7 @@ const requestLogger = (req, res, next) => {
 
     // Track start time
     const startTime = Date.now();
+    const startHrTime = process.hrtime.bigint();
 
     // Log incoming request
     req.logger.info('Incoming request', {
@@ -54,6 +66,12 @@ const requestLogger = (req, res, next) => {
     res.on('finish', () => {
         const duration = Date.now() - startTime;
 
+        metrics.httpRequestDuration.observe({
+            method: req.method,
+            route: getRouteLabel(req),
+            status: res.statusCode,
+        }, Number(process.hrtime.bigint() - startHrTime) / 1e9);
+
         if (res.statusCode >= 400) {
             req.logger.error('Request failed', {
                 method: req.method,
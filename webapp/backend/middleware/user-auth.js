@@ -0,0 +1,105 @@
+// User authentication middleware
+// Requests authenticate with a personal API token (Authorization: Bearer) or the session
+// cookie set at sign-in. authenticate identifies the user if there is one; requireUser
+// rejects requests without one.
+
+const logger = require('../lib/logger');
+const userManager = require('../lib/user-manager');
+
+const SESSION_COOKIE = 'iso_builder_session';
+
+/**
+ * Read a cookie from the request
+ * @returns {string|null} Cookie value
+ */
+function getCookie(req, name) {
+    for (const pair of (req.get('Cookie') || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index !== -1 && pair.substring(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(pair.substring(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Middleware to set req.user from the request's API token or session cookie
+ * An invalid credential leaves req.user unset (and sets req.authFailed); the admin
+ * token is checked separately by the admin middleware.
+ */
+const authenticate = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const session = getCookie(req, SESSION_COOKIE);
+    const credential = scheme === 'Bearer' && token
+        ? { value: token, type: 'api' }
+        : session ? { value: session, type: 'session' } : null;
+
+    if (!credential) {
+        return next();
+    }
+
+    userManager.authenticateToken(credential.value, credential.type)
+        .then(user => {
+            if (user) {
+                req.user = user;
+                req.logger = req.logger.child({ userId: user.id });
+            } else {
+                req.authFailed = credential.type;
+            }
+            next();
+        })
+        .catch(next);
+};
+
+/**
+ * Middleware to reject requests without a signed-in user
+ */
+const requireUser = (req, res, next) => {
+    if (req.user) {
+        return next();
+    }
+
+    if (req.authFailed) {
+        logger.warn(`Rejected request with invalid ${req.authFailed === 'api' ? 'API token' : 'session'}`, {
+            ip: req.ip,
+            path: req.path,
+            requestId: req.requestId,
+        });
+    }
+    res.status(401).json({
+        error: req.authFailed === 'session'
+            ? 'Your session has expired. Please sign in again.'
+            : req.authFailed ? 'Invalid or expired API token' : 'Authentication required',
+    });
+};
+
+/**
+ * Set the session cookie after signing in
+ * @param {Object} session - { value, token } from userManager.createSession
+ */
+function setSessionCookie(req, res, session) {
+    res.cookie(SESSION_COOKIE, session.value, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: 'lax',
+        path: '/',
+        expires: new Date(session.token.expiresAt),
+    });
+}
+
+function clearSessionCookie(req, res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, secure: req.secure, sameSite: 'lax', path: '/' });
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    getCookie,
+    authenticate,
+    requireUser,
+    setSessionCookie,
+    clearSessionCookie,
+};
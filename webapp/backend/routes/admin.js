@@ -0,0 +1,240 @@
+// Admin API Routes - Operator views and actions across all builds, and user accounts
+// For admin users and the admin token (see middleware/admin-auth)
+
+const express = require('express');
+const router = express.Router();
+const buildOrchestrator = require('../lib/build-orchestrator');
+const logger = require('../lib/logger');
+const webhookManager = require('../lib/webhook-manager');
+const userManager = require('../lib/user-manager');
+const requireAdmin = require('../middleware/admin-auth');
+
+const DEFAULT_COST_DAYS = 30;
+const MAX_COST_DAYS = 366;
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 500;
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/costs
+ * Build costs per day and per requester (with the requester's username)
+ * Query: days - how many days back to include (default 30, at most 366; limited
+ * to what the build store still retains)
+ */
+router.get('/costs', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? DEFAULT_COST_DAYS : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_COST_DAYS) {
+            return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_COST_DAYS}` });
+        }
+
+        // Requesters are user IDs; name them for the report
+        const summary = await buildOrchestrator.getCostSummary(days);
+        const usernames = new Map((await userManager.listUsers()).map(user => [user.id, user.username]));
+        summary.by_requester = summary.by_requester.map(entry => ({
+            ...entry,
+            username: usernames.get(entry.requester) || null,
+        }));
+
+        res.json(summary);
+    } catch (error) {
+        logger.error('Error summarizing build costs:', error);
+        res.status(500).json({ error: 'Failed to summarize build costs' });
+    }
+});
+
+/**
+ * GET /api/admin/approvals
+ * Builds waiting for approval (past the budget's approval threshold), newest first
+ */
+router.get('/approvals', async (req, res) => {
+    try {
+        const builds = await buildOrchestrator.listBuilds({ statuses: ['awaiting_approval'] });
+        res.json({ builds, total: builds.length });
+    } catch (error) {
+        logger.error('Error listing builds awaiting approval:', error);
+        res.status(500).json({ error: 'Failed to list builds awaiting approval' });
+    }
+});
+
+/**
+ * POST /api/admin/builds/:buildId/approve
+ * Release a build waiting for approval into the build queue
+ * Returns 402/429 if the build would now exceed a spending cap.
+ */
+router.post('/builds/:buildId/approve', async (req, res) => {
+    try {
+        const { buildId } = req.params;
+        const status = await buildOrchestrator.approveBuild(buildId);
+
+        if (!status) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+
+        res.json(status);
+    } catch (error) {
+        logger.error('Error approving build:', error);
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.statusCode || 400).json({
+            error: error.message,
+            ...(error.budget && { budget: error.budget }),
+        });
+    }
+});
+
+/**
+ * POST /api/admin/builds/:buildId/reject
+ * Turn down a build waiting for approval; it ends as cancelled
+ */
+router.post('/builds/:buildId/reject', async (req, res) => {
+    try {
+        const { buildId } = req.params;
+        const status = await buildOrchestrator.rejectBuild(buildId);
+
+        if (!status) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+
+        res.status(202).json(status);
+    } catch (error) {
+        logger.error('Error rejecting build:', error);
+        res.status(error.statusCode || 400).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/webhooks
+ * Global webhooks (notified about every build)
+ */
+router.get('/webhooks', (req, res) => {
+    const webhooks = webhookManager.listGlobalWebhooks().map(webhook => webhookManager.formatWebhook(webhook));
+    res.json({ webhooks, total: webhooks.length });
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Register a global webhook
+ * Body: { url, secret (optional, generated if omitted), events (optional, default all) }
+ * The response is the only place the secret is shown.
+ */
+router.post('/webhooks', async (req, res) => {
+    try {
+        const webhook = await webhookManager.registerGlobalWebhook(req.body);
+        res.status(201).json(webhookManager.formatWebhook(webhook, true));
+    } catch (error) {
+        logger.error('Error registering webhook:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to register webhook' });
+    }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:webhookId
+ * Remove a global webhook (deliveries already under way still finish)
+ */
+router.delete('/webhooks/:webhookId', async (req, res) => {
+    try {
+        if (!await webhookManager.removeGlobalWebhook(req.params.webhookId)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error removing webhook:', error);
+        res.status(500).json({ error: 'Failed to remove webhook' });
+    }
+});
+
+/**
+ * GET /api/admin/webhook-deliveries
+ * Webhook delivery log across all webhooks, newest first
+ * Query: build_id, webhook_id - filters; limit - default 50, at most 500
+ */
+router.get('/webhook-deliveries', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}` });
+        }
+
+        const deliveries = await webhookManager.listDeliveries({
+            buildId: req.query.build_id || undefined,
+            webhookIds: req.query.webhook_id ? [req.query.webhook_id] : undefined,
+            limit,
+        });
+        res.json({ deliveries, total: deliveries.length });
+    } catch (error) {
+        logger.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+});
+
+/**
+ * GET /api/admin/users
+ * User accounts, oldest first
+ */
+router.get('/users', async (req, res) => {
+    try {
+        const users = (await userManager.listUsers()).map(user => userManager.formatUser(user));
+        res.json({ users, total: users.length });
+    } catch (error) {
+        logger.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a user account
+ * Body: { username, password, role ('user' or 'admin', default 'user'),
+ *         daily_build_quota (optional; default BUILDS_PER_USER_PER_DAY) }
+ */
+router.post('/users', async (req, res) => {
+    try {
+        const user = await userManager.createUser(req.body);
+        res.status(201).json(userManager.formatUser(user));
+    } catch (error) {
+        logger.error('Error creating user:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create user' });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:userId
+ * Change a user's password, role or daily build quota (null: the default)
+ * A new password signs the user out of their sessions; API tokens keep working.
+ */
+router.patch('/users/:userId', async (req, res) => {
+    try {
+        const { password, role, daily_build_quota } = req.body;
+        const user = await userManager.updateUser(req.params.userId, { password, role, daily_build_quota });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(userManager.formatUser(user));
+    } catch (error) {
+        logger.error('Error updating user:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update user' });
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Delete a user with their API tokens and sessions; their builds are kept
+ */
+router.delete('/users/:userId', async (req, res) => {
+    try {
+        if (!await userManager.deleteUser(req.params.userId)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+// Authentication API Routes - Sign-in (password or OIDC), sessions and personal API tokens
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
+const logger = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const userManager = require('../lib/user-manager');
+const oidcClient = require('../lib/oidc-client');
+const {
+    SESSION_COOKIE,
+    getCookie,
+    requireUser,
+    setSessionCookie,
+    clearSessionCookie,
+} = require('../middleware/user-auth');
+
+// Security: Slow down password guessing; successful sign-ins don't count
+const signInLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: { trustProxy: false },
+    handler: (req, res) => {
+        metrics.rateLimitRejections.inc({ limiter: 'sign_in' });
+        logger.warn('Sign-in rate limit exceeded', { ip: req.ip, path: req.path });
+        res.status(429).json({
+            error: 'Too many failed sign-in attempts. Please try again in 15 minutes.',
+            retryAfter: 15 * 60,
+        });
+    },
+});
+
+// Holds the state, nonce and PKCE verifier of an OIDC sign-in until the provider calls back
+const OIDC_STATE_COOKIE = 'iso_builder_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+/**
+ * Sign a user in: start a session and set its cookie
+ */
+async function startSession(req, res, user, idToken = null) {
+    const session = await userManager.createSession(user, idToken);
+    setSessionCookie(req, res, session);
+    return {
+        user: userManager.formatUser(user),
+        expires_at: session.token.expiresAt,
+    };
+}
+
+/**
+ * Reject password sign-in when it's turned off (AUTH_PASSWORD_LOGIN=false)
+ */
+const requirePasswordLogin = (req, res, next) => {
+    if (!config.auth.passwordLogin) {
+        return res.status(403).json({ error: `Password sign-in is disabled. Sign in with ${config.auth.oidc.providerName}.` });
+    }
+    next();
+};
+
+/**
+ * App path to return to after an OIDC sign-in (only paths on this site)
+ */
+function getReturnPath(value) {
+    return typeof value === 'string' && /^\/(?![\/\\])/.test(value) && value.length <= 512 ? value : '/';
+}
+
+/**
+ * Send the browser back to the app with a sign-in error for the sign-in form
+ */
+function redirectWithError(res, message) {
+    res.redirect(`/?auth_error=${encodeURIComponent(message)}`);
+}
+
+/**
+ * GET /api/auth/providers
+ * How users can sign in (for the sign-in form)
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        password: config.auth.passwordLogin,
+        registration: config.auth.passwordLogin && config.auth.allowRegistration,
+        oidc: oidcClient.isEnabled()
+            ? { name: config.auth.oidc.providerName, login_url: `${OIDC_COOKIE_PATH}/login` }
+            : null,
+    });
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Start an OIDC sign-in: redirects the browser to the provider
+ * Query: return_to - app path to come back to (default /)
+ */
+router.get('/oidc/login', async (req, res) => {
+    if (!oidcClient.isEnabled()) {
+        return res.status(404).json({ error: 'OIDC sign-in is not configured' });
+    }
+
+    try {
+        const { url, pending } = await oidcClient.createAuthorization(getReturnPath(req.query.return_to));
+        res.cookie(OIDC_STATE_COOKIE, oidcClient.sealState(pending), {
+            httpOnly: true,
+            secure: req.secure,
+            // Lax: the cookie must come along when the provider redirects back
+            sameSite: 'lax',
+            path: OIDC_COOKIE_PATH,
+            maxAge: 10 * 60 * 1000,
+        });
+        res.redirect(url);
+    } catch (error) {
+        logger.error(`Error starting OIDC sign-in: ${error.message}`);
+        redirectWithError(res, `${config.auth.oidc.providerName} is unavailable. Please try again later.`);
+    }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Where the provider sends the browser back: signs the user in and returns to the app
+ */
+router.get('/oidc/callback', async (req, res) => {
+    if (!oidcClient.isEnabled()) {
+        return res.status(404).json({ error: 'OIDC sign-in is not configured' });
+    }
+
+    const pending = oidcClient.openState(getCookie(req, OIDC_STATE_COOKIE));
+    res.clearCookie(OIDC_STATE_COOKIE, { httpOnly: true, secure: req.secure, sameSite: 'lax', path: OIDC_COOKIE_PATH });
+
+    try {
+        const { claims, idToken } = await oidcClient.completeAuthorization(req.query, pending);
+        const identity = oidcClient.getIdentity(claims);
+        const role = oidcClient.getRole(identity.groups);
+
+        if (!role) {
+            // Sign them out everywhere now rather than when their groups are due for a
+            // check (OIDC_MEMBERSHIP_TTL_HOURS after their last sign-in)
+            await userManager.revokeIdentity(identity);
+            logger.warn('Rejected OIDC sign-in from a user outside the allowed groups', {
+                subject: identity.subject,
+                username: identity.username,
+                requestId: req.requestId,
+            });
+            return redirectWithError(res, 'Your account is not allowed to use the ISO builder. Ask an administrator for access.');
+        }
+
+        const user = await userManager.signInWithIdentity(identity, role);
+        await startSession(req, res, user, idToken);
+        logger.info(`User ${user.username} signed in with OIDC`, { userId: user.id, role });
+        res.redirect(pending.returnTo);
+    } catch (error) {
+        logger.error(`OIDC sign-in failed: ${error.message}`, { requestId: req.requestId });
+        redirectWithError(res, error.statusCode ? error.message : 'Sign-in failed. Please try again.');
+    }
+});
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in (only with AUTH_ALLOW_REGISTRATION=true)
+ * Body: { username, password }
+ */
+router.post('/register', requirePasswordLogin, signInLimiter, async (req, res) => {
+    if (!config.auth.allowRegistration) {
+        return res.status(403).json({ error: 'Registration is disabled. Ask an administrator for an account.' });
+    }
+
+    try {
+        const { username, password } = req.body;
+        const user = await userManager.createUser({ username, password });
+        res.status(201).json(await startSession(req, res, user));
+    } catch (error) {
+        logger.error('Error registering user:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to register' });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with a username and password; sets the session cookie
+ * Body: { username, password }
+ */
+router.post('/login', requirePasswordLogin, signInLimiter, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+
+        const user = await userManager.authenticatePassword(username, password);
+        if (!user) {
+            logger.warn('Failed sign-in', { ip: req.ip, requestId: req.requestId });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        logger.info(`User ${user.username} signed in`, { userId: user.id });
+        res.json(await startSession(req, res, user));
+    } catch (error) {
+        logger.error('Error signing in:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session and clear its cookie
+ * Response: { logout_url } - for OIDC sessions, where to send the browser to sign out of
+ * the provider too (null otherwise)
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        const value = getCookie(req, SESSION_COOKIE);
+        const session = value ? await userManager.endSession(value) : null;
+        clearSessionCookie(req, res);
+
+        let logoutUrl = null;
+        if (session && session.idToken && oidcClient.isEnabled()) {
+            try {
+                logoutUrl = await oidcClient.getLogoutUrl(session.idToken);
+            } catch (error) {
+                logger.warn(`Could not get the OIDC logout URL: ${error.message}`);
+            }
+        }
+
+        res.json({ logout_url: logoutUrl });
+    } catch (error) {
+        logger.error('Error signing out:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user and their remaining daily build quota
+ */
+router.get('/me', requireUser, async (req, res) => {
+    try {
+        res.json({
+            user: userManager.formatUser(req.user),
+            build_quota: await userManager.getBuildQuota(req.user),
+        });
+    } catch (error) {
+        logger.error('Error getting current user:', error);
+        res.status(500).json({ error: 'Failed to get current user' });
+    }
+});
+
+/**
+ * GET /api/auth/tokens
+ * The signed-in user's API tokens (without their values)
+ */
+router.get('/tokens', requireUser, async (req, res) => {
+    try {
+        const tokens = (await userManager.listApiTokens(req.user.id)).map(token => userManager.formatToken(token));
+        res.json({ tokens, total: tokens.length });
+    } catch (error) {
+        logger.error('Error listing API tokens:', error);
+        res.status(500).json({ error: 'Failed to list API tokens' });
+    }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a personal API token
+ * Body: { name, expires_in_days (optional, 1-365; no expiry if omitted) }
+ * The response is the only place the token is shown.
+ */
+router.post('/tokens', requireUser, async (req, res) => {
+    try {
+        const { value, token } = await userManager.createApiToken(req.user, req.body);
+        res.status(201).json({ ...userManager.formatToken(token), token: value });
+    } catch (error) {
+        logger.error('Error creating API token:', error);
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create API token' });
+    }
+});
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke one of the signed-in user's API tokens
+ */
+router.delete('/tokens/:tokenId', requireUser, async (req, res) => {
+    try {
+        if (!await userManager.revokeApiToken(req.user.id, req.params.tokenId)) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error revoking API token:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+module.exports = router;
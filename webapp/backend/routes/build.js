@@ -3,16 +3,27 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
 const logger = require('../lib/logger');
 const buildOrchestrator = require('../lib/build-orchestrator');
-const gcsManager = require('../lib/gcs-manager');
+const buildEvents = require('../lib/build-events');
+const { parseRange } = require('../lib/build-log');
+const { getBuildBackend } = require('../lib/build-backends');
+const { metrics } = require('../lib/metrics');
+const webhookManager = require('../lib/webhook-manager');
+const { createChannel } = require('../lib/notification-channels');
+const userManager = require('../lib/user-manager');
+const { requireUser } = require('../middleware/user-auth');
+
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
 
 // SECURITY: Strict rate limiting for build creation to prevent financial DoS
-// Each build costs ~$8 (VM + compute + storage + egress)
+// Each build costs ~$8 (VM + compute + storage + egress; see the cost field of a build's status)
 // Without rate limiting, an attacker could create 40 builds/hour = $320/hour
 const buildRateLimiter = rateLimit({
     windowMs: 60 * 60 * 1000,  // 1 hour window
-    max: 3,                     // Maximum 3 builds per hour per IP
+    max: 3,                     // Maximum 3 builds per hour per user
     skipSuccessfulRequests: false,
     skipFailedRequests: false,  // Count failed attempts to prevent enumeration
     message: {
@@ -21,12 +32,11 @@ const buildRateLimiter = rateLimit({
     },
     standardHeaders: true,      // Return rate limit info in RateLimit-* headers
     legacyHeaders: false,       // Disable X-RateLimit-* headers
-    keyGenerator: (req) => {
-        // Use IP address as key (can be enhanced with user authentication later)
-        return req.ip || req.connection.remoteAddress;
-    },
+    keyGenerator: (req) => req.user.id,
     handler: (req, res) => {
+        metrics.rateLimitRejections.inc({ limiter: 'build_hourly' });
         logger.warn('Build rate limit exceeded', {
+            userId: req.user.id,
             ip: req.ip,
             path: req.path,
             headers: {
@@ -36,189 +46,417 @@ const buildRateLimiter = rateLimit({
         });
 
         res.status(429).json({
-            error: 'Build rate limit exceeded. Maximum 3 builds per hour per IP address.',
+            error: 'Build rate limit exceeded. Maximum 3 builds per hour.',
             retryAfter: 3600,  // seconds
             currentTime: new Date().toISOString()
         });
     }
 });
 
-// In-memory tracker for per-IP 24-hour build limits (additional layer)
+// Per-user 24-hour build quota (additional layer, counted from the build store)
 // This prevents circumventing hourly limits by spacing builds exactly 1 hour apart
-const dailyBuildTracker = new Map();
-
-// Cleanup old entries every hour to prevent memory leaks
-setInterval(() => {
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    for (const [ip, builds] of dailyBuildTracker.entries()) {
-        const recentBuilds = builds.filter(timestamp => timestamp > oneDayAgo);
-        if (recentBuilds.length === 0) {
-            dailyBuildTracker.delete(ip);
-        } else {
-            dailyBuildTracker.set(ip, recentBuilds);
-        }
-    }
-}, 60 * 60 * 1000);  // Run every hour
-
-const dailyBuildLimiter = (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const oneDayAgo = now - (24 * 60 * 60 * 1000);
-
-    // Get builds for this IP in the last 24 hours
-    const builds = dailyBuildTracker.get(ip) || [];
-    const recentBuilds = builds.filter(timestamp => timestamp > oneDayAgo);
-
-    // Enforce daily limit: 5 builds per 24 hours
-    if (recentBuilds.length >= 5) {
-        const oldestBuild = Math.min(...recentBuilds);
-        const retryAfter = Math.ceil((oldestBuild + (24 * 60 * 60 * 1000) - now) / 1000);
-
-        logger.warn('Daily build limit exceeded', {
-            ip,
-            buildsLast24Hours: recentBuilds.length,
-            path: req.path
-        });
+// The request holds a quota slot until the handler calls req.releaseBuildSlot() (once the
+// build is saved or starting it failed), or the response ends.
+const dailyBuildQuota = async (req, res, next) => {
+    try {
+        const { quota, release } = await userManager.reserveBuild(req.user);
+        if (quota.limit === null) {
+            return next();
+        }
 
-        return res.status(429).json({
-            error: 'Daily build limit exceeded. Maximum 5 builds per 24 hours.',
-            retryAfter,
-            buildsRemaining: 0,
-            resetTime: new Date(oldestBuild + (24 * 60 * 60 * 1000)).toISOString()
-        });
-    }
+        if (quota.remaining === 0) {
+            const retryAfter = quota.resets_at
+                ? Math.ceil((new Date(quota.resets_at).getTime() - Date.now()) / 1000)
+                : null;
 
-    // Track this build attempt
-    recentBuilds.push(now);
-    dailyBuildTracker.set(ip, recentBuilds);
+            metrics.rateLimitRejections.inc({ limiter: 'build_daily' });
+            logger.warn('Daily build quota exceeded', {
+                userId: req.user.id,
+                buildsLast24Hours: quota.used,
+                path: req.path
+            });
 
-    // Add remaining builds info to response headers
-    res.set('X-Builds-Remaining-24h', String(5 - recentBuilds.length));
+            return res.status(429).json({
+                error: `Daily build quota exceeded. Maximum ${quota.limit} builds per 24 hours.`,
+                retryAfter,
+                buildsRemaining: 0,
+                resetTime: quota.resets_at
+            });
+        }
 
-    next();
+        req.releaseBuildSlot = release;
+        res.on('close', release);
+
+        // Add remaining builds info to response headers
+        res.set('X-Builds-Remaining-24h', String(quota.remaining - 1));
+
+        next();
+    } catch (error) {
+        next(error);
+    }
 };
 
 /**
- * POST /api/build
- * Start a new ISO build
- *
- * Rate Limits:
- * - 3 builds per hour per IP
- * - 5 builds per 24 hours per IP
+ * Release the daily quota slot of a build request, if dailyBuildQuota reserved one
  */
-router.post('/', buildRateLimiter, dailyBuildLimiter, async (req, res) => {
+function releaseBuildSlot(req) {
+    if (req.releaseBuildSlot) {
+        req.releaseBuildSlot();
+    }
+}
+
+/**
+ * Identify who a build request came from (the build's owner, and for cost accounting)
+ */
+function getRequester(req) {
+    return req.user.id;
+}
+
+/**
+ * Only the users who requested a build, and admins, may see it or act on it
+ * Other users get the same 404 as for a build that doesn't exist. Users whose identical
+ * request was attached to the build may follow and download it (req.buildAccess is
+ * 'attached'); everything else needs requireBuildOwner.
+ */
+async function authorizeBuild(req, res, next, buildId) {
     try {
-        // Validate input types before processing
-        if (req.body.services !== undefined && !Array.isArray(req.body.services)) {
-            return res.status(400).json({ error: 'services must be an array' });
+        const access = req.user.role === 'admin'
+            ? 'admin'
+            : await buildOrchestrator.getBuildAccess(buildId, req.user.id);
+        if (!access) {
+            return res.status(404).json({ error: 'Build not found' });
         }
+        req.buildAccess = access;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Restrict a build route to the build's requester and admins
+ */
+function requireBuildOwner(req, res, next) {
+    if (req.buildAccess === 'attached') {
+        return res.status(403).json({ error: 'Only the user who requested this build can do this' });
+    }
+    next();
+}
+
+/**
+ * Hide the requester's webhooks and notification channels from attached users
+ */
+function formatStatusFor(req, status) {
+    if (req.buildAccess !== 'attached') {
+        return status;
+    }
+    const { webhooks, notify_channels, ...visible } = status;
+    return visible;
+}
+
+// Security: Every build endpoint needs a signed-in user (API token or session)
+router.use(requireUser);
+router.param('buildId', authorizeBuild);
+
+/**
+ * Create a 400 error for an invalid build request
+ */
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Validate input types of a build request body and sanitize it into a build config
+ * @param {Object} body - Request body
+ * @returns {Object} Build configuration
+ * @throws {Error} With statusCode 400 if the body is malformed
+ */
+function parseBuildRequest(body) {
+    // Validate input types before processing
+    if (body.services !== undefined && !Array.isArray(body.services)) {
+        throw badRequest('services must be an array');
+    }
+
+    if (body.models !== undefined && !Array.isArray(body.models)) {
+        throw badRequest('models must be an array');
+    }
+
+    if (body.gpu_enabled !== undefined && typeof body.gpu_enabled !== 'boolean') {
+        throw badRequest('gpu_enabled must be a boolean');
+    }
+
+    if (body.iso_name !== undefined && typeof body.iso_name !== 'string') {
+        throw badRequest('iso_name must be a string');
+    }
 
-        if (req.body.models !== undefined && !Array.isArray(req.body.models)) {
-            return res.status(400).json({ error: 'models must be an array' });
+    if (body.email !== undefined && typeof body.email !== 'string') {
+        throw badRequest('email must be a string');
+    }
+
+    if (body.auto_retry !== undefined && !Number.isInteger(body.auto_retry)) {
+        throw badRequest('auto_retry must be an integer');
+    }
+
+    if (body.force_rebuild !== undefined && typeof body.force_rebuild !== 'boolean') {
+        throw badRequest('force_rebuild must be a boolean');
+    }
+
+    // Security: Validate email if provided
+    if (body.email !== undefined && body.email.trim() !== '') {
+        const email = body.email.trim();
+
+        // Security: Length validation (RFC 5321: max 254 chars)
+        if (email.length > 254) {
+            throw badRequest('email too long. Maximum 254 characters allowed');
         }
 
-        if (req.body.gpu_enabled !== undefined && typeof req.body.gpu_enabled !== 'boolean') {
-            return res.status(400).json({ error: 'gpu_enabled must be a boolean' });
+        // Security: Check for header injection patterns (newlines, carriage returns)
+        if (/[\r\n]/.test(email)) {
+            throw badRequest('email contains prohibited characters');
         }
 
-        if (req.body.iso_name !== undefined && typeof req.body.iso_name !== 'string') {
-            return res.status(400).json({ error: 'iso_name must be a string' });
+        // Security: Check for dangerous characters
+        if (/[;|&$`\\]/.test(email)) {
+            throw badRequest('email contains prohibited characters');
         }
 
-        if (req.body.email !== undefined && typeof req.body.email !== 'string') {
-            return res.status(400).json({ error: 'email must be a string' });
+        // Security: Validate email format (RFC 5322 compliant)
+        if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
+            throw badRequest('invalid email format');
         }
 
-        // Security: Validate email if provided
-        if (req.body.email !== undefined && req.body.email.trim() !== '') {
-            const email = req.body.email.trim();
+        // Security: Validate local part and domain lengths (RFC 5321)
+        const [localPart, domainPart] = email.split('@');
+        if (localPart.length > 64 || domainPart.length > 253) {
+            throw badRequest('email local part (max 64 chars) or domain (max 253 chars) too long');
+        }
+    }
 
-            // Security: Length validation (RFC 5321: max 254 chars)
-            if (email.length > 254) {
-                return res.status(400).json({ error: 'email too long. Maximum 254 characters allowed' });
-            }
+    // Validate array elements are strings
+    const services = body.services || [];
+    const models = body.models || [];
 
-            // Security: Check for header injection patterns (newlines, carriage returns)
-            if (/[\r\n]/.test(email)) {
-                return res.status(400).json({ error: 'email contains prohibited characters' });
-            }
+    if (services.some(s => typeof s !== 'string' || s.trim() === '')) {
+        throw badRequest('All services must be non-empty strings');
+    }
 
-            // Security: Check for dangerous characters
-            if (/[;|&$`\\]/.test(email)) {
-                return res.status(400).json({ error: 'email contains prohibited characters' });
-            }
+    if (models.some(m => typeof m !== 'string' || m.trim() === '')) {
+        throw badRequest('All models must be non-empty strings');
+    }
 
-            // Security: Validate email format (RFC 5322 compliant)
-            if (!/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
-                return res.status(400).json({ error: 'invalid email format' });
-            }
+    // Sanitize strings (trim whitespace)
+    return {
+        services: services.map(s => s.trim()),
+        models: models.map(m => m.trim()),
+        gpu_enabled: body.gpu_enabled || false,
+        email: body.email ? body.email.trim() : undefined,
+        iso_name: body.iso_name ? body.iso_name.trim() : 'ubuntu-24.04.3-homelab-custom',
+        auto_retry: body.auto_retry || 0,
+    };
+}
 
-            // Security: Validate local part and domain lengths (RFC 5321)
-            const [localPart, domainPart] = email.split('@');
-            if (localPart.length > 64 || domainPart.length > 253) {
-                return res.status(400).json({ error: 'email local part (max 64 chars) or domain (max 253 chars) too long' });
-            }
-        }
+/**
+ * Validate the webhooks of a build request
+ * @param {Array} webhooks - URLs or { url, secret, events } objects
+ * @returns {Object[]} Webhooks (see lib/webhook-manager)
+ * @throws {Error} With statusCode 400 if a webhook is invalid
+ */
+function parseWebhooks(webhooks) {
+    if (webhooks === undefined) {
+        return [];
+    }
+    if (!Array.isArray(webhooks)) {
+        throw badRequest('webhooks must be an array');
+    }
+    if (webhooks.length > config.webhooks.maxPerBuild) {
+        throw badRequest(`Too many webhooks. Maximum ${config.webhooks.maxPerBuild} per build`);
+    }
 
-        // Validate array elements are strings
-        const services = req.body.services || [];
-        const models = req.body.models || [];
+    // Security: anyone can submit these, so they may not reach private addresses by default
+    return webhooks.map(spec => webhookManager.createWebhook(spec, { restricted: true }));
+}
 
-        if (services.some(s => typeof s !== 'string' || s.trim() === '')) {
-            return res.status(400).json({ error: 'All services must be non-empty strings' });
-        }
+/**
+ * Validate the notification channels of a build request
+ * @param {Array} channels - Channel URLs (ntfy://, gotify://, matrix:// - see lib/notification-channels)
+ * @returns {string[]} Channel URLs
+ * @throws {Error} With statusCode 400 if a channel is invalid
+ */
+function parseNotifyChannels(channels) {
+    if (channels === undefined) {
+        return [];
+    }
+    if (!Array.isArray(channels)) {
+        throw badRequest('notify must be an array of channel URLs');
+    }
+    if (channels.length > config.notifications.maxPerBuild) {
+        throw badRequest(`Too many notification channels. Maximum ${config.notifications.maxPerBuild} per build`);
+    }
 
-        if (models.some(m => typeof m !== 'string' || m.trim() === '')) {
-            return res.status(400).json({ error: 'All models must be non-empty strings' });
-        }
+    // Security: like webhooks, these may not reach private addresses by default
+    channels.forEach(url => createChannel(url, { restricted: true }));
+    return [...new Set(channels.map(url => url.trim()))];
+}
 
-        // Sanitize strings (trim whitespace)
-        const buildConfig = {
-            services: services.map(s => s.trim()),
-            models: models.map(m => m.trim()),
-            gpu_enabled: req.body.gpu_enabled || false,
-            email: req.body.email ? req.body.email.trim() : undefined,
-            iso_name: req.body.iso_name ? req.body.iso_name.trim() : 'ubuntu-24.04.3-homelab-custom',
-        };
+/**
+ * POST /api/build
+ * Start a new ISO build
+ *
+ * Rate Limits:
+ * - 3 builds per hour per user
+ * - The user's daily build quota (BUILDS_PER_USER_PER_DAY unless an admin set another;
+ *   admins have none)
+ *
+ * Budgets (see lib/budget-manager): 402 once the monthly budget is spent, 429 once the
+ * requester's monthly budget is; past the approval threshold the build waits for an admin.
+ */
+router.post('/', buildRateLimiter, dailyBuildQuota, async (req, res) => {
+    try {
+        const buildConfig = parseBuildRequest(req.body);
+        const webhooks = parseWebhooks(req.body.webhooks);
+        const notifyChannels = parseNotifyChannels(req.body.notify);
 
         // Sanitized config for logging (safe to log now)
         const sanitizedConfig = {
             ...buildConfig,
             email: buildConfig.email ? '***@***' : undefined,
+            webhooks: webhooks.length,
+            notify: notifyChannels.length,
         };
         logger.info('New build request:', sanitizedConfig);
 
-        const result = await buildOrchestrator.startBuild(buildConfig);
+        const result = await buildOrchestrator.startBuild(buildConfig, {
+            forceRebuild: req.body.force_rebuild === true,
+            requester: getRequester(req),
+            webhooks,
+            notifyChannels,
+        });
+        releaseBuildSlot(req);
 
-        res.status(202).json(result);
+        // A reused ISO is available immediately. Webhook secrets are only ever shown here.
+        res.status(result.deduplicated === 'cached' ? 200 : 202).json({
+            ...result,
+            webhooks: webhooks.map(webhook => webhookManager.formatWebhook(webhook, true)),
+        });
     } catch (error) {
+        releaseBuildSlot(req);
         logger.error('Error starting build:', error);
-        res.status(400).json({ error: error.message });
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.statusCode || 400).json({
+            error: error.message,
+            ...(error.details && { details: error.details }),
+            ...(error.budget && { budget: error.budget }),
+        });
+    }
+});
+
+/**
+ * POST /api/build/plan
+ * Dry-run a build: validate and resolve the configuration without creating a VM
+ * Returns resolved services, Docker images, models, projected size, time, cost
+ * and which artifacts are already cached. Not counted against build rate limits.
+ */
+router.post('/plan', async (req, res) => {
+    try {
+        const buildConfig = parseBuildRequest(req.body);
+        const plan = await buildOrchestrator.planBuild(buildConfig);
+
+        res.json(plan);
+    } catch (error) {
+        logger.error('Error planning build:', error);
+        res.status(error.statusCode || 400).json({
+            valid: false,
+            error: error.message,
+            ...(error.details && { details: error.details }),
+        });
+    }
+});
+
+/**
+ * GET /api/build/history
+ * The signed-in user's builds in any state, newest first (including builds their
+ * identical requests were attached to)
+ * Query: limit - 1-100, default 20
+ */
+router.get('/history', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+
+        const builds = (await buildOrchestrator.listBuilds({ requestedBy: req.user.id, limit }))
+            .map(build => ({
+                build_id: build.build_id,
+                status: build.status,
+                progress: build.progress,
+                created: build.created,
+                finished: build.finished,
+                services: build.services,
+                iso_filename: build.iso_filename,
+                iso_size_gb: build.iso_size_gb,
+                iso_expires_at: build.iso_expires_at,
+                cost: build.cost,
+                failure_code: build.failure ? build.failure.code : null,
+                retry_of: build.retry_of,
+                retried_by: build.retried_by,
+            }));
+
+        res.json({ builds, total: builds.length });
+    } catch (error) {
+        logger.error('Error listing build history:', error);
+        res.status(500).json({ error: 'Failed to list build history' });
     }
 });
 
 /**
  * GET /api/build/completed
- * List recent completed builds
+ * List recent completed builds (the user's own; every ISO in storage for admins)
  * NOTE: This must come BEFORE /:buildId routes to avoid route conflicts
  */
 router.get('/completed', async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
 
-        // List all ISOs from GCS downloads bucket
-        const isos = await gcsManager.listISOs();
+        // ISO filenames only carry a prefix of the build ID, so users' own builds come
+        // from the build store
+        if (req.user.role !== 'admin') {
+            const now = new Date().toISOString();
+            const builds = (await buildOrchestrator.listBuilds({
+                statuses: ['complete', 'cancelled'],
+                requester: req.user.id,
+                limit,
+            }))
+                .filter(build => build.status === 'cancelled' || (build.iso_filename && build.iso_expires_at > now))
+                .map(build => ({
+                    build_id: build.build_id,
+                    iso_filename: build.status === 'complete' ? build.iso_filename : null,
+                    iso_size: build.status === 'complete' && build.iso_size_gb ? Math.round(build.iso_size_gb * 1e9) : null,
+                    created: build.created,
+                    status: build.status,
+                    cost: build.cost,
+                }));
+
+            return res.json({ builds, total: builds.length });
+        }
+
+        // List all ISOs from the default backend's storage (GCS downloads bucket or local outputs)
+        const isos = await getBuildBackend().storage.listISOs();
 
         // Extract build IDs from ISO filenames
         // Format: ubuntu-24.04.3-homelab-custom-{buildId}.iso
-        const builds = [];
+        let builds = [];
 
         for (const iso of isos.slice(0, limit)) {
             const match = iso.name.match(/ubuntu-.*-homelab-custom-([a-f0-9]+)\.iso$/);
             if (match) {
                 const buildId = match[1];
 
-                // Try to get build status from GCS
+                // Try to get build status from the build store
                 const status = await buildOrchestrator.getBuildStatus(buildId);
 
                 builds.push({
@@ -227,10 +465,28 @@ router.get('/completed', async (req, res) => {
                     iso_size: iso.size,
                     created: iso.created,
                     status: status ? status.status : 'complete',
+                    cost: status ? status.cost || null : null,
                 });
             }
         }
 
+        // Include recently cancelled builds (their partial ISOs have been removed)
+        const cancelled = await buildOrchestrator.listBuilds({ statuses: ['cancelled'], limit });
+        for (const build of cancelled) {
+            builds.push({
+                build_id: build.build_id,
+                iso_filename: null,
+                iso_size: null,
+                created: build.created,
+                status: 'cancelled',
+                cost: build.cost,
+            });
+        }
+
+        builds = builds
+            .sort((a, b) => new Date(b.created) - new Date(a.created))
+            .slice(0, limit);
+
         res.json({
             builds: builds,
             total: builds.length,
@@ -255,13 +511,165 @@ router.get('/:buildId/status', async (req, res) => {
             return res.status(404).json({ error: 'Build not found' });
         }
 
-        res.json(status);
+        res.json(formatStatusFor(req, status));
     } catch (error) {
         logger.error('Error getting build status:', error);
         res.status(500).json({ error: 'Failed to get build status' });
     }
 });
 
+/**
+ * GET /api/build/:buildId/events
+ * Server-Sent Events stream of build updates
+ * Events: status (full status without logs), stage (progress, stage, tasks), log ({ message })
+ * Reconnecting clients send Last-Event-ID to receive the events they missed; otherwise
+ * (or if those events are no longer buffered) the stream starts with a full status event.
+ * The stream ends after the build reaches a terminal status.
+ */
+router.get('/:buildId/events', async (req, res) => {
+    const { buildId } = req.params;
+    const terminalStatuses = ['complete', 'failed', 'cancelled'];
+
+    // compression() buffers responses until they're flushed
+    const write = (chunk) => {
+        res.write(chunk);
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    };
+    const send = (event) => {
+        const id = event.id ? `id: ${event.id}\n` : '';
+        const data = event.type === 'status' ? formatStatusFor(req, event.data) : event.data;
+        write(`${id}event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Subscribe before reading the status so nothing recorded in between is lost
+    const queued = [];
+    let streaming = false;
+    let heartbeat = null;
+    let subscribed = true;
+    const unsubscribe = () => {
+        if (subscribed) {
+            subscribed = false;
+            clearInterval(heartbeat);
+            stopListening();
+        }
+    };
+    const finish = () => {
+        unsubscribe();
+        res.end();
+    };
+    const stopListening = buildEvents.subscribe(buildId, (event) => {
+        if (!streaming) {
+            queued.push(event);
+            return;
+        }
+        send(event);
+        if (event.type === 'status' && terminalStatuses.includes(event.data.status)) {
+            finish();
+        }
+    });
+    // Clients can go away while the status is read, too
+    req.on('close', unsubscribe);
+    const snapshotId = buildEvents.getLastEventId(buildId);
+    const missed = buildEvents.getEventsSince(buildId, req.get('Last-Event-ID'));
+
+    let status;
+    try {
+        status = await buildOrchestrator.getBuildStatus(buildId);
+    } catch (error) {
+        unsubscribe();
+        logger.error('Error getting build status:', error);
+        return res.status(500).json({ error: 'Failed to get build status' });
+    }
+    if (req.destroyed) {
+        return;
+    }
+    if (!status) {
+        unsubscribe();
+        return res.status(404).json({ error: 'Build not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Don't let reverse proxies buffer the stream
+    });
+    write('retry: 5000\n\n');
+
+    if (missed) {
+        missed.forEach(send);
+    } else {
+        send({ id: snapshotId, type: 'status', data: status });
+    }
+    queued.forEach(send);
+    streaming = true;
+
+    // A status event queued during the read may already have ended the build
+    const lastStatus = [status, ...queued.filter(event => event.type === 'status').map(event => event.data)].pop();
+    if (terminalStatuses.includes(lastStatus.status)) {
+        return finish();
+    }
+
+    // Comment lines keep idle connections open through proxies
+    heartbeat = setInterval(() => write(': keep-alive\n\n'), 15000);
+});
+
+/**
+ * GET /api/build/:buildId/logs
+ * Page through the build VM's full log by byte offset
+ * Query: since (byte offset, default 0), limit (bytes, default 64 KiB, max 1 MiB)
+ * Pass next_offset back as since to follow the log while the build runs.
+ */
+router.get('/:buildId/logs', async (req, res) => {
+    let range;
+    try {
+        range = parseRange(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const page = await buildOrchestrator.getBuildLog(req.params.buildId, range.since, range.limit);
+        if (!page) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+        res.json(page);
+    } catch (error) {
+        logger.error('Error reading build log:', error);
+        res.status(500).json({ error: 'Failed to read build log' });
+    }
+});
+
+/**
+ * GET /api/build/:buildId/logs/raw
+ * Download the build VM's full log as plain text
+ */
+router.get('/:buildId/logs/raw', async (req, res) => {
+    const { buildId } = req.params;
+
+    try {
+        const found = await buildOrchestrator.writeBuildLog(buildId, () => {
+            res.set({
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Content-Disposition': `attachment; filename="iso-build-${buildId.substring(0, 8)}.log"`,
+            });
+            return res;
+        });
+        if (!found) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+        res.end();
+    } catch (error) {
+        logger.error('Error downloading build log:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Failed to download build log' });
+    }
+});
+
 /**
  * GET /api/build/:buildId/download
  * Get download URL for completed ISO
@@ -287,17 +695,19 @@ router.get('/:buildId/download', async (req, res) => {
             return res.status(500).json({ error: 'ISO filename not found' });
         }
 
+        const { storage } = getBuildBackend(status.backend);
+
         // Check if ISO exists
-        const exists = await gcsManager.isoExists(status.iso_filename);
+        const exists = await storage.isoExists(status.iso_filename);
         if (!exists) {
             return res.status(404).json({ error: 'ISO file not found in storage' });
         }
 
         // Generate signed download URL
-        const downloadUrl = await gcsManager.getSignedDownloadURL(status.iso_filename);
+        const downloadUrl = await storage.getSignedDownloadURL(status.iso_filename);
 
         // Get ISO metadata
-        const metadata = await gcsManager.getISOMetadata(status.iso_filename);
+        const metadata = await storage.getISOMetadata(status.iso_filename);
 
         res.json({
             build_id: buildId,
@@ -312,33 +722,103 @@ router.get('/:buildId/download', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/build/:buildId/retry
+ * Start a new build from a failed or cancelled build's stored configuration
+ * The new build is linked to the original via retry_of.
+ *
+ * Rate Limits: same as POST /api/build (a retry is a new build)
+ */
+router.post('/:buildId/retry', requireBuildOwner, buildRateLimiter, dailyBuildQuota, async (req, res) => {
+    try {
+        const { buildId } = req.params;
+
+        const result = await buildOrchestrator.retryBuild(buildId, { requester: getRequester(req) });
+        releaseBuildSlot(req);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+
+        logger.info(`Build ${buildId} retried as ${result.build_id}`);
+        res.status(202).json(result);
+    } catch (error) {
+        releaseBuildSlot(req);
+        logger.error('Error retrying build:', error);
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.statusCode || 400).json({
+            error: error.message,
+            ...(error.details && { details: error.details }),
+            ...(error.budget && { budget: error.budget }),
+            ...(error.retriedBy && { retried_by: error.retriedBy }),
+        });
+    }
+});
+
+/**
+ * GET /api/build/:buildId/webhooks
+ * The build's webhooks and their delivery log, newest first
+ * Query: limit - maximum number of deliveries (default 50, at most 200)
+ */
+router.get('/:buildId/webhooks', requireBuildOwner, async (req, res) => {
+    try {
+        const { buildId } = req.params;
+        const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}` });
+        }
+
+        const result = await buildOrchestrator.getWebhookDeliveries(buildId, limit);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Build not found' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+});
+
 /**
  * DELETE /api/build/:buildId
- * Cancel a running build
+ * Cancel a queued or running build
+ * Returns 202 while the VM is torn down; the build then ends in the 'cancelled' state.
  */
-router.delete('/:buildId', async (req, res) => {
+router.delete('/:buildId', requireBuildOwner, async (req, res) => {
     try {
         const { buildId } = req.params;
 
-        const status = buildOrchestrator.getBuildStatus(buildId);
+        const status = await buildOrchestrator.getBuildStatus(buildId);
 
         if (!status) {
             return res.status(404).json({ error: 'Build not found' });
         }
 
-        if (status.status === 'complete' || status.status === 'failed') {
+        if (['complete', 'failed', 'cancelled'].includes(status.status)) {
             return res.status(400).json({
                 error: 'Build already finished',
                 status: status.status,
             });
         }
 
-        // TODO: Implement build cancellation
-        // This would involve stopping the VM and updating build status
+        const result = await buildOrchestrator.cancelBuild(buildId);
 
-        res.json({
-            message: 'Build cancellation requested',
+        if (!result) {
+            // The build is in the build store but this instance does not manage it
+            return res.status(409).json({
+                error: 'Build is not managed by this server and cannot be cancelled',
+                status: status.status,
+            });
+        }
+
+        res.status(202).json({
+            message: 'Build cancellation in progress',
             build_id: buildId,
+            status: result.status,
         });
     } catch (error) {
         logger.error('Error cancelling build:', error);
@@ -0,0 +1,37 @@
+// Local ISO Downloads - Serves ISOs built by backends that store outputs on this host
+// URLs are generated (and signed) by localOutputStore.getSignedDownloadURL
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const localOutputStore = require('../lib/local-output-store');
+
+/**
+ * GET /api/downloads/:filename?expires=<unix seconds>&signature=<hmac>
+ * Download a locally stored ISO with a time-limited signed URL
+ */
+router.get('/:filename', async (req, res) => {
+    const { filename } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!localOutputStore.verifyDownloadSignature(filename, expires, signature)) {
+        logger.warn('Rejected local download with invalid or expired signature', { filename, ip: req.ip });
+        return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    let filePath;
+    try {
+        filePath = localOutputStore.resolvePath(filename);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.download(filePath, filename, (error) => {
+        if (error && !res.headersSent) {
+            logger.error(`Error sending ${filename}:`, error);
+            res.status(404).json({ error: 'ISO file not found in storage' });
+        }
+    });
+});
+
+module.exports = router;
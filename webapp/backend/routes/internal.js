@@ -0,0 +1,52 @@
+// Internal API Routes - Called by build VMs, not browsers
+// Authenticated with the per-build token passed to the VM in its metadata
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
+const buildOrchestrator = require('../lib/build-orchestrator');
+const logger = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+
+// Security: Limit event posts per build rather than per IP, since every build behind
+// one NAT address posts from the same IP. Also caps token guessing against a build.
+const eventLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: config.callbacks.eventsPerMinute,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: { trustProxy: false },
+    keyGenerator: (req) => req.params.buildId,
+    handler: (req, res) => {
+        metrics.rateLimitRejections.inc({ limiter: 'build_events' });
+        logger.warn('Build event rate limit exceeded', { buildId: req.params.buildId, ip: req.ip });
+        res.status(429).json({
+            error: 'Too many build events, please try again later.',
+            retryAfter: 60,
+        });
+    },
+});
+
+/**
+ * POST /api/internal/build/:buildId/events
+ * Push a status or log event from a build VM
+ * Headers: Authorization: Bearer <callback token>
+ * Body: { type: 'status', stage, progress, message } or { type: 'log', messages: [...] }
+ */
+router.post('/build/:buildId/events', eventLimiter, (req, res) => {
+    const { buildId } = req.params;
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    try {
+        const result = buildOrchestrator.recordBuildEvent(buildId, scheme === 'Bearer' ? token : null, req.body);
+        res.status(202).json(result);
+    } catch (error) {
+        if (error.statusCode === 401) {
+            logger.warn('Rejected build event with invalid token', { buildId, ip: req.ip });
+        }
+        res.status(error.statusCode || 400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const config = require('../config/config');
 const logger = require('../lib/logger');
+const { getBuildBackend } = require('../lib/build-backends');
 
 /**
  * GET /api/services
@@ -67,10 +68,13 @@ router.get('/models', (req, res) => {
 router.get('/config', (req, res) => {
     try {
         res.json({
-            max_concurrent_builds: config.vm.maxConcurrentBuilds,
+            build_backend: config.backends.default,
+            max_concurrent_builds: getBuildBackend().maxConcurrentBuilds,
+            max_queued_builds: config.vm.maxQueuedBuilds,
             max_services_per_build: config.build.maxServicesPerBuild,
             max_models_per_build: config.build.maxModelsPerBuild,
             max_iso_size_gb: config.build.maxISOSizeGB,
+            max_auto_retries: config.build.maxAutoRetries,
             iso_retention_days: config.gcs.isoRetentionDays,
             build_timeout_hours: config.vm.buildTimeout,
         });
@@ -6,16 +6,24 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 
 const config = require('./config/config');
 const logger = require('./lib/logger');
 const requestLogger = require('./middleware/request-logger');
+const { authenticate } = require('./middleware/user-auth');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, registry: metricsRegistry, metrics } = require('./lib/metrics');
+const buildOrchestrator = require('./lib/build-orchestrator');
 
 // Import routes
 const buildRoutes = require('./routes/build');
 const servicesRoutes = require('./routes/services');
 const usbRoutes = require('./routes/usb');
+const downloadsRoutes = require('./routes/downloads');
+const internalRoutes = require('./routes/internal');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
 
 // Initialize Express app
 const app = express();
@@ -90,6 +98,30 @@ if (config.env === 'development') {
     }));
 }
 
+// Prometheus metrics
+// Mounted ahead of the rate limiters so regular scrapes are never throttled
+if (config.metrics.enabled) {
+    app.get('/metrics', (req, res) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        if (scheme !== 'Bearer' || !token ||
+            !crypto.timingSafeEqual(digest(token), digest(config.metrics.token))) {
+            return res.status(401).json({ error: 'Invalid metrics token' });
+        }
+
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(metricsRegistry.render());
+    });
+} else if (process.env.METRICS_ENABLED !== 'false') {
+    logger.warn('Prometheus metrics are disabled until METRICS_TOKEN is set');
+}
+
+// Build VM callbacks authenticate with a per-build token instead of browser headers,
+// so they are mounted ahead of CSRF protection, and ahead of the per-IP rate limiters:
+// every build behind one NAT address posts its events from the same IP (the route
+// limits posts per build instead)
+app.use('/api/internal', internalRoutes);
+
 // Rate limiting
 if (config.rateLimit.enabled) {
     logger.info('Rate limiting enabled', {
@@ -134,6 +166,7 @@ if (config.rateLimit.enabled) {
             return ip;
         },
         handler: (req, res) => {
+            metrics.rateLimitRejections.inc({ limiter: 'api' });
             const retryAfter = Math.ceil(config.rateLimit.windowMs / 1000);
             logger.warn('Rate limit exceeded', {
                 ip: req.ip,
@@ -168,6 +201,7 @@ if (config.rateLimit.enabled) {
         // Trust proxy for Cloud Run/App Engine - disable validation warning
         validate: { trustProxy: false },
         handler: (req, res) => {
+            metrics.rateLimitRejections.inc({ limiter: 'static' });
             logger.warn('Static file rate limit exceeded', {
                 ip: req.ip,
                 path: req.path,
@@ -211,6 +245,10 @@ const csrfProtection = (req, res, next) => {
 
 app.use('/api/', csrfProtection);
 
+// Identify the signed-in user from their API token or session cookie
+// (routes that need one reject anonymous requests themselves)
+app.use('/api/', authenticate);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -222,8 +260,11 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/build', buildRoutes);
 app.use('/api/usb', usbRoutes);
+app.use('/api/downloads', downloadsRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', servicesRoutes);
 
 // Serve static frontend files (rate limiting applied earlier if enabled)
@@ -267,33 +308,51 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
+// Start server once persisted builds have been restored
 const PORT = config.port;
-
-const server = app.listen(PORT, () => {
-    logger.info(`Homelab ISO Builder server started`);
-    logger.info(`Environment: ${config.env}`);
-    logger.info(`Port: ${PORT}`);
-    logger.info(`GCP Project: ${config.gcp.projectId || 'Not configured'}`);
-    logger.info(`Artifacts Bucket: ${config.gcs.artifactsBucket}`);
-    logger.info(`Downloads Bucket: ${config.gcs.downloadsBucket}`);
-});
+let server;
+
+buildOrchestrator.initialize()
+    .then(() => {
+        server = app.listen(PORT, () => {
+            logger.info(`Homelab ISO Builder server started`);
+            logger.info(`Environment: ${config.env}`);
+            logger.info(`Port: ${PORT}`);
+            logger.info(`GCP Project: ${config.gcp.projectId || 'Not configured'}`);
+            logger.info(`Artifacts Bucket: ${config.gcs.artifactsBucket}`);
+            logger.info(`Downloads Bucket: ${config.gcs.downloadsBucket}`);
+            logger.info(`Build Store: ${config.store.driver}`);
+            logger.info(`Build Backend: ${config.backends.default}`);
+            logger.info(`Build Callbacks: ${config.callbacks.baseUrl || 'Disabled (polling storage)'}`);
+        });
+    })
+    .catch(error => {
+        logger.error('Failed to initialize build orchestrator:', error);
+        process.exit(1);
+    });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        logger.info('HTTP server closed');
-        process.exit(0);
-    });
-});
+const shutdown = (signal) => {
+    logger.info(`${signal} signal received: closing HTTP server`);
+
+    const closeStore = () => {
+        buildOrchestrator.shutdown()
+            .catch(error => logger.error('Failed to close build store:', error))
+            .finally(() => process.exit(0));
+    };
+
+    if (!server) {
+        closeStore();
+        return;
+    }
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT signal received: closing HTTP server');
     server.close(() => {
         logger.info('HTTP server closed');
-        process.exit(0);
+        closeStore();
     });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
@@ -0,0 +1,108 @@
+process.env.API_SECRET_KEY = 'test-secret-key-0123456789abcdef0123456789';
+
+const config = require('../config/config');
+const budgetManager = require('../lib/budget-manager');
+
+// Mid-month, so the budget resets on 2026-11-01
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+const SPENDING = [
+    { requester: 'alice', amount: 30 },
+    { requester: 'alice', amount: 10 },
+    { requester: 'bob', amount: 20 },
+];
+
+function setBudget(budget) {
+    Object.assign(config.budget, { monthlyCap: null, requesterMonthlyCap: null, approvalThreshold: null }, budget);
+}
+
+function rejection(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the build to be rejected');
+}
+
+describe('getPeriod', () => {
+    test('runs from the start of the month to the start of the next (UTC)', () => {
+        expect(budgetManager.getPeriod(NOW)).toEqual({
+            start: '2026-10-01T00:00:00.000Z',
+            resets: '2026-11-01T00:00:00.000Z',
+        });
+        expect(budgetManager.getPeriod(Date.UTC(2026, 11, 31, 23, 59, 59)).resets).toBe('2027-01-01T00:00:00.000Z');
+    });
+});
+
+describe('checkBuild', () => {
+    afterEach(() => setBudget({}));
+
+    test('passes everything without budgets', () => {
+        setBudget({});
+        const result = budgetManager.checkBuild(SPENDING, 'alice', 1000, { now: NOW });
+
+        expect(result.approval_required).toBe(false);
+        expect(result.global).toEqual({ spent: 60, cap: null });
+        expect(result.requester).toEqual({ spent: 40, cap: null });
+    });
+
+    test('allows a build that reaches the global cap exactly', () => {
+        setBudget({ monthlyCap: 100 });
+        expect(() => budgetManager.checkBuild(SPENDING, 'bob', 40, { now: NOW })).not.toThrow();
+    });
+
+    test('rejects a build that would pass the global cap with 402', () => {
+        setBudget({ monthlyCap: 100 });
+        const error = rejection(() => budgetManager.checkBuild(SPENDING, 'bob', 40.01, { now: NOW }));
+
+        expect(error.statusCode).toBe(402);
+        expect(error.budget).toEqual({
+            name: 'global',
+            currency: 'USD',
+            cap: 100,
+            spent: 60,
+            estimated_cost: 40.01,
+            resets_at: '2026-11-01T00:00:00.000Z',
+        });
+        expect(error.retryAfter).toBe((Date.UTC(2026, 10, 1) - NOW) / 1000);
+        expect(error.message).toContain('60.00 USD of 100.00 USD spent');
+    });
+
+    test('counts only the requester\'s builds against their cap', () => {
+        setBudget({ requesterMonthlyCap: 50 });
+
+        expect(() => budgetManager.checkBuild(SPENDING, 'alice', 10, { now: NOW })).not.toThrow();
+        expect(() => budgetManager.checkBuild(SPENDING, 'bob', 30, { now: NOW })).not.toThrow();
+        expect(() => budgetManager.checkBuild(SPENDING, 'carol', 50, { now: NOW })).not.toThrow();
+
+        const error = rejection(() => budgetManager.checkBuild(SPENDING, 'alice', 10.01, { now: NOW }));
+        expect(error.statusCode).toBe(429);
+        expect(error.budget).toMatchObject({ name: 'requester', cap: 50, spent: 40 });
+    });
+
+    test('reports the global cap before the requester cap', () => {
+        setBudget({ monthlyCap: 70, requesterMonthlyCap: 45 });
+        expect(rejection(() => budgetManager.checkBuild(SPENDING, 'alice', 11, { now: NOW })).statusCode).toBe(402);
+        expect(rejection(() => budgetManager.checkBuild(SPENDING, 'alice', 6, { now: NOW })).statusCode).toBe(429);
+    });
+
+    test('holds builds that would pass the approval threshold', () => {
+        setBudget({ approvalThreshold: 80 });
+
+        expect(budgetManager.checkBuild(SPENDING, 'bob', 20, { now: NOW }).approval_required).toBe(false);
+        expect(budgetManager.checkBuild(SPENDING, 'bob', 20.01, { now: NOW }).approval_required).toBe(true);
+        expect(budgetManager.checkBuild(SPENDING, 'bob', 20.01, { now: NOW, approved: true }).approval_required).toBe(false);
+    });
+
+    test('still applies the caps to approved builds', () => {
+        setBudget({ monthlyCap: 100, approvalThreshold: 80 });
+        expect(rejection(() => budgetManager.checkBuild(SPENDING, 'bob', 41, { now: NOW, approved: true })).statusCode).toBe(402);
+    });
+
+    test('rounds what has been spent', () => {
+        setBudget({ monthlyCap: 0.3 });
+        const spending = [{ requester: 'alice', amount: 0.1 }, { requester: 'alice', amount: 0.2 }];
+
+        expect(budgetManager.checkBuild(spending, 'alice', 0, { now: NOW }).global.spent).toBe(0.3);
+    });
+});
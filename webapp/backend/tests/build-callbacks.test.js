@@ -0,0 +1,187 @@
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+const { startApp } = require('./helpers/app');
+
+describe('build events pushed by the VM', () => {
+    let harness;
+    let orchestrator;
+    let buildId;
+    let token;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.callbacks.baseUrl = 'http://backend.internal:3000';
+        await orchestrator.initialize();
+
+        ({ build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }));
+        await waitForStatus(orchestrator, buildId, 'building');
+        ({ callbackToken: token } = harness.vmManager.createBuildVM.mock.calls[0][2]);
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('gives each build a token and stores only its hash', () => {
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        const build = orchestrator.builds.get(buildId);
+        expect(build.callbackTokenHash).toBe(orchestrator.hashCallbackToken(token));
+        expect(JSON.stringify(build)).not.toContain(token);
+    });
+
+    test('records a status event', () => {
+        const tasks = { 'docker-images': { state: 'running', current: 1, total: 2, bytes: 0, items: [] } };
+        expect(orchestrator.recordBuildEvent(buildId, token, {
+            type: 'status', stage: 'docker-images', progress: 30, message: 'Pulling images', tasks,
+        })).toEqual({ accepted: true });
+
+        const build = orchestrator.builds.get(buildId);
+        expect(build.progress).toBe(30);
+        expect(build.stage).toBe('Pulling images');
+        expect(build.logs[build.logs.length - 1]).toBe('[docker-images] Pulling images');
+        expect(build.tasks['docker-images']).toMatchObject({ state: 'running', current: 1, total: 2 });
+        expect(orchestrator.getPushedStatus(build)).toMatchObject({ stage: 'docker-images', progress: 30 });
+    });
+
+    test('logs a repeated status once', () => {
+        const event = { type: 'status', stage: 'iso-build', progress: 66, message: 'Building custom ISO' };
+        orchestrator.recordBuildEvent(buildId, token, event);
+        orchestrator.recordBuildEvent(buildId, token, event);
+
+        const logs = orchestrator.builds.get(buildId).logs;
+        expect(logs.filter(line => line === '[iso-build] Building custom ISO')).toHaveLength(1);
+    });
+
+    test('streams log lines without storing them', () => {
+        const buildEvents = require('../lib/build-events');
+        const received = [];
+        const unsubscribe = buildEvents.subscribe(buildId, event => received.push(event));
+        const logCount = orchestrator.builds.get(buildId).logs.length;
+
+        orchestrator.recordBuildEvent(buildId, token, { type: 'log', messages: ['Cloning installer', 'Cloned'] });
+        unsubscribe();
+
+        expect(received.filter(event => event.type === 'log').map(event => event.data.message))
+            .toEqual(['[vm] Cloning installer', '[vm] Cloned']);
+        expect(orchestrator.builds.get(buildId).logs).toHaveLength(logCount);
+    });
+
+    test('completes the build when the VM reports completion', async () => {
+        harness.files.set(orchestrator.getISOFilename(orchestrator.builds.get(buildId)), {});
+        orchestrator.recordBuildEvent(buildId, token, { type: 'status', stage: 'complete', progress: 100, message: 'Done' });
+
+        await waitForStatus(orchestrator, buildId, 'complete');
+    });
+
+    test('rejects a wrong or missing token', () => {
+        const event = { type: 'log', messages: ['Hello'] };
+        for (const wrong of ['0'.repeat(64), '', undefined]) {
+            expect(() => orchestrator.recordBuildEvent(buildId, wrong, event))
+                .toThrow(expect.objectContaining({ statusCode: 401 }));
+        }
+        expect(() => orchestrator.recordBuildEvent('00000000-0000-4000-8000-000000000000', token, event))
+            .toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+
+    test.each([
+        ['no body', null, 'message must be'],
+        ['a status without a message', { type: 'status', stage: 'iso-build', progress: 50 }, 'message must be'],
+        ['a message over 2000 characters', { type: 'status', stage: 'iso-build', progress: 50, message: 'x'.repeat(2001) }, 'message must be'],
+        ['a stage that is not an identifier', { type: 'status', stage: 'ISO BUILD', progress: 50, message: 'Building' }, 'stage must be'],
+        ['progress over 100', { type: 'status', stage: 'iso-build', progress: 101, message: 'Building' }, 'progress must be'],
+        ['fractional progress', { type: 'status', stage: 'iso-build', progress: 50.5, message: 'Building' }, 'progress must be'],
+        ['an unknown type', { type: 'stage', stage: 'iso-build', progress: 50, message: 'Building' }, 'type must be'],
+        ['a log event with a single message', { type: 'log', message: 'Hello' }, 'messages must be'],
+        ['a log event without lines', { type: 'log', messages: [] }, 'messages must be'],
+        ['a log line that is not a string', { type: 'log', messages: [42] }, 'messages must be'],
+        ['more than 50 log lines', { type: 'log', messages: Array(51).fill('Hello') }, 'messages must be'],
+    ])('rejects %s', (name, event, error) => {
+        const before = orchestrator.builds.get(buildId).progress;
+        let thrown;
+        try {
+            orchestrator.recordBuildEvent(buildId, token, event);
+        } catch (caught) {
+            thrown = caught;
+        }
+
+        expect(thrown.message).toContain(error);
+        expect(thrown.statusCode).toBeUndefined();
+        expect(orchestrator.builds.get(buildId).progress).toBe(before);
+    });
+
+    test('rejects events once the build has finished', async () => {
+        harness.completeBuild(buildId);
+        await waitForStatus(orchestrator, buildId, 'complete');
+
+        expect(() => orchestrator.recordBuildEvent(buildId, token, { type: 'log', messages: ['Late'] }))
+            .toThrow(expect.objectContaining({ statusCode: 409, message: 'Build is complete, not accepting events' }));
+    });
+
+    test('falls back to polling storage once events stop arriving', async () => {
+        harness.config.callbacks.staleAfterMs = 200;
+        orchestrator.recordBuildEvent(buildId, token, { type: 'status', stage: 'docker-images', progress: 30, message: 'Pushed' });
+        harness.reportStatus(buildId, 'iso-build', 60, 'Stored');
+
+        // The status file is ignored while pushed events are current
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(orchestrator.builds.get(buildId).progress).toBe(30);
+        expect(harness.gcsManager.downloadStatusFile).not.toHaveBeenCalled();
+
+        await waitFor(() => orchestrator.builds.get(buildId).progress === 60);
+        expect(orchestrator.builds.get(buildId).logs).toContain('[iso-build] Stored');
+    });
+
+    describe('POST /api/internal/build/:buildId/events', () => {
+        let app;
+
+        beforeEach(async () => {
+            app = await startApp({ '/api/internal': require('../routes/internal') });
+        });
+
+        afterEach(async () => {
+            await app.close();
+        });
+
+        function post(body, authorization = `Bearer ${token}`) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (authorization) {
+                headers.Authorization = authorization;
+            }
+            return fetch(`${app.url}/api/internal/build/${buildId}/events`, { method: 'POST', headers, body: JSON.stringify(body) });
+        }
+
+        test('accepts an event', async () => {
+            const response = await post({ type: 'status', stage: 'iso-build', progress: 66, message: 'Building custom ISO' });
+
+            expect(response.status).toBe(202);
+            expect(await response.json()).toEqual({ accepted: true });
+            expect(orchestrator.builds.get(buildId).progress).toBe(66);
+        });
+
+        test.each([
+            ['a wrong token', `Bearer ${'0'.repeat(64)}`],
+            ['no token', null],
+            ['another scheme', `Basic ${token}`],
+        ])('returns 401 for %s', async (name, authorization) => {
+            const response = await post({ type: 'log', messages: ['Hello'] }, authorization);
+
+            expect(response.status).toBe(401);
+            expect(await response.json()).toEqual({ error: 'Invalid build callback token' });
+        });
+
+        test('returns 400 for a malformed event', async () => {
+            const response = await post({ type: 'status', stage: 'iso-build', progress: 'most', message: 'Building' });
+
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'progress must be an integer between 0 and 100' });
+        });
+
+        test('returns 409 once the build has finished', async () => {
+            harness.completeBuild(buildId);
+            await waitForStatus(orchestrator, buildId, 'complete');
+
+            const response = await post({ type: 'log', messages: ['Late'] });
+            expect(response.status).toBe(409);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+
+describe('cancelBuild', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('tears down a running build and ends it as cancelled', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, buildId, 'building');
+        const vmName = orchestrator.builds.get(buildId).vmName;
+        harness.reportStatus(buildId, 'docker-images', 40);
+
+        const status = await orchestrator.cancelBuild(buildId);
+        expect(status.status).toBe('cancelling');
+
+        await waitForStatus(orchestrator, buildId, 'cancelled');
+        const build = orchestrator.builds.get(buildId);
+        expect(build.stage).toBe('Cancelled');
+        expect(build.cancelledAt).toBeDefined();
+        expect(build.logs).toEqual(expect.arrayContaining(['Cancellation requested', `VM deleted: ${vmName}`, 'Build cancelled']));
+        expect(harness.vmManager.exportVMLogs).toHaveBeenCalledWith(vmName, buildId);
+        expect(harness.vmManager.deleteVM).toHaveBeenCalledWith(vmName, buildId, false);
+        expect(harness.vms.has(vmName)).toBe(false);
+        expect(harness.files.has(orchestrator.getStatusFilename(buildId))).toBe(false);
+    });
+
+    test('takes a queued build out of the queue without touching a VM', async () => {
+        harness.config.vm.maxConcurrentBuilds = 1;
+        const running = await orchestrator.startBuild({ services: ['qdrant'] });
+        const queued = await orchestrator.startBuild({ services: ['pihole'] });
+        expect(orchestrator.queue).toEqual([queued.build_id]);
+
+        await orchestrator.cancelBuild(queued.build_id);
+        await waitForStatus(orchestrator, queued.build_id, 'cancelled');
+
+        expect(orchestrator.queue).toEqual([]);
+        expect(orchestrator.builds.get(queued.build_id).vmName).toBeNull();
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+        expect(harness.vmManager.deleteVM).not.toHaveBeenCalled();
+        expect(orchestrator.builds.get(running.build_id).status).not.toBe('cancelled');
+    });
+
+    test('finishes cancelling once a VM being created exists', async () => {
+        let createVM;
+        const created = new Promise(resolve => {
+            createVM = resolve;
+        });
+        const create = harness.vmManager.createBuildVM;
+        harness.vmManager.createBuildVM = jest.fn(async (...args) => {
+            await created;
+            return create(...args);
+        });
+
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, buildId, 'creating_vm');
+
+        await orchestrator.cancelBuild(buildId);
+        // Nothing to tear down yet
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(orchestrator.builds.get(buildId).status).toBe('cancelling');
+
+        createVM();
+        await waitForStatus(orchestrator, buildId, 'cancelled');
+        expect(harness.vmManager.deleteVM).toHaveBeenCalledTimes(1);
+        expect(harness.vms.size).toBe(0);
+    });
+
+    test('leaves finished builds as they are', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, buildId, 'building');
+        harness.completeBuild(buildId);
+        await waitForStatus(orchestrator, buildId, 'complete');
+
+        const status = await orchestrator.cancelBuild(buildId);
+        expect(status.status).toBe('complete');
+        expect(orchestrator.builds.get(buildId).status).toBe('complete');
+    });
+
+    test('cleans up only once when cancelled twice', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, buildId, 'building');
+
+        await orchestrator.cancelBuild(buildId);
+        expect((await orchestrator.cancelBuild(buildId)).status).toBe('cancelling');
+        await waitForStatus(orchestrator, buildId, 'cancelled');
+        await waitFor(() => orchestrator.cancellations.size === 0);
+
+        expect(harness.vmManager.deleteVM).toHaveBeenCalledTimes(1);
+        expect(orchestrator.builds.get(buildId).logs.filter(line => line === 'Build cancelled')).toHaveLength(1);
+    });
+
+    test('returns null for builds it doesn\'t manage', async () => {
+        expect(await orchestrator.cancelBuild('00000000-0000-4000-8000-000000000000')).toBeNull();
+    });
+});
@@ -0,0 +1,122 @@
+const { loadOrchestrator, waitForStatus } = require('./helpers/orchestrator');
+
+const COMMIT = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+describe('computeConfigHash', () => {
+    let harness;
+    let orchestrator;
+
+    beforeAll(() => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+    });
+
+    afterAll(async () => {
+        await harness.shutdown();
+    });
+
+    const hash = (buildConfig, commit = COMMIT) => orchestrator.computeConfigHash(
+        { services: ['ollama', 'qdrant', 'nginx'], models: ['qwen3:8b', 'gpt-oss:20b'], ...buildConfig },
+        commit
+    );
+
+    test('is a SHA-256 digest that ignores the order of services and models', () => {
+        expect(hash({})).toMatch(/^[0-9a-f]{64}$/);
+        expect(hash({ services: ['nginx', 'qdrant', 'ollama'], models: ['gpt-oss:20b', 'qwen3:8b'] })).toBe(hash({}));
+    });
+
+    test('ignores fields that only concern the request', () => {
+        expect(hash({ email: 'alice@example.com', iso_name: 'my-homelab', auto_retry: 2 })).toBe(hash({}));
+    });
+
+    test('changes with everything that ends up on the ISO', () => {
+        const hashes = [
+            hash({}),
+            hash({ services: ['ollama', 'nginx'] }),
+            hash({ models: ['qwen3:8b'] }),
+            hash({ gpu_enabled: true }),
+            hash({}, 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391'),
+        ];
+        expect(new Set(hashes).size).toBe(hashes.length);
+    });
+
+    test('treats a missing GPU flag as disabled', () => {
+        expect(hash({ gpu_enabled: false })).toBe(hash({}));
+    });
+
+    test('has no hash without a resolved installer commit', () => {
+        expect(hash({}, null)).toBeNull();
+    });
+
+    test('has no hash for images on a floating tag', () => {
+        // pihole/pihole:latest in docker-compose.yml
+        expect(hash({ services: ['pihole', 'nginx'], models: [] })).toBeNull();
+    });
+});
+
+describe('deduplicated builds', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('attaches an identical request to the build in progress', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] }, { requester: 'alice' });
+        const second = await orchestrator.startBuild({ services: ['qdrant'], email: 'bob@example.com' }, { requester: 'bob' });
+
+        expect(second).toMatchObject({ build_id: first.build_id, deduplicated: 'attached', config_hash: first.config_hash });
+        expect(orchestrator.builds.get(first.build_id).attachedRequests).toEqual([
+            expect.objectContaining({ requester: 'bob', email: 'bob@example.com' }),
+        ]);
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+    });
+
+    test('attaches identical requests that arrive together to one build', async () => {
+        const results = await Promise.all([1, 2, 3].map(() => orchestrator.startBuild({ services: ['qdrant'] })));
+
+        expect(new Set(results.map(result => result.build_id)).size).toBe(1);
+        expect(results.map(result => result.deduplicated)).toEqual([null, 'attached', 'attached']);
+    });
+
+    test('reuses the ISO of a finished identical build', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+        harness.completeBuild(first.build_id);
+        await waitForStatus(orchestrator, first.build_id, 'complete');
+        await orchestrator.persistChain;
+
+        const second = await orchestrator.startBuild({ services: ['qdrant'] });
+
+        expect(second).toMatchObject({
+            status: 'complete',
+            deduplicated: 'cached',
+            deduplicated_from: first.build_id,
+            iso_filename: orchestrator.builds.get(first.build_id).isoFilename,
+        });
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+    });
+
+    test('builds again with forceRebuild', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        const second = await orchestrator.startBuild({ services: ['qdrant'] }, { forceRebuild: true });
+
+        expect(second.build_id).not.toBe(first.build_id);
+        expect(second.deduplicated).toBeNull();
+    });
+
+    test('never deduplicates builds without a hash', async () => {
+        const first = await orchestrator.startBuild({ services: ['pihole'] });
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+
+        expect(first.config_hash).toBeNull();
+        expect(second.build_id).not.toBe(first.build_id);
+    });
+});
@@ -0,0 +1,199 @@
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+const { startApp } = require('./helpers/app');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+
+describe('buildEvents', () => {
+    let buildEvents;
+
+    beforeEach(() => {
+        jest.resetModules();
+        buildEvents = require('../lib/build-events');
+    });
+
+    test('delivers events to subscribers in order, with increasing IDs', () => {
+        const received = [];
+        const unsubscribe = buildEvents.subscribe(BUILD_ID, event => received.push(event));
+        buildEvents.publish(BUILD_ID, 'log', { message: 'first' });
+        buildEvents.publish(BUILD_ID, 'log', { message: 'second' });
+        unsubscribe();
+        buildEvents.publish(BUILD_ID, 'log', { message: 'third' });
+
+        expect(received.map(event => event.data.message)).toEqual(['first', 'second']);
+        expect(received[0].id).toMatch(new RegExp(`^${buildEvents.instanceId}-1$`));
+        expect(received[1].id).toBe(`${buildEvents.instanceId}-2`);
+    });
+
+    test('returns the events after a given ID', () => {
+        const first = buildEvents.publish(BUILD_ID, 'log', { message: 'first' });
+        const second = buildEvents.publish(BUILD_ID, 'stage', { progress: 40 });
+        const third = buildEvents.publish(BUILD_ID, 'log', { message: 'third' });
+
+        expect(buildEvents.getEventsSince(BUILD_ID, first.id)).toEqual([second, third]);
+        expect(buildEvents.getEventsSince(BUILD_ID, third.id)).toEqual([]);
+        expect(buildEvents.getLastEventId(BUILD_ID)).toBe(third.id);
+    });
+
+    test('cannot resume from an unknown, dropped or missing ID', () => {
+        const first = buildEvents.publish(BUILD_ID, 'log', { message: 'line 0' });
+        for (let i = 1; i <= 500; i++) {
+            buildEvents.publish(BUILD_ID, 'log', { message: `line ${i}` });
+        }
+
+        expect(buildEvents.getEventsSince(BUILD_ID, first.id)).toBeNull();
+        expect(buildEvents.getEventsSince(BUILD_ID, 'previous-process-12')).toBeNull();
+        expect(buildEvents.getEventsSince(BUILD_ID, undefined)).toBeNull();
+        expect(buildEvents.getEventsSince('00000000-0000-4000-8000-000000000000', first.id)).toBeNull();
+    });
+
+    test('drops a build\'s stream once it is cleared and unsubscribed', () => {
+        const unsubscribe = buildEvents.subscribe(BUILD_ID, () => {});
+        buildEvents.publish(BUILD_ID, 'log', { message: 'first' });
+        buildEvents.clear(BUILD_ID);
+
+        expect(buildEvents.getLastEventId(BUILD_ID)).toBeNull();
+        expect(buildEvents.streams.has(BUILD_ID)).toBe(true);
+        unsubscribe();
+        expect(buildEvents.streams.has(BUILD_ID)).toBe(false);
+    });
+});
+
+describe('GET /api/build/:buildId/events', () => {
+    let harness;
+    let orchestrator;
+    let buildEvents;
+    let app;
+    let token;
+    let buildId;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+        buildEvents = require('../lib/build-events');
+        const userManager = require('../lib/user-manager');
+        const admin = await userManager.createUser({ username: 'root', password: 'correct horse battery', role: 'admin' });
+        token = (await userManager.createApiToken(admin, { name: 'test' })).value;
+        app = await startApp({ '/api/build': require('../routes/build') });
+
+        ({ build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }));
+        await waitForStatus(orchestrator, buildId, 'building');
+    });
+
+    afterEach(async () => {
+        await app.close();
+        await harness.shutdown();
+    });
+
+    /**
+     * Open an event stream; events() parses what has arrived so far
+     */
+    async function connect(lastEventId) {
+        const controller = new AbortController();
+        const headers = { Authorization: `Bearer ${token}` };
+        if (lastEventId) {
+            headers['Last-Event-ID'] = lastEventId;
+        }
+        const response = await fetch(`${app.url}/api/build/${buildId}/events`, { headers, signal: controller.signal });
+        const stream = { response, text: '', ended: false, close: () => controller.abort() };
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        (async () => {
+            try {
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    stream.text += decoder.decode(chunk.value, { stream: true });
+                }
+                stream.ended = true;
+            } catch (error) {
+                // Aborted by the test
+            }
+        })();
+
+        stream.events = () => stream.text.split('\n\n')
+            .filter(block => block.includes('event: '))
+            .map(block => {
+                const fields = Object.fromEntries(block.split('\n').map(line => [
+                    line.substring(0, line.indexOf(': ')),
+                    line.substring(line.indexOf(': ') + 2),
+                ]));
+                return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+            });
+        return stream;
+    }
+
+    function listeners() {
+        const stream = buildEvents.streams.get(buildId);
+        return stream ? stream.listeners.size : 0;
+    }
+
+    test('starts with the full status and streams updates until the build finishes', async () => {
+        const stream = await connect();
+        expect(stream.response.headers.get('content-type')).toBe('text/event-stream');
+        await waitFor(() => stream.events().length === 1);
+
+        const [snapshot] = stream.events();
+        expect(snapshot.type).toBe('status');
+        expect(snapshot.data).toMatchObject({ build_id: buildId, status: 'building' });
+        expect(snapshot.data.logs).toContain('VM initialization in progress...');
+
+        buildEvents.publish(buildId, 'log', { message: '[vm] Cloning installer' });
+        harness.completeBuild(buildId);
+        await waitFor(() => stream.ended);
+
+        const events = stream.events();
+        expect(events.find(event => event.type === 'log').data).toEqual({ message: '[vm] Cloning installer' });
+        expect(events[events.length - 1]).toMatchObject({ type: 'status', data: { status: 'complete' } });
+        expect(listeners()).toBe(0);
+    });
+
+    test('replays the events a reconnecting client missed', async () => {
+        const first = await connect();
+        await waitFor(() => first.events().length === 1);
+        const lastSeen = first.events()[0].id;
+        first.close();
+        await waitFor(() => listeners() === 0);
+
+        const missed = [
+            buildEvents.publish(buildId, 'log', { message: 'missed one' }),
+            buildEvents.publish(buildId, 'stage', { progress: 40, stage: 'Pulling images' }),
+        ];
+        const second = await connect(lastSeen);
+        await waitFor(() => second.events().length === 2);
+        buildEvents.publish(buildId, 'log', { message: 'live' });
+        await waitFor(() => second.events().length === 3);
+
+        expect(second.events()).toEqual([
+            ...missed.map(({ id, type, data }) => ({ id, type, data })),
+            expect.objectContaining({ type: 'log', data: { message: 'live' } }),
+        ]);
+        second.close();
+    });
+
+    test('sends the full status when the client cannot resume', async () => {
+        const stream = await connect('previous-process-12');
+        await waitFor(() => stream.events().length === 1);
+
+        expect(stream.events()[0]).toMatchObject({ type: 'status', data: { build_id: buildId } });
+        stream.close();
+    });
+
+    test('unsubscribes when the client disconnects', async () => {
+        const stream = await connect();
+        await waitFor(() => stream.events().length === 1);
+        expect(listeners()).toBe(1);
+
+        stream.close();
+        await waitFor(() => listeners() === 0);
+        buildEvents.publish(buildId, 'log', { message: 'after disconnect' });
+        expect(stream.events()).toHaveLength(1);
+    });
+
+    test('returns 404 for an unknown build', async () => {
+        buildId = '00000000-0000-4000-8000-000000000000';
+        const stream = await connect();
+
+        expect(stream.response.status).toBe(404);
+        expect(listeners()).toBe(0);
+    });
+});
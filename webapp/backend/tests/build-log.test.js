@@ -0,0 +1,130 @@
+const { readLog, readLogTail, parseChunkOffset, parseRange } = require('../lib/build-log');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+
+/**
+ * Storage holding a log split into chunks at the given byte offsets
+ * @param {Buffer} log - Whole log
+ * @param {number[]} offsets - Chunk start offsets (the first is 0)
+ * @param {number[]} missing - Indexes of chunks not uploaded yet
+ */
+function chunkedStorage(log, offsets, missing = []) {
+    const chunks = offsets.map((offset, i) => ({
+        name: `build-log-${BUILD_ID.substring(0, 8)}-${String(offset).padStart(12, '0')}.log`,
+        offset,
+        data: log.subarray(offset, i + 1 < offsets.length ? offsets[i + 1] : log.length),
+    })).filter((_, i) => !missing.includes(i));
+
+    return {
+        reads: 0,
+        async listLogChunks() {
+            return chunks.map(({ name, offset, data }) => ({ name, offset, size: data.length }));
+        },
+        async readLogChunk(name, start, end) {
+            this.reads++;
+            return chunks.find(chunk => chunk.name === name).data.subarray(start, end);
+        },
+    };
+}
+
+describe('readLog', () => {
+    const log = Buffer.from('line one\nline two\nline three\n');
+
+    test('reads across chunk boundaries', async () => {
+        const storage = chunkedStorage(log, [0, 5, 12, 20]);
+        const page = await readLog(storage, BUILD_ID, 3, 20);
+
+        expect(page).toEqual({
+            offset: 3,
+            next_offset: 23,
+            size: log.length,
+            data: log.subarray(3, 23).toString(),
+        });
+    });
+
+    test('only reads the chunks the page overlaps', async () => {
+        const storage = chunkedStorage(log, [0, 5, 12, 20]);
+        await readLog(storage, BUILD_ID, 6, 4);
+        expect(storage.reads).toBe(1);
+    });
+
+    test('stops at the first gap in the chunks', async () => {
+        const storage = chunkedStorage(log, [0, 5, 12, 20], [2]);
+        const page = await readLog(storage, BUILD_ID, 0, 1024);
+
+        expect(page.size).toBe(12);
+        expect(page.data).toBe('line one\nlin');
+        expect(page.next_offset).toBe(12);
+    });
+
+    test('has nothing to read until the first chunk arrives', async () => {
+        const storage = chunkedStorage(log, [0, 5], [0]);
+        expect(await readLog(storage, BUILD_ID, 0, 1024)).toEqual({ offset: 0, next_offset: 0, size: 0, data: '' });
+    });
+
+    test('clamps offsets past the end', async () => {
+        const storage = chunkedStorage(log, [0]);
+        const page = await readLog(storage, BUILD_ID, 1000, 10);
+
+        expect(page.offset).toBe(log.length);
+        expect(page.next_offset).toBe(log.length);
+        expect(page.data).toBe('');
+    });
+
+    test.each([
+        ['2-byte', 'é'],
+        ['3-byte', '€'],
+        ['4-byte', '🐿'],
+    ])('never splits a %s character between pages', async (_, character) => {
+        const utf8Log = Buffer.from(`ab${character}cd${character}`);
+        const storage = chunkedStorage(utf8Log, [0, 3]);
+        const characterLength = Buffer.byteLength(character);
+
+        // Every page that ends inside the character stops before it
+        for (let limit = 3; limit < 2 + characterLength; limit++) {
+            const page = await readLog(storage, BUILD_ID, 0, limit);
+            expect(page.data).toBe('ab');
+            expect(page.next_offset).toBe(2);
+        }
+
+        // Following next_offset reads the whole log back
+        let text = '';
+        let offset = 0;
+        for (let pages = 0; offset < utf8Log.length && pages < 20; pages++) {
+            const page = await readLog(storage, BUILD_ID, offset, 4);
+            text += page.data;
+            offset = page.next_offset;
+        }
+        expect(text).toBe(utf8Log.toString());
+        expect(text).not.toContain('�');
+    });
+});
+
+describe('readLogTail', () => {
+    test('returns the end of the contiguous log', async () => {
+        const log = Buffer.from('0123456789abcdef');
+        expect(await readLogTail(chunkedStorage(log, [0, 4, 8]), BUILD_ID, 6)).toBe('abcdef');
+        expect(await readLogTail(chunkedStorage(log, [0, 4, 8], [2]), BUILD_ID, 6)).toBe('234567');
+    });
+});
+
+describe('parseChunkOffset', () => {
+    test('reads the offset from chunk names', () => {
+        expect(parseChunkOffset('build-log-3f2a9c1e-000000065536.log')).toBe(65536);
+        expect(parseChunkOffset('build-log-3f2a9c1e-65536.log')).toBeNull();
+        expect(parseChunkOffset('build-status-3f2a9c1e.json')).toBeNull();
+    });
+});
+
+describe('parseRange', () => {
+    test('defaults to the start of the log', () => {
+        expect(parseRange({})).toEqual({ since: 0, limit: 64 * 1024 });
+    });
+
+    test('rejects invalid ranges', () => {
+        expect(() => parseRange({ since: '-1' })).toThrow('since');
+        expect(() => parseRange({ since: '1.5' })).toThrow('since');
+        expect(() => parseRange({ limit: '0' })).toThrow('limit');
+        expect(() => parseRange({ limit: String(1024 * 1024 + 1) })).toThrow('limit');
+    });
+});
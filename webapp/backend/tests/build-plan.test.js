@@ -0,0 +1,152 @@
+const { loadOrchestrator, waitForStatus } = require('./helpers/orchestrator');
+const { startApp } = require('./helpers/app');
+
+describe('planning a build', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    describe('planBuild', () => {
+        test('returns the resolved plan without creating a build or VM', async () => {
+            const plan = await orchestrator.planBuild({ services: ['qdrant'], models: ['qwen3:8b'] });
+
+            expect(plan).toMatchObject({
+                valid: true,
+                requested_services: ['qdrant'],
+                models: [{ name: 'qwen3:8b', size_gb: 4.7, cached: false }],
+                backend: 'gce',
+                config_hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+                deduplication: { in_flight_build_id: null, cached_iso: null },
+            });
+            expect(plan.services).toContain('qdrant');
+            expect(plan.added_services).toEqual(plan.services.filter(service => service !== 'qdrant'));
+            expect(plan.docker_images.map(entry => entry.service)).toContain('qdrant');
+            expect(plan.projected_iso_size.total_gb).toBeGreaterThan(4.7);
+            expect(plan.estimated_time_minutes).toBeGreaterThan(0);
+
+            expect(harness.vmManager.createBuildVM).not.toHaveBeenCalled();
+            expect(orchestrator.builds.size).toBe(0);
+            expect(orchestrator.queue).toEqual([]);
+            expect(await orchestrator.repository.list()).toEqual([]);
+        });
+
+        test('reports which artifacts are already cached', async () => {
+            harness.gcsManager.listCachedOllamaModels.mockResolvedValue(['ollama-models/qwen3_8b.tar.gz']);
+
+            const plan = await orchestrator.planBuild({ services: ['qdrant'], models: ['qwen3:8b', 'qwen3-vl:8b'] });
+
+            expect(plan.models.map(model => model.cached)).toEqual([true, false]);
+            expect(plan.cache).toMatchObject({ models_cached: 1, models_total: 2 });
+        });
+
+        test('warns instead of failing when the artifact cache cannot be listed', async () => {
+            harness.gcsManager.listCachedDockerImages.mockRejectedValue(new Error('Bucket unavailable'));
+
+            const plan = await orchestrator.planBuild({ services: ['qdrant'] });
+
+            expect(plan.warnings).toContain('The artifact cache could not be checked - assuming nothing is cached');
+            expect(plan.cache.docker_images_cached).toBe(0);
+        });
+
+        test('names the in-flight build an identical request would attach to', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+
+            const plan = await orchestrator.planBuild({ services: ['qdrant'] });
+
+            expect(plan.deduplication).toEqual({ in_flight_build_id: buildId, cached_iso: null });
+            expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+            expect(orchestrator.builds.size).toBe(1);
+        });
+
+        test('names the cached ISO an identical request would reuse', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+            await waitForStatus(orchestrator, buildId, 'building');
+            harness.completeBuild(buildId);
+            await waitForStatus(orchestrator, buildId, 'complete');
+
+            const plan = await orchestrator.planBuild({ services: ['qdrant'] });
+
+            expect(plan.deduplication).toEqual({
+                in_flight_build_id: null,
+                cached_iso: orchestrator.getISOFilename(orchestrator.builds.get(buildId)),
+            });
+        });
+
+        test('rejects a build over the size budget', async () => {
+            harness.config.build.maxISOSizeGB = 5;
+
+            await expect(orchestrator.planBuild({ services: ['qdrant'], models: ['qwen3-coder:30b'] })).rejects.toMatchObject({
+                statusCode: 400,
+                details: { exceeded: [expect.objectContaining({ name: 'max_iso_size', limit_gb: 5 })] },
+            });
+            expect(orchestrator.builds.size).toBe(0);
+        });
+    });
+
+    describe('POST /api/build/plan', () => {
+        let app;
+        let token;
+
+        beforeEach(async () => {
+            const userManager = require('../lib/user-manager');
+            const user = await userManager.createUser({ username: 'alice', password: 'correct horse battery' });
+            token = (await userManager.createApiToken(user, { name: 'test' })).value;
+            app = await startApp({ '/api/build': require('../routes/build') });
+        });
+
+        afterEach(async () => {
+            await app.close();
+        });
+
+        function plan(body) {
+            return fetch(`${app.url}/api/build/plan`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify(body),
+            });
+        }
+
+        test('returns the plan of a dry run', async () => {
+            const response = await plan({ services: [' qdrant '] });
+
+            expect(response.status).toBe(200);
+            expect(await response.json()).toMatchObject({ valid: true, requested_services: ['qdrant'] });
+            expect(harness.vmManager.createBuildVM).not.toHaveBeenCalled();
+            expect(orchestrator.builds.size).toBe(0);
+        });
+
+        test('returns 400 with valid: false for a malformed request', async () => {
+            const response = await plan({ services: 'qdrant' });
+
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ valid: false, error: 'services must be an array' });
+        });
+
+        test('returns 400 with valid: false for an unknown service', async () => {
+            const response = await plan({ services: ['not-a-service'] });
+
+            expect(response.status).toBe(400);
+            expect(await response.json()).toMatchObject({ valid: false, error: expect.stringContaining('not-a-service') });
+        });
+
+        test('returns the exceeded limits of a build over the size budget', async () => {
+            harness.config.build.maxISOSizeGB = 5;
+
+            const response = await plan({ services: ['qdrant'], models: ['qwen3-coder:30b'] });
+
+            expect(response.status).toBe(400);
+            const body = await response.json();
+            expect(body.valid).toBe(false);
+            expect(body.details.exceeded.map(limit => limit.name)).toContain('max_iso_size');
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { loadOrchestrator, waitForStatus } = require('./helpers/orchestrator');
+
+describe('build queue', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.vm.maxConcurrentBuilds = 1;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('queues builds over the concurrency limit with their position', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+        const third = await orchestrator.startBuild({ services: ['homarr'] });
+
+        expect(first.queue_position).toBeNull();
+        expect(second).toMatchObject({ status: 'queued', queue_position: 1 });
+        expect(third).toMatchObject({ status: 'queued', queue_position: 2 });
+        expect(orchestrator.queue).toEqual([second.build_id, third.build_id]);
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+    });
+
+    test('estimates queued builds to start one after another', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+        const third = await orchestrator.startBuild({ services: ['homarr'] });
+
+        const secondState = orchestrator.getQueueState(second.build_id);
+        const thirdState = orchestrator.getQueueState(third.build_id);
+        expect(secondState).toMatchObject({ position: 1, length: 2 });
+        expect(thirdState).toMatchObject({ position: 2, length: 2 });
+        expect(secondState.estimated_start).toBe(orchestrator.builds.get(first.build_id).estimatedCompletion);
+        expect(thirdState.estimated_start).toBe(secondState.estimated_completion);
+        expect(orchestrator.getQueueState(first.build_id)).toBeNull();
+    });
+
+    test('dispatches queued builds in FIFO order as slots free', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+        const third = await orchestrator.startBuild({ services: ['homarr'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+
+        harness.completeBuild(first.build_id);
+        await waitForStatus(orchestrator, second.build_id, 'building');
+        expect(orchestrator.builds.get(third.build_id).status).toBe('queued');
+        expect(orchestrator.getQueueState(third.build_id).position).toBe(1);
+
+        harness.completeBuild(second.build_id);
+        await waitForStatus(orchestrator, third.build_id, 'building');
+
+        const started = harness.vmManager.createBuildVM.mock.calls.map(([buildId]) => buildId);
+        expect(started).toEqual([first.build_id, second.build_id, third.build_id]);
+        expect(orchestrator.queue).toEqual([]);
+    });
+
+    test('frees the slot of failed and cancelled builds too', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+        const third = await orchestrator.startBuild({ services: ['homarr'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+
+        harness.reportStatus(first.build_id, 'failed', 30, 'Repository clone failed');
+        await waitForStatus(orchestrator, first.build_id, 'failed');
+        await waitForStatus(orchestrator, second.build_id, 'building');
+
+        await orchestrator.cancelBuild(second.build_id);
+        await waitForStatus(orchestrator, third.build_id, 'building');
+    });
+
+    test('rejects builds once the queue is full', async () => {
+        harness.config.vm.maxQueuedBuilds = 1;
+        await orchestrator.startBuild({ services: ['qdrant'] });
+        await orchestrator.startBuild({ services: ['pihole'] });
+
+        await expect(orchestrator.startBuild({ services: ['homarr'] })).rejects.toMatchObject({
+            statusCode: 503,
+            message: expect.stringContaining('Build queue is full'),
+        });
+        expect(orchestrator.queue).toHaveLength(1);
+    });
+});
+
+describe('rehydrateBuilds', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(() => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.vm.maxConcurrentBuilds = 1;
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    /**
+     * A build persisted by a previous backend process
+     */
+    function storedBuild(id, status, minutesAgo, extra = {}) {
+        const created = new Date(Date.now() - minutesAgo * 60000).toISOString();
+        return {
+            id,
+            config: { services: ['qdrant', 'nginx'] },
+            status,
+            progress: 0,
+            stage: status,
+            vmName: null,
+            isoFilename: null,
+            vmLogsPath: null,
+            logs: [],
+            created,
+            started: null,
+            updated: created,
+            ...extra,
+        };
+    }
+
+    test('restores queued builds in their original order behind the running one', async () => {
+        const vmName = harness.vmManager.getVMName('11111111-running');
+        harness.vms.set(vmName, { name: vmName, status: 'RUNNING' });
+        await orchestrator.repository.save(storedBuild('33333333-queued-last', 'queued', 1));
+        await orchestrator.repository.save(storedBuild('11111111-running', 'building', 10, {
+            vmName,
+            started: new Date().toISOString(),
+        }));
+        await orchestrator.repository.save(storedBuild('22222222-queued-first', 'queued', 5));
+
+        await orchestrator.initialize();
+
+        expect(orchestrator.queue).toEqual(['22222222-queued-first', '33333333-queued-last']);
+        expect(orchestrator.getQueueState('33333333-queued-last').position).toBe(2);
+        expect(harness.vmManager.createBuildVM).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+const { MemoryBuildRepository, SQLiteBuildRepository } = require('../lib/build-repository');
+
+require('../lib/logger').silent = true;
+
+/**
+ * A stored build document with just the fields the repository queries
+ */
+function storedBuild(id, status, created, fields = {}) {
+    return {
+        id,
+        status,
+        stage: status,
+        vmName: null,
+        created,
+        updated: created,
+        logs: [],
+        ...fields,
+    };
+}
+
+describe.each([
+    ['MemoryBuildRepository', () => new MemoryBuildRepository()],
+    ['SQLiteBuildRepository', () => new SQLiteBuildRepository(':memory:')],
+])('%s', (name, createRepository) => {
+    let repository;
+
+    beforeEach(async () => {
+        repository = createRepository();
+        await repository.init();
+    });
+
+    afterEach(async () => {
+        await repository.close();
+    });
+
+    test('stores whole build documents', async () => {
+        const build = storedBuild('build-1', 'building', '2026-10-01T10:00:00.000Z', {
+            vmName: 'iso-build-build-1',
+            config: { services: ['qdrant'], models: [] },
+            logs: ['VM created: iso-build-build-1'],
+        });
+        await repository.save(build);
+
+        expect(await repository.get('build-1')).toEqual(build);
+        expect(await repository.get('build-2')).toBeNull();
+    });
+
+    test('returns copies, not the stored document', async () => {
+        await repository.save(storedBuild('build-1', 'queued', '2026-10-01T10:00:00.000Z'));
+        const copy = await repository.get('build-1');
+        copy.logs.push('changed');
+
+        expect((await repository.get('build-1')).logs).toEqual([]);
+    });
+
+    test('replaces a build on save', async () => {
+        await repository.save(storedBuild('build-1', 'queued', '2026-10-01T10:00:00.000Z'));
+        await repository.save(storedBuild('build-1', 'complete', '2026-10-01T10:00:00.000Z', { progress: 100 }));
+
+        expect(await repository.get('build-1')).toMatchObject({ status: 'complete', progress: 100 });
+        expect(await repository.list()).toHaveLength(1);
+    });
+
+    describe('list', () => {
+        beforeEach(async () => {
+            await repository.save(storedBuild('oldest', 'complete', '2026-10-01T08:00:00.000Z', { requester: 'alice', configHash: 'aaa' }));
+            await repository.save(storedBuild('middle', 'failed', '2026-10-01T09:00:00.000Z', {
+                requester: 'bob',
+                configHash: 'aaa',
+                attachedRequests: [{ requester: 'alice' }],
+            }));
+            await repository.save(storedBuild('newest', 'queued', '2026-10-01T10:00:00.000Z', { requester: 'bob', configHash: 'bbb' }));
+        });
+
+        const ids = builds => builds.map(build => build.id);
+
+        test('lists builds newest first', async () => {
+            expect(ids(await repository.list())).toEqual(['newest', 'middle', 'oldest']);
+        });
+
+        test('filters by status', async () => {
+            expect(ids(await repository.list({ statuses: ['complete', 'queued'] }))).toEqual(['newest', 'oldest']);
+            expect(ids(await repository.list({ excludeStatuses: ['complete', 'failed', 'cancelled'] }))).toEqual(['newest']);
+        });
+
+        test('filters by creation time', async () => {
+            expect(ids(await repository.list({ createdAfter: '2026-10-01T09:00:00.000Z' }))).toEqual(['newest', 'middle']);
+        });
+
+        test('filters by requester, with and without attached requests', async () => {
+            expect(ids(await repository.list({ requester: 'alice' }))).toEqual(['oldest']);
+            expect(ids(await repository.list({ requestedBy: 'alice' }))).toEqual(['middle', 'oldest']);
+        });
+
+        test('filters by config hash', async () => {
+            expect(ids(await repository.list({ configHash: 'aaa' }))).toEqual(['middle', 'oldest']);
+        });
+
+        test('combines filters and limits the results', async () => {
+            expect(ids(await repository.list({ requester: 'bob', limit: 1 }))).toEqual(['newest']);
+            expect(ids(await repository.list({ configHash: 'aaa', statuses: ['failed'] }))).toEqual(['middle']);
+        });
+    });
+
+    test('deletes a build', async () => {
+        await repository.save(storedBuild('build-1', 'complete', '2026-10-01T10:00:00.000Z'));
+        await repository.delete('build-1');
+
+        expect(await repository.get('build-1')).toBeNull();
+    });
+
+    test('prunes builds in the given statuses created before the cutoff', async () => {
+        await repository.save(storedBuild('old-complete', 'complete', '2026-09-01T10:00:00.000Z'));
+        await repository.save(storedBuild('old-building', 'building', '2026-09-01T10:00:00.000Z'));
+        await repository.save(storedBuild('new-complete', 'complete', '2026-10-01T10:00:00.000Z'));
+
+        expect(await repository.prune('2026-09-15T00:00:00.000Z', ['complete', 'failed'])).toBe(1);
+        expect((await repository.list()).map(build => build.id).sort()).toEqual(['new-complete', 'old-building']);
+    });
+
+    test('lists webhook deliveries by build, webhook and state', async () => {
+        const delivery = (id, webhookId, state, created) => ({
+            id, webhookId, buildId: 'build-1', event: 'queued', state, attempts: [], created,
+        });
+        await repository.saveDelivery(delivery('oldest', 'hook-1', 'delivered', '2026-10-01T08:00:00.000Z'));
+        await repository.saveDelivery(delivery('middle', 'hook-2', 'pending', '2026-10-01T09:00:00.000Z'));
+        await repository.saveDelivery(delivery('newest', 'hook-1', 'pending', '2026-10-01T10:00:00.000Z'));
+
+        const ids = async filter => (await repository.listDeliveries(filter)).map(entry => entry.id);
+        expect(await ids()).toEqual(['newest', 'middle', 'oldest']);
+        expect(await ids({ states: ['pending'] })).toEqual(['newest', 'middle']);
+        expect(await ids({ webhookIds: ['hook-1'], states: ['delivered', 'failed'] })).toEqual(['oldest']);
+        expect(await ids({ buildId: 'build-2' })).toEqual([]);
+    });
+});
+
+describe('SQLiteBuildRepository on disk', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps builds across reopening, creating the directory', async () => {
+        const dbPath = path.join(dir, 'data', 'builds.db');
+        const first = new SQLiteBuildRepository(dbPath);
+        await first.init();
+        await first.save(storedBuild('build-1', 'building', '2026-10-01T10:00:00.000Z', { vmName: 'iso-build-build-1' }));
+        await first.close();
+
+        const second = new SQLiteBuildRepository(dbPath);
+        await second.init();
+        expect(await second.get('build-1')).toMatchObject({ status: 'building', vmName: 'iso-build-build-1' });
+        await second.close();
+    });
+});
+
+describe('rehydrating builds after a restart', () => {
+    let harness;
+    let orchestrator;
+
+    /**
+     * Build documents as a previous process left them in the build store
+     * Three builds are started with one build slot: the first runs, the others queue.
+     */
+    async function previousProcessBuilds() {
+        const previous = loadOrchestrator();
+        previous.config.vm.maxConcurrentBuilds = 1;
+        await previous.orchestrator.initialize();
+
+        const ids = [];
+        for (const services of [['qdrant'], ['pihole'], ['homarr']]) {
+            ids.push((await previous.orchestrator.startBuild({ services })).build_id);
+            // Queued builds are restored in creation order
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+        await waitForStatus(previous.orchestrator, ids[0], 'building');
+        const documents = ids.map(id => JSON.parse(JSON.stringify(previous.orchestrator.builds.get(id))));
+
+        await previous.shutdown();
+        return documents;
+    }
+
+    /**
+     * Start a new orchestrator on the stored documents, with the given VMs still running
+     */
+    async function restart(documents, runningVMs = []) {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.vm.maxConcurrentBuilds = 1;
+        for (const document of documents) {
+            await orchestrator.repository.save(document);
+        }
+        for (const name of runningVMs) {
+            harness.vms.set(name, { name, status: 'RUNNING' });
+        }
+        await orchestrator.initialize();
+    }
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('resumes monitoring a running build and keeps the queue in order', async () => {
+        const [running, second, third] = await previousProcessBuilds();
+        await restart([third, running, second], [running.vmName]);
+
+        await waitFor(() => orchestrator.builds.get(running.id).logs
+            .includes(`Backend restarted, resumed monitoring of VM ${running.vmName}`));
+        expect(orchestrator.queue).toEqual([second.id, third.id]);
+        expect(harness.vmManager.createBuildVM).not.toHaveBeenCalled();
+
+        harness.completeBuild(running.id);
+        await waitForStatus(orchestrator, running.id, 'complete');
+        await waitForStatus(orchestrator, second.id, 'building');
+        expect(orchestrator.queue).toEqual([third.id]);
+    });
+
+    test('restarts a build whose VM was never created', async () => {
+        const [running] = await previousProcessBuilds();
+        const creating = { ...running, status: 'creating_vm', vmName: null };
+        await restart([creating]);
+
+        await waitForStatus(orchestrator, running.id, 'building');
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledWith(running.id, running.config, expect.anything());
+        expect(orchestrator.builds.get(running.id).logs)
+            .toContain('Backend restarted before VM was created, restarting build...');
+    });
+
+    test('fails a build whose VM is gone', async () => {
+        const [running] = await previousProcessBuilds();
+        await restart([running]);
+
+        await waitForStatus(orchestrator, running.id, 'failed');
+        expect(orchestrator.builds.get(running.id).error).toBe('VM no longer exists after backend restart');
+    });
+
+    test('leaves finished builds in the store', async () => {
+        const [running] = await previousProcessBuilds();
+        const complete = { ...running, status: 'complete', progress: 100 };
+        await restart([complete]);
+
+        expect(orchestrator.builds.has(running.id)).toBe(false);
+        expect(await orchestrator.getBuildStatus(running.id)).toMatchObject({ build_id: running.id, status: 'complete' });
+    });
+});
@@ -0,0 +1,150 @@
+const { loadOrchestrator, waitForStatus } = require('./helpers/orchestrator');
+
+describe('retrying builds', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    /**
+     * Run a build until its VM reports a failure
+     */
+    async function failBuild(buildId, message = 'Repository clone failed') {
+        await waitForStatus(orchestrator, buildId, 'building');
+        harness.reportStatus(buildId, 'failed', 30, message);
+        await waitForStatus(orchestrator, buildId, 'failed');
+    }
+
+    async function startFailedBuild(buildConfig = { services: ['qdrant'] }, options = {}) {
+        const { build_id: buildId } = await orchestrator.startBuild(buildConfig, options);
+        await failBuild(buildId);
+        return buildId;
+    }
+
+    describe('manually', () => {
+        test('starts a new build with the failed build\'s configuration', async () => {
+            const failed = await startFailedBuild({ services: ['qdrant'], iso_name: 'my-homelab' }, { requester: 'alice' });
+
+            const retry = await orchestrator.retryBuild(failed, { requester: 'alice' });
+
+            const original = orchestrator.builds.get(failed);
+            expect(retry.build_id).not.toBe(failed);
+            expect(retry).toMatchObject({ retry_of: failed, services: original.config.services });
+            expect(original.retriedBy).toBe(retry.build_id);
+            expect(original.logs[original.logs.length - 1]).toBe(`Retried as build ${retry.build_id}`);
+            expect(orchestrator.builds.get(retry.build_id)).toMatchObject({
+                config: original.config,
+                requester: 'alice',
+                autoRetryCount: 0,
+            });
+            await waitForStatus(orchestrator, retry.build_id, 'building');
+        });
+
+        test('retries a cancelled build', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+            await waitForStatus(orchestrator, buildId, 'building');
+            await orchestrator.cancelBuild(buildId);
+            await waitForStatus(orchestrator, buildId, 'cancelled');
+
+            expect(await orchestrator.retryBuild(buildId)).toMatchObject({ retry_of: buildId });
+        });
+
+        test('rejects retrying a running build', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+            await waitForStatus(orchestrator, buildId, 'building');
+
+            await expect(orchestrator.retryBuild(buildId)).rejects.toMatchObject({
+                statusCode: 409,
+                message: 'Only failed or cancelled builds can be retried (status: building)',
+            });
+        });
+
+        test('rejects retrying a completed build', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+            await waitForStatus(orchestrator, buildId, 'building');
+            harness.completeBuild(buildId);
+            await waitForStatus(orchestrator, buildId, 'complete');
+
+            await expect(orchestrator.retryBuild(buildId)).rejects.toMatchObject({ statusCode: 409 });
+            expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(1);
+        });
+
+        test('retries a build only once', async () => {
+            const failed = await startFailedBuild();
+            const retry = await orchestrator.retryBuild(failed);
+
+            await expect(orchestrator.retryBuild(failed)).rejects.toMatchObject({
+                statusCode: 409,
+                retriedBy: retry.build_id,
+            });
+        });
+
+        test('returns null for an unknown build', async () => {
+            expect(await orchestrator.retryBuild('00000000-0000-4000-8000-000000000000')).toBeNull();
+        });
+
+        test('attaches to an identical build already in progress', async () => {
+            const failed = await startFailedBuild();
+            const running = await orchestrator.startBuild({ services: ['qdrant'] });
+
+            const retry = await orchestrator.retryBuild(failed);
+
+            expect(retry).toMatchObject({ build_id: running.build_id, deduplicated: 'attached' });
+            expect(orchestrator.builds.get(failed).retriedBy).toBe(running.build_id);
+            expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('automatically', () => {
+        test('retries a transient failure up to the build\'s auto-retry limit', async () => {
+            const first = await startFailedBuild({ services: ['qdrant'], auto_retry: 2 }, { requester: 'alice' });
+
+            const second = orchestrator.builds.get(first).retriedBy;
+            expect(second).toBeTruthy();
+            expect(orchestrator.builds.get(first).logs)
+                .toContain(`Transient failure, automatically retrying as build ${second}`);
+            expect(orchestrator.builds.get(second)).toMatchObject({ retryOf: first, autoRetryCount: 1, requester: 'alice' });
+
+            await failBuild(second);
+            const third = orchestrator.builds.get(second).retriedBy;
+            expect(orchestrator.builds.get(third)).toMatchObject({ retryOf: second, autoRetryCount: 2 });
+
+            await failBuild(third);
+            expect(orchestrator.builds.get(third).retriedBy).toBeNull();
+            expect(harness.vmManager.createBuildVM).toHaveBeenCalledTimes(3);
+        });
+
+        test('does not retry a failure that would fail again', async () => {
+            const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'], auto_retry: 2 });
+            await failBuild(buildId, 'Installer ref main-typo not found');
+
+            expect(orchestrator.builds.get(buildId).failure).toMatchObject({ code: 'CLONE_FAILED', retryable: false });
+            expect(orchestrator.builds.get(buildId).retriedBy).toBeNull();
+        });
+
+        test('does not retry without an auto-retry policy', async () => {
+            const failed = await startFailedBuild();
+
+            expect(orchestrator.builds.get(failed).retriedBy).toBeNull();
+        });
+
+        test('starts a fresh auto-retry budget on a manual retry', async () => {
+            const first = await startFailedBuild({ services: ['qdrant'], auto_retry: 1 });
+            const second = orchestrator.builds.get(first).retriedBy;
+            await failBuild(second);
+            expect(orchestrator.builds.get(second).retriedBy).toBeNull();
+
+            const manual = await orchestrator.retryBuild(second);
+            await waitForStatus(orchestrator, manual.build_id, 'building');
+            expect(orchestrator.builds.get(manual.build_id).autoRetryCount).toBe(0);
+        });
+    });
+});
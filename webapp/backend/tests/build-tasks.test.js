@@ -0,0 +1,154 @@
+const { TASK_IDS, normalizeTasks } = require('../lib/build-tasks');
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+
+const DOCKER_IMAGES = {
+    state: 'running',
+    current: 2,
+    total: 5,
+    bytes: 734003200,
+    items: [{ name: 'nginx:latest', state: 'complete', bytes: 52428800, source: 'cache' }],
+};
+
+describe('normalizeTasks', () => {
+    test('keeps reported tasks as they are', () => {
+        expect(normalizeTasks({ 'docker-images': DOCKER_IMAGES })).toEqual({ 'docker-images': DOCKER_IMAGES });
+    });
+
+    test('orders tasks by task ID and drops unknown tasks and fields', () => {
+        const normalized = normalizeTasks({
+            'cache-populate': { state: 'pending', command: 'rm -rf /' },
+            'kernel-build': { state: 'running' },
+            'docker-images': { ...DOCKER_IMAGES, items: [{ ...DOCKER_IMAGES.items[0], url: 'http://example.com' }] },
+        });
+
+        expect(Object.keys(normalized)).toEqual(['docker-images', 'cache-populate']);
+        expect(normalized['cache-populate']).toEqual({ state: 'pending', current: 0, total: 0, bytes: 0, items: [] });
+        expect(normalized['docker-images'].items).toEqual(DOCKER_IMAGES.items);
+        expect(TASK_IDS.indexOf('docker-images')).toBeLessThan(TASK_IDS.indexOf('cache-populate'));
+    });
+
+    test.each([
+        ['a missing tasks field', undefined],
+        ['null', null],
+        ['a string', 'docker-images'],
+        ['an array of tasks', [DOCKER_IMAGES]],
+        ['an empty object', {}],
+        ['only unknown tasks', { 'kernel-build': DOCKER_IMAGES }],
+        ['tasks that are not objects', { 'docker-images': 'running', 'iso-build': 66, 'iso-upload': null }],
+        ['a task that is an array', { 'docker-images': [DOCKER_IMAGES] }],
+    ])('returns null for %s', (name, tasks) => {
+        expect(normalizeTasks(tasks)).toBeNull();
+    });
+
+    test('falls back to pending for unknown states', () => {
+        const normalized = normalizeTasks({
+            'docker-images': { state: 'exploded', items: [{ name: 'nginx:latest', state: 'skipped', source: 'usb' }] },
+        });
+
+        expect(normalized['docker-images'].state).toBe('pending');
+        expect(normalized['docker-images'].items).toEqual([{ name: 'nginx:latest', state: 'pending', bytes: 0, source: null }]);
+    });
+
+    test.each([
+        ['a negative count', -1],
+        ['a fractional count', 1.5],
+        ['a numeric string', '5'],
+        ['NaN', NaN],
+        ['a count beyond safe integers', 2 ** 53],
+    ])('counts %s as 0', (name, value) => {
+        const normalized = normalizeTasks({
+            'ollama-models': { state: 'running', current: value, total: value, bytes: value, items: [{ name: 'qwen3:8b', bytes: value }] },
+        });
+
+        expect(normalized['ollama-models']).toMatchObject({ current: 0, total: 0, bytes: 0, items: [{ bytes: 0 }] });
+    });
+
+    test('drops items without a usable name', () => {
+        const normalized = normalizeTasks({
+            'docker-images': {
+                state: 'running',
+                items: [null, 'nginx:latest', { state: 'complete' }, { name: 42 }, { name: 'x'.repeat(201) }, { name: 'qdrant/qdrant:latest' }],
+            },
+        });
+
+        expect(normalized['docker-images'].items.map(item => item.name)).toEqual(['qdrant/qdrant:latest']);
+    });
+
+    test('ignores items that are not a list', () => {
+        expect(normalizeTasks({ 'iso-build': { state: 'running', items: { name: 'iso' } } })['iso-build'].items).toEqual([]);
+    });
+
+    test('keeps at most 100 items per task', () => {
+        const items = Array.from({ length: 150 }, (_, i) => ({ name: `image-${i}:latest`, state: 'complete' }));
+
+        const normalized = normalizeTasks({ 'docker-images': { state: 'running', items } });
+        expect(normalized['docker-images'].items).toHaveLength(100);
+        expect(normalized['docker-images'].items[99].name).toBe('image-99:latest');
+    });
+});
+
+describe('task progress from build VMs', () => {
+    let harness;
+    let orchestrator;
+    let buildId;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.callbacks.baseUrl = 'http://backend.internal:3000';
+        await orchestrator.initialize();
+        ({ build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }));
+        await waitForStatus(orchestrator, buildId, 'building');
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    const progressOf = () => orchestrator.builds.get(buildId).progress;
+
+    test('accepts status files without tasks from VMs on the old format', async () => {
+        harness.reportStatus(buildId, 'docker-images', 30, 'Pulling images');
+        await waitFor(() => progressOf() === 30);
+
+        expect(await orchestrator.getBuildStatus(buildId)).toMatchObject({ status_schema_version: 1, tasks: null });
+    });
+
+    test('keeps the last tasks when an old-format status file follows a v1 one', async () => {
+        harness.reportStatus(buildId, 'docker-images', 30, 'Pulling images', { schema_version: 1, tasks: { 'docker-images': DOCKER_IMAGES } });
+        await waitFor(() => progressOf() === 30);
+        expect(orchestrator.builds.get(buildId).tasks).toEqual({ 'docker-images': DOCKER_IMAGES });
+
+        harness.reportStatus(buildId, 'iso-build', 66, 'Building custom ISO');
+        await waitFor(() => progressOf() === 66);
+
+        expect((await orchestrator.getBuildStatus(buildId)).tasks).toEqual({ 'docker-images': DOCKER_IMAGES });
+    });
+
+    test('drops malformed tasks from a status file but keeps its progress', async () => {
+        harness.reportStatus(buildId, 'docker-images', 30, 'Pulling images', { schema_version: 1, tasks: ['docker-images'] });
+        await waitFor(() => progressOf() === 30);
+
+        expect(orchestrator.builds.get(buildId).tasks).toBeNull();
+    });
+
+    test('rejects tasks added to an old-format status file after it was signed', async () => {
+        harness.reportStatus(buildId, 'docker-images', 30, 'Pulling images');
+        const file = orchestrator.getStatusFilename(buildId);
+        harness.files.set(file, { ...harness.files.get(file), schema_version: 1, tasks: { 'iso-build': { state: 'complete' } } });
+
+        await waitFor(() => orchestrator.builds.get(buildId).logs.some(line => line.includes('invalid signature')));
+        expect(progressOf()).not.toBe(30);
+        expect(orchestrator.builds.get(buildId).tasks).toBeNull();
+    });
+
+    test('keeps the last tasks when a pushed status event has malformed ones', () => {
+        const token = harness.vmManager.createBuildVM.mock.calls[0][2].callbackToken;
+        const event = { type: 'status', stage: 'docker-images', progress: 30, message: 'Pulling images' };
+        orchestrator.recordBuildEvent(buildId, token, { ...event, tasks: { 'docker-images': DOCKER_IMAGES } });
+
+        expect(orchestrator.recordBuildEvent(buildId, token, { ...event, progress: 35, tasks: 'lots' })).toEqual({ accepted: true });
+        expect(progressOf()).toBe(35);
+        expect(orchestrator.builds.get(buildId).tasks).toEqual({ 'docker-images': DOCKER_IMAGES });
+    });
+});
@@ -0,0 +1,135 @@
+process.env.API_SECRET_KEY = 'test-secret-key-0123456789abcdef0123456789';
+
+const estimator = require('../lib/build-time-estimator');
+
+const ARTIFACTS = {
+    images: [{ cached: true }, { cached: false }],
+    models: [{ size_gb: 4, cached: false }],
+    isoSizeGB: 10,
+};
+
+/**
+ * A finished build whose stages took the given minutes
+ * @param {Object} minutes - stage -> minutes
+ * @param {Object} tasks - Tasks reported by the VM
+ * @param {number} isoSizeGB - Projected ISO size
+ */
+function finishedBuild(minutes, tasks = {}, isoSizeGB = 10) {
+    let time = Date.UTC(2026, 9, 1);
+    const timeline = Object.entries(minutes).map(([stage, duration]) => {
+        const started = new Date(time).toISOString();
+        time += duration * 60000;
+        return { stage, state: 'complete', started, ended: new Date(time).toISOString() };
+    });
+    return { timeline, tasks, projectedISOSizeGB: isoSizeGB };
+}
+
+const stageMinutes = (estimate, stage) => estimate.stages.find(entry => entry.stage === stage);
+
+describe('estimate', () => {
+    beforeEach(() => estimator.load([]));
+
+    test('uses the default coefficients without history', () => {
+        const estimate = estimator.estimate(ARTIFACTS);
+
+        expect(estimate.stages.map(({ stage, minutes }) => [stage, minutes])).toEqual([
+            ['vm-create', 2],
+            ['vm-init', 15],
+            ['docker-images', 4.5], // 2 + 0.5 per cached image + 2 per downloaded image
+            ['ollama-models', 6], // 2 per model + 1 per downloaded GB
+            ['iso-build', 13], // 12 + 0.1 per ISO GB
+            ['iso-upload', 2], // 1 + 0.1 per ISO GB
+        ]);
+        expect(estimate.minutes).toBe(43);
+        expect(estimate.confidence).toBe(0.9);
+    });
+
+    test('spreads estimates by 30% until there is history', () => {
+        const estimate = estimator.estimate(ARTIFACTS);
+        const vmInit = stageMinutes(estimate, 'vm-init');
+
+        expect(vmInit.low).toBe(7.6); // 15 - 1.645 * 4.5
+        expect(vmInit.high).toBe(22.4);
+
+        const stddev = Math.sqrt(estimate.stages.reduce((sum, { minutes }) => sum + (minutes * 0.3) ** 2, 0));
+        expect(estimate.low).toBe(Math.floor(42.5 - 1.645 * stddev));
+        expect(estimate.high).toBe(Math.ceil(42.5 + 1.645 * stddev));
+    });
+
+    test('skips the stages a build has nothing to do in', () => {
+        const estimate = estimator.estimate({ images: [], models: [], isoSizeGB: 0 });
+
+        expect(estimate.stages.map(({ stage }) => stage)).toEqual(['vm-create', 'vm-init', 'iso-build', 'iso-upload']);
+        expect(estimate.minutes).toBe(30);
+    });
+});
+
+describe('fitStage', () => {
+    beforeEach(() => estimator.load([]));
+
+    test('starts from the default coefficients', () => {
+        const { coefficients, spread } = estimator.models.get('iso-build');
+        expect(coefficients[0]).toBeCloseTo(12);
+        expect(coefficients[1]).toBeCloseTo(0.1);
+        expect(spread).toBeNull();
+    });
+
+    test('moves towards history, weighted against three builds of defaults', () => {
+        estimator.load([finishedBuild({ 'vm-create': 10 })]);
+        // (3 * 2 + 10) / (3 + 1)
+        expect(estimator.models.get('vm-create').coefficients[0]).toBeCloseTo(4);
+        expect(estimator.models.get('vm-create').spread).toBeNull();
+        expect(stageMinutes(estimator.estimate(ARTIFACTS), 'vm-create').samples).toBe(1);
+    });
+
+    test('measures the spread from five builds on', () => {
+        const builds = [8, 12, 8, 12].map(minutes => finishedBuild({ 'vm-create': minutes }));
+        estimator.load(builds);
+        expect(estimator.models.get('vm-create').spread).toBeNull();
+
+        estimator.addBuild(finishedBuild({ 'vm-create': 10 }));
+        const { coefficients, spread } = estimator.models.get('vm-create');
+        // (3 * 2 + 50) / (3 + 5)
+        expect(coefficients[0]).toBeCloseTo(7);
+        const residuals = [8, 12, 8, 12, 10].map(minutes => (minutes - 7) ** 2);
+        expect(spread).toBeCloseTo(Math.sqrt(residuals.reduce((a, b) => a + b) / 4));
+    });
+
+    test('keeps a minimum spread for perfectly regular stages', () => {
+        estimator.load(Array.from({ length: 50 }, () => finishedBuild({ 'vm-create': 2 })));
+        expect(estimator.models.get('vm-create').spread).toBe(0.5);
+    });
+
+    test('learns per-feature costs from the tasks builds reported', () => {
+        const images = (cached, downloaded) => ({
+            'docker-images': {
+                items: [
+                    ...Array.from({ length: cached }, () => ({ source: 'cache' })),
+                    ...Array.from({ length: downloaded }, () => ({ source: 'registry' })),
+                ],
+            },
+        });
+        // Downloads take 5 minutes each, cached images nothing, plus 1 minute; a full
+        // history outweighs the defaults' pull
+        const builds = [];
+        for (let i = 0; i < 200; i++) {
+            const cached = i % 4;
+            const downloaded = i % 3;
+            builds.push(finishedBuild({ 'docker-images': 1 + 5 * downloaded }, images(cached, downloaded)));
+        }
+        estimator.load(builds);
+
+        const [intercept, perCached, perDownloaded] = estimator.models.get('docker-images').coefficients;
+        expect(intercept).toBeCloseTo(1, 0);
+        expect(perCached).toBeCloseTo(0, 0);
+        expect(perDownloaded).toBeCloseTo(5, 0);
+    });
+
+    test('ignores stages that did not complete', () => {
+        const build = finishedBuild({ 'vm-create': 30 });
+        build.timeline[0].state = 'failed';
+        estimator.load([build]);
+
+        expect(estimator.models.get('vm-create').coefficients).toEqual([2]);
+    });
+});
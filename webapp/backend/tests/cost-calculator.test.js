@@ -0,0 +1,128 @@
+const { loadOrchestrator } = require('./helpers/orchestrator');
+
+const config = require('../config/config');
+const costCalculator = require('../lib/cost-calculator');
+
+describe('estimateBuildCost', () => {
+    test('prices a c2d-highcpu-32 build at list prices', () => {
+        // 90 minutes on the default VM (4 local SSDs, 500 GB boot disk), a 10 GB ISO kept 7 days
+        expect(costCalculator.estimateBuildCost({ runtimeMinutes: 90, isoSizeGB: 10 })).toEqual({
+            currency: 'USD',
+            total: 3.71,
+            breakdown: {
+                compute: 2.04,
+                local_ssd: 0.25,
+                boot_disk: 0.17,
+                storage: 0.05,
+                egress: 1.2,
+            },
+        });
+    });
+
+    test('takes the storage period and egress when given', () => {
+        const cost = costCalculator.estimateBuildCost({ runtimeMinutes: 0, isoSizeGB: 10, storageDays: 30, egressGB: 0 });
+
+        expect(cost.breakdown).toEqual({ compute: 0, local_ssd: 0, boot_disk: 0, storage: 0.2, egress: 0 });
+        expect(cost.total).toBe(0.2);
+    });
+
+    test('rejects machine types without a price', () => {
+        const machineType = config.vm.machineType;
+        config.vm.machineType = 'a2-ultragpu-8g';
+        try {
+            expect(() => costCalculator.estimateBuildCost({ runtimeMinutes: 60, isoSizeGB: 10 }))
+                .toThrow('No price configured for machine type a2-ultragpu-8g');
+        } finally {
+            config.vm.machineType = machineType;
+        }
+    });
+});
+
+describe('summarizeCosts', () => {
+    test('totals builds per day and per requester', () => {
+        const summary = costCalculator.summarizeCosts([
+            { created: '2026-10-17T09:00:00.000Z', requester: 'alice', cost: { total: 3.71 } },
+            { created: '2026-10-17T22:00:00.000Z', requester: 'bob', cost: { total: 8.4 } },
+            { created: '2026-10-16T12:00:00.000Z', requester: 'alice', cost: { total: 5.3 } },
+            { created: '2026-10-16T13:00:00.000Z', requester: null, cost: { total: 1 } },
+            { created: '2026-10-18T08:00:00.000Z', requester: 'bob', cost: null },
+        ]);
+
+        expect(summary).toEqual({
+            currency: 'USD',
+            total: 18.41,
+            builds: 4,
+            by_day: [
+                { date: '2026-10-16', total: 6.3, builds: 2 },
+                { date: '2026-10-17', total: 12.11, builds: 2 },
+            ],
+            by_requester: [
+                { requester: 'alice', total: 9.01, builds: 2 },
+                { requester: 'bob', total: 8.4, builds: 1 },
+                { requester: 'unknown', total: 1, builds: 1 },
+            ],
+        });
+    });
+
+    test('is empty without builds', () => {
+        expect(costCalculator.summarizeCosts([])).toEqual({ currency: 'USD', total: 0, builds: 0, by_day: [], by_requester: [] });
+    });
+});
+
+describe('calculateBuildCost', () => {
+    let harness;
+    let orchestrator;
+
+    beforeAll(() => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+    });
+
+    afterAll(async () => {
+        await harness.shutdown();
+    });
+
+    const STARTED = '2026-10-18T12:00:00.000Z';
+    const build = (extra) => ({
+        id: '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13',
+        backend: 'gce',
+        status: 'complete',
+        started: STARTED,
+        finished: '2026-10-18T13:30:00.000Z',
+        projectedISOSizeGB: 12,
+        ...extra,
+    });
+
+    test('charges a finished build for its runtime and ISO', () => {
+        expect(orchestrator.calculateBuildCost(build({ isoSizeGB: 10 }))).toMatchObject({
+            total: 3.71,
+            runtime_minutes: 90,
+            iso_size_gb: 10,
+            final: true,
+        });
+    });
+
+    test('uses the projected ISO size until the real one is known', () => {
+        const cost = orchestrator.calculateBuildCost(build({}));
+        expect(cost).toMatchObject({ iso_size_gb: 12, final: false });
+    });
+
+    test('counts a running build up to now, without an ISO', () => {
+        const now = new Date(STARTED).getTime() + 30 * 60000;
+        const cost = orchestrator.calculateBuildCost(build({ status: 'building', finished: undefined }), now);
+
+        expect(cost).toMatchObject({ runtime_minutes: 30, iso_size_gb: 0, final: false });
+        expect(cost.breakdown.egress).toBe(0);
+    });
+
+    test('charges a reused ISO only for its download', () => {
+        const cost = orchestrator.calculateBuildCost(build({ dedupedFrom: 'a1b2c3d4', isoSizeGB: 10 }));
+
+        expect(cost).toMatchObject({ total: 1.2, runtime_minutes: 0 });
+        expect(cost.breakdown).toMatchObject({ compute: 0, storage: 0, egress: 1.2 });
+    });
+
+    test('has no cost on backends without metered pricing', () => {
+        expect(orchestrator.calculateBuildCost(build({ backend: 'docker' }))).toBeNull();
+    });
+});
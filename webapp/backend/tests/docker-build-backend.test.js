@@ -0,0 +1,211 @@
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+const CONTAINER = 'iso-build-3f2a9c1e';
+
+/**
+ * An error as execFile reports a failed docker command
+ */
+function dockerError(stderr) {
+    return Object.assign(new Error('Command failed: docker'), { stderr });
+}
+
+describe('docker build backend', () => {
+    let dir;
+    let backend;
+    let handlers;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-backend-'));
+        process.env.LOCAL_OUTPUT_DIR = path.join(dir, 'outputs');
+        process.env.LOCAL_LOGS_DIR = path.join(dir, 'logs');
+        jest.resetModules();
+        require('../lib/logger').silent = true;
+        backend = require('../lib/docker-build-backend');
+
+        // docker subcommand -> fake implementation (returns stdout or throws)
+        handlers = {};
+        backend.docker = jest.fn(async (args) => (handlers[args[0]] ? handlers[args[0]](args) : ''));
+    });
+
+    afterEach(() => {
+        delete process.env.LOCAL_OUTPUT_DIR;
+        delete process.env.LOCAL_LOGS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function commands() {
+        return backend.docker.mock.calls.map(([args]) => args[0]);
+    }
+
+    test('is registered as the docker backend, sized from config', () => {
+        const { getBuildBackend } = require('../lib/build-backends');
+        const config = require('../config/config');
+        config.backends.docker.maxConcurrentBuilds = 3;
+
+        expect(getBuildBackend('docker')).toBe(backend);
+        expect(backend.maxConcurrentBuilds).toBe(3);
+        expect(backend.storage).toBe(require('../lib/local-output-store'));
+        expect(() => getBuildBackend('podman')).toThrow('Unknown build backend: podman');
+    });
+
+    describe('create', () => {
+        let staged;
+
+        beforeEach(() => {
+            // The staging directory is removed once the container starts; keep what was copied in
+            handlers.cp = ([, source]) => {
+                const metadataDir = path.join(source.replace(/\/\.$/, ''), 'metadata');
+                staged = {
+                    script: fs.readFileSync(path.join(source, 'startup.sh'), 'utf8'),
+                    metadata: Object.fromEntries(fs.readdirSync(metadataDir)
+                        .map(name => [name, fs.readFileSync(path.join(metadataDir, name), 'utf8')])),
+                    source,
+                };
+            };
+        });
+
+        test('starts a privileged container with the startup script and metadata', async () => {
+            const buildConfig = { services: ['qdrant'], models: [] };
+            const name = await backend.create(BUILD_ID, buildConfig, {
+                configHash: 'c0ffee',
+                statusKey: 'a'.repeat(64),
+                callbackToken: 'b'.repeat(64),
+            });
+
+            expect(name).toBe(CONTAINER);
+            expect(commands()).toEqual(['create', 'cp', 'start']);
+
+            const [createArgs] = backend.docker.mock.calls[0];
+            expect(createArgs).toEqual(expect.arrayContaining(['--name', CONTAINER, '--privileged', '--label', 'build-id=3f2a9c1e']));
+            expect(createArgs).toContain(`${path.join(dir, 'outputs')}:/output`);
+            expect(createArgs.slice(-3)).toEqual(['ubuntu:22.04', 'bash', '/etc/iso-build/startup.sh']);
+            expect(backend.docker.mock.calls[1][0][2]).toBe(`${CONTAINER}:/etc/iso-build`);
+            expect(backend.docker.mock.calls[2][0]).toEqual(['start', CONTAINER]);
+
+            expect(staged.script).toContain('#!/bin/bash');
+            expect(staged.metadata).toMatchObject({
+                'build-id': BUILD_ID,
+                'build-config': JSON.stringify(buildConfig),
+                'config-hash': 'c0ffee',
+                'status-key': 'a'.repeat(64),
+                'callback-token': 'b'.repeat(64),
+                'output-dir': '/output',
+                'work-dir': '/tmp/homelab-build',
+            });
+            expect(fs.existsSync(staged.source)).toBe(false);
+            expect(fs.existsSync(path.join(dir, 'outputs'))).toBe(true);
+        });
+
+        test('rejects an invalid build ID before running docker', async () => {
+            await expect(backend.create('../../etc', { services: ['qdrant'] }))
+                .rejects.toThrow('Invalid buildId format');
+            expect(backend.docker).not.toHaveBeenCalled();
+        });
+
+        test('removes the container and staging files when it fails to start', async () => {
+            handlers.start = () => {
+                throw dockerError('Error response from daemon: failed to create task');
+            };
+
+            await expect(backend.create(BUILD_ID, { services: ['qdrant'] })).rejects.toThrow('Command failed: docker');
+            expect(backend.docker).toHaveBeenLastCalledWith(['rm', '--force', '--volumes', CONTAINER]);
+            expect(fs.existsSync(staged.source)).toBe(false);
+        });
+
+        test('reports the original error when the cleanup fails too', async () => {
+            handlers.create = () => {
+                throw dockerError('Unable to find image \'ubuntu:22.04\' locally');
+            };
+            handlers.rm = () => {
+                throw dockerError('Error: No such container: iso-build-3f2a9c1e');
+            };
+
+            await expect(backend.create(BUILD_ID, { services: ['qdrant'] }))
+                .rejects.toMatchObject({ stderr: expect.stringContaining('Unable to find image') });
+            expect(commands()).toEqual(['create', 'rm']);
+        });
+    });
+
+    describe('status', () => {
+        test.each([
+            ['running', 'RUNNING'],
+            ['created', 'PROVISIONING'],
+            ['exited', 'TERMINATED'],
+            ['dead', 'TERMINATED'],
+            ['frozen', 'FROZEN'],
+        ])('maps the container state %s to %s', async (state, status) => {
+            handlers.inspect = () => JSON.stringify({ Status: state, StartedAt: '2026-10-19T08:00:00Z', ExitCode: 0 });
+
+            expect(await backend.status(CONTAINER)).toEqual({
+                name: CONTAINER,
+                status,
+                started: '2026-10-19T08:00:00Z',
+                exitCode: 0,
+            });
+        });
+
+        test('returns null for a container that no longer exists', async () => {
+            handlers.inspect = () => {
+                throw dockerError(`Error: No such object: ${CONTAINER}`);
+            };
+
+            expect(await backend.status(CONTAINER)).toBeNull();
+        });
+
+        test('throws when the docker daemon cannot be reached', async () => {
+            handlers.inspect = () => {
+                throw dockerError('Cannot connect to the Docker daemon at unix:///var/run/docker.sock');
+            };
+
+            await expect(backend.status(CONTAINER)).rejects.toThrow('Command failed: docker');
+        });
+    });
+
+    describe('destroy', () => {
+        test('exports the build log, then removes the container and its volumes', async () => {
+            const logPath = await backend.destroy(CONTAINER, BUILD_ID);
+
+            expect(path.dirname(logPath)).toBe(path.join(dir, 'logs'));
+            expect(path.basename(logPath)).toMatch(new RegExp(`^${CONTAINER}-.*\\.log$`));
+            expect(backend.docker.mock.calls.map(([args]) => args)).toEqual([
+                ['cp', `${CONTAINER}:/var/log/iso-build.log`, logPath],
+                ['rm', '--force', '--volumes', CONTAINER],
+            ]);
+        });
+
+        test('skips the log export when asked', async () => {
+            expect(await backend.destroy(CONTAINER, BUILD_ID, false)).toBeNull();
+            expect(commands()).toEqual(['rm']);
+        });
+
+        test('still removes the container when the log cannot be exported', async () => {
+            handlers.cp = () => {
+                throw dockerError(`Error: Could not find the file /var/log/iso-build.log in container ${CONTAINER}`);
+            };
+
+            expect(await backend.destroy(CONTAINER, BUILD_ID)).toBeNull();
+            expect(commands()).toEqual(['cp', 'rm']);
+        });
+
+        test('ignores a container that is already gone', async () => {
+            handlers.rm = () => {
+                throw dockerError(`Error: No such container: ${CONTAINER}`);
+            };
+
+            await expect(backend.destroy(CONTAINER, BUILD_ID, false)).resolves.toBeNull();
+        });
+
+        test('throws when the container cannot be removed', async () => {
+            handlers.rm = () => {
+                throw dockerError('Error response from daemon: removal of container is already in progress');
+            };
+
+            await expect(backend.destroy(CONTAINER, BUILD_ID, false)).rejects.toThrow('Command failed: docker');
+        });
+    });
+});
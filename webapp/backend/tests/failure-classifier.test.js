@@ -0,0 +1,87 @@
+const { classifyFailure, describeOperationError } = require('../lib/failure-classifier');
+
+// GCE operation error as the orchestrator receives it (JSON.stringify(operation.error))
+const QUOTA_ERROR = JSON.stringify({
+    errors: [{
+        code: 'QUOTA_EXCEEDED',
+        message: "Quota 'C2D_CPUS' exceeded.  Limit: 24.0 in region us-west1.",
+    }],
+});
+
+describe('describeOperationError', () => {
+    test('lists each operation error as "CODE: message"', () => {
+        expect(describeOperationError(QUOTA_ERROR)).toBe("QUOTA_EXCEEDED: Quota 'C2D_CPUS' exceeded.  Limit: 24.0 in region us-west1.");
+    });
+
+    test('leaves other messages unchanged', () => {
+        expect(describeOperationError('VM no longer exists')).toBe('VM no longer exists');
+        expect(describeOperationError('{"not": "an operation error"}')).toBe('{"not": "an operation error"}');
+    });
+});
+
+describe('classifyFailure', () => {
+    test('classifies GCE operation errors from the error alone', () => {
+        const failure = classifyFailure(QUOTA_ERROR);
+
+        expect(failure).toMatchObject({ code: 'QUOTA_EXCEEDED', retryable: false, source: 'error' });
+        expect(failure.excerpt).toContain("Quota 'C2D_CPUS' exceeded");
+        expect(failure.hint).toMatch(/quota increase/);
+    });
+
+    test('finds the cause in the build log when the error is only a symptom', () => {
+        const log = [
+            '[2026-10-18 12:00:00] Pulling pihole/pihole:2024.07.0',
+            'write /var/lib/docker/tmp/layer: no space left on device',
+            '[2026-10-18 12:00:05] [ERROR] Failed to download pihole/pihole:2024.07.0',
+        ].join('\n');
+        const failure = classifyFailure('Build stalled: no progress for 30 minutes', [{ source: 'build_log', text: log }]);
+
+        expect(failure).toMatchObject({ code: 'DISK_FULL', retryable: false, source: 'build_log' });
+        expect(failure.excerpt).toBe(log);
+    });
+
+    test('checks the rules in order, then the logs in order', () => {
+        const logs = [
+            { source: 'build_log', text: 'toomanyrequests: You have reached your pull rate limit' },
+            { source: 'vm_log', text: 'fatal: unable to access \'https://github.com/brilliantsquirrel/Homelab-Install-Script.git/\'' },
+        ];
+
+        expect(classifyFailure('Build failed on VM', logs)).toMatchObject({ code: 'CLONE_FAILED', source: 'vm_log' });
+        expect(classifyFailure('Build failed on VM', logs.slice(0, 1))).toMatchObject({ code: 'DOCKER_PULL_FAILED', source: 'build_log' });
+    });
+
+    test('tells a missing installer ref from a transient clone failure', () => {
+        expect(classifyFailure('Installer ref v9.9.9 not found in the repository')).toMatchObject({
+            code: 'CLONE_FAILED',
+            retryable: false,
+        });
+        expect(classifyFailure('Repository clone failed after 3 attempts')).toMatchObject({
+            code: 'CLONE_FAILED',
+            retryable: true,
+        });
+    });
+
+    test('excerpts the last matching line with two lines around it', () => {
+        const lines = ['one', 'Upload verification failed', 'two', 'three', 'four', 'Upload verification failed', 'five', 'six', 'seven'];
+        const failure = classifyFailure('Build failed on VM', [{ source: 'build_log', text: lines.join('\n') }]);
+
+        expect(failure.code).toBe('UPLOAD_FAILED');
+        expect(failure.excerpt).toBe('three\nfour\nUpload verification failed\nfive\nsix');
+    });
+
+    test('ignores terminal colors', () => {
+        const failure = classifyFailure('', [{ source: 'vm_log', text: '\x1b[31mBuild timeout exceeded\x1b[0m' }]);
+        expect(failure).toMatchObject({ code: 'TIMEOUT', excerpt: 'Build timeout exceeded' });
+    });
+
+    test('reports unrecognized failures as UNKNOWN without an excerpt', () => {
+        expect(classifyFailure('Something odd happened', [{ source: 'build_log', text: 'all fine here' }])).toEqual({
+            code: 'UNKNOWN',
+            retryable: false,
+            hint: 'The failure was not recognized. Check the build log for the first error.',
+            source: null,
+            excerpt: null,
+        });
+        expect(classifyFailure(null).code).toBe('UNKNOWN');
+    });
+});
@@ -0,0 +1,33 @@
+// Test helpers - An Express app with the API's request logging and user authentication,
+// serving the given routers on a local port
+
+/**
+ * Start an app serving routers (require them after loadOrchestrator)
+ * @param {Object} routes - Mount path -> router, e.g. { '/api/build': require('../routes/build') }
+ * @returns {Promise<Object>} { url, close }
+ */
+function startApp(routes) {
+    const express = require('express');
+    const requestLogger = require('../../middleware/request-logger');
+    const { authenticate } = require('../../middleware/user-auth');
+
+    const app = express();
+    app.use(express.json());
+    app.use(requestLogger);
+    app.use('/api/', authenticate);
+    for (const [path, router] of Object.entries(routes)) {
+        app.use(path, router);
+    }
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            }),
+        }));
+    });
+}
+
+module.exports = { startApp };
@@ -0,0 +1,111 @@
+// Test helpers - A fresh build orchestrator on the in-memory build store, with the
+// Compute Engine and Cloud Storage calls of the GCE backend stubbed out
+
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+process.env.BUILD_STORE_DRIVER = 'memory';
+process.env.POLL_INTERVAL_MS = '5';
+// A commit needs no git ls-remote lookup
+process.env.INSTALLER_GIT_REF = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Load a fresh orchestrator whose VMs and bucket live in memory
+ * VMs stay RUNNING until a test changes them; files hold what the build VM would
+ * have written to the downloads bucket.
+ * @returns {Object} Orchestrator, config, stubbed managers and helpers to drive builds
+ */
+function loadOrchestrator() {
+    jest.resetModules();
+    const config = require('../../config/config');
+    // Failing builds on purpose logs errors
+    require('../../lib/logger').silent = true;
+    const vmManager = require('../../lib/vm-manager');
+    const gcsManager = require('../../lib/gcs-manager');
+    const { signStatus } = require('../../lib/status-signature');
+    const vms = new Map();
+    const files = new Map();
+
+    vmManager.createBuildVM = jest.fn(async (buildId) => {
+        const name = vmManager.getVMName(buildId);
+        vms.set(name, { name, status: 'RUNNING' });
+        return name;
+    });
+    vmManager.getVMStatus = jest.fn(async (name) => vms.get(name) || null);
+    vmManager.exportVMLogs = jest.fn(async () => null);
+    vmManager.deleteVM = jest.fn(async (name) => {
+        vms.delete(name);
+        return null;
+    });
+
+    gcsManager.isoExists = jest.fn(async (name) => files.has(name));
+    gcsManager.downloadStatusFile = jest.fn(async (name) => files.get(name) || null);
+    gcsManager.deleteFile = jest.fn(async (name) => {
+        files.delete(name);
+    });
+    gcsManager.getISOMetadata = jest.fn(async (name) => ({
+        name,
+        size: 5e9,
+        created: new Date().toISOString(),
+    }));
+    gcsManager.listCachedDockerImages = jest.fn(async () => []);
+    gcsManager.listCachedOllamaModels = jest.fn(async () => []);
+    gcsManager.listLogChunks = jest.fn(async () => []);
+    gcsManager.readExportedLog = jest.fn(async () => '');
+
+    const orchestrator = require('../../lib/build-orchestrator');
+
+    /**
+     * Write the signed status file a build VM reports progress through
+     * @param {Object} fields - More status fields, e.g. { schema_version: 1, tasks }
+     */
+    function reportStatus(buildId, stage, progress, message = stage, fields = {}) {
+        const status = { ...fields, stage, progress, message, timestamp: new Date().toISOString() };
+        const { statusKey } = orchestrator.builds.get(buildId);
+        files.set(orchestrator.getStatusFilename(buildId), { ...status, signature: signStatus(buildId, status, statusKey) });
+    }
+
+    /**
+     * Upload the ISO and report the build complete
+     */
+    function completeBuild(buildId) {
+        files.set(orchestrator.getISOFilename(orchestrator.builds.get(buildId)), {});
+        reportStatus(buildId, 'complete', 100);
+    }
+
+    /**
+     * Stop the poll loops of running builds (their VMs disappear) and shut down
+     * Queued builds stay queued.
+     */
+    async function shutdown() {
+        orchestrator.queue.length = 0;
+        vms.clear();
+        await waitFor(() => Array.from(orchestrator.builds.values())
+            .every(build => ['queued', 'awaiting_approval', 'complete', 'failed', 'cancelled'].includes(build.status)));
+        await orchestrator.shutdown();
+    }
+
+    return { orchestrator, config, vmManager, gcsManager, vms, files, reportStatus, completeBuild, shutdown };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds (may be async)
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Wait until a build reaches the given status
+ */
+function waitForStatus(orchestrator, buildId, status, timeoutMs) {
+    return waitFor(() => orchestrator.builds.get(buildId)?.status === status, timeoutMs);
+}
+
+module.exports = { loadOrchestrator, waitFor, waitForStatus };
@@ -0,0 +1,92 @@
+const http = require('http');
+const { isPrivateAddress, isPrivateHostname, guardedFetch } = require('../lib/host-guard');
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '0.0.0.0', '10.1.2.3', '100.64.0.1', '100.127.255.255', '127.0.0.1', '169.254.169.254',
+        '172.16.0.1', '172.31.255.255', '192.168.1.10',
+        '198.18.0.1', '198.19.255.255', // benchmarking
+        '224.0.0.1', '239.255.255.250', // multicast
+        '240.0.0.1', '255.255.255.255', // reserved and broadcast
+    ])('blocks IPv4 %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each([
+        '1.1.1.1', '8.8.8.8', '100.63.255.255', '100.128.0.0', '172.15.255.255', '172.32.0.0',
+        '198.17.255.255', '198.20.0.0', '223.255.255.255',
+    ])('allows IPv4 %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test.each([
+        '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1',
+        '64:ff9b::a9fe:a9fe', // NAT64 of 169.254.169.254
+        '2002:7f00:1::1', // 6to4 of 127.0.0.1
+    ])('blocks IPv6 %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['2606:4700:4700::1111', '2001:4860:4860::8888'])('allows IPv6 %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test('checks IPv4-mapped IPv6 addresses as IPv4', () => {
+        expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+        expect(isPrivateAddress('::FFFF:10.0.0.1')).toBe(true);
+        expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+        expect(isPrivateAddress('::ffff:a9fe:a9fe')).toBe(true);
+        expect(isPrivateAddress('::ffff:8.8.8.8')).toBe(false);
+        expect(isPrivateAddress('::ffff:808:808')).toBe(false);
+    });
+});
+
+describe('isPrivateHostname', () => {
+    test('blocks localhost names and private literals', () => {
+        expect(isPrivateHostname('localhost')).toBe(true);
+        expect(isPrivateHostname('app.LOCALHOST')).toBe(true);
+        expect(isPrivateHostname('192.168.1.10')).toBe(true);
+        expect(isPrivateHostname('[::1]')).toBe(true);
+        expect(isPrivateHostname('[::ffff:169.254.169.254]')).toBe(true);
+    });
+
+    test('leaves other names to be checked when they are resolved', () => {
+        expect(isPrivateHostname('example.com')).toBe(false);
+        expect(isPrivateHostname('8.8.8.8')).toBe(false);
+        expect(isPrivateHostname('[2606:4700:4700::1111]')).toBe(false);
+    });
+});
+
+describe('guardedFetch', () => {
+    let server;
+    let port;
+    let requests = 0;
+
+    beforeAll((done) => {
+        server = http.createServer((req, res) => {
+            requests++;
+            res.end('ok');
+        }).listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    test('refuses host names that resolve to private addresses', async () => {
+        await expect(guardedFetch(`http://localhost:${port}/`)).rejects.toMatchObject({
+            message: 'localhost resolves to a private or loopback address',
+            permanent: true,
+        });
+        expect(requests).toBe(0);
+    });
+
+    test('refuses private IP literals', async () => {
+        await expect(guardedFetch(`http://127.0.0.1:${port}/`)).rejects.toMatchObject({ permanent: true });
+        await expect(guardedFetch(`http://[::ffff:7f00:1]:${port}/`)).rejects.toMatchObject({ permanent: true });
+        expect(requests).toBe(0);
+    });
+});
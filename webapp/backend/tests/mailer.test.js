@@ -0,0 +1,209 @@
+const net = require('net');
+
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+process.env.EMAIL_ENABLED = 'true';
+process.env.EMAIL_FROM = 'builds@example.com';
+process.env.PUBLIC_BASE_URL = 'https://iso.example.com';
+delete process.env.SENDGRID_API_KEY;
+delete process.env.EMAIL_TRANSPORT;
+
+/**
+ * Start an SMTP server on localhost that accepts every message
+ * @returns {Promise<Object>} { port, messages, close } - messages are { from, to, data }
+ */
+function startSmtpSink() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = { to: [] };
+        let data = null;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 localhost ESMTP test sink');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, end);
+                buffer = buffer.substring(end + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ ...message, data: data.join('\r\n') });
+                        message = { to: [] };
+                        data = null;
+                        reply('250 OK: queued');
+                    } else {
+                        data.push(line.startsWith('..') ? line.substring(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.substring(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    message.from = line.match(/<(.*)>/)[1];
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.match(/<(.*)>/)[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            messages,
+            close: () => new Promise(done => server.close(done)),
+        }));
+    });
+}
+
+/**
+ * Undo quoted-printable soft line breaks and escapes in a message
+ */
+function decodeQuotedPrintable(data) {
+    return data
+        .replace(/=\r\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+describe('Mailer', () => {
+    let config;
+    let mailer;
+    let buildNotifier;
+
+    beforeEach(() => {
+        jest.resetModules();
+        config = require('../config/config');
+        require('../lib/logger').silent = true;
+        mailer = require('../lib/mailer');
+        buildNotifier = require('../lib/build-notifier');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const build = {
+        id: '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13',
+        status: 'complete',
+        isoFilename: 'homelab-3f2a9c1e.iso',
+        isoSizeGB: 4.2,
+        config: { services: ['ollama', 'nginx'], models: ['qwen3:8b'], email: 'alice@example.com' },
+        attachedRequests: [{ requester: 'bob', email: 'Bob@Example.com' }],
+    };
+
+    describe('over SMTP', () => {
+        let sink;
+
+        beforeEach(async () => {
+            sink = await startSmtpSink();
+            config.email.smtp.host = '127.0.0.1';
+            config.email.smtp.port = sink.port;
+        });
+
+        afterEach(async () => {
+            mailer.transport?.transporter.close();
+            await sink.close();
+        });
+
+        test('delivers the completion email to each requester', async () => {
+            const sent = await buildNotifier.notify(build, 'buildComplete', { expiresAt: '2026-10-25T12:00:00.000Z' });
+
+            expect(sent).toBe(2);
+            expect(mailer.getTransport().name).toBe('smtp');
+            expect(sink.messages.map(message => message.to)).toEqual([['alice@example.com'], ['bob@example.com']]);
+            expect(sink.messages[0].from).toBe('builds@example.com');
+
+            const data = decodeQuotedPrintable(sink.messages[0].data);
+            expect(data).toContain('Subject: Your homelab ISO is ready (build 3f2a9c1e)');
+            expect(data).toContain('To: alice@example.com');
+            expect(data).not.toContain('bob@example.com');
+            expect(data).toContain('ISO: homelab-3f2a9c1e.iso (4.2 GB)');
+            expect(data).toContain('Services: ollama, nginx');
+            expect(data).toContain('The ISO will be deleted on 2026-10-25 12:00 UTC.');
+            expect(data).toContain('Download the ISO: https://iso.example.com/?download=3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13');
+            expect(data).toContain('Content-Type: text/html');
+        });
+
+        test('counts emails it can\'t deliver as failed without throwing', async () => {
+            const closed = await startSmtpSink();
+            await closed.close();
+            config.email.smtp.port = closed.port;
+            const { metrics } = require('../lib/metrics');
+
+            const sent = await buildNotifier.notify({ ...build, attachedRequests: [] }, 'buildComplete', {
+                expiresAt: '2026-10-25T12:00:00.000Z',
+            });
+
+            expect(sent).toBe(0);
+            expect(metrics.emails.get({ template: 'buildComplete', outcome: 'failed' })).toBe(1);
+        });
+    });
+
+    describe('over SendGrid', () => {
+        test('is chosen by default when an API key is set', () => {
+            jest.resetModules();
+            process.env.SENDGRID_API_KEY = 'SG.test-key';
+            try {
+                expect(require('../config/config').email.transport).toBe('sendgrid');
+                expect(require('../lib/mailer').getTransport().name).toBe('sendgrid');
+            } finally {
+                delete process.env.SENDGRID_API_KEY;
+            }
+        });
+
+        test('requires an API key', () => {
+            config.email.transport = 'sendgrid';
+            expect(() => mailer.getTransport()).toThrow('SENDGRID_API_KEY is required for the sendgrid email transport');
+        });
+
+        test('posts the message to the SendGrid API', async () => {
+            config.email.transport = 'sendgrid';
+            config.email.sendgridApiKey = 'SG.test-key';
+            const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 202 }));
+
+            await mailer.send({ to: 'alice@example.com', subject: 'Subject', text: 'Text', html: '<p>Text</p>' });
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            const [url, options] = fetch.mock.calls[0];
+            expect(url).toBe('https://api.sendgrid.com/v3/mail/send');
+            expect(options.headers.Authorization).toBe('Bearer SG.test-key');
+            expect(JSON.parse(options.body)).toEqual({
+                personalizations: [{ to: [{ email: 'alice@example.com' }] }],
+                from: { email: 'builds@example.com' },
+                subject: 'Subject',
+                content: [
+                    { type: 'text/plain', value: 'Text' },
+                    { type: 'text/html', value: '<p>Text</p>' },
+                ],
+            });
+        });
+
+        test('reports errors from the SendGrid API', async () => {
+            config.email.transport = 'sendgrid';
+            config.email.sendgridApiKey = 'SG.test-key';
+            jest.spyOn(global, 'fetch').mockResolvedValue(new Response('{"errors":[{"message":"Unauthorized"}]}', { status: 401 }));
+
+            await expect(mailer.send({ to: 'alice@example.com', subject: 'Subject', text: 'Text', html: '' }))
+                .rejects.toThrow('SendGrid returned HTTP 401: {"errors":[{"message":"Unauthorized"}]}');
+        });
+    });
+
+    test('rejects unknown transports', () => {
+        config.email.transport = 'carrier-pigeon';
+        expect(() => mailer.getTransport()).toThrow('Unknown email transport: carrier-pigeon');
+    });
+});
@@ -0,0 +1,109 @@
+const { loadOrchestrator, waitForStatus } = require('./helpers/orchestrator');
+
+describe('metrics registry', () => {
+    let registry;
+    let metrics;
+    let timeApiCall;
+
+    beforeEach(() => {
+        jest.resetModules();
+        ({ registry, metrics, timeApiCall } = require('../lib/metrics'));
+    });
+
+    /**
+     * Sample lines of one metric in a scrape
+     */
+    function samples(name) {
+        return registry.render().split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+    }
+
+    test('renders counters with their help, type and labels', () => {
+        metrics.rateLimitRejections.inc({ limiter: 'api' });
+        metrics.rateLimitRejections.inc({ limiter: 'api' }, 2);
+        metrics.rateLimitRejections.inc({ limiter: 'build' });
+
+        const output = registry.render();
+        expect(output).toContain('# HELP iso_builder_rate_limit_rejections_total Requests rejected by a rate limiter\n'
+            + '# TYPE iso_builder_rate_limit_rejections_total counter\n'
+            + 'iso_builder_rate_limit_rejections_total{limiter="api"} 3\n'
+            + 'iso_builder_rate_limit_rejections_total{limiter="build"} 1\n');
+        expect(output.endsWith('\n')).toBe(true);
+    });
+
+    test('escapes label values and fills in missing labels', () => {
+        metrics.apiCalls.inc({ service: 'gce', operation: 'say "hi"\\\n' });
+
+        expect(samples('iso_builder_api_calls_total')).toEqual([
+            'iso_builder_api_calls_total{service="gce",operation="say \\"hi\\"\\\\\\n",outcome=""} 1',
+        ]);
+    });
+
+    test('refuses to decrease a counter', () => {
+        expect(() => metrics.emails.inc({ template: 'complete', outcome: 'sent' }, -1))
+            .toThrow('Counter iso_builder_emails_total cannot decrease');
+    });
+
+    test('renders histograms as cumulative buckets with a sum and count', () => {
+        metrics.stageDuration.observe({ stage: 'iso', state: 'done' }, 45);
+        metrics.stageDuration.observe({ stage: 'iso', state: 'done' }, 250);
+        metrics.stageDuration.observe({ stage: 'iso', state: 'done' }, 9000);
+
+        const lines = samples('iso_builder_stage_duration_seconds_bucket');
+        expect(lines).toContain('iso_builder_stage_duration_seconds_bucket{stage="iso",state="done",le="30"} 0');
+        expect(lines).toContain('iso_builder_stage_duration_seconds_bucket{stage="iso",state="done",le="60"} 1');
+        expect(lines).toContain('iso_builder_stage_duration_seconds_bucket{stage="iso",state="done",le="300"} 2');
+        expect(lines).toContain('iso_builder_stage_duration_seconds_bucket{stage="iso",state="done",le="7200"} 2');
+        expect(lines[lines.length - 1]).toBe('iso_builder_stage_duration_seconds_bucket{stage="iso",state="done",le="+Inf"} 3');
+        expect(samples('iso_builder_stage_duration_seconds_sum')).toEqual(['iso_builder_stage_duration_seconds_sum{stage="iso",state="done"} 9295']);
+        expect(samples('iso_builder_stage_duration_seconds_count')).toEqual(['iso_builder_stage_duration_seconds_count{stage="iso",state="done"} 3']);
+    });
+
+    test('derives cache hit ratios at scrape time', () => {
+        metrics.cacheLookups.inc({ cache: 'docker-images', result: 'hit' }, 3);
+        metrics.cacheLookups.inc({ cache: 'docker-images', result: 'miss' });
+
+        expect(samples('iso_builder_cache_hit_ratio')).toEqual(['iso_builder_cache_hit_ratio{cache="docker-images"} 0.75']);
+    });
+
+    test('counts API calls by outcome', async () => {
+        await timeApiCall('gcs', 'upload', async () => 'ok');
+        await expect(timeApiCall('gcs', 'upload', async () => {
+            throw new Error('Service unavailable');
+        })).rejects.toThrow('Service unavailable');
+
+        expect(metrics.apiCalls.get({ service: 'gcs', operation: 'upload', outcome: 'success' })).toBe(1);
+        expect(metrics.apiCalls.get({ service: 'gcs', operation: 'upload', outcome: 'error' })).toBe(1);
+        expect(samples('iso_builder_api_call_duration_seconds_count')).toEqual([
+            'iso_builder_api_call_duration_seconds_count{service="gcs",operation="upload"} 2',
+        ]);
+    });
+});
+
+describe('build metrics', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.vm.maxConcurrentBuilds = 1;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('fills in build, queue and VM gauges from the orchestrator', async () => {
+        const { registry } = require('../lib/metrics');
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        await orchestrator.startBuild({ services: ['pihole'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+
+        const output = registry.render();
+        expect(output).toContain('iso_builder_builds{status="building"} 1\n');
+        expect(output).toContain('iso_builder_builds{status="queued"} 1\n');
+        expect(output).toContain('iso_builder_queue_length 1\n');
+        expect(output).toContain('iso_builder_active_vms{backend="gce"} 1\n');
+    });
+});
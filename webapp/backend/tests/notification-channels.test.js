@@ -0,0 +1,172 @@
+const http = require('http');
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+
+const NTFY_TOKEN = 'tk_ntfy0123456789abcdef';
+const MATRIX_TOKEN = 'syt_matrix0123456789abcdef';
+
+/**
+ * Start a notification server that records the requests it gets
+ * @returns {Promise<Object>} { host, requests, close }
+ */
+function startReceiver() {
+    const receiver = { requests: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            receiver.host = `127.0.0.1:${server.address().port}`;
+            receiver.close = () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            });
+            resolve(receiver);
+        });
+    });
+}
+
+describe('stored channel URLs', () => {
+    let channels;
+    let config;
+
+    beforeEach(() => {
+        jest.resetModules();
+        config = require('../config/config');
+        channels = require('../lib/notification-channels');
+    });
+
+    const url = `ntfys://${NTFY_TOKEN}@ntfy.example.com/homelab-builds`;
+
+    test('encrypts a URL and decrypts it again', () => {
+        const sealed = channels.sealChannelUrl(url);
+
+        expect(sealed).toMatch(/^sealed:[-_A-Za-z0-9]+$/);
+        expect(sealed).not.toContain(NTFY_TOKEN);
+        expect(sealed).not.toContain('homelab-builds');
+        expect(channels.openChannelUrl(sealed)).toBe(url);
+    });
+
+    test('encrypts the same URL differently each time', () => {
+        expect(channels.sealChannelUrl(url)).not.toBe(channels.sealChannelUrl(url));
+    });
+
+    test('rejects a URL that was tampered with', () => {
+        const bytes = Buffer.from(channels.sealChannelUrl(url).substring('sealed:'.length), 'base64url');
+        bytes[bytes.length - 1] ^= 1;
+
+        expect(() => channels.openChannelUrl(`sealed:${bytes.toString('base64url')}`)).toThrow('could not be decrypted');
+        expect(() => channels.openChannelUrl('sealed:')).toThrow('could not be decrypted');
+    });
+
+    test('cannot decrypt a URL once API_SECRET_KEY has changed', () => {
+        const sealed = channels.sealChannelUrl(url);
+        config.security.apiSecretKey = 'another-secret-key-0123456789abcdef012345';
+
+        expect(() => channels.openChannelUrl(sealed)).toThrow('has API_SECRET_KEY changed?');
+    });
+
+    test('returns URLs stored before encryption as they are', () => {
+        expect(channels.openChannelUrl(url)).toBe(url);
+    });
+});
+
+describe('notification channels of builds', () => {
+    let harness;
+    let orchestrator;
+    let receiver;
+    let ntfyUrl;
+    let matrixUrl;
+
+    beforeEach(async () => {
+        receiver = await startReceiver();
+        ntfyUrl = `ntfy://${NTFY_TOKEN}@${receiver.host}/homelab-builds`;
+        matrixUrl = `matrix://${MATRIX_TOKEN}@${receiver.host}/!room:example.org`;
+
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        harness.config.notifications.allowPrivateHosts = true;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+        await receiver.close();
+    });
+
+    const hasCredentials = value => [NTFY_TOKEN, MATRIX_TOKEN, 'homelab-builds', '!room'].some(secret => value.includes(secret));
+
+    test('stores the channels encrypted', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl, matrixUrl] });
+
+        const stored = await orchestrator.repository.get(buildId);
+        expect(stored.notifyChannels).toHaveLength(2);
+        expect(hasCredentials(JSON.stringify(stored))).toBe(false);
+        expect(hasCredentials(JSON.stringify(orchestrator.builds.get(buildId)))).toBe(false);
+    });
+
+    test('lists the channels in the build status by type and host only', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl, matrixUrl] });
+
+        const status = await orchestrator.getBuildStatus(buildId);
+        expect(status.notify_channels).toEqual([
+            { type: 'ntfy', host: receiver.host },
+            { type: 'matrix', host: receiver.host },
+        ]);
+        expect(hasCredentials(JSON.stringify(status))).toBe(false);
+    });
+
+    test('notifies the decrypted channels when the build completes', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl, matrixUrl] });
+        await waitForStatus(orchestrator, buildId, 'building');
+
+        harness.completeBuild(buildId);
+        await waitFor(() => receiver.requests.length === 2);
+
+        const ntfy = receiver.requests.find(request => request.method === 'POST');
+        expect(ntfy.headers.authorization).toBe(`Bearer ${NTFY_TOKEN}`);
+        expect(JSON.parse(ntfy.body)).toMatchObject({ topic: 'homelab-builds' });
+        const matrix = receiver.requests.find(request => request.method === 'PUT');
+        expect(matrix.headers.authorization).toBe(`Bearer ${MATRIX_TOKEN}`);
+        expect(decodeURIComponent(matrix.url)).toContain('/rooms/!room:example.org/');
+    });
+
+    test('skips channels that can no longer be decrypted', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl] });
+        harness.config.security.apiSecretKey = 'another-secret-key-0123456789abcdef012345';
+
+        expect((await orchestrator.getBuildStatus(buildId)).notify_channels).toEqual([]);
+    });
+
+    test('adds an attached request\'s channels once each', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl] });
+        await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl, matrixUrl] });
+
+        const build = orchestrator.builds.get(first.build_id);
+        expect(hasCredentials(JSON.stringify(build))).toBe(false);
+        expect((await orchestrator.getBuildStatus(first.build_id)).notify_channels.map(channel => channel.type))
+            .toEqual(['ntfy', 'matrix']);
+    });
+
+    test('keeps the channels of a retried build', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] }, { notifyChannels: [ntfyUrl] });
+        await waitForStatus(orchestrator, buildId, 'building');
+        harness.reportStatus(buildId, 'failed', 30, 'Repository clone failed');
+        await waitForStatus(orchestrator, buildId, 'failed');
+
+        const retry = await orchestrator.retryBuild(buildId);
+
+        const build = orchestrator.builds.get(retry.build_id);
+        expect(hasCredentials(JSON.stringify(build))).toBe(false);
+        expect(build.notifyChannels).not.toEqual(orchestrator.builds.get(buildId).notifyChannels);
+        expect((await orchestrator.getBuildStatus(retry.build_id)).notify_channels).toEqual([{ type: 'ntfy', host: receiver.host }]);
+    });
+});
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const http = require('http');
+const { loadOrchestrator } = require('./helpers/orchestrator');
+const { startApp } = require('./helpers/app');
+
+const CLIENT_ID = 'iso-builder';
+const CLIENT_SECRET = 'client-secret-0123456789';
+
+/**
+ * Start a local OpenID provider: discovery, signing keys and a token endpoint
+ * The token endpoint answers with provider.tokens (set by each test) and records the
+ * requests it gets in provider.tokenRequests.
+ * @returns {Promise<Object>} Provider
+ */
+function startProvider() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const provider = {
+        privateKey,
+        tokens: null,
+        tokenRequests: [],
+    };
+
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.url === '/.well-known/openid-configuration') {
+            return send(200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+                jwks_uri: `${provider.issuer}/jwks`,
+                end_session_endpoint: `${provider.issuer}/logout`,
+            });
+        }
+        if (req.url === '/jwks') {
+            return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] });
+        }
+        if (req.url === '/token' && req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const params = Object.fromEntries(new URLSearchParams(body));
+                provider.tokenRequests.push({ params, authorization: req.headers.authorization });
+                send(200, provider.tokens);
+            });
+            return;
+        }
+        send(404, { error: 'not_found' });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            provider.issuer = `http://127.0.0.1:${server.address().port}`;
+            provider.close = () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            });
+            resolve(provider);
+        });
+    });
+}
+
+/**
+ * Sign ID token claims as a compact JWS
+ * @param {Object} provider - Provider from startProvider
+ * @param {Object} claims - Claims
+ * @param {Object} options - { alg, kid, key } (default: RS256 with the provider's key)
+ */
+function signIdToken(provider, claims, { alg = 'RS256', kid = 'key-1', key = provider.privateKey } = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const data = `${encode({ alg, kid, typ: 'JWT' })}.${encode(claims)}`;
+
+    let signature;
+    if (alg === 'HS256') {
+        signature = crypto.createHmac('sha256', key).update(data).digest();
+    } else if (alg === 'none') {
+        signature = Buffer.alloc(0);
+    } else {
+        signature = crypto.sign('sha256', Buffer.from(data), key);
+    }
+    return `${data}.${signature.toString('base64url')}`;
+}
+
+describe('OIDC sign-in', () => {
+    let provider;
+    let harness;
+    let oidcClient;
+    let config;
+
+    beforeAll(async () => {
+        provider = await startProvider();
+        process.env.OIDC_ISSUER_URL = provider.issuer;
+        process.env.OIDC_CLIENT_ID = CLIENT_ID;
+        process.env.OIDC_CLIENT_SECRET = CLIENT_SECRET;
+        process.env.PUBLIC_BASE_URL = 'https://iso.example.com';
+        process.env.OIDC_ADMIN_GROUPS = 'iso-admins';
+        process.env.OIDC_USER_GROUPS = 'homelab,builders';
+
+        harness = loadOrchestrator();
+        await harness.orchestrator.initialize();
+        config = harness.config;
+        oidcClient = require('../lib/oidc-client');
+    });
+
+    afterAll(async () => {
+        await harness.shutdown();
+        await provider.close();
+        for (const name of ['OIDC_ISSUER_URL', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'PUBLIC_BASE_URL',
+            'OIDC_ADMIN_GROUPS', 'OIDC_USER_GROUPS']) {
+            delete process.env[name];
+        }
+    });
+
+    beforeEach(() => {
+        provider.tokenRequests = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * ID token claims for a sign-in that should pass
+     */
+    function validClaims(nonce, extra = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        return {
+            iss: provider.issuer,
+            aud: CLIENT_ID,
+            sub: 'user-7f3a',
+            iat: now,
+            exp: now + 300,
+            nonce,
+            preferred_username: 'alice',
+            groups: ['homelab'],
+            ...extra,
+        };
+    }
+
+    describe('completeAuthorization', () => {
+        async function start() {
+            const { url, pending } = await oidcClient.createAuthorization('/builds');
+            return { url: new URL(url), pending };
+        }
+
+        test('exchanges the code with the PKCE verifier and returns the verified claims', async () => {
+            const { url, pending } = await start();
+            const idToken = signIdToken(provider, validClaims(pending.nonce));
+            provider.tokens = { id_token: idToken, access_token: 'access', token_type: 'Bearer' };
+
+            const result = await oidcClient.completeAuthorization({ code: 'code-123', state: pending.state }, pending);
+
+            expect(result).toEqual({ claims: expect.objectContaining({ sub: 'user-7f3a' }), idToken });
+            expect(url.origin + url.pathname).toBe(`${provider.issuer}/authorize`);
+            expect(Object.fromEntries(url.searchParams)).toMatchObject({
+                response_type: 'code',
+                client_id: CLIENT_ID,
+                redirect_uri: 'https://iso.example.com/api/auth/oidc/callback',
+                state: pending.state,
+                nonce: pending.nonce,
+                code_challenge: crypto.createHash('sha256').update(pending.verifier).digest('base64url'),
+                code_challenge_method: 'S256',
+            });
+
+            expect(provider.tokenRequests).toHaveLength(1);
+            const [request] = provider.tokenRequests;
+            expect(request.params).toEqual({
+                grant_type: 'authorization_code',
+                code: 'code-123',
+                redirect_uri: 'https://iso.example.com/api/auth/oidc/callback',
+                code_verifier: pending.verifier,
+                client_id: CLIENT_ID,
+            });
+            expect(request.authorization).toBe(`Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`);
+        });
+
+        test('rejects a callback whose state doesn\'t match', async () => {
+            const { pending } = await start();
+
+            await expect(oidcClient.completeAuthorization({ code: 'code-123', state: 'forged' }, pending))
+                .rejects.toMatchObject({ statusCode: 400, message: 'Invalid sign-in response. Please try again.' });
+            await expect(oidcClient.completeAuthorization({ code: 'code-123' }, pending))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(provider.tokenRequests).toHaveLength(0);
+        });
+
+        test('rejects a callback without a pending sign-in', async () => {
+            await expect(oidcClient.completeAuthorization({ code: 'code-123', state: 'state' }, null))
+                .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('took too long') });
+        });
+
+        test('passes on the provider\'s refusal', async () => {
+            const { pending } = await start();
+
+            await expect(oidcClient.completeAuthorization({ error: 'access_denied', error_description: 'User cancelled' }, pending))
+                .rejects.toMatchObject({ statusCode: 400, message: 'The sign-in provider refused the sign-in: User cancelled' });
+        });
+
+        test('rejects an ID token with another nonce', async () => {
+            const { pending } = await start();
+            provider.tokens = { id_token: signIdToken(provider, validClaims('replayed-nonce')) };
+
+            await expect(oidcClient.completeAuthorization({ code: 'code-123', state: pending.state }, pending))
+                .rejects.toThrow('ID token nonce does not match');
+        });
+    });
+
+    describe('state cookie', () => {
+        test('round-trips the pending sign-in', () => {
+            const pending = { state: 's', nonce: 'n', verifier: 'v', returnTo: '/builds' };
+            expect(oidcClient.openState(oidcClient.sealState(pending))).toMatchObject(pending);
+        });
+
+        test('is rejected when missing or tampered with', () => {
+            const sealed = oidcClient.sealState({ state: 's', nonce: 'n', verifier: 'v', returnTo: '/' });
+            const [payload, signature] = sealed.split('.');
+            const forged = Buffer.from(JSON.stringify({ state: 'x', nonce: 'n', verifier: 'v', returnTo: '/', expires: Date.now() + 60000 }))
+                .toString('base64url');
+
+            expect(oidcClient.openState(null)).toBeNull();
+            expect(oidcClient.openState(payload)).toBeNull();
+            expect(oidcClient.openState(`${forged}.${signature}`)).toBeNull();
+        });
+
+        test('expires after ten minutes', () => {
+            const sealed = oidcClient.sealState({ state: 's', nonce: 'n', verifier: 'v', returnTo: '/' });
+            const now = Date.now();
+
+            jest.spyOn(Date, 'now').mockReturnValue(now + 9 * 60 * 1000);
+            expect(oidcClient.openState(sealed)).not.toBeNull();
+            Date.now.mockReturnValue(now + 11 * 60 * 1000);
+            expect(oidcClient.openState(sealed)).toBeNull();
+        });
+    });
+
+    describe('verifyIdToken', () => {
+        test('accepts a token signed with the provider\'s key', async () => {
+            const claims = await oidcClient.verifyIdToken(signIdToken(provider, validClaims('nonce')), 'nonce');
+            expect(claims).toMatchObject({ sub: 'user-7f3a', groups: ['homelab'] });
+        });
+
+        test('rejects a token signed with another key', async () => {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const token = signIdToken(provider, validClaims('nonce'), { key: privateKey });
+
+            await expect(oidcClient.verifyIdToken(token, 'nonce')).rejects.toThrow('ID token signature is invalid');
+        });
+
+        test('rejects a token whose claims were changed after signing', async () => {
+            const [header, , signature] = signIdToken(provider, validClaims('nonce')).split('.');
+            const claims = Buffer.from(JSON.stringify(validClaims('nonce', { groups: ['iso-admins'] }))).toString('base64url');
+
+            await expect(oidcClient.verifyIdToken(`${header}.${claims}.${signature}`, 'nonce'))
+                .rejects.toThrow('ID token signature is invalid');
+        });
+
+        test('rejects unsigned tokens and unsupported algorithms', async () => {
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, validClaims('nonce'), { alg: 'none' }), 'nonce'))
+                .rejects.toThrow('ID token algorithm none is not supported');
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, validClaims('nonce'), { alg: 'RS1' }), 'nonce'))
+                .rejects.toThrow('ID token algorithm RS1 is not supported');
+        });
+
+        test('checks HS256 tokens against the client secret', async () => {
+            const claims = validClaims('nonce');
+
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, claims, { alg: 'HS256', key: CLIENT_SECRET }), 'nonce'))
+                .resolves.toMatchObject({ sub: 'user-7f3a' });
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, claims, { alg: 'HS256', key: 'guessed' }), 'nonce'))
+                .rejects.toThrow('ID token signature is invalid');
+        });
+
+        test('rejects a token with an unknown key ID', async () => {
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, validClaims('nonce'), { kid: 'key-2' }), 'nonce'))
+                .rejects.toThrow('No signing key found for ID token (kid key-2)');
+        });
+
+        test.each([
+            ['another issuer', { iss: 'https://evil.example.com' }, 'ID token is from issuer https://evil.example.com'],
+            ['another audience', { aud: 'other-client' }, 'ID token is for another client'],
+            ['another authorized party', { aud: [CLIENT_ID, 'other-client'], azp: 'other-client' }, 'ID token is for another client'],
+            ['an expiry in the past', { exp: Math.floor(Date.now() / 1000) - 120 }, 'ID token has expired'],
+            ['an issue time in the future', { iat: Math.floor(Date.now() / 1000) + 600 }, 'ID token was issued in the future'],
+            ['no subject', { sub: '' }, 'ID token has no subject'],
+        ])('rejects a token with %s', async (name, claims, message) => {
+            await expect(oidcClient.verifyIdToken(signIdToken(provider, validClaims('nonce', claims)), 'nonce'))
+                .rejects.toThrow(message);
+        });
+
+        test('accepts a token for several audiences when this client is the authorized party', async () => {
+            const token = signIdToken(provider, validClaims('nonce', { aud: [CLIENT_ID, 'other-client'], azp: CLIENT_ID }));
+            await expect(oidcClient.verifyIdToken(token, 'nonce')).resolves.toMatchObject({ sub: 'user-7f3a' });
+        });
+    });
+
+    describe('getRole', () => {
+        test('maps admin groups to admins and user groups to users', () => {
+            expect(oidcClient.getRole(['homelab', 'iso-admins'])).toBe('admin');
+            expect(oidcClient.getRole(['/iso-admins'])).toBe('admin');
+            expect(oidcClient.getRole(['builders'])).toBe('user');
+            expect(oidcClient.getRole(['/homelab'])).toBe('user');
+        });
+
+        test('lets nobody else in', () => {
+            expect(oidcClient.getRole(['staff'])).toBeNull();
+            expect(oidcClient.getRole([])).toBeNull();
+        });
+
+        test('lets everyone in as a user without user groups', () => {
+            const userGroups = config.auth.oidc.userGroups;
+            config.auth.oidc.userGroups = [];
+            try {
+                expect(oidcClient.getRole(['staff'])).toBe('user');
+                expect(oidcClient.getRole(['iso-admins'])).toBe('admin');
+            } finally {
+                config.auth.oidc.userGroups = userGroups;
+            }
+        });
+    });
+
+    describe('GET /api/auth/oidc/callback', () => {
+        let app;
+        let userManager;
+
+        beforeAll(async () => {
+            userManager = require('../lib/user-manager');
+            app = await startApp({ '/api/auth': require('../routes/auth') });
+        });
+
+        afterAll(async () => {
+            await app.close();
+        });
+
+        /**
+         * Cookie name -> value from a response's Set-Cookie headers
+         */
+        function getCookies(response) {
+            return Object.fromEntries(response.headers.getSetCookie()
+                .map(cookie => cookie.split(';')[0].split('=').map(decodeURIComponent)));
+        }
+
+        /**
+         * Start a sign-in and come back from the provider with an ID token for the claims
+         * @param {Object} claims - ID token claims (on top of validClaims)
+         * @param {Function} callbackParams - Callback query parameters, from the authorization request's
+         * @returns {Promise<Response>} Callback response
+         */
+        async function signIn(claims, callbackParams = params => ({ code: 'code-123', state: params.state })) {
+            const login = await fetch(`${app.url}/api/auth/oidc/login?return_to=/builds`, { redirect: 'manual' });
+            expect(login.status).toBe(302);
+            const authorization = Object.fromEntries(new URL(login.headers.get('location')).searchParams);
+            const stateCookie = getCookies(login).iso_builder_oidc;
+
+            provider.tokens = { id_token: signIdToken(provider, validClaims(authorization.nonce, claims)) };
+            const query = new URLSearchParams(callbackParams(authorization));
+            return fetch(`${app.url}/api/auth/oidc/callback?${query}`, {
+                redirect: 'manual',
+                headers: stateCookie ? { Cookie: `iso_builder_oidc=${encodeURIComponent(stateCookie)}` } : {},
+            });
+        }
+
+        test('signs a group member in and returns to the app', async () => {
+            const response = await signIn({ sub: 'subject-bob', preferred_username: 'bob@example.com', groups: ['/iso-admins'] });
+
+            expect(response.status).toBe(302);
+            expect(response.headers.get('location')).toBe('/builds');
+            const cookies = getCookies(response);
+            expect(cookies.iso_builder_oidc).toBe('');
+
+            const user = await userManager.authenticateToken(cookies.iso_builder_session, 'session');
+            expect(user).toMatchObject({ username: 'bob', role: 'admin', passwordHash: null });
+            expect(user.identity).toMatchObject({ issuer: provider.issuer, subject: 'subject-bob' });
+        });
+
+        test('rejects a callback whose state doesn\'t match the cookie', async () => {
+            const response = await signIn({}, () => ({ code: 'code-123', state: 'forged' }));
+
+            expect(response.status).toBe(302);
+            expect(response.headers.get('location')).toBe(`/?auth_error=${encodeURIComponent('Invalid sign-in response. Please try again.')}`);
+            expect(getCookies(response).iso_builder_session).toBeUndefined();
+            expect(provider.tokenRequests).toHaveLength(0);
+        });
+
+        test('rejects a callback without the state cookie', async () => {
+            const response = await fetch(`${app.url}/api/auth/oidc/callback?code=code-123&state=state`, { redirect: 'manual' });
+
+            expect(response.headers.get('location')).toContain('took%20too%20long');
+            expect(provider.tokenRequests).toHaveLength(0);
+        });
+
+        test('hides the reason when the ID token doesn\'t verify', async () => {
+            const response = await signIn({ aud: 'other-client' });
+
+            expect(response.headers.get('location')).toBe(`/?auth_error=${encodeURIComponent('Sign-in failed. Please try again.')}`);
+            expect(getCookies(response).iso_builder_session).toBeUndefined();
+        });
+
+        test('turns away users outside the allowed groups and signs them out everywhere', async () => {
+            const first = await signIn({ sub: 'subject-carol', preferred_username: 'carol', groups: ['homelab'] });
+            const session = getCookies(first).iso_builder_session;
+            const carol = await userManager.authenticateToken(session, 'session');
+            const token = await userManager.createApiToken(carol, { name: 'cli' });
+
+            const response = await signIn({ sub: 'subject-carol', preferred_username: 'carol', groups: ['staff'] });
+
+            expect(response.headers.get('location')).toBe(`/?auth_error=${encodeURIComponent('Your account is not allowed to use the ISO builder. Ask an administrator for access.')}`);
+            expect(getCookies(response).iso_builder_session).toBeUndefined();
+            expect(await userManager.authenticateToken(session, 'session')).toBeNull();
+            expect(await userManager.authenticateToken(token.value, 'api')).toBeNull();
+        });
+
+        test('stops letting users in once their groups are due for a check', async () => {
+            const claims = { sub: 'subject-dave', preferred_username: 'dave', groups: ['builders'] };
+            const session = getCookies(await signIn(claims)).iso_builder_session;
+            const dave = await userManager.authenticateToken(session, 'session');
+            const token = await userManager.createApiToken(dave, { name: 'cli' });
+
+            // Last signed in just over OIDC_MEMBERSHIP_TTL_HOURS ago
+            const stored = await userManager.getUser(dave.id);
+            stored.identity.verifiedAt = new Date(Date.now() - (config.auth.oidc.membershipTtlHours * 60 + 1) * 60 * 1000).toISOString();
+            await userManager.repository.saveUser(stored);
+
+            expect(await userManager.authenticateToken(session, 'session')).toBeNull();
+            expect(await userManager.authenticateToken(token.value, 'api')).toBeNull();
+
+            // Signing in again checks their groups, which lets the API token back in
+            await signIn(claims);
+            expect(await userManager.authenticateToken(token.value, 'api')).toMatchObject({ username: 'dave' });
+        });
+
+        test('never creates accounts for users outside the allowed groups', async () => {
+            await signIn({ sub: 'subject-mallory', preferred_username: 'mallory', groups: [] });
+
+            expect(await userManager.repository.getUserByUsername('mallory')).toBeNull();
+        });
+    });
+});
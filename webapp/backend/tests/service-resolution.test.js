@@ -0,0 +1,90 @@
+const { loadOrchestrator } = require('./helpers/orchestrator');
+
+describe('resolveServices', () => {
+    let harness;
+    let orchestrator;
+    let services;
+
+    beforeAll(() => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        services = harness.config.services;
+    });
+
+    afterEach(() => {
+        harness.config.services = services;
+    });
+
+    afterAll(async () => {
+        await harness.shutdown();
+    });
+
+    const resolve = (requested, models) => orchestrator.resolveServices(requested, models);
+
+    describe('with the service catalog', () => {
+        test('adds transitive dependencies before their dependents, and required services', () => {
+            expect(resolve(['langgraph'])).toEqual({
+                services: ['ollama', 'langgraph-redis', 'langgraph-db', 'langgraph', 'nginx'],
+                added: ['ollama', 'langgraph-redis', 'langgraph-db', 'nginx'],
+            });
+        });
+
+        test('adds Ollama when models are selected', () => {
+            expect(resolve(['qdrant'], ['qwen3:8b'])).toEqual({
+                services: ['qdrant', 'nginx', 'ollama'],
+                added: ['nginx', 'ollama'],
+            });
+        });
+
+        test('lists each service once, however often it is required', () => {
+            const { services: resolved, added } = resolve(['openwebui', 'ollama', 'nginx'], ['qwen3:8b']);
+
+            expect(resolved).toEqual(['ollama', 'openwebui', 'nginx']);
+            expect(added).toEqual([]);
+        });
+
+        test('resolves every service in the catalog', () => {
+            for (const name of Object.keys(services)) {
+                const { services: resolved } = resolve([name]);
+                for (const dependency of services[name].dependencies || []) {
+                    expect(resolved.indexOf(dependency)).toBeLessThan(resolved.indexOf(name));
+                }
+            }
+        });
+    });
+
+    describe('with dependency problems', () => {
+        test('reports a dependency cycle with its path', () => {
+            harness.config.services = {
+                app: { dependencies: ['queue'] },
+                queue: { dependencies: ['worker'] },
+                worker: { dependencies: ['app'] },
+            };
+
+            expect(() => resolve(['app'])).toThrow('Circular service dependency: app -> queue -> worker -> app');
+            expect(() => resolve(['worker'])).toThrow('Circular service dependency: worker -> app -> queue -> worker');
+        });
+
+        test('reports a service that depends on itself', () => {
+            harness.config.services = { app: { dependencies: ['app'] } };
+
+            expect(() => resolve(['app'])).toThrow('Circular service dependency: app -> app');
+        });
+
+        test('accepts a shared dependency that is not a cycle', () => {
+            harness.config.services = {
+                app: { dependencies: ['db', 'cache'] },
+                cache: { dependencies: ['db'] },
+                db: {},
+            };
+
+            expect(resolve(['app']).services).toEqual(['db', 'cache', 'app']);
+        });
+
+        test('names the service that requires an unknown dependency', () => {
+            harness.config.services = { app: { dependencies: ['db'] } };
+
+            expect(() => resolve(['app'])).toThrow('Unknown service dependency: db (required by app)');
+        });
+    });
+});
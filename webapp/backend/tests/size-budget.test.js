@@ -0,0 +1,101 @@
+const { loadOrchestrator } = require('./helpers/orchestrator');
+
+describe('checkSizeBudget', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(() => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        const { config } = harness;
+
+        // Round numbers: the ISO is 2 GB plus what is selected, and needs twice its size on disk
+        config.services = {
+            app: { size_mb: 8 * 1024 },
+            small: { size_mb: 512 },
+        };
+        config.models = { 'big:1b': { size_gb: 0.5 } };
+        Object.assign(config.build, {
+            baseISOSizeGB: 2,
+            isoOverheadFactor: 1,
+            maxISOSizeGB: 10,
+            bootDiskReservedGB: 0,
+            bootDiskSpaceFactor: 1,
+            scratchSpaceFactor: 1,
+        });
+        Object.assign(config.vm, { bootDiskSize: '100', localSsdCount: 0 });
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    function exceeded(buildConfig) {
+        try {
+            orchestrator.checkSizeBudget(buildConfig);
+        } catch (error) {
+            expect(error.statusCode).toBe(400);
+            return error;
+        }
+        throw new Error('Expected the build to be over budget');
+    }
+
+    test('returns the projected size of a build under the budget', () => {
+        expect(orchestrator.checkSizeBudget({ services: ['small'], models: ['big:1b'] })).toEqual({
+            total_gb: 3,
+            base_gb: 2,
+            services_gb: 0.5,
+            models_gb: 0.5,
+            overhead_gb: 0,
+            contributors: [
+                { type: 'service', name: 'small', size_gb: 0.5 },
+                { type: 'model', name: 'big:1b', size_gb: 0.5 },
+            ],
+        });
+    });
+
+    test('rounds the projected size up to a tenth of a GB, with overhead', () => {
+        harness.config.build.isoOverheadFactor = 1.1;
+
+        expect(orchestrator.checkSizeBudget({ services: ['small'] })).toMatchObject({ total_gb: 2.8, overhead_gb: 0.25 });
+    });
+
+    test('accepts a build exactly at the ISO size limit', () => {
+        expect(orchestrator.checkSizeBudget({ services: ['app'] }).total_gb).toBe(10);
+    });
+
+    test('rejects a build over the ISO size limit, naming the largest contributors', () => {
+        const error = exceeded({ services: ['app'], models: ['big:1b'] });
+
+        expect(error.message).toBe('Projected ISO size 10.5 GB exceeds the ISO size limit (10 GB). ' +
+            'Largest contributors: app (8 GB), big:1b (0.5 GB)');
+        expect(error.details.exceeded).toEqual([{ name: 'max_iso_size', limit_gb: 10, required_gb: 10.5 }]);
+        expect(error.details.projected_iso_size.total_gb).toBe(10.5);
+    });
+
+    test('checks the boot disk holds the artifacts, the ISO and its scratch space', () => {
+        harness.config.vm.bootDiskSize = '20';
+        expect(() => orchestrator.checkSizeBudget({ services: ['app'] })).not.toThrow();
+
+        harness.config.vm.bootDiskSize = '19';
+        expect(exceeded({ services: ['app'] }).details.exceeded).toEqual([{ name: 'boot_disk', limit_gb: 19, required_gb: 20 }]);
+    });
+
+    test('checks scratch space on the local SSD when the VM has one', () => {
+        Object.assign(harness.config.vm, { bootDiskSize: '10', localSsdCount: 1, localSsdSizeGB: 10 });
+        expect(() => orchestrator.checkSizeBudget({ services: ['app'] })).not.toThrow();
+
+        harness.config.vm.localSsdSizeGB = 9;
+        const error = exceeded({ services: ['app'] });
+        expect(error.details.exceeded).toEqual([{ name: 'local_ssd', limit_gb: 9, required_gb: 10 }]);
+        expect(error.message).toContain('exceeds the build VM local SSD scratch space (9 GB)');
+    });
+
+    test('reports every limit a build is over', () => {
+        harness.config.vm.bootDiskSize = '20';
+        const error = exceeded({ services: ['app'], models: ['big:1b'] });
+
+        expect(error.details.exceeded.map(limit => limit.name)).toEqual(['max_iso_size', 'boot_disk']);
+        expect(error.message).toContain('exceeds the ISO size limit (10 GB) and build VM boot disk (20 GB)');
+    });
+});
@@ -0,0 +1,282 @@
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+const BUILD_NAME = 'iso-build-3f2a9c1e';
+
+const TOWER = { name: 'tower', host: '192.168.1.20', user: 'builder', capacity: 2, sudo: true };
+const NUC = { name: 'nuc', host: 'nuc.lan', capacity: 1 };
+
+/**
+ * Load config with the given SSH_BUILDER_HOSTS value
+ */
+function loadConfig(hosts) {
+    process.env.SSH_BUILDER_HOSTS = typeof hosts === 'string' ? hosts : JSON.stringify(hosts);
+    jest.resetModules();
+    return require('../config/config');
+}
+
+/**
+ * The remote status report fetchReport() parses
+ */
+function report(state, { outputs = [], status = null, log = '' } = {}) {
+    return Buffer.from(`${state}\n${outputs.join('\n')}\n\n---status---\n${status ? JSON.stringify(status) : ''}\n---log---\n${log}`);
+}
+
+afterEach(() => {
+    delete process.env.SSH_BUILDER_HOSTS;
+});
+
+describe('SSH_BUILDER_HOSTS', () => {
+    test('fills in defaults for each host', () => {
+        expect(loadConfig([TOWER, NUC]).backends.ssh.hosts).toEqual([
+            { ...TOWER, port: 22, identityFile: null, workDir: '/tmp/homelab-builds' },
+            { ...NUC, port: 22, user: 'root', identityFile: null, workDir: '/tmp/homelab-builds', sudo: false },
+        ]);
+        expect(loadConfig([{ host: 'nuc' }]).backends.ssh.hosts[0]).toMatchObject({ name: 'nuc', capacity: 1 });
+    });
+
+    test('defaults to no hosts', () => {
+        delete process.env.SSH_BUILDER_HOSTS;
+        jest.resetModules();
+        expect(require('../config/config').backends.ssh.hosts).toEqual([]);
+    });
+
+    test.each([
+        ['not JSON', '[{name: tower}]', 'SSH_BUILDER_HOSTS must be a JSON array: '],
+        ['not an array', { name: 'tower', host: 'tower.lan' }, 'SSH_BUILDER_HOSTS must be a JSON array'],
+        ['a host name with spaces', [{ ...TOWER, name: 'big tower' }], 'Invalid SSH builder host name: big tower'],
+        ['an address with a shell command', [{ ...TOWER, host: 'tower;reboot' }], 'Invalid SSH builder host address for tower: tower;reboot'],
+        ['an invalid user', [{ ...TOWER, user: 'Builder' }], 'Invalid SSH user for tower: Builder'],
+        ['a work directory outside /tmp/homelab-* and /home', [{ ...TOWER, workDir: '/var/builds' }], 'Invalid workDir for tower'],
+        ['a work directory with quotes', [{ ...TOWER, workDir: "/home/builder/it's" }], 'Invalid workDir for tower'],
+    ])('rejects %s', (name, hosts, error) => {
+        expect(() => loadConfig(hosts)).toThrow(error);
+    });
+});
+
+describe('ssh build backend', () => {
+    let dir;
+    let config;
+    let backend;
+    // Host name -> function(command, options) faking the remote shell (returns stdout or throws)
+    let remotes;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssh-backend-'));
+        process.env.LOCAL_OUTPUT_DIR = path.join(dir, 'outputs');
+        process.env.LOCAL_LOGS_DIR = path.join(dir, 'logs');
+        config = loadConfig([TOWER, NUC]);
+        require('../lib/logger').silent = true;
+        backend = require('../lib/ssh-build-backend');
+
+        remotes = { tower: () => '0\n', nuc: () => '0\n' };
+        backend.ssh = jest.fn(async (host, command, options) => remotes[host.name](command, options));
+        backend.scp = jest.fn(async () => {});
+    });
+
+    afterEach(() => {
+        delete process.env.LOCAL_OUTPUT_DIR;
+        delete process.env.LOCAL_LOGS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function commandsOn(hostName) {
+        return backend.ssh.mock.calls.filter(([host]) => host.name === hostName).map(([, command]) => command);
+    }
+
+    function unreachable() {
+        throw Object.assign(new Error('Command failed: ssh'), { stderr: 'ssh: connect to host 192.168.1.20 port 22: No route to host' });
+    }
+
+    test('runs as many builds at once as its hosts have capacity', () => {
+        expect(backend.maxConcurrentBuilds).toBe(3);
+    });
+
+    describe('reserveHost', () => {
+        test('picks the host with the most free capacity', async () => {
+            remotes.tower = () => '1\n';
+
+            expect((await backend.reserveHost()).name).toBe('tower');
+            expect((await backend.reserveHost()).name).toBe('nuc');
+        });
+
+        test('counts builds still being started on a host', async () => {
+            remotes.tower = () => '2\n';
+            await backend.reserveHost();
+
+            await expect(backend.reserveHost()).rejects.toMatchObject({
+                statusCode: 503,
+                message: 'No SSH builder host has free capacity',
+            });
+        });
+
+        test('skips unreachable hosts', async () => {
+            remotes.tower = unreachable;
+
+            expect((await backend.reserveHost()).name).toBe('nuc');
+        });
+
+        test('fails without configured hosts', async () => {
+            config.backends.ssh.hosts = [];
+
+            await expect(backend.reserveHost()).rejects.toThrow('No SSH builder hosts configured (set SSH_BUILDER_HOSTS)');
+        });
+    });
+
+    describe('create', () => {
+        test('uploads the startup script and metadata, and starts it detached with sudo', async () => {
+            let metadata;
+            backend.scp.mockImplementation(async (host, [, source]) => {
+                const metadataDir = path.join(source, 'metadata');
+                metadata = Object.fromEntries(fs.readdirSync(metadataDir)
+                    .map(name => [name, fs.readFileSync(path.join(metadataDir, name), 'utf8')]));
+            });
+
+            const name = await backend.create(BUILD_ID, { services: ['qdrant'] }, { statusKey: 'a'.repeat(64) });
+
+            const buildDir = `/tmp/homelab-builds/${BUILD_NAME}`;
+            expect(name).toBe(`${BUILD_NAME}@tower`);
+            expect(backend.scp).toHaveBeenCalledWith(expect.objectContaining({ name: 'tower' }),
+                ['-r', expect.any(String), `builder@192.168.1.20:${buildDir}`], config.backends.ssh.commandTimeoutMs);
+            expect(metadata).toMatchObject({
+                'build-id': BUILD_ID,
+                'status-key': 'a'.repeat(64),
+                'output-dir': `${buildDir}/output`,
+                'log-file': `${buildDir}/iso-build.log`,
+            });
+
+            const [, prepare, start] = commandsOn('tower');
+            expect(prepare).toBe(`mkdir -p '/tmp/homelab-builds' && rm -rf '${buildDir}'`);
+            expect(start).toMatch(new RegExp(`^nohup setsid sudo -n env BUILD_METADATA_DIR='${buildDir}/metadata' bash -c`));
+            expect(start).toContain(`echo $! > '${buildDir}/pid'`);
+            expect(backend.starting.get('tower')).toBe(0);
+        });
+
+        test('rejects an invalid build ID before connecting to a host', async () => {
+            await expect(backend.create('../../etc', { services: ['qdrant'] })).rejects.toThrow('Invalid buildId format');
+            expect(backend.ssh).not.toHaveBeenCalled();
+        });
+
+        test('removes the build directory and frees the slot when the upload fails', async () => {
+            backend.scp.mockRejectedValue(new Error('scp: /tmp/homelab-builds: No space left on device'));
+
+            await expect(backend.create(BUILD_ID, { services: ['qdrant'] })).rejects.toThrow('No space left on device');
+            expect(commandsOn('tower').pop()).toBe(`sudo -n rm -rf '/tmp/homelab-builds/${BUILD_NAME}'`);
+            expect(backend.starting.get('tower')).toBe(0);
+        });
+    });
+
+    describe('status', () => {
+        const status = { stage: 'iso-build', progress: 66, message: 'Building custom ISO', signature: 'f'.repeat(64) };
+
+        test('reports a running build and mirrors its log and status file locally', async () => {
+            remotes.tower = () => report('running', { status, log: 'Building custom ISO\n' });
+
+            expect(await backend.status(`${BUILD_NAME}@tower`)).toEqual({
+                name: `${BUILD_NAME}@tower`,
+                host: 'tower',
+                status: 'RUNNING',
+                exitCode: null,
+            });
+            expect(fs.readFileSync(path.join(dir, 'logs', `${BUILD_NAME}.log`), 'utf8')).toBe('Building custom ISO\n');
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'outputs', 'build-status-3f2a9c1e.json'), 'utf8'))).toEqual(status);
+        });
+
+        test('fetches only the log output it has not seen', async () => {
+            remotes.tower = () => report('running', { log: 'first\n' });
+            await backend.status(`${BUILD_NAME}@tower`);
+            remotes.tower = () => report('running', { log: 'second\n' });
+            await backend.status(`${BUILD_NAME}@tower`);
+
+            expect(commandsOn('tower')[1]).toContain(`tail -c +7 "$d/iso-build.log"`);
+            expect(fs.readFileSync(path.join(dir, 'logs', `${BUILD_NAME}.log`), 'utf8')).toBe('first\nsecond\n');
+        });
+
+        test('collects the ISO before reporting the build complete', async () => {
+            const iso = 'ubuntu-24.04.3-homelab-3f2a9c1e.iso';
+            const complete = { ...status, stage: 'complete', progress: 100 };
+            remotes.tower = () => report('exited 0', { outputs: [iso, `${iso}.json`, 'build-status-3f2a9c1e.json'], status: complete });
+            backend.scp.mockImplementation(async (host, [, destination]) => fs.writeFileSync(destination, 'iso'));
+
+            expect(await backend.status(`${BUILD_NAME}@tower`)).toMatchObject({ status: 'TERMINATED', exitCode: 0 });
+            expect(backend.scp.mock.calls.map(([, args]) => args[0])).toEqual([
+                `builder@192.168.1.20:/tmp/homelab-builds/${BUILD_NAME}/output/${iso}.json`,
+                `builder@192.168.1.20:/tmp/homelab-builds/${BUILD_NAME}/output/${iso}`,
+            ]);
+            expect(fs.existsSync(path.join(dir, 'outputs', iso))).toBe(true);
+            expect(fs.existsSync(path.join(dir, 'outputs', `${iso}.partial`))).toBe(false);
+            expect(fs.existsSync(path.join(dir, 'outputs', 'build-status-3f2a9c1e.json'))).toBe(true);
+        });
+
+        test('does not report completion when the ISO cannot be collected', async () => {
+            const iso = 'ubuntu-24.04.3-homelab-3f2a9c1e.iso';
+            remotes.tower = () => report('exited 0', { outputs: [iso], status: { ...status, stage: 'complete', progress: 100 } });
+            backend.scp.mockRejectedValue(new Error('scp: Connection reset by peer'));
+
+            await expect(backend.status(`${BUILD_NAME}@tower`)).rejects.toThrow('Connection reset by peer');
+            expect(fs.existsSync(path.join(dir, 'outputs', 'build-status-3f2a9c1e.json'))).toBe(false);
+        });
+
+        test('reports a build whose process died without an exit code as terminated', async () => {
+            remotes.tower = () => report('exited');
+
+            expect(await backend.status(`${BUILD_NAME}@tower`)).toMatchObject({ status: 'TERMINATED', exitCode: null });
+        });
+
+        test('returns null once the build directory is gone', async () => {
+            remotes.tower = () => report('missing');
+
+            expect(await backend.status(`${BUILD_NAME}@tower`)).toBeNull();
+        });
+
+        test('finds the host of a build started before a restart, skipping unreachable hosts', async () => {
+            remotes.tower = unreachable;
+            remotes.nuc = () => report('running');
+
+            expect(await backend.status(BUILD_NAME)).toMatchObject({ name: `${BUILD_NAME}@nuc`, host: 'nuc' });
+        });
+
+        test('returns null when no host has the build', async () => {
+            remotes.tower = () => report('missing');
+            remotes.nuc = () => report('missing');
+
+            expect(await backend.status(BUILD_NAME)).toBeNull();
+        });
+    });
+
+    describe('destroy', () => {
+        test('stops the build\'s process group and removes its files', async () => {
+            remotes.tower = () => report('exited 1', { log: 'Build failed\n' });
+
+            const logPath = await backend.destroy(`${BUILD_NAME}@tower`, BUILD_ID);
+
+            expect(logPath).toBe(path.join(dir, 'logs', `${BUILD_NAME}.log`));
+            expect(fs.readFileSync(logPath, 'utf8')).toBe('Build failed\n');
+            const cleanup = commandsOn('tower').pop();
+            expect(cleanup).toContain('sudo -n kill -TERM -- "-$pid"');
+            expect(cleanup).toContain('sudo -n rm -rf "$d"');
+        });
+
+        test('cleans up even when the latest log output cannot be fetched', async () => {
+            let calls = 0;
+            remotes.tower = () => {
+                if (calls++ === 0) {
+                    unreachable();
+                }
+                return '';
+            };
+
+            expect(await backend.destroy(`${BUILD_NAME}@tower`, BUILD_ID)).toBeNull();
+            expect(commandsOn('tower')).toHaveLength(2);
+        });
+
+        test('leaves builds on unknown hosts alone', async () => {
+            expect(await backend.destroy(`${BUILD_NAME}@attic`, BUILD_ID, false)).toBeNull();
+            expect(backend.ssh).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,131 @@
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vmManager = require('../lib/vm-manager');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+const script = vmManager.generateStartupScript(BUILD_ID, { services: ['qdrant'] });
+
+/**
+ * Pick shell functions and variable assignments out of the startup script
+ */
+function extract(functions, variables = []) {
+    const parts = variables.map(name => {
+        const match = script.match(new RegExp(`^${name}=.*$`, 'm'));
+        expect(match).not.toBeNull();
+        return match[0];
+    });
+    for (const name of functions) {
+        const match = script.match(new RegExp(`^${name}\\(\\) \\{\\n[\\s\\S]*?\\n\\}$`, 'm'));
+        expect(match).not.toBeNull();
+        parts.push(match[0]);
+    }
+    return parts.join('\n');
+}
+
+describe('json_escape', () => {
+    test.each([
+        ['plain text', 'Building custom ISO'],
+        ['quotes and backslashes', 'Copying "C:\\boot\\"'],
+        ['tabs and newlines', 'first\tsecond\nthird'],
+        ['carriage returns', 'Pulling llama3\r 42%\r100%\r\n'],
+    ])('writes %s as a JSON string of the same text', (name, text) => {
+        const escaped = execFileSync('bash', ['-c', `${extract(['json_escape'])}\njson_escape "$TEXT"`], {
+            env: { PATH: process.env.PATH, TEXT: text },
+            encoding: 'utf8',
+        });
+
+        // The signature covers the raw text, so the status file must decode to exactly it
+        expect(JSON.parse(`"${escaped}"`)).toBe(text);
+    });
+});
+
+describe('startup script build events', () => {
+    let dir;
+    let env;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'startup-script-'));
+        fs.mkdirSync(path.join(dir, 'bin'));
+        fs.mkdirSync(path.join(dir, 'tasks'));
+        // Records each posted body, one per line
+        fs.writeFileSync(path.join(dir, 'bin', 'curl'), [
+            '#!/bin/bash',
+            'while [ $# -gt 0 ]; do',
+            '    if [ "$1" = "--data" ]; then printf \'%s\\n\' "$2" >> "$CURL_LOG"; fi',
+            '    shift',
+            'done',
+        ].join('\n'), { mode: 0o755 });
+        env = {
+            PATH: `${path.join(dir, 'bin')}:${process.env.PATH}`,
+            CURL_LOG: path.join(dir, 'posted'),
+            BUILD_ID,
+            BUILD_TASKS_DIR: path.join(dir, 'tasks'),
+            LOG_FILE: path.join(dir, 'build.log'),
+            CALLBACK_URL: 'http://backend.internal:3000',
+            CALLBACK_TOKEN: 'a'.repeat(64),
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Run commands after the event functions are defined
+     */
+    function run(commands) {
+        const functions = extract(
+            ['json_escape', 'post_event', 'post_log_events', 'log'],
+            ['EVENTS_PAUSED_FILE', 'EVENTS_QUEUE_FILE', 'EVENTS_FLUSHED_FILE']
+        );
+        return execFileSync('bash', ['-c', `${functions}\n${commands}`], { env, encoding: 'utf8', timeout: 30000 });
+    }
+
+    function posted() {
+        if (!fs.existsSync(env.CURL_LOG)) {
+            return [];
+        }
+        return fs.readFileSync(env.CURL_LOG, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    test('queues log lines and posts them in batches, in order', () => {
+        const lines = Array.from({ length: 60 }, (_, i) => `Step ${i + 1}`);
+        run(`${lines.map(line => `log "${line}" > /dev/null`).join('\n')}\nwait\npost_log_events`);
+
+        const events = posted();
+        expect(events.every(event => event.type === 'log')).toBe(true);
+        expect(events.every(event => event.messages.length <= 50)).toBe(true);
+        expect(events.length).toBeLessThan(5);
+        expect(events.flatMap(event => event.messages)).toEqual(lines);
+        expect(fs.readFileSync(env.LOG_FILE, 'utf8')).toContain('] Step 60\n');
+    });
+
+    test('posts log lines as they were logged', () => {
+        const line = 'Copying "C:\\boot" 100%\tdone $HOME';
+        env.MESSAGE = line;
+        run('log "$MESSAGE" > /dev/null\nwait\npost_log_events');
+
+        expect(posted()).toEqual([{ type: 'log', messages: [line] }]);
+    });
+
+    test('posts nothing without a callback URL', () => {
+        env.CALLBACK_URL = '';
+        run('log "Starting build" > /dev/null\nwait\npost_log_events');
+
+        expect(posted()).toEqual([]);
+        expect(fs.existsSync(path.join(env.BUILD_TASKS_DIR, '.events-queue'))).toBe(false);
+    });
+
+    test('skips posting for a minute after a failed post', () => {
+        fs.writeFileSync(path.join(dir, 'bin', 'curl'), '#!/bin/bash\necho called >> "$CURL_LOG.calls"\nexit 7\n');
+        run('log "First" > /dev/null\nwait\npost_log_events\nlog "Second" > /dev/null\nwait\npost_log_events');
+
+        expect(fs.readFileSync(`${env.CURL_LOG}.calls`, 'utf8')).toBe('called\n');
+        const pausedUntil = Number(fs.readFileSync(path.join(env.BUILD_TASKS_DIR, '.events-paused-until'), 'utf8'));
+        expect(pausedUntil).toBeGreaterThan(Date.now() / 1000 + 50);
+    });
+});
@@ -0,0 +1,144 @@
+const { loadOrchestrator, waitFor, waitForStatus } = require('./helpers/orchestrator');
+const { generateStatusKey, signStatus, verifyStatus } = require('../lib/status-signature');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+
+// Signatures from the startup script's write path (emit_status in vm-manager), with the
+// build's status key from its metadata:
+//   printf '%s\n%s\n%s\n%s\n%s\n%s' "$BUILD_ID" "$stage" "$progress" "$message" "$timestamp" "$tasks" \
+//       | openssl dgst -sha256 -hmac "$STATUS_KEY" -r | cut -d' ' -f1
+const STATUS_KEY = 'f2e7aa1f8746e71aa1ba9a09ed042d6f5afafd45ae8fd6692f5b26b8c85b219e';
+const RUNNING = {
+    stage: 'docker-images',
+    progress: 42,
+    message: 'Pulling "pihole" – 1/2',
+    timestamp: '2026-10-18T12:00:00Z',
+    // As collect_tasks prints it with jq -c
+    tasks: JSON.parse('{"docker-images":{"state":"running","total":2,"items":' +
+        '[{"name":"pihole/pihole:2024.07.0","state":"done","bytes":1048576,"source":"cache"}]}}'),
+    signature: 'ab06f2cdb75cee9d6ac9dc21cc3e90ef71f72c7efbc68412feaade26fe8903e7',
+};
+// Written before structured tasks (five fields)
+const LEGACY = {
+    stage: 'complete',
+    progress: 100,
+    message: 'Build complete',
+    timestamp: '2026-10-18T12:30:00Z',
+    signature: 'cbff5dee36b4f450209367c1f71319b5f9c11c3d50bd67d5edd480dfe1d25e46',
+};
+
+// A message with carriage returns (progress output), as json_escape writes it to the status file
+const CARRIAGE_RETURNS = {
+    stage: 'ollama-models',
+    progress: 55,
+    message: 'Pulling llama3\r 42%\r100%',
+    timestamp: '2026-10-18T12:10:00Z',
+    tasks: {},
+    signature: 'fc7fb5417f9b581857c426594823ee4877f8581030ac2eb65a7cc8eb4354873b',
+};
+
+describe('generateStatusKey', () => {
+    test('generates a key the startup script accepts', () => {
+        expect(generateStatusKey()).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('generates a different key each time', () => {
+        expect(generateStatusKey()).not.toBe(generateStatusKey());
+    });
+});
+
+describe('signStatus', () => {
+    test('matches the startup script for a status with tasks', () => {
+        expect(signStatus(BUILD_ID, RUNNING, STATUS_KEY)).toBe(RUNNING.signature);
+    });
+
+    test('matches the startup script for a status without tasks', () => {
+        expect(signStatus(BUILD_ID, LEGACY, STATUS_KEY)).toBe(LEGACY.signature);
+    });
+
+    test('matches the startup script for a message with carriage returns', () => {
+        expect(signStatus(BUILD_ID, CARRIAGE_RETURNS, STATUS_KEY)).toBe(CARRIAGE_RETURNS.signature);
+    });
+});
+
+describe('verifyStatus', () => {
+    test('accepts the startup script\'s signatures', () => {
+        expect(verifyStatus(BUILD_ID, RUNNING, STATUS_KEY)).toBeNull();
+        expect(verifyStatus(BUILD_ID, LEGACY, STATUS_KEY)).toBeNull();
+        expect(verifyStatus(BUILD_ID, CARRIAGE_RETURNS, STATUS_KEY)).toBeNull();
+    });
+
+    test('rejects a missing signature', () => {
+        expect(verifyStatus(BUILD_ID, { ...LEGACY, signature: undefined }, STATUS_KEY)).toBe('missing');
+        expect(verifyStatus(BUILD_ID, { ...LEGACY, signature: '' }, STATUS_KEY)).toBe('missing');
+        expect(verifyStatus(BUILD_ID, null, STATUS_KEY)).toBe('missing');
+    });
+
+    test('rejects a signature without a key to check it against', () => {
+        expect(verifyStatus(BUILD_ID, LEGACY, null)).toBe('unverifiable');
+        expect(verifyStatus(BUILD_ID, LEGACY, undefined)).toBe('unverifiable');
+    });
+
+    test('rejects a changed field', () => {
+        expect(verifyStatus(BUILD_ID, { ...LEGACY, progress: 99 }, STATUS_KEY)).toBe('invalid');
+        expect(verifyStatus(BUILD_ID, { ...RUNNING, tasks: {} }, STATUS_KEY)).toBe('invalid');
+        expect(verifyStatus(BUILD_ID, { ...CARRIAGE_RETURNS, message: 'Pulling llama3 42%100%' }, STATUS_KEY)).toBe('invalid');
+    });
+
+    test('rejects another build\'s signature', () => {
+        expect(verifyStatus('00000000-0000-4000-8000-000000000000', LEGACY, STATUS_KEY)).toBe('invalid');
+    });
+
+    test('rejects a signature made with another key', () => {
+        expect(verifyStatus(BUILD_ID, LEGACY, generateStatusKey())).toBe('invalid');
+    });
+
+    test('rejects a truncated signature', () => {
+        expect(verifyStatus(BUILD_ID, { ...LEGACY, signature: LEGACY.signature.substring(0, 32) }, STATUS_KEY)).toBe('invalid');
+    });
+});
+
+describe('build status keys', () => {
+    let harness;
+    let orchestrator;
+
+    beforeEach(async () => {
+        harness = loadOrchestrator();
+        orchestrator = harness.orchestrator;
+        await orchestrator.initialize();
+    });
+
+    afterEach(async () => {
+        await harness.shutdown();
+    });
+
+    test('gives each build VM its own key, kept out of the API', async () => {
+        const first = await orchestrator.startBuild({ services: ['qdrant'] });
+        const second = await orchestrator.startBuild({ services: ['pihole'] });
+        await waitForStatus(orchestrator, first.build_id, 'building');
+        await waitForStatus(orchestrator, second.build_id, 'building');
+
+        const { statusKey } = orchestrator.builds.get(first.build_id);
+        expect(statusKey).toMatch(/^[0-9a-f]{64}$/);
+        expect(orchestrator.builds.get(second.build_id).statusKey).not.toBe(statusKey);
+        expect(harness.vmManager.createBuildVM).toHaveBeenCalledWith(first.build_id, expect.anything(),
+            expect.objectContaining({ statusKey }));
+        expect(JSON.stringify(await orchestrator.getBuildStatus(first.build_id))).not.toContain(statusKey);
+    });
+
+    test('ignores a status file signed with another key', async () => {
+        const { build_id: buildId } = await orchestrator.startBuild({ services: ['qdrant'] });
+        await waitForStatus(orchestrator, buildId, 'building');
+
+        const status = { stage: 'complete', progress: 100, message: 'Done', timestamp: new Date().toISOString() };
+        harness.files.set(orchestrator.getStatusFilename(buildId), { ...status, signature: signStatus(buildId, status, STATUS_KEY) });
+        await waitFor(() => orchestrator.builds.get(buildId).logs.some(line => line.includes('invalid signature')));
+
+        expect(orchestrator.builds.get(buildId).status).toBe('building');
+    });
+
+    test('reports a build missing from the build store as unknown', async () => {
+        expect(await orchestrator.getBuildStatus(BUILD_ID)).toBeNull();
+        expect(harness.gcsManager.downloadStatusFile).not.toHaveBeenCalled();
+    });
+});
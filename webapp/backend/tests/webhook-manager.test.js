@@ -0,0 +1,336 @@
+process.env.API_SECRET_KEY = process.env.API_SECRET_KEY || 'test-secret-key-0123456789abcdef0123456789';
+
+const crypto = require('crypto');
+const http = require('http');
+const { waitFor } = require('./helpers/orchestrator');
+
+const BUILD_ID = '3f2a9c1e-5b7d-4e2a-9c1f-8a6b4d2e0f13';
+const SECRET = 'webhook-secret-0123456789';
+
+/**
+ * Start a webhook endpoint that records requests and answers with the queued
+ * status codes (then 200)
+ * @returns {Promise<Object>} { url, requests, responses, close }
+ */
+function startReceiver() {
+    const receiver = { requests: [], responses: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body, at: Date.now() });
+            res.writeHead(receiver.responses.shift() || 200, { Location: 'http://example.com/' });
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+            receiver.close = () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            });
+            resolve(receiver);
+        });
+    });
+}
+
+/**
+ * Load a fresh webhook manager on the given store, as the backend does on startup
+ */
+async function loadWebhookManager(repository) {
+    jest.resetModules();
+    const config = require('../config/config');
+    require('../lib/logger').silent = true;
+    Object.assign(config.webhooks, { maxAttempts: 3, retryBaseDelayMs: 50 });
+
+    const webhookManager = require('../lib/webhook-manager');
+    await webhookManager.init(repository);
+    return { webhookManager, config };
+}
+
+function newRepository() {
+    const { MemoryBuildRepository } = require('../lib/build-repository');
+    return new MemoryBuildRepository();
+}
+
+describe('webhook deliveries', () => {
+    let receiver;
+    let repository;
+    let webhookManager;
+    let config;
+    let webhook;
+    let build;
+
+    beforeEach(async () => {
+        receiver = await startReceiver();
+        repository = newRepository();
+        ({ webhookManager, config } = await loadWebhookManager(repository));
+        webhook = webhookManager.createWebhook({ url: receiver.url, secret: SECRET });
+        build = { id: BUILD_ID, status: 'queued', created: new Date().toISOString(), webhooks: [webhook] };
+    });
+
+    afterEach(async () => {
+        await receiver.close();
+    });
+
+    /**
+     * Wait until a number of deliveries have ended, and return them oldest first
+     */
+    async function finished(count, store = repository) {
+        await waitFor(async () => (await store.listDeliveries({ states: ['delivered', 'failed'] })).length === count);
+        return (await store.listDeliveries()).reverse();
+    }
+
+    describe('signatures', () => {
+        test('signs the timestamp and body with the webhook\'s secret', async () => {
+            webhookManager.notify(build, 'queued', { build_id: BUILD_ID, status: 'queued' });
+            const [delivery] = await finished(1);
+
+            const [{ headers, body }] = receiver.requests;
+            const expected = crypto.createHmac('sha256', SECRET)
+                .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+            expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+            expect(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000)).toBeLessThan(10);
+            expect(headers).toMatchObject({
+                'content-type': 'application/json',
+                'x-webhook-event': 'queued',
+                'x-webhook-delivery': delivery.id,
+            });
+            expect(JSON.parse(body)).toEqual({
+                id: delivery.id,
+                event: 'queued',
+                created: delivery.created,
+                build: { build_id: BUILD_ID, status: 'queued' },
+            });
+        });
+
+        test('signs with a generated secret when the webhook has none', async () => {
+            const generated = webhookManager.createWebhook({ url: receiver.url });
+            expect(generated.secret).toMatch(/^[0-9a-f]{64}$/);
+
+            webhookManager.notify({ ...build, webhooks: [generated] }, 'started', {});
+            await finished(1);
+
+            const [{ headers, body }] = receiver.requests;
+            expect(headers['x-webhook-signature']).toBe(webhookManager.sign(generated.secret, headers['x-webhook-timestamp'], body));
+            expect(headers['x-webhook-signature']).not.toBe(webhookManager.sign(SECRET, headers['x-webhook-timestamp'], body));
+        });
+
+        test('signs every attempt with that attempt\'s timestamp', async () => {
+            receiver.responses.push(503);
+
+            webhookManager.notify(build, 'queued', {});
+            await finished(1);
+
+            expect(receiver.requests).toHaveLength(2);
+            for (const { headers, body } of receiver.requests) {
+                expect(headers['x-webhook-signature']).toBe(webhookManager.sign(SECRET, headers['x-webhook-timestamp'], body));
+            }
+        });
+    });
+
+    describe('retries', () => {
+        test('retries 5xx and 429 responses with a doubling backoff', async () => {
+            receiver.responses.push(503, 429);
+
+            webhookManager.notify(build, 'queued', {});
+            const [delivery] = await finished(1);
+
+            expect(receiver.requests).toHaveLength(3);
+            expect(new Set(receiver.requests.map(request => request.headers['x-webhook-delivery']))).toEqual(new Set([delivery.id]));
+            expect(receiver.requests[1].at - receiver.requests[0].at).toBeGreaterThanOrEqual(49);
+            expect(receiver.requests[2].at - receiver.requests[1].at).toBeGreaterThanOrEqual(99);
+            expect(delivery).toMatchObject({ state: 'delivered', nextAttemptAt: null });
+            expect(delivery.attempts.map(attempt => [attempt.status_code, attempt.error])).toEqual([
+                [503, 'HTTP 503'],
+                [429, 'HTTP 429'],
+                [200, null],
+            ]);
+        });
+
+        test('records when the next attempt is due', async () => {
+            config.webhooks.retryBaseDelayMs = 300;
+            receiver.responses.push(500);
+
+            webhookManager.notify(build, 'queued', {});
+            await waitFor(() => receiver.requests.length === 1);
+            await waitFor(async () => (await repository.listDeliveries())[0].attempts.length === 1);
+
+            const [pending] = await repository.listDeliveries();
+            expect(pending.state).toBe('pending');
+            expect(new Date(pending.nextAttemptAt).getTime() - receiver.requests[0].at).toBeGreaterThanOrEqual(290);
+            await finished(1);
+        });
+
+        test('gives up after the last attempt', async () => {
+            receiver.responses.push(502, 502, 502, 502);
+
+            webhookManager.notify(build, 'queued', {});
+            const [delivery] = await finished(1);
+
+            expect(receiver.requests).toHaveLength(3);
+            expect(delivery.state).toBe('failed');
+            expect(delivery.attempts).toHaveLength(3);
+        });
+
+        test.each([
+            ['a client error', 400],
+            ['a redirect', 302],
+        ])('fails at once on %s', async (name, status) => {
+            receiver.responses.push(status);
+
+            webhookManager.notify(build, 'queued', {});
+            const [delivery] = await finished(1);
+
+            expect(receiver.requests).toHaveLength(1);
+            expect(delivery).toMatchObject({ state: 'failed', attempts: [{ status_code: status, error: `HTTP ${status}` }] });
+        });
+
+        test('retries when the endpoint cannot be reached', async () => {
+            await receiver.close();
+
+            webhookManager.notify(build, 'queued', {});
+            const [delivery] = await finished(1);
+
+            expect(delivery.state).toBe('failed');
+            expect(delivery.attempts).toHaveLength(3);
+            expect(delivery.attempts[0]).toMatchObject({ status_code: null, error: expect.stringContaining('ECONNREFUSED') });
+        });
+
+        test('delivers a build\'s events to a webhook in order while retrying', async () => {
+            receiver.responses.push(503);
+
+            webhookManager.notify(build, 'queued', {});
+            webhookManager.notify(build, 'started', {});
+            await finished(2);
+
+            expect(receiver.requests.map(request => request.headers['x-webhook-event'])).toEqual(['queued', 'queued', 'started']);
+        });
+
+        test('drops the payload from the delivery log once the delivery ends', async () => {
+            webhookManager.notify(build, 'queued', { build_id: BUILD_ID });
+            const [delivery] = await finished(1);
+
+            expect(delivery.body).toBeUndefined();
+            expect(webhookManager.formatDelivery(delivery)).not.toHaveProperty('body');
+        });
+    });
+
+    describe('after a restart', () => {
+        /**
+         * The delivery log as a backend left it while waiting to retry a delivery
+         */
+        async function pendingDelivery() {
+            config.webhooks.retryBaseDelayMs = 200;
+            receiver.responses.push(503);
+            webhookManager.notify(build, 'complete', { build_id: BUILD_ID, status: 'complete' });
+            await waitFor(async () => {
+                const [delivery] = await repository.listDeliveries();
+                return delivery && delivery.nextAttemptAt !== null;
+            });
+            const [pending] = await repository.listDeliveries();
+
+            // Let the first backend finish, so only the restarted one delivers below
+            await finished(1);
+            receiver.requests.length = 0;
+            return pending;
+        }
+
+        async function restart(deliveries, builds = [build]) {
+            const store = newRepository();
+            for (const stored of builds) {
+                await store.save(stored);
+            }
+            for (const delivery of deliveries) {
+                await store.saveDelivery(delivery);
+            }
+            await loadWebhookManager(store);
+            return store;
+        }
+
+        test('keeps a pending delivery\'s payload in the delivery log', async () => {
+            const pending = await pendingDelivery();
+
+            expect(pending).toMatchObject({ state: 'pending', attempts: [{ status_code: 503 }] });
+            expect(JSON.parse(pending.body)).toMatchObject({ id: pending.id, event: 'complete', build: { status: 'complete' } });
+        });
+
+        test('resumes the delivery with the same ID and payload', async () => {
+            const pending = await pendingDelivery();
+
+            const store = await restart([pending]);
+            const [delivery] = await finished(1, store);
+
+            expect(receiver.requests).toHaveLength(1);
+            expect(receiver.requests[0].headers['x-webhook-delivery']).toBe(pending.id);
+            expect(receiver.requests[0].body).toBe(pending.body);
+            expect(delivery.state).toBe('delivered');
+            expect(delivery.attempts.map(attempt => attempt.status_code)).toEqual([503, 200]);
+            expect(delivery.body).toBeUndefined();
+        });
+
+        test('waits out the rest of the backoff first', async () => {
+            const pending = await pendingDelivery();
+            const due = Date.now() + 300;
+
+            const store = await restart([{ ...pending, nextAttemptAt: new Date(due).toISOString() }]);
+            await finished(1, store);
+
+            expect(receiver.requests[0].at).toBeGreaterThanOrEqual(due - 1);
+        });
+
+        test('counts the attempts made before the restart', async () => {
+            const pending = await pendingDelivery();
+            receiver.responses.push(503, 503);
+
+            const store = await restart([pending]);
+            const [delivery] = await finished(1, store);
+
+            expect(receiver.requests).toHaveLength(2);
+            expect(delivery).toMatchObject({ state: 'failed', attempts: [{}, {}, {}] });
+        });
+
+        test('resumes deliveries to global webhooks', async () => {
+            const pending = await pendingDelivery();
+            const globalWebhook = { ...webhook, id: 'global-webhook' };
+            const store = newRepository();
+            await store.saveWebhook(globalWebhook);
+            await store.saveDelivery({ ...pending, webhookId: globalWebhook.id });
+
+            await loadWebhookManager(store);
+            await finished(1, store);
+
+            expect(receiver.requests).toHaveLength(1);
+        });
+
+        test.each([
+            ['whose webhook was removed', pending => ({ ...pending, webhookId: 'removed-webhook' })],
+            ['whose build was pruned', pending => ({ ...pending, buildId: '00000000-0000-4000-8000-000000000000' })],
+            ['without its payload', ({ body, ...pending }) => pending],
+            ['that used up its attempts', pending => ({ ...pending, attempts: [{}, {}, {}] })],
+        ])('fails a delivery %s', async (name, change) => {
+            const pending = await pendingDelivery();
+
+            const store = await restart([change(pending)]);
+            const [delivery] = await finished(1, store);
+
+            expect(receiver.requests).toHaveLength(0);
+            expect(delivery).toMatchObject({ state: 'failed', nextAttemptAt: null });
+            expect(delivery.body).toBeUndefined();
+        });
+
+        test('leaves finished deliveries alone', async () => {
+            const pending = await pendingDelivery();
+
+            const store = await restart([{ ...pending, state: 'delivered' }]);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(receiver.requests).toHaveLength(0);
+            expect((await store.listDeliveries())[0].state).toBe('delivered');
+        });
+    });
+});
@@ -37,7 +37,9 @@ class APIClient {
             }
 
             if (!response.ok) {
-                throw new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
             return data;
@@ -69,6 +71,45 @@ class APIClient {
         });
     }
 
+    /**
+     * DELETE request
+     */
+    async delete(endpoint) {
+        return this.request(endpoint, { method: 'DELETE' });
+    }
+
+    /**
+     * Get the signed-in user and their remaining daily build quota
+     * Fails with status 401 when not signed in.
+     */
+    async getCurrentUser() {
+        return this.get('/auth/me');
+    }
+
+    /**
+     * How users can sign in: { password, registration, oidc: { name, login_url } or null }
+     */
+    async getAuthProviders() {
+        return this.get('/auth/providers');
+    }
+
+    /**
+     * Sign in (sets the session cookie)
+     * @param {string} username - Username
+     * @param {string} password - Password
+     */
+    async login(username, password) {
+        return this.post('/auth/login', { username, password });
+    }
+
+    /**
+     * Sign out (ends the session)
+     * Returns { logout_url }: where to sign out of the OIDC provider too, or null
+     */
+    async logout() {
+        return this.post('/auth/logout', {});
+    }
+
     /**
      * Get available services
      */
@@ -90,12 +131,31 @@ class APIClient {
      * @param {string[]} config.models - Selected model names
      * @param {boolean} config.gpu_enabled - Enable GPU support
      * @param {string} config.email - Optional email for notifications
+     * @param {string[]} config.notify - Optional notification channel URLs (ntfy, Gotify, Matrix)
      * @param {string} config.iso_name - Custom ISO name
+     * @param {number} config.auto_retry - Automatic retries on transient failures
+     * @param {boolean} config.force_rebuild - Build even if an identical ISO exists or is in progress
      */
     async startBuild(config) {
         return this.post('/build', config);
     }
 
+    /**
+     * Dry-run a build: resolved services, cache hits, and time and cost estimates
+     * @param {Object} config - Build configuration (as for startBuild)
+     */
+    async planBuild(config) {
+        return this.post('/build/plan', config);
+    }
+
+    /**
+     * Get the signed-in user's builds, newest first
+     * @param {number} limit - Maximum number of builds (1-100)
+     */
+    async getBuildHistory(limit = 20) {
+        return this.get(`/build/history?limit=${limit}`);
+    }
+
     /**
      * Get build status
      * @param {string} buildId - Build ID
@@ -105,77 +165,123 @@ class APIClient {
     }
 
     /**
-     * Get download URL for completed ISO
+     * Get a page of the build VM's full log
      * @param {string} buildId - Build ID
+     * @param {number} since - Byte offset to start at (next_offset of the previous page)
+     * @param {number} limit - Maximum bytes to return
      */
-    async getDownloadURL(buildId) {
-        return this.get(`/build/${buildId}/download`);
+    async getBuildLog(buildId, since = 0, limit = 65536) {
+        return this.get(`/build/${buildId}/logs?since=${since}&limit=${limit}`);
     }
 
     /**
-     * Poll build status until completion
+     * URL of the full build log as a plain text download
      * @param {string} buildId - Build ID
-     * @param {Function} onProgress - Callback for progress updates
-     * @param {number} interval - Polling interval in milliseconds
-     */
-    async pollBuildStatus(buildId, onProgress, interval = 5000) {
-        return new Promise((resolve, reject) => {
-            const poll = async () => {
-                try {
-                    const status = await this.getBuildStatus(buildId);
-
-                    // Call progress callback
-                    if (onProgress) {
-                        onProgress(status);
-                    }
-
-                    // Check if build is complete
-                    if (status.status === 'complete') {
-                        resolve(status);
-                        return;
-                    }
+     */
+    getBuildLogDownloadURL(buildId) {
+        return `${this.apiBase}/build/${buildId}/logs/raw`;
+    }
 
-                    // Check if build failed
-                    if (status.status === 'failed' || status.status === 'error') {
-                        reject(new Error(status.error || 'Build failed'));
-                        return;
-                    }
+    /**
+     * Retry a failed or cancelled build with its stored configuration
+     * @param {string} buildId - Build ID
+     */
+    async retryBuild(buildId) {
+        return this.post(`/build/${buildId}/retry`, {});
+    }
 
-                    // Continue polling
-                    setTimeout(poll, interval);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+    /**
+     * Cancel a queued or running build
+     * @param {string} buildId - Build ID
+     */
+    async cancelBuild(buildId) {
+        return this.delete(`/build/${buildId}`);
+    }
 
-            // Start polling
-            poll();
-        });
+    /**
+     * Get download URL for completed ISO
+     * @param {string} buildId - Build ID
+     */
+    async getDownloadURL(buildId) {
+        return this.get(`/build/${buildId}/download`);
     }
 
     /**
-     * Calculate estimated build time based on selected components
-     * @param {number} serviceCount - Number of services
-     * @param {number} modelCount - Number of models
-     * @param {number} modelSizeGB - Total model size in GB
+     * Follow a build's status as it changes
+     * Uses the build's Server-Sent Events stream (which resumes after dropped connections),
+     * falling back to polling the status endpoint if the stream is unavailable.
+     * @param {string} buildId - Build ID
+     * @param {Object} handlers - onStatus(status), onStage(update), onLog(message), onError(error)
+     * @param {number} interval - Polling interval in milliseconds when falling back
+     * @returns {Function} Stops watching
      */
-    estimateBuildTime(serviceCount, modelCount, modelSizeGB) {
-        // Base time: 30 minutes for Ubuntu ISO and infrastructure
-        let minutes = 30;
+    watchBuildStatus(buildId, handlers, interval = 5000) {
+        let stopped = false;
+        let eventSource = null;
+        let pollTimer = null;
+
+        const poll = async () => {
+            try {
+                const status = await this.getBuildStatus(buildId);
+                if (stopped) return;
+                handlers.onStatus(status);
+                if (!stopped) {
+                    pollTimer = setTimeout(poll, interval);
+                }
+            } catch (error) {
+                if (!stopped) {
+                    handlers.onError(error);
+                }
+            }
+        };
 
-        // Add time per service (avg 2 minutes per service)
-        minutes += serviceCount * 2;
+        const fallBackToPolling = () => {
+            if (eventSource) {
+                eventSource.close();
+                eventSource = null;
+            }
+            if (!stopped) {
+                poll();
+            }
+        };
 
-        // Add time per model (5 minutes base + 1 minute per GB)
-        if (modelCount > 0) {
-            minutes += modelCount * 5;
-            minutes += modelSizeGB * 1;
+        if (typeof EventSource === 'undefined') {
+            fallBackToPolling();
+        } else {
+            eventSource = new EventSource(`${this.apiBase}/build/${buildId}/events`);
+            let failedAttempts = 0;
+
+            const listen = (type, handler) => {
+                eventSource.addEventListener(type, (event) => {
+                    failedAttempts = 0;
+                    if (!stopped) {
+                        handler(JSON.parse(event.data));
+                    }
+                });
+            };
+            listen('status', status => handlers.onStatus(status));
+            listen('stage', update => handlers.onStage(update));
+            listen('log', entry => handlers.onLog(entry.message));
+
+            // EventSource reconnects (sending Last-Event-ID) on its own; give up on
+            // refused streams or repeated failures
+            eventSource.onerror = () => {
+                failedAttempts++;
+                if (eventSource.readyState === EventSource.CLOSED || failedAttempts >= 3) {
+                    console.warn('Build event stream unavailable, polling for status');
+                    fallBackToPolling();
+                }
+            };
         }
 
-        // ISO creation time: ~15 minutes
-        minutes += 15;
-
-        return Math.ceil(minutes);
+        return () => {
+            stopped = true;
+            clearTimeout(pollTimer);
+            if (eventSource) {
+                eventSource.close();
+                eventSource = null;
+            }
+        };
     }
 
     /**
@@ -7,20 +7,14 @@ class HomeLabISOBuilder {
         this.selectedModels = new Set();
         this.buildId = null;
         this.buildStartTime = null;
-        this.pollingInterval = null;
+        this.stopStatusWatch = null;
+        this.logFollow = null; // Token of the active build output follower
+        this.logOffset = 0;
+        this.fetchingOutput = false;
         this.selectedUSBDevice = null;
         this.isoDownloadUrl = null;
-
-        // Task-specific progress tracking
-        this.taskProgress = {
-            'vm-creation': { current: 0, total: 1, percentage: 0 },
-            'cache-check': { current: 0, total: 1, percentage: 0 },
-            'docker-images': { current: 0, total: 0, percentage: 0 },
-            'ollama-models': { current: 0, total: 0, percentage: 0 },
-            'iso-build': { current: 0, total: 1, percentage: 0 },
-            'iso-upload': { current: 0, total: 1, percentage: 0 },
-            'cache-populate': { current: 0, total: 1, percentage: 0 }
-        };
+        this.estimateTimer = null;
+        this.estimateRequest = 0; // Latest build time estimate request (older answers are ignored)
 
         // Service dependencies map
         this.serviceDependencies = {
@@ -69,8 +63,240 @@ class HomeLabISOBuilder {
         // Check for Ollama selection to enable/disable models
         this.checkOllamaSelected();
 
+        // Builds belong to their creator: sign in before anything else
+        this.setupAuthListeners();
+        this.loadCurrentUser();
+    }
+
+    setupAuthListeners() {
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.login();
+            });
+        }
+
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                this.logout();
+            });
+        }
+
+        const historyBtn = document.getElementById('history-btn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                this.showHistory();
+            });
+        }
+
+        const historyBackBtn = document.getElementById('history-back-btn');
+        if (historyBackBtn) {
+            historyBackBtn.addEventListener('click', () => {
+                this.navigateToStep('setup');
+            });
+        }
+    }
+
+    /**
+     * Show the signed-in user, or the sign-in form if there isn't one
+     */
+    async loadCurrentUser() {
+        try {
+            const { user, build_quota: quota } = await window.api.getCurrentUser();
+            this.showSignedIn(user, quota);
+        } catch (error) {
+            if (error.status !== 401) {
+                console.error('Failed to check sign-in:', error);
+            }
+            await this.showSignedOut();
+        }
+    }
+
+    showSignedIn(user, quota) {
+        document.getElementById('user-name').textContent = user.username;
+        document.getElementById('user-role').style.display = user.role === 'admin' ? 'inline' : 'none';
+        document.getElementById('user-quota').textContent = quota && quota.limit !== null
+            ? `${quota.remaining} of ${quota.limit} builds left today`
+            : '';
+        document.getElementById('user-bar').style.display = 'flex';
+
+        if (this.currentStep === 'login') {
+            this.navigateToStep('setup');
+        }
+
         // Load previous builds
         this.loadPreviousBuilds();
+
+        // Download links in notification emails open the app with ?download=<build ID>
+        this.downloadFromLink();
+    }
+
+    async showSignedOut() {
+        document.getElementById('user-bar').style.display = 'none';
+        this.navigateToStep('login');
+        await this.loadSignInOptions();
+    }
+
+    /**
+     * Set up the sign-in form for the server's sign-in methods (password and/or OIDC)
+     */
+    async loadSignInOptions() {
+        // Failed OIDC sign-ins come back to the app with ?auth_error=<message>
+        const params = new URLSearchParams(window.location.search);
+        const authError = params.get('auth_error');
+        if (authError) {
+            params.delete('auth_error');
+            const query = params.toString();
+            window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+            this.showLoginError(authError);
+        }
+
+        let providers = { password: true, oidc: null };
+        try {
+            providers = await window.api.getAuthProviders();
+        } catch (error) {
+            console.error('Failed to load sign-in options:', error);
+        }
+
+        const oidcLogin = document.getElementById('oidc-login');
+        if (providers.oidc) {
+            // Come back to the same page (e.g. a ?download= link) after signing in
+            const returnTo = window.location.pathname + window.location.search;
+            const oidcLoginBtn = document.getElementById('oidc-login-btn');
+            oidcLoginBtn.href = `${providers.oidc.login_url}?return_to=${encodeURIComponent(returnTo)}`;
+            oidcLoginBtn.textContent = `Sign in with ${providers.oidc.name}`;
+            oidcLogin.style.display = 'block';
+        } else {
+            oidcLogin.style.display = 'none';
+        }
+
+        document.getElementById('login-divider').style.display = providers.oidc && providers.password ? 'block' : 'none';
+        document.getElementById('login-form').style.display = providers.password ? 'block' : 'none';
+        if (providers.password) {
+            document.getElementById('login-username').focus();
+        }
+    }
+
+    showLoginError(message) {
+        const errorEl = document.getElementById('login-error');
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+    }
+
+    async login() {
+        const username = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const loginBtn = document.getElementById('login-btn');
+
+        document.getElementById('login-error').style.display = 'none';
+        loginBtn.disabled = true;
+
+        try {
+            await window.api.login(username, password);
+            document.getElementById('login-password').value = '';
+            await this.loadCurrentUser();
+        } catch (error) {
+            this.showLoginError(error.message);
+        } finally {
+            loginBtn.disabled = false;
+        }
+    }
+
+    async logout() {
+        let logoutUrl = null;
+        try {
+            ({ logout_url: logoutUrl } = await window.api.logout());
+        } catch (error) {
+            console.error('Sign out failed:', error);
+        }
+
+        // Forget the previous user's build and selections
+        this.reset();
+        document.getElementById('previous-builds-container').innerHTML = '';
+        document.getElementById('build-history-list').innerHTML = '';
+
+        // Sign out of the OIDC provider too, which sends the browser back here
+        if (logoutUrl) {
+            window.location.href = logoutUrl;
+            return;
+        }
+        await this.showSignedOut();
+    }
+
+    async showHistory() {
+        // Stop following the current build; it can be opened again from the list
+        this.stopStatusPolling();
+        this.navigateToStep('history');
+
+        const list = document.getElementById('build-history-list');
+        list.innerHTML = '<p class="history-empty">Loading your builds...</p>';
+
+        try {
+            const { builds } = await window.api.getBuildHistory(50);
+            list.innerHTML = builds.length > 0
+                ? builds.map(build => this.renderHistoryItem(build)).join('')
+                : '<p class="history-empty">You haven\'t started any builds yet</p>';
+        } catch (error) {
+            console.error('Error loading build history:', error);
+            list.innerHTML = '<p class="history-empty"></p>';
+            list.firstChild.textContent = `Unable to load your builds: ${error.message}`;
+        }
+    }
+
+    renderHistoryItem(build) {
+        const active = !['complete', 'failed', 'cancelled'].includes(build.status);
+        const downloadable = build.status === 'complete' && build.iso_filename &&
+            build.iso_expires_at && new Date(build.iso_expires_at) > new Date();
+        const statusClass = active ? 'active' : build.status;
+        const details = [
+            this.formatDate(build.created),
+            build.services.join(', '),
+            ...(build.status === 'complete' && build.iso_size_gb ? [`${build.iso_size_gb.toFixed(1)} GB`] : []),
+            ...(build.failure_code ? [build.failure_code] : []),
+            ...(active ? [`${build.progress || 0}%`] : []),
+        ].join(' • ');
+
+        return `
+            <div class="build-history-item">
+                <div>
+                    <div class="build-history-title">
+                        Build ${build.build_id.substring(0, 8)}
+                        <span class="build-status build-status-${statusClass}">${build.status.replace(/_/g, ' ')}</span>
+                    </div>
+                    <div class="build-history-details">${details}${this.formatCost(build.cost)}</div>
+                </div>
+                <div class="build-history-actions">
+                    <button class="btn btn-small btn-secondary" onclick="app.openBuild('${build.build_id}')">View</button>
+                    ${downloadable ? `<button class="btn btn-small btn-primary" onclick="app.downloadPreviousBuild('${build.build_id}')">📥 Download</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a build from the history: its progress, result or error, as when it was started
+     */
+    openBuild(buildId) {
+        this.stopStatusPolling();
+        this.buildId = buildId;
+        this.buildStartTime = null;
+
+        this.navigateToStep('progress');
+        this.updateProgress(0, 'Loading build status...');
+        document.getElementById('build-id').textContent = buildId;
+        document.getElementById('vm-name').textContent = '-';
+        document.getElementById('estimated-completion').textContent = 'Calculating...';
+        this.clearLogs();
+        this.resetChecklist();
+
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.disabled = false;
+        }
+
+        this.startStatusPolling();
     }
 
     setupButtonListeners() {
@@ -98,6 +324,14 @@ class HomeLabISOBuilder {
             });
         }
 
+        // Cancel Build button
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.addEventListener('click', () => {
+                this.cancelBuild();
+            });
+        }
+
         // Copy Logs button
         const copyLogsBtn = document.getElementById('copy-logs-btn');
         if (copyLogsBtn) {
@@ -130,6 +364,14 @@ class HomeLabISOBuilder {
             });
         }
 
+        // Retry Build button
+        const retryBuildBtn = document.getElementById('retry-build-btn');
+        if (retryBuildBtn) {
+            retryBuildBtn.addEventListener('click', () => {
+                this.retryBuild();
+            });
+        }
+
         // Reset button
         const resetBtn = document.getElementById('reset-btn');
         if (resetBtn) {
@@ -266,12 +508,41 @@ class HomeLabISOBuilder {
             sizeEl.textContent = `~${totalSize}GB`;
         }
 
-        // Calculate estimated build time
-        const buildTime = window.api.estimateBuildTime(serviceCount, modelCount, modelSizeGB);
+        // Build time is estimated by the server from past builds
+        this.refreshBuildTimeEstimate();
+    }
+
+    /**
+     * Fetch the build time estimate for the current selection (debounced)
+     */
+    refreshBuildTimeEstimate() {
         const timeEl = document.getElementById('summary-time');
-        if (timeEl) {
-            timeEl.textContent = `~${buildTime} min`;
+        if (!timeEl) return;
+
+        clearTimeout(this.estimateTimer);
+        const request = ++this.estimateRequest;
+        if (this.selectedServices.size === 0) {
+            timeEl.textContent = '—';
+            return;
         }
+
+        this.estimateTimer = setTimeout(async () => {
+            let text = '—';
+            try {
+                const plan = await window.api.planBuild({
+                    services: Array.from(this.selectedServices),
+                    models: Array.from(this.selectedModels),
+                    gpu_enabled: document.getElementById('gpu-enabled')?.checked || false,
+                });
+                const { minutes, low, high } = plan.estimate;
+                text = `~${minutes} min (${low}–${high})`;
+            } catch (error) {
+                console.error('Failed to estimate build time:', error);
+            }
+            if (request === this.estimateRequest) {
+                timeEl.textContent = text;
+            }
+        }, 400);
     }
 
     navigateToStep(stepName) {
@@ -299,7 +570,9 @@ class HomeLabISOBuilder {
         // Get configuration
         const gpuEnabled = document.getElementById('gpu-enabled')?.checked || false;
         const email = document.getElementById('email')?.value || '';
+        const notify = (document.getElementById('notify')?.value || '').split(/[\s,]+/).filter(Boolean);
         const isoName = document.getElementById('iso-name')?.value || 'ubuntu-24.04.3-homelab-custom';
+        const autoRetry = document.getElementById('auto-retry')?.checked || false;
 
         // Prepare build request
         const buildConfig = {
@@ -307,9 +580,25 @@ class HomeLabISOBuilder {
             models: Array.from(this.selectedModels),
             gpu_enabled: gpuEnabled,
             email: email || undefined,
+            notify: notify.length > 0 ? notify : undefined,
             iso_name: isoName,
+            auto_retry: autoRetry ? 2 : 0,
         };
 
+        await this.submitBuild(() => window.api.startBuild(buildConfig));
+    }
+
+    async retryBuild() {
+        const failedBuildId = this.buildId;
+        if (!failedBuildId) return;
+
+        await this.submitBuild(() => window.api.retryBuild(failedBuildId));
+        if (this.buildId !== failedBuildId) {
+            this.addLog(`Retrying build ${failedBuildId}`, 'info');
+        }
+    }
+
+    async submitBuild(submit) {
         try {
             // Navigate directly to progress step
             this.navigateToStep('progress');
@@ -323,8 +612,14 @@ class HomeLabISOBuilder {
             this.resetChecklist();
             this.addLog('Submitting build request...', 'progress');
 
+            // Re-enable cancel button from any previous build
+            const cancelBuildBtn = document.getElementById('cancel-build-btn');
+            if (cancelBuildBtn) {
+                cancelBuildBtn.disabled = false;
+            }
+
             // Start build
-            const response = await window.api.startBuild(buildConfig);
+            const response = await submit();
             this.buildId = response.build_id;
             this.buildStartTime = Date.now();
 
@@ -333,13 +628,33 @@ class HomeLabISOBuilder {
             this.addLog(`Build ID: ${this.buildId}`, 'info');
             this.addLog(`Status: ${response.status}`, 'success');
 
-            if (response.estimated_time_minutes) {
-                const estimatedCompletion = new Date(Date.now() + response.estimated_time_minutes * 60000);
-                document.getElementById('estimated-completion').textContent =
-                    estimatedCompletion.toLocaleTimeString();
+            if (response.added_services && response.added_services.length > 0) {
+                this.addLog(`Added required dependencies: ${response.added_services.join(', ')}`, 'info');
             }
 
-            // Start polling for status
+            if (response.deduplicated === 'cached') {
+                this.addLog(`An identical ISO was already built - reusing ${response.iso_filename}`, 'success');
+            } else if (response.deduplicated === 'attached') {
+                this.addLog('An identical build is already in progress - following it instead of starting another VM', 'info');
+            }
+
+            if (response.approval_required) {
+                this.addLog('This month\'s build budget is nearly spent - the build will start once an admin approves it', 'warning');
+            }
+
+            if (response.queue_position) {
+                this.addLog(`All build slots are busy - queued at position ${response.queue_position}`, 'warning');
+            }
+
+            if (response.estimate && !response.approval_required) {
+                const completionAfter = minutes => new Date(Date.now() + minutes * 60000).toISOString();
+                this.updateEstimatedCompletion(completionAfter(response.estimate.minutes), {
+                    earliest: completionAfter(response.estimate.low),
+                    latest: completionAfter(response.estimate.high),
+                });
+            }
+
+            // Follow build status
             this.startStatusPolling();
 
         } catch (error) {
@@ -349,12 +664,21 @@ class HomeLabISOBuilder {
     }
 
     startStatusPolling() {
-        // Poll every 5 seconds
-        this.pollingInterval = setInterval(async () => {
-            try {
-                const status = await window.api.getBuildStatus(this.buildId);
-                this.handleStatusUpdate(status);
-            } catch (error) {
+        this.startLogFollow();
+
+        // Stream status updates (polls every 5 seconds if streaming is unavailable)
+        this.stopStatusWatch = window.api.watchBuildStatus(this.buildId, {
+            onStatus: status => this.handleStatusUpdate(status),
+            onStage: update => {
+                this.updateProgress(update.progress || 0, update.stage || 'Building...', update.tasks);
+                this.updateEstimatedCompletion(update.estimated_completion, update.estimated_completion_range);
+            },
+            onLog: message => {
+                if (!this.hasLog(message)) {
+                    this.addLog(message);
+                }
+            },
+            onError: error => {
                 console.error('Failed to get build status:', error);
                 this.stopStatusPolling();
 
@@ -369,19 +693,117 @@ class HomeLabISOBuilder {
 
                 this.showError(errorTitle, errorDetails);
             }
-        }, 5000);
+        });
     }
 
     stopStatusPolling() {
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-            this.pollingInterval = null;
+        if (this.stopStatusWatch) {
+            this.stopStatusWatch();
+            this.stopStatusWatch = null;
+        }
+        this.stopLogFollow();
+    }
+
+    startLogFollow() {
+        // Follow the build VM's log every 5 seconds
+        const token = {};
+        this.logFollow = token;
+        this.logOffset = 0;
+        document.getElementById('build-output').textContent = 'Waiting for build output...';
+        document.getElementById('download-log-link').href = window.api.getBuildLogDownloadURL(this.buildId);
+
+        const follow = async () => {
+            await this.fetchBuildOutput();
+            if (this.logFollow === token) {
+                setTimeout(follow, 5000);
+            }
+        };
+        follow();
+    }
+
+    stopLogFollow() {
+        if (!this.logFollow) return;
+        this.logFollow = null;
+
+        // Pick up whatever was logged after the last fetch
+        if (this.buildId) {
+            this.fetchBuildOutput();
         }
     }
 
+    async fetchBuildOutput() {
+        if (this.fetchingOutput) return;
+        this.fetchingOutput = true;
+
+        const buildId = this.buildId;
+        try {
+            let page;
+            do {
+                page = await window.api.getBuildLog(buildId, this.logOffset);
+                if (buildId !== this.buildId) return;
+                this.appendBuildOutput(page.data);
+                this.logOffset = page.next_offset;
+            } while (page.next_offset < page.size);
+        } catch (error) {
+            console.warn('Failed to fetch build output:', error);
+        } finally {
+            this.fetchingOutput = false;
+        }
+    }
+
+    appendBuildOutput(text) {
+        if (!text) return;
+
+        const output = document.getElementById('build-output');
+        const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+        const previous = this.logOffset === 0 ? '' : output.textContent;
+
+        // Strip terminal colors; keep the last 200 KB on screen (the download has it all)
+        output.textContent = (previous + text.replace(/\x1b\[[0-9;]*m/g, '')).slice(-200000);
+
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    /**
+     * Show the estimated completion time and its confidence interval
+     * @param {string|null} completion - ISO timestamp
+     * @param {Object|null} range - { earliest, latest } ISO timestamps
+     */
+    updateEstimatedCompletion(completion, range) {
+        if (!completion) return;
+
+        const time = value => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('estimated-completion').textContent = range
+            ? `${time(completion)} (${time(range.earliest)}–${time(range.latest)})`
+            : time(completion);
+    }
+
     handleStatusUpdate(status) {
+        // Waiting in the build queue
+        if (status.status === 'queued' && status.queue) {
+            this.updateProgress(0, `Queued (position ${status.queue.position} of ${status.queue.length})`);
+            const estimatedStart = new Date(status.queue.estimated_start);
+            document.getElementById('vm-name').textContent =
+                `Waiting for a build slot (starts ~${estimatedStart.toLocaleTimeString()})`;
+            this.updateEstimatedCompletion(status.estimated_completion, status.estimated_completion_range);
+            return;
+        }
+
+        // Held until an admin approves it (over the spending approval threshold)
+        if (status.status === 'awaiting_approval') {
+            this.updateProgress(0, 'Waiting for admin approval');
+            document.getElementById('vm-name').textContent = 'Not started (this build needs approval)';
+            document.getElementById('estimated-completion').textContent = 'After approval';
+            return;
+        }
+
         // Update progress
-        this.updateProgress(status.progress || 0, status.stage || 'Building...');
+        this.updateProgress(status.progress || 0, status.stage || 'Building...', status.tasks);
+        if (status.status !== 'complete') {
+            this.updateEstimatedCompletion(status.estimated_completion, status.estimated_completion_range);
+        }
 
         // Update VM name
         if (status.vm_name) {
@@ -393,8 +815,6 @@ class HomeLabISOBuilder {
             status.logs.forEach(log => {
                 if (!this.hasLog(log)) {
                     this.addLog(log);
-                    // Also use log messages to update checklist for more granular tracking
-                    this.updateChecklistFromLog(log, status.progress || 0);
                 }
             });
         }
@@ -405,105 +825,67 @@ class HomeLabISOBuilder {
             this.handleBuildComplete(status);
         } else if (status.status === 'failed' || status.status === 'error') {
             this.stopStatusPolling();
-            this.showError('Build failed', status.error || 'Unknown error');
-        }
-    }
-
-    updateChecklistFromLog(logMessage, percentage) {
-        // Parse log messages to update checklist with more granularity
-        const lowerLog = logMessage.toLowerCase();
-
-        // Parse progress patterns like "X/Y" from logs
-        const progressMatch = logMessage.match(/(\d+)\/(\d+)/);
-
-        if (lowerLog.includes('vm created') || lowerLog.includes('created successfully')) {
-            this.setTaskProgress('vm-creation', 1, 1);
-            this.updateChecklistItem('vm-creation', 'completed');
-        } else if (lowerLog.includes('creating vm') || lowerLog.includes('initializing')) {
-            this.setTaskProgress('vm-creation', 0, 1);
-            this.updateChecklistItem('vm-creation', 'in-progress');
-            this.markPreviousTasksComplete('vm-creation');
-        } else if (lowerLog.includes('downloading docker image') || lowerLog.includes('pulling') && progressMatch) {
-            // Extract "3/5" from "Downloading Docker image 3/5: nginx"
-            const current = parseInt(progressMatch[1]);
-            const total = parseInt(progressMatch[2]);
-            this.setTaskProgress('docker-images', current, total);
-            this.updateChecklistItem('docker-images', 'in-progress');
-            this.markPreviousTasksComplete('docker-images');
-        } else if (lowerLog.includes('all docker images')) {
-            const progress = this.taskProgress['docker-images'];
-            this.setTaskProgress('docker-images', progress.total, progress.total);
-            this.updateChecklistItem('docker-images', 'completed');
-        } else if (lowerLog.includes('downloading ollama model') && progressMatch) {
-            // Extract "2/4" from "Downloading Ollama model 2/4: qwen3:8b"
-            const current = parseInt(progressMatch[1]);
-            const total = parseInt(progressMatch[2]);
-            this.setTaskProgress('ollama-models', current, total);
-            this.updateChecklistItem('ollama-models', 'in-progress');
-            this.markPreviousTasksComplete('ollama-models');
-        } else if (lowerLog.includes('all ollama models')) {
-            const progress = this.taskProgress['ollama-models'];
-            this.setTaskProgress('ollama-models', progress.total, progress.total);
-            this.updateChecklistItem('ollama-models', 'completed');
-        } else if (lowerLog.includes('no ollama models selected')) {
-            this.setTaskProgress('ollama-models', 1, 1);
-            this.updateChecklistItem('ollama-models', 'completed');
-        } else if (lowerLog.includes('building iso') || lowerLog.includes('running create-custom-iso')) {
-            this.setTaskProgress('iso-build', 0, 1);
-            this.updateChecklistItem('iso-build', 'in-progress');
-            this.markPreviousTasksComplete('iso-build');
-        } else if (lowerLog.includes('uploading iso') || lowerLog.includes('upload attempt')) {
-            // Parse upload attempts "Upload attempt 1/3"
-            if (progressMatch) {
-                const current = parseInt(progressMatch[1]) - 1; // 0-based for in-progress
-                const total = parseInt(progressMatch[2]);
-                this.setTaskProgress('iso-upload', current, total);
-            } else {
-                this.setTaskProgress('iso-upload', 0, 1);
-            }
-            this.updateChecklistItem('iso-upload', 'in-progress');
-            this.markPreviousTasksComplete('iso-upload');
-        } else if (lowerLog.includes('iso uploaded') || lowerLog.includes('upload verification successful')) {
-            this.setTaskProgress('iso-upload', 1, 1);
-            this.updateChecklistItem('iso-upload', 'completed');
-        } else if (lowerLog.includes('waiting for') && lowerLog.includes('cache upload')) {
-            // Extract number of background jobs "Waiting for 5 background cache upload(s)"
-            const jobsMatch = logMessage.match(/waiting for (\d+) background/i);
-            if (jobsMatch) {
-                const totalJobs = parseInt(jobsMatch[1]);
-                this.setTaskProgress('cache-populate', 0, totalJobs);
+            if (status.retried_by) {
+                // Auto-retry policy kicked in - follow the new build
+                this.addLog(`Build failed (${status.error || 'unknown error'}), automatically retrying...`, 'warning');
+                this.buildId = status.retried_by;
+                document.getElementById('build-id').textContent = this.buildId;
+                this.resetChecklist();
+                this.startStatusPolling();
+                return;
             }
-            this.updateChecklistItem('cache-populate', 'in-progress');
-            this.markPreviousTasksComplete('cache-populate');
-        } else if (lowerLog.includes('all cache uploads completed') || lowerLog.includes('preparation complete')) {
-            this.setTaskProgress('cache-populate', 1, 1);
-            this.updateChecklistItem('cache-populate', 'completed');
-        } else if (lowerLog.includes('cached') && lowerLog.includes('in gcs')) {
-            // Individual cache upload completed - increment progress
-            const progress = this.taskProgress['cache-populate'];
-            if (progress.total > 0 && progress.current < progress.total) {
-                this.setTaskProgress('cache-populate', progress.current + 1, progress.total);
-                this.updateChecklistItem('cache-populate', 'in-progress');
+            this.showError('Build failed', status.error || 'Unknown error', { retryable: true, failure: status.failure });
+        } else if (status.status === 'cancelled') {
+            this.stopStatusPolling();
+            this.handleBuildCancelled();
+        }
+    }
+
+    async cancelBuild() {
+        if (!this.buildId) return;
+
+        if (!confirm('Cancel this build? The build VM will be deleted and progress will be lost.')) {
+            return;
+        }
+
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.disabled = true;
+        }
+
+        try {
+            await window.api.cancelBuild(this.buildId);
+            this.addLog('Cancellation requested, cleaning up build VM...', 'warning');
+        } catch (error) {
+            console.error('Failed to cancel build:', error);
+            this.addLog(`Failed to cancel build: ${error.message}`, 'error');
+            if (cancelBuildBtn) {
+                cancelBuildBtn.disabled = false;
             }
         }
     }
 
-    setTaskProgress(taskId, current, total) {
-        // Update task-specific progress
-        if (this.taskProgress[taskId]) {
-            this.taskProgress[taskId].current = current;
-            this.taskProgress[taskId].total = total;
-            this.taskProgress[taskId].percentage = total > 0 ? Math.round((current / total) * 100) : 0;
+    handleBuildCancelled() {
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.disabled = true;
         }
+
+        this.addLog('Build cancelled. The build VM and partial files have been removed.', 'warning');
+        this.showError('Build cancelled', 'This build was cancelled before it finished. No ISO was produced.\n\nYou can start a new build at any time.', { retryable: true });
     }
 
     handleBuildComplete(status) {
-        const buildDuration = Math.floor((Date.now() - this.buildStartTime) / 1000);
+        // Builds opened from the history weren't started here; time them from their status
+        const startedAt = this.buildStartTime || new Date(status.created).getTime();
+        const finishedAt = status.finished ? new Date(status.finished).getTime() : Date.now();
+        const buildDuration = Math.floor((finishedAt - startedAt) / 1000);
 
-        // Mark all checklist items as complete
+        // Mark all checklist items as complete, keeping the final task counts if reported
         const taskIds = ['vm-creation', 'cache-check', 'docker-images', 'ollama-models', 'iso-build', 'iso-upload', 'cache-populate'];
         taskIds.forEach(taskId => {
-            this.updateChecklistItem(taskId, 'completed');
+            const task = status.tasks && status.tasks[taskId];
+            this.updateChecklistItem(taskId, 'completed', task ? this.formatTaskProgress(task) : '');
         });
 
         // Update progress to 100%
@@ -560,6 +942,22 @@ class HomeLabISOBuilder {
         }
     }
 
+    async downloadFromLink() {
+        const buildId = new URLSearchParams(window.location.search).get('download');
+        if (!buildId) return;
+
+        // Don't download again on reload
+        window.history.replaceState(null, '', window.location.pathname);
+
+        try {
+            const response = await window.api.getDownloadURL(encodeURIComponent(buildId));
+            window.location.href = response.download_url;
+        } catch (error) {
+            console.error('Download from link failed:', error);
+            alert(`Failed to download ISO: ${error.message}`);
+        }
+    }
+
     async showDownloadOption() {
         // Hide option cards
         document.querySelector('.option-cards').style.display = 'none';
@@ -619,7 +1017,7 @@ class HomeLabISOBuilder {
         }
     }
 
-    updateProgress(percentage, stage) {
+    updateProgress(percentage, stage, tasks = null) {
         // Update overall progress
         const overallProgress = document.getElementById('overall-progress');
         if (overallProgress) {
@@ -629,8 +1027,12 @@ class HomeLabISOBuilder {
         // Update pipeline stage based on percentage and stage name
         this.updatePipelineStage(percentage, stage);
 
-        // Update checklist based on stage
-        this.updateChecklist(stage, percentage);
+        // Update checklist from the tasks reported by the build VM, or guess from the stage
+        if (tasks) {
+            this.renderTaskChecklist(tasks);
+        } else {
+            this.updateChecklist(stage, percentage);
+        }
     }
 
     updatePipelineStage(percentage, stageName) {
@@ -733,40 +1135,76 @@ class HomeLabISOBuilder {
 
         // Update the active task
         if (activeTask) {
-            this.updateChecklistItem(activeTask, 'in-progress', percentage);
+            this.updateChecklistItem(activeTask, 'in-progress');
             // Mark previous tasks as complete
             this.markPreviousTasksComplete(activeTask);
         }
     }
 
-    updateChecklistItem(taskId, status, percentage = null) {
+    renderTaskChecklist(tasks) {
+        // Build VMs report tasks (status schema v1) once they are running
+        const checklistStates = {
+            pending: 'pending',
+            running: 'in-progress',
+            complete: 'completed',
+            skipped: 'completed',
+            failed: 'failed'
+        };
+
+        this.updateChecklistItem('vm-creation', 'completed');
+        const downloadsStarted = Object.values(tasks).some(task => task.state !== 'pending');
+        this.updateChecklistItem('cache-check', downloadsStarted ? 'completed' : 'in-progress');
+
+        Object.entries(tasks).forEach(([taskId, task]) => {
+            this.updateChecklistItem(taskId, checklistStates[task.state] || 'pending', this.formatTaskProgress(task));
+
+            // Per-item detail on hover
+            const item = document.querySelector(`.checklist-item[data-task="${taskId}"]`);
+            if (item) {
+                item.title = task.items
+                    .map(entry => `${entry.name}: ${entry.state}${entry.source ? ` (${entry.source})` : ''}`)
+                    .join('\n');
+            }
+        });
+    }
+
+    formatTaskProgress(task) {
+        if (task.state === 'skipped') {
+            return 'skipped';
+        }
+
+        const parts = [];
+        if (task.total > 1 || (task.total > 0 && task.state === 'running')) {
+            parts.push(`${task.current}/${task.total}`);
+        }
+        if (task.bytes > 0) {
+            parts.push(window.api.formatBytes(task.bytes));
+        }
+        return parts.join(' · ');
+    }
+
+    updateChecklistItem(taskId, status, progressText = '') {
         const item = document.querySelector(`.checklist-item[data-task="${taskId}"]`);
         if (!item) return;
 
         const checkbox = item.querySelector('.task-checkbox');
         const progressEl = item.querySelector('.task-progress');
 
-        item.classList.remove('pending', 'in-progress', 'completed');
+        item.classList.remove('pending', 'in-progress', 'completed', 'failed');
+        progressEl.textContent = progressText;
 
         if (status === 'completed') {
             item.classList.add('completed');
             checkbox.textContent = '☑';
-            progressEl.textContent = '';
         } else if (status === 'in-progress') {
             item.classList.add('in-progress');
             checkbox.textContent = '⏳';
-
-            // Use task-specific progress instead of overall build percentage
-            const taskProgress = this.taskProgress[taskId];
-            if (taskProgress && taskProgress.total > 0) {
-                progressEl.textContent = `${taskProgress.percentage}%`;
-            } else {
-                progressEl.textContent = '';
-            }
+        } else if (status === 'failed') {
+            item.classList.add('failed');
+            checkbox.textContent = '☒';
         } else {
             item.classList.add('pending');
             checkbox.textContent = '☐';
-            progressEl.textContent = '';
         }
     }
 
@@ -807,18 +1245,11 @@ class HomeLabISOBuilder {
         const taskIds = ['vm-creation', 'cache-check', 'docker-images', 'ollama-models', 'iso-build', 'iso-upload', 'cache-populate'];
         taskIds.forEach(taskId => {
             this.updateChecklistItem(taskId, 'pending');
+            const item = document.querySelector(`.checklist-item[data-task="${taskId}"]`);
+            if (item) {
+                item.removeAttribute('title');
+            }
         });
-
-        // Reset task progress tracker
-        this.taskProgress = {
-            'vm-creation': { current: 0, total: 1, percentage: 0 },
-            'cache-check': { current: 0, total: 1, percentage: 0 },
-            'docker-images': { current: 0, total: 0, percentage: 0 },
-            'ollama-models': { current: 0, total: 0, percentage: 0 },
-            'iso-build': { current: 0, total: 1, percentage: 0 },
-            'iso-upload': { current: 0, total: 1, percentage: 0 },
-            'cache-populate': { current: 0, total: 1, percentage: 0 }
-        };
     }
 
     detectLogType(message) {
@@ -924,18 +1355,48 @@ class HomeLabISOBuilder {
         }
     }
 
-    showError(title, message) {
+    showError(title, message, { retryable = false, failure = null } = {}) {
         const currentSection = document.querySelector('.step.active');
         currentSection.classList.remove('active');
         document.getElementById('step-error').classList.add('active');
 
+        // Offer to rerun the same configuration for builds that actually ran
+        const retryBuildBtn = document.getElementById('retry-build-btn');
+        if (retryBuildBtn) {
+            retryBuildBtn.style.display = retryable && this.buildId ? '' : 'none';
+        }
+
         document.getElementById('error-text').textContent = title;
         document.getElementById('error-details').textContent = message;
+        this.showFailureRemediation(failure);
 
         // Scroll to top
         window.scrollTo(0, 0);
     }
 
+    /**
+     * Show the classified failure's remediation hint and the log lines it matched
+     * @param {Object|null} failure - { code, hint, retryable, excerpt } from the build status
+     */
+    showFailureRemediation(failure) {
+        const section = document.getElementById('error-remediation');
+        if (!failure) {
+            section.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('failure-code').textContent = `(${failure.code})`;
+        document.getElementById('failure-hint').textContent = failure.retryable
+            ? `${failure.hint} This failure is usually temporary.`
+            : failure.hint;
+
+        const excerpt = document.getElementById('failure-excerpt');
+        excerpt.textContent = failure.excerpt || '';
+        excerpt.style.display = failure.excerpt ? '' : 'none';
+
+        section.style.display = '';
+    }
+
     reset() {
         // Reset state
         this.currentStep = 'setup';
@@ -955,10 +1416,12 @@ class HomeLabISOBuilder {
         });
 
         const emailEl = document.getElementById('email');
+        const notifyEl = document.getElementById('notify');
         const isoNameEl = document.getElementById('iso-name');
         const gpuEl = document.getElementById('gpu-enabled');
 
         if (emailEl) emailEl.value = '';
+        if (notifyEl) notifyEl.value = '';
         if (isoNameEl) isoNameEl.value = 'ubuntu-24.04.3-homelab-custom';
         if (gpuEl) gpuEl.checked = false;
 
@@ -1354,7 +1817,27 @@ sudo eject /dev/sdX</pre>
 
             if (data.builds && data.builds.length > 0) {
                 // Show list of previous builds
-                container.innerHTML = data.builds.map(build => `
+                container.innerHTML = data.builds.map(build => build.status === 'cancelled' ? `
+                    <div class="previous-build-item" style="
+                        padding: 0.75rem;
+                        margin-bottom: 0.5rem;
+                        border: 1px solid #e0e0e0;
+                        border-radius: 4px;
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        color: #999;
+                    ">
+                        <div style="flex: 1;">
+                            <div style="font-weight: 500; margin-bottom: 0.25rem;">
+                                Build ${build.build_id.substring(0, 8)}
+                            </div>
+                            <div style="font-size: 0.875rem;">
+                                Cancelled • ${this.formatDate(build.created)}${this.formatCost(build.cost)}
+                            </div>
+                        </div>
+                    </div>
+                ` : `
                     <div class="previous-build-item" style="
                         padding: 0.75rem;
                         margin-bottom: 0.5rem;
@@ -1370,7 +1853,7 @@ sudo eject /dev/sdX</pre>
                             </div>
                             <div style="font-size: 0.875rem; color: #666;">
                                 ${this.formatFileSize(build.iso_size)} •
-                                ${this.formatDate(build.created)}
+                                ${this.formatDate(build.created)}${this.formatCost(build.cost)}
                             </div>
                         </div>
                         <button
@@ -1409,10 +1892,24 @@ sudo eject /dev/sdX</pre>
     }
 
     formatFileSize(bytes) {
+        if (!bytes) {
+            return 'Unknown size';
+        }
         const gb = bytes / (1024 * 1024 * 1024);
         return `${gb.toFixed(2)} GB`;
     }
 
+    /**
+     * Format a build's cost as a " • $1.23" suffix (empty for builds without a metered cost)
+     */
+    formatCost(cost) {
+        if (!cost) {
+            return '';
+        }
+        const amount = cost.currency === 'USD' ? `$${cost.total.toFixed(2)}` : `${cost.total.toFixed(2)} ${cost.currency}`;
+        return ` • ${amount}${cost.final ? '' : ' so far'}`;
+    }
+
     formatDate(dateString) {
         const date = new Date(dateString);
         const now = new Date();
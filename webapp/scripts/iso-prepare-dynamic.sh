@@ -11,6 +11,7 @@
 #   GCS_BUCKET - GCS bucket for artifacts (optional, will be detected from metadata)
 #   BUILD_ID - Build ID for progress tracking (optional)
 #   DOWNLOADS_BUCKET - GCS downloads bucket for status updates (optional)
+#   BUILD_TASKS_DIR - Task progress directory shared with the webapp startup script (optional)
 
 set -e
 
@@ -66,6 +67,16 @@ write_status() {
     local progress="$2"
     local message="$3"
 
+    # Under the webapp startup script, record the stage for it to sign and publish
+    # (it owns the status file and republishes it with task progress)
+    if [ -n "${BUILD_TASKS_DIR:-}" ]; then
+        (
+            flock 9
+            printf '%s\n%s\n%s\n' "$stage" "$progress" "$message" > "$BUILD_TASKS_DIR/.current"
+        ) 9> "$BUILD_TASKS_DIR/.lock" || true
+        return 0
+    fi
+
     # Only write status if BUILD_ID and DOWNLOADS_BUCKET are set
     if [ -z "${BUILD_ID:-}" ] || [ -z "${DOWNLOADS_BUCKET:-}" ]; then
         return 0
@@ -119,6 +130,53 @@ EOF
     rm -f "$TEMP_STATUS"
 }
 
+# Structured task progress, read by the webapp startup script (no-ops without BUILD_TASKS_DIR)
+# task_state TASK STATE (pending, running, complete, failed or skipped)
+task_state() {
+    [ -n "${BUILD_TASKS_DIR:-}" ] || return 0
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    echo "$2" > "$BUILD_TASKS_DIR/$1/state"
+}
+
+# task_total TASK COUNT
+task_total() {
+    [ -n "${BUILD_TASKS_DIR:-}" ] || return 0
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    echo "$2" > "$BUILD_TASKS_DIR/$1/total"
+}
+
+# task_item TASK NAME STATE [BYTES] [SOURCE] (item state: pending, running, complete or failed)
+task_item() {
+    [ -n "${BUILD_TASKS_DIR:-}" ] || return 0
+    local tmp="$BUILD_TASKS_DIR/.item.$$.$RANDOM"
+    mkdir -p "$BUILD_TASKS_DIR/$1/items"
+    printf '{"name": "%s", "state": "%s", "bytes": %d, "source": "%s"}\n' "$2" "$3" "${4:-0}" "${5:-}" > "$tmp"
+    mv "$tmp" "$BUILD_TASKS_DIR/$1/items/$(echo "$2" | tr '/:' '__')"
+}
+
+# Size of a file in bytes (0 if missing)
+file_bytes() {
+    stat -c %s "$1" 2>/dev/null || echo 0
+}
+
+# Upload an artifact to the GCS cache, recording it under the cache-populate task
+cache_upload() {
+    local name="$1"
+    local local_file="$2"
+    local gcs_path="$3"
+
+    task_item cache-populate "$name" running "$(file_bytes "$local_file")"
+    if gsutil -m cp "$local_file" "$gcs_path" 2>/dev/null; then
+        task_item cache-populate "$name" complete "$(file_bytes "$local_file")"
+        return 0
+    fi
+    task_item cache-populate "$name" failed 0
+    return 1
+}
+
+# Parallel downloads run these in subshells
+export -f task_state task_total task_item file_bytes cache_upload
+
 # Get the repository root directory
 # This script is in webapp/scripts/, so go up 2 levels to get repo root
 REPO_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
@@ -286,6 +344,7 @@ check_gcs_available() {
 if check_gcs_available; then
     success "✓ GCS bucket accessible: $GCS_BUCKET"
     GCS_ENABLED=true
+    task_state cache-populate running
 else
     error "✗ GCS bucket not accessible - files will only be stored locally"
     GCS_ENABLED=false
@@ -449,7 +508,7 @@ else
     if [ "$GCS_ENABLED" = true ] && [ -f "$UBUNTU_ISO_FILE" ]; then
         log "Caching Ubuntu ISO to GCS for future builds..."
         (
-            if gsutil -m cp "$UBUNTU_ISO_FILE" "$GCS_BUCKET/$UBUNTU_ISO_GCS" 2>/dev/null; then
+            if cache_upload "$(basename "$UBUNTU_ISO_FILE")" "$UBUNTU_ISO_FILE" "$GCS_BUCKET/$UBUNTU_ISO_GCS"; then
                 echo "[INFO] ✓ Cached Ubuntu ISO in GCS for future builds"
             fi
         ) &
@@ -526,14 +585,18 @@ download_docker_image() {
     # Check if already exists locally
     if [ -f "$local_file" ]; then
         echo "[INFO] ✓ $image (exists locally)"
+        task_item docker-images "$image" complete "$(file_bytes "$local_file")" cache
         return 0
     fi
 
+    task_item docker-images "$image" running 0
+
     # Check if exists in GCS
     if [ "$GCS_ENABLED" = true ] && gsutil -q stat "$GCS_BUCKET/$gcs_filename" 2>/dev/null; then
         echo "[INFO] Downloading $image from GCS..."
         if gsutil -m cp "$GCS_BUCKET/$gcs_filename" "$local_file" 2>/dev/null; then
             echo "[SUCCESS] ✓ $image (from GCS)"
+            task_item docker-images "$image" complete "$(file_bytes "$local_file")" cache
             return 0
         fi
     fi
@@ -545,11 +608,12 @@ download_docker_image() {
         # Use pigz with all available cores for maximum speed
         sudo docker save "$image" | pigz -p $(nproc) > "$local_file"
         echo "[SUCCESS] ✓ $image (downloaded and saved)"
+        task_item docker-images "$image" complete "$(file_bytes "$local_file")" download
 
         # Upload to GCS cache for future builds (run in background)
         if [ "$GCS_ENABLED" = true ]; then
             (
-                if gsutil -m cp "$local_file" "$GCS_BUCKET/$gcs_filename" 2>/dev/null; then
+                if cache_upload "$image" "$local_file" "$GCS_BUCKET/$gcs_filename"; then
                     echo "[INFO] ✓ Cached $image in GCS for future builds"
                 fi
             ) &
@@ -557,6 +621,7 @@ download_docker_image() {
         return 0
     else
         echo "[ERROR] Failed to download $image"
+        task_item docker-images "$image" failed 0 download
         return 1
     fi
 }
@@ -584,12 +649,22 @@ if ! command -v parallel &> /dev/null; then
 fi
 
 log "Downloading images in parallel (${PARALLEL_JOBS} concurrent)..."
+task_total docker-images "$TOTAL_IMAGES"
+for image in "${DOCKER_IMAGES[@]}"; do
+    task_item docker-images "$image" pending 0
+done
+task_state docker-images running
 write_status "downloading-images" 41 "Downloading ${TOTAL_IMAGES} Docker images in parallel"
 
 # Download all images in parallel, showing progress
-printf "%s\n" "${DOCKER_IMAGES[@]}" | parallel -j "$PARALLEL_JOBS" --line-buffer download_docker_image {}
+printf "%s\n" "${DOCKER_IMAGES[@]}" | parallel -j "$PARALLEL_JOBS" --line-buffer download_docker_image {} || {
+    task_state docker-images failed
+    write_status "failed" 0 "Failed to download Docker images"
+    exit 1
+}
 
 # Update progress to completion
+task_state docker-images complete
 write_status "downloading-images" 62 "All Docker images downloaded"
 success "✓ All Docker images ready (downloaded in parallel)"
 
@@ -612,14 +687,18 @@ if [ ${#MODELS[@]} -gt 0 ]; then
         # Check if already exists
         if [ -f "$model_tar_file" ]; then
             echo "[INFO] ✓ $model (exists locally)"
+            task_item ollama-models "$model" complete "$(file_bytes "$model_tar_file")" cache
             return 0
         fi
 
+        task_item ollama-models "$model" running 0
+
         # Check if exists in GCS
         if [ "$GCS_ENABLED" = true ] && gsutil -q stat "$GCS_BUCKET/$model_gcs_filename" 2>/dev/null; then
             echo "[INFO] Downloading $model from GCS..."
             if gsutil -m cp "$GCS_BUCKET/$model_gcs_filename" "$model_tar_file" 2>/dev/null; then
                 echo "[SUCCESS] ✓ $model (from GCS)"
+                task_item ollama-models "$model" complete "$(file_bytes "$model_tar_file")" cache
                 return 0
             fi
         fi
@@ -643,11 +722,12 @@ if [ ${#MODELS[@]} -gt 0 ]; then
                     sh -c "cd /models && tar cf - ." | pigz -p $(nproc) > "$model_tar_file"
 
                 echo "[SUCCESS] ✓ Exported: $model"
+                task_item ollama-models "$model" complete "$(file_bytes "$model_tar_file")" download
 
                 # Upload to GCS cache for future builds (run in background)
                 if [ "$GCS_ENABLED" = true ] && [ -f "$model_tar_file" ]; then
                     (
-                        if gsutil -m cp "$model_tar_file" "$GCS_BUCKET/$model_gcs_filename" 2>/dev/null; then
+                        if cache_upload "$model" "$model_tar_file" "$GCS_BUCKET/$model_gcs_filename"; then
                             echo "[INFO] ✓ Cached $model in GCS for future builds"
                         fi
                     ) &
@@ -660,6 +740,7 @@ if [ ${#MODELS[@]} -gt 0 ]; then
                 return 0
             else
                 echo "[ERROR] Failed to download: $model"
+                task_item ollama-models "$model" failed 0 download
                 # Cleanup
                 sudo docker stop "$container_name" >/dev/null 2>&1 || true
                 sudo docker rm "$container_name" >/dev/null 2>&1 || true
@@ -668,6 +749,7 @@ if [ ${#MODELS[@]} -gt 0 ]; then
             fi
         else
             echo "[ERROR] Failed to start container for: $model"
+            task_item ollama-models "$model" failed 0 download
             return 1
         fi
     }
@@ -690,14 +772,26 @@ if [ ${#MODELS[@]} -gt 0 ]; then
     fi
 
     log "Downloading Ollama models in parallel (${MODEL_PARALLEL_JOBS} concurrent)..."
+    task_total ollama-models "$TOTAL_MODELS"
+    for model in "${MODELS[@]}"; do
+        task_item ollama-models "$model" pending 0
+    done
+    task_state ollama-models running
     write_status "downloading-models" 63 "Downloading ${TOTAL_MODELS} Ollama models in parallel"
 
     # Download all models in parallel
-    printf "%s\n" "${MODELS[@]}" | parallel -j "$MODEL_PARALLEL_JOBS" --line-buffer download_ollama_model {}
+    printf "%s\n" "${MODELS[@]}" | parallel -j "$MODEL_PARALLEL_JOBS" --line-buffer download_ollama_model {} || {
+        task_state ollama-models failed
+        write_status "failed" 0 "Failed to download Ollama models"
+        exit 1
+    }
 
+    task_state ollama-models complete
     write_status "downloading-models" 66 "All Ollama models downloaded"
     success "✓ All Ollama models ready (downloaded in parallel)"
 else
+    task_total ollama-models 0
+    task_state ollama-models skipped
     write_status "downloading-models" 63 "No Ollama models selected, skipping"
     log "No Ollama models selected, skipping model download"
 fi
@@ -715,6 +809,9 @@ if [ "$GCS_ENABLED" = true ]; then
         wait
         success "✓ All cache uploads completed"
     fi
+    task_state cache-populate complete
+else
+    task_state cache-populate skipped
 fi
 
 # ========================================